@@ -0,0 +1,116 @@
+// Access explain API, see cloudflare/src/api/access.js
+const ACCESS_EXPLAIN_API = '/api/access/explain';
+
+const CLAUSE_LABELS = {
+  noRoles: 'User has roles',
+  admin: 'Admin (sees all content)',
+  bottlerCountry: 'Intended bottler country',
+  intendedCustomer: 'Intended customer',
+  restrictedBrand: 'Restricted brand',
+};
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map((v) => (typeof v === 'object' ? JSON.stringify(v) : v)).join(', ') || '-';
+  }
+  return value || '-';
+}
+
+function renderResult(container, result) {
+  container.textContent = '';
+
+  const summary = document.createElement('div');
+  summary.className = `access-explain-summary ${result.visible ? 'allowed' : 'blocked'}`;
+  if (!result.asset) {
+    summary.textContent = 'Asset not found in the search index';
+  } else if (result.visible) {
+    summary.textContent = `${result.email} can see this asset`;
+  } else {
+    summary.textContent = `${result.email} cannot see this asset`;
+  }
+  container.append(summary);
+
+  const list = document.createElement('ul');
+  list.className = 'access-explain-checks';
+  result.checks.forEach((check) => {
+    const item = document.createElement('li');
+    item.className = check.allowed ? 'allowed' : 'blocked';
+    item.textContent = `${check.allowed ? '✓' : '✗'} ${CLAUSE_LABELS[check.clause] || check.clause}`;
+    if (check.filter) {
+      item.title = check.filter;
+    }
+    list.append(item);
+  });
+  container.append(list);
+
+  const details = document.createElement('dl');
+  details.className = 'access-explain-details';
+  const rows = [
+    ['Roles', result.attributes.roles],
+    ['Countries', result.attributes.countries],
+    ['Customers', result.attributes.customers],
+    ['Brands', result.attributes.brands],
+    ...Object.entries(result.asset || {}).filter(([key]) => key !== 'assetId'),
+  ];
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = formatValue(value);
+    details.append(dt, dd);
+  });
+  container.append(details);
+}
+
+async function explain(section) {
+  const email = section.querySelector('#access-explain-email').value.trim();
+  const assetId = section.querySelector('#access-explain-asset').value.trim();
+  const resultContainer = section.querySelector('.access-explain-result');
+  if (!email || !assetId) {
+    resultContainer.textContent = 'Please enter an email and an asset id.';
+    return;
+  }
+
+  resultContainer.textContent = 'Checking...';
+  try {
+    const params = new URLSearchParams({ email, assetId });
+    const response = await fetch(`${ACCESS_EXPLAIN_API}?${params}`);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || result.error || `HTTP ${response.status}`);
+    }
+    renderResult(resultContainer, result);
+  } catch (error) {
+    resultContainer.textContent = `Failed to check access: ${error.message}`;
+  }
+}
+
+/**
+ * Create the "Access Check" section of the profile modal for support staff
+ * (access-explain permission): explains why a user can or cannot see an asset.
+ * @returns {HTMLElement|null} section element or null if not permitted
+ */
+export default function createAccessExplainSection() {
+  if (!window.user?.permissions?.includes('access-explain')) {
+    return null;
+  }
+
+  const section = document.createElement('div');
+  section.className = 'access-explain';
+  section.innerHTML = `
+    <div class="access-explain-title">ACCESS CHECK</div>
+    <div class="profile-field">
+      <label for="access-explain-email">USER EMAIL</label>
+      <input type="email" class="profile-input" id="access-explain-email">
+    </div>
+    <div class="profile-field">
+      <label for="access-explain-asset">ASSET ID</label>
+      <input type="text" class="profile-input" id="access-explain-asset" placeholder="urn:aaid:aem:...">
+    </div>
+    <button class="edit-button" type="button">Explain</button>
+    <div class="access-explain-result" aria-live="polite"></div>
+  `;
+  section.querySelector('#access-explain-email').value = window.user.email || '';
+  section.querySelector('button').addEventListener('click', () => explain(section));
+  return section;
+}
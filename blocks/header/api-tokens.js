@@ -0,0 +1,174 @@
+import showToast from '../../scripts/toast/toast.js';
+
+// Personal API tokens API, see cloudflare/src/api/tokens.js
+const TOKENS_API = '/api/user/tokens';
+
+const SCOPE_LABELS = {
+  'search:read': 'Search assets',
+  download: 'Download assets',
+  'rights:read': 'Read rights requests',
+  'rights:write': 'Create and update rights requests',
+};
+
+const EXPIRATION_DAYS = [7, 30, 90];
+const DEFAULT_EXPIRATION_DAYS = 30;
+
+function formatDate(isoDate) {
+  return isoDate ? new Date(isoDate).toLocaleDateString() : '-';
+}
+
+async function fetchTokens() {
+  const response = await fetch(TOKENS_API);
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || result.error || `HTTP ${response.status}`);
+  }
+  return result.tokens;
+}
+
+async function revokeToken(section, token) {
+  // eslint-disable-next-line no-alert
+  if (!window.confirm(`Revoke API token "${token.name}"? Scripts using it will stop working.`)) {
+    return;
+  }
+  try {
+    const response = await fetch(`${TOKENS_API}/${encodeURIComponent(token.id)}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    showToast('API token revoked', 'success');
+    // eslint-disable-next-line no-use-before-define
+    await renderTokens(section);
+  } catch (error) {
+    showToast(`Failed to revoke API token: ${error.message}`, 'error');
+  }
+}
+
+async function renderTokens(section) {
+  const list = section.querySelector('.api-tokens-list');
+  try {
+    const tokens = await fetchTokens();
+    list.textContent = '';
+    if (tokens.length === 0) {
+      list.textContent = 'No API tokens.';
+      return;
+    }
+    tokens.forEach((token) => {
+      const item = document.createElement('li');
+      item.className = 'api-tokens-item';
+
+      const details = document.createElement('div');
+      details.className = 'api-tokens-item-details';
+      const name = document.createElement('div');
+      name.className = 'api-tokens-item-name';
+      name.textContent = `${token.name} (${token.hint}…)`;
+      const meta = document.createElement('div');
+      meta.className = 'api-tokens-item-meta';
+      meta.textContent = `${token.scopes.join(', ')} · expires ${formatDate(token.expiresAt)}`
+        + ` · last used ${formatDate(token.lastUsedAt)}`;
+      details.append(name, meta);
+
+      const revokeButton = document.createElement('button');
+      revokeButton.type = 'button';
+      revokeButton.className = 'api-tokens-revoke';
+      revokeButton.textContent = 'Revoke';
+      revokeButton.addEventListener('click', () => revokeToken(section, token));
+
+      item.append(details, revokeButton);
+      list.append(item);
+    });
+  } catch (error) {
+    list.textContent = `Failed to load API tokens: ${error.message}`;
+  }
+}
+
+async function createToken(section) {
+  const nameInput = section.querySelector('#api-tokens-name');
+  const name = nameInput.value.trim();
+  const scopes = [...section.querySelectorAll('.api-tokens-scopes input:checked')].map((input) => input.value);
+  if (!name || scopes.length === 0) {
+    showToast('Please enter a name and select at least one scope', 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch(TOKENS_API, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name,
+        scopes,
+        expiresInDays: Number(section.querySelector('#api-tokens-expiration').value),
+      }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `HTTP ${response.status}`);
+    }
+
+    // the token is only available now
+    const created = section.querySelector('.api-tokens-created');
+    created.querySelector('code').textContent = result.token;
+    created.style.display = 'block';
+
+    nameInput.value = '';
+    await renderTokens(section);
+  } catch (error) {
+    showToast(`Failed to create API token: ${error.message}`, 'error');
+  }
+}
+
+async function copyToken(section) {
+  const token = section.querySelector('.api-tokens-created code').textContent;
+  try {
+    await navigator.clipboard.writeText(token);
+    showToast('API token copied to clipboard', 'success');
+  } catch (error) {
+    showToast('Failed to copy API token', 'error');
+  }
+}
+
+/**
+ * Create the "API Tokens" section of the profile modal (api-tokens permission):
+ * lists, creates and revokes the personal API tokens of the user for scripted access.
+ * @returns {HTMLElement|null} section element or null if not permitted
+ */
+export default function createApiTokensSection() {
+  // tokens always act as the logged in user, not as a simulated user
+  if (!window.user?.permissions?.includes('api-tokens') || window.user.su) {
+    return null;
+  }
+
+  const section = document.createElement('div');
+  section.className = 'api-tokens';
+  section.innerHTML = `
+    <div class="api-tokens-title">API TOKENS</div>
+    <ul class="api-tokens-list" aria-live="polite"><li>Loading...</li></ul>
+    <div class="profile-field">
+      <label for="api-tokens-name">NEW TOKEN NAME</label>
+      <input type="text" class="profile-input" id="api-tokens-name" maxlength="100" placeholder="e.g. nightly download script">
+    </div>
+    <div class="api-tokens-scopes">
+      ${Object.entries(SCOPE_LABELS).map(([scope, label]) => `
+      <label><input type="checkbox" value="${scope}"> ${label} (${scope})</label>
+      `).join('')}
+    </div>
+    <div class="profile-field">
+      <label for="api-tokens-expiration">EXPIRES IN</label>
+      <select class="profile-input" id="api-tokens-expiration">
+        ${EXPIRATION_DAYS.map((d) => `<option value="${d}" ${d === DEFAULT_EXPIRATION_DAYS ? 'selected' : ''}>${d} days</option>`).join('')}
+      </select>
+    </div>
+    <button class="edit-button api-tokens-create" type="button">Create Token</button>
+    <div class="api-tokens-created" style="display: none;">
+      Copy this token now, it will not be shown again:
+      <code></code>
+      <button class="edit-button api-tokens-copy" type="button">Copy</button>
+    </div>
+  `;
+  section.querySelector('.api-tokens-create').addEventListener('click', () => createToken(section));
+  section.querySelector('.api-tokens-copy').addEventListener('click', () => copyToken(section));
+  renderTokens(section);
+  return section;
+}
@@ -1,7 +1,7 @@
 import { getMetadata } from '../../scripts/aem.js';
 import { fetchSpreadsheetData, loadFragment } from '../../scripts/scripts.js';
 import decorateKoAssetsSearch from '../koassets-search/koassets-search.js';
-import showProfileModal from './profile.js';
+import showProfileModal, { createSudoBanner } from './profile.js';
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia('(min-width: 900px)');
@@ -413,6 +413,7 @@ async function createHeaderBar() {
         <li><a href="/my-collections">My Collections</a></li>
         <li><a href="/my-saved-search">My Saved Searches</a></li>
         <li><a href="/auth/logout">Log Out</a></li>
+        <li><a href="/auth/logout?everywhere=true">Log Out Everywhere</a></li>
       </ul>
     `;
     myAccountButton.addEventListener('click', (e) => {
@@ -487,6 +488,12 @@ export default async function decorate(block) {
   block.append(await createHeaderBar());
   block.append(await createNavBar());
 
+  // Persistent site-wide banner while simulating another user
+  const sudoBanner = createSudoBanner();
+  if (sudoBanner) {
+    document.body.append(sudoBanner);
+  }
+
   // Create and render koassets-search block
   const searchBlock = document.createElement('div');
   searchBlock.className = 'koassets-search-hidden';
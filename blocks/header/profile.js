@@ -1,12 +1,60 @@
-// Cookie utility functions
-function setCookie(name, value, days = 365) {
-  const expires = new Date();
-  expires.setTime(expires.getTime() + (days * 24 * 60 * 60 * 1000));
-  document.cookie = `${name}=${encodeURIComponent(value)};expires=${expires.toUTCString()};path=/`;
+import showToast from '../../scripts/toast/toast.js';
+import createAccessExplainSection from './access-explain.js';
+import createApiTokensSection from './api-tokens.js';
+
+// Sudo (impersonation) API, see cloudflare/src/api/sudo.js
+const SUDO_API = '/api/user/sudo';
+
+const SUDO_DURATIONS = [15, 30, 60, 120];
+const DEFAULT_SUDO_DURATION = 30;
+
+function formatTime(isoDate) {
+  return new Date(isoDate).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
-function removeCookie(name) {
-  document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/`;
+async function stopSudo() {
+  try {
+    const response = await fetch(SUDO_API, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    window.location.reload();
+  } catch (error) {
+    showToast(`Failed to stop simulating user: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Create the site-wide banner shown while simulating (impersonating) another user
+ * @returns {HTMLElement|null} banner element or null if not impersonating
+ */
+export function createSudoBanner() {
+  const { su } = window.user || {};
+  if (!su) {
+    return null;
+  }
+
+  const banner = document.createElement('div');
+  banner.className = 'sudo-banner';
+  banner.setAttribute('role', 'status');
+
+  const text = document.createElement('span');
+  text.className = 'sudo-banner-text';
+  text.textContent = `Viewing as ${window.user.name} (${window.user.email})`
+    + `${su.expiresAt ? ` until ${formatTime(su.expiresAt)}` : ''}`
+    + `${su.allowWrites ? '' : ' · read-only'}`;
+  if (su.reason) {
+    text.title = `Reason: ${su.reason}`;
+  }
+
+  const stopButton = document.createElement('button');
+  stopButton.type = 'button';
+  stopButton.className = 'sudo-banner-stop';
+  stopButton.textContent = 'Stop';
+  stopButton.addEventListener('click', stopSudo);
+
+  banner.append(text, stopButton);
+  return banner;
 }
 
 function createProfileModal() {
@@ -15,6 +63,7 @@ function createProfileModal() {
   modal.className = 'profile-modal';
 
   const canSudo = window.user?.permissions?.includes('sudo');
+  const canSudoWrite = window.user?.permissions?.includes('sudo-write');
 
   // Add sudo-mode class if user can sudo
   if (canSudo) {
@@ -75,10 +124,35 @@ function createProfileModal() {
              </div>
            </div>
            ` : ''}
+           ${window.user?.su ? `
+           <div class="profile-field">
+             <label>REASON</label>
+             <div class="profile-value" id="profile-sudo-reason"></div>
+           </div>
+           <div class="profile-field">
+             <label>ENDS</label>
+             <div class="profile-value">${formatTime(window.user.su.expiresAt)}${window.user.su.allowWrites ? '' : ' (read-only)'}</div>
+           </div>
+           ` : ''}
          </div>
          ${canSudo ? `
          <div class="sudo-edit-note" id="sudo-edit-note" style="display: none;">
            Enter values as provided in Microsoft Directory.
+           <div class="profile-field sudo-field">
+             <label for="profile-sudo-reason-input">REASON (REQUIRED)</label>
+             <input type="text" class="profile-input" id="profile-sudo-reason-input" placeholder="e.g. support ticket number">
+           </div>
+           <div class="profile-field sudo-field">
+             <label for="profile-sudo-duration-select">DURATION</label>
+             <select class="profile-input" id="profile-sudo-duration-select">
+               ${SUDO_DURATIONS.map((m) => `<option value="${m}" ${m === DEFAULT_SUDO_DURATION ? 'selected' : ''}>${m} minutes</option>`).join('')}
+             </select>
+           </div>
+           ${canSudoWrite ? `
+           <label class="sudo-allow-writes">
+             <input type="checkbox" id="profile-sudo-allow-writes"> Allow changes (rights requests, collections, messages) as this user
+           </label>
+           ` : ''}
          </div>
          <div class="profile-buttons">
            <button class="edit-button" id="profile-edit-btn" type="button">
@@ -109,6 +183,24 @@ function createProfileModal() {
     </div>
   `;
 
+  // personal API tokens for scripted access
+  const apiTokensSection = createApiTokensSection();
+  if (apiTokensSection) {
+    modal.querySelector('.profile-info').append(apiTokensSection);
+  }
+
+  // support tool to explain asset access decisions
+  const accessExplainSection = createAccessExplainSection();
+  if (accessExplainSection) {
+    modal.querySelector('.profile-info').append(accessExplainSection);
+  }
+
+  // user provided text
+  const reasonValue = modal.querySelector('#profile-sudo-reason');
+  if (reasonValue) {
+    reasonValue.textContent = window.user.su.reason || '';
+  }
+
   return modal;
 }
 
@@ -226,17 +318,11 @@ ${window.user?.su ? 'Simulating User' : 'Simulate User'}
 }
 
 function handleReset() {
-  // Remove all SUDO_* cookies
-  removeCookie('SUDO_NAME');
-  removeCookie('SUDO_EMAIL');
-  removeCookie('SUDO_COUNTRY');
-  removeCookie('SUDO_EMPLOYEE_TYPE');
-
-  // Reload the page
-  window.location.reload();
+  // End impersonation and reload the page
+  stopSudo();
 }
 
-function handleSave() {
+async function handleSave() {
   const canSudo = window.user?.permissions?.includes('sudo');
 
   if (canSudo) {
@@ -246,46 +332,57 @@ function handleSave() {
     const countryInput = document.getElementById('profile-country-input');
     const employeeTypeSelect = document.getElementById('profile-employeetype-select');
     const employeeTypeCustom = document.getElementById('profile-employeetype-custom');
+    const reasonInput = document.getElementById('profile-sudo-reason-input');
+    const durationSelect = document.getElementById('profile-sudo-duration-select');
+    const allowWritesInput = document.getElementById('profile-sudo-allow-writes');
 
     if (nameInput && emailInput && countryInput) {
-      let needsReload = false;
-
-      // Only set cookies if values are different from current user values
-      if (nameInput.value !== (window.user?.name || '')) {
-        setCookie('SUDO_NAME', nameInput.value);
-        needsReload = true;
-      }
-
-      if (emailInput.value !== (window.user?.email || '')) {
-        setCookie('SUDO_EMAIL', emailInput.value);
-        needsReload = true;
-      }
-
-      if (countryInput.value !== (window.user?.country || '')) {
-        setCookie('SUDO_COUNTRY', countryInput.value);
-        needsReload = true;
-      }
-
+      let employeeTypeValue = '';
       if (employeeTypeSelect) {
-        let employeeTypeValue = '';
         if (employeeTypeSelect.value === 'custom') {
           employeeTypeValue = employeeTypeCustom ? employeeTypeCustom.value : '';
         } else {
           employeeTypeValue = employeeTypeSelect.value;
         }
+      }
 
-        if (employeeTypeValue !== (window.user?.employeeType || '')) {
-          setCookie('SUDO_EMPLOYEE_TYPE', employeeTypeValue);
-          needsReload = true;
-        }
+      // Just exit edit mode if no changes were made
+      if (nameInput.value === (window.user?.name || '')
+        && emailInput.value === (window.user?.email || '')
+        && countryInput.value === (window.user?.country || '')
+        && employeeTypeValue === (window.user?.employeeType || '')) {
+        toggleEditMode();
+        return;
+      }
+
+      const reason = reasonInput?.value.trim();
+      if (!reason) {
+        showToast('Please enter a reason for simulating this user', 'error');
+        reasonInput?.focus();
+        return;
       }
 
-      // Only reload if we actually set any cookies
-      if (needsReload) {
+      try {
+        const response = await fetch(SUDO_API, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name: nameInput.value,
+            email: emailInput.value,
+            country: countryInput.value,
+            employeeType: employeeTypeValue,
+            reason,
+            durationMinutes: Number(durationSelect?.value) || DEFAULT_SUDO_DURATION,
+            allowWrites: !!allowWritesInput?.checked,
+          }),
+        });
+        if (!response.ok) {
+          const result = await response.json().catch(() => ({}));
+          throw new Error(result.error || `HTTP ${response.status}`);
+        }
         window.location.reload();
-      } else {
-        // Just exit edit mode if no changes were made
-        toggleEditMode();
+      } catch (error) {
+        showToast(`Failed to simulate user: ${error.message}`, 'error');
       }
     }
   }
@@ -321,7 +418,9 @@ export default function showProfileModal() {
     const employeeTypeSelect = modal.querySelector('#profile-employeetype-select');
     const employeeTypeCustom = modal.querySelector('#profile-employeetype-custom');
 
-    [nameInput, emailInput, countryInput, employeeTypeCustom].forEach((input) => {
+    const reasonInput = modal.querySelector('#profile-sudo-reason-input');
+
+    [nameInput, emailInput, countryInput, employeeTypeCustom, reasonInput].forEach((input) => {
       if (input) {
         input.addEventListener('keydown', (e) => {
           if (e.key === 'Enter') {
@@ -88,6 +88,8 @@ export default async function decorate(block) {
     packageContainerSizeValueMapping,
     agencyNameValueMapping,
     presetFilters: blockObj.presetFilters ? convertHtmlListToArray(blockObj.presetFilters) : [],
+    // filters selecting the products of the Products search, default: product asset category
+    productFilters: blockObj.productFilters ? convertHtmlListToArray(blockObj.productFilters) : [],
     ...(window.KOAssetsConfig.externalParams || {}),
   };
 
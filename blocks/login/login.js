@@ -0,0 +1,70 @@
+const PROVIDERS_URL = '/auth/providers';
+const LOGIN_URL = '/auth/login';
+
+// only used if the providers cannot be loaded
+const DEFAULT_PROVIDERS = [{ id: 'microsoft', name: 'Microsoft' }];
+
+/**
+ * Load the identity providers configured in the worker
+ * @returns {Promise<Object>} { providers, lastUsed }
+ */
+async function fetchProviders() {
+  try {
+    const response = await fetch(PROVIDERS_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const { providers, lastUsed } = await response.json();
+    if (providers?.length) {
+      return { providers, lastUsed };
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to load identity providers:', error);
+  }
+  return { providers: DEFAULT_PROVIDERS, lastUsed: null };
+}
+
+/**
+ * Build the login URL for a provider, keeping the page the user wanted to open
+ * @param {string} providerId - Identity provider id
+ * @returns {string} login URL
+ */
+function buildLoginUrl(providerId) {
+  const params = new URLSearchParams({ provider: providerId });
+  const originalUrl = new URLSearchParams(window.location.search).get('url');
+  if (originalUrl) {
+    params.set('url', originalUrl);
+  }
+  return `${LOGIN_URL}?${params}`;
+}
+
+/**
+ * loads and decorates the login block: one sign in button per identity provider
+ * @param {Element} block The login block element
+ */
+export default async function decorate(block) {
+  // authored content (e.g. a heading or hint) is kept above the buttons
+  const intro = document.createElement('div');
+  intro.className = 'login-intro';
+  intro.append(...block.querySelectorAll(':scope > div > div > *'));
+
+  const { providers, lastUsed } = await fetchProviders();
+
+  const buttons = document.createElement('div');
+  buttons.className = 'login-providers';
+  // highlight the last used provider, or the first one (Microsoft) for new users
+  const preferred = providers.find((provider) => provider.id === lastUsed) || providers[0];
+  providers.forEach((provider) => {
+    const button = document.createElement('a');
+    button.className = 'button login-provider';
+    button.href = buildLoginUrl(provider.id);
+    button.textContent = `Sign in with ${provider.name}`;
+    if (provider !== preferred) {
+      button.classList.add('secondary');
+    }
+    buttons.append(button);
+  });
+
+  block.replaceChildren(...(intro.children.length ? [intro] : []), buttons);
+}
@@ -9,6 +9,7 @@ import {
   CLEARANCE_STATUS,
   REQUEST_STATUS,
 } from '../../scripts/rights-management/rights-constants.js';
+import createCommentThread from '../../scripts/rights-management/comment-thread.js';
 
 // Global state
 let allRequests = [];
@@ -740,6 +741,10 @@ function createRequestRow(request) {
   const assetsTable = createAssetsTable(request);
   assetsTableRow.appendChild(assetsTable);
 
+  // Comments (spans full width - Row 4), loaded on first expand
+  const commentsRow = document.createElement('div');
+  commentsRow.className = 'comments-row';
+
   // Append all cells to row
   row.appendChild(toggleCell);
   row.appendChild(previewCell);
@@ -748,6 +753,7 @@ function createRequestRow(request) {
   row.appendChild(actionCell);
   row.appendChild(errorRow);
   row.appendChild(assetsTableRow);
+  row.appendChild(commentsRow);
 
   // Add toggle event handler
   toggleButton.addEventListener('click', async (e) => {
@@ -764,6 +770,7 @@ function createRequestRow(request) {
         errorRow.style.display = 'none';
       }
       assetsTableRow.style.display = 'none';
+      commentsRow.style.display = 'none';
     } else {
       // Expand
       // eslint-disable-next-line no-console
@@ -774,6 +781,14 @@ function createRequestRow(request) {
         errorRow.style.display = 'block';
       }
       assetsTableRow.style.display = 'block';
+      commentsRow.style.display = 'block';
+
+      if (!commentsRow.hasChildNodes()) {
+        const commentsTitle = document.createElement('h3');
+        commentsTitle.textContent = 'Comments';
+        commentsRow.appendChild(commentsTitle);
+        commentsRow.appendChild(createCommentThread(request.id.replace('rights-request-', '')));
+      }
 
       // Check clearance if not already checked
       if (!request.clearanceChecked) {
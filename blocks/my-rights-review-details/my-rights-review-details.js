@@ -1,41 +1,30 @@
-import { formatDate } from '../../scripts/rights-management/date-formatter.js';
-import { ASSET_PREVIEW, REQUEST_ID_PREFIX } from '../../scripts/rights-management/rights-constants.js';
+import { formatDate, formatDateTime } from '../../scripts/rights-management/date-formatter.js';
+import { ASSET_PREVIEW } from '../../scripts/rights-management/rights-constants.js';
+import createCommentThread from '../../scripts/rights-management/comment-thread.js';
+import showToast from '../../scripts/toast/toast.js';
+
+// Must match the limits of the attachments API (cloudflare/src/api/rightsattachments.js)
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+const ATTACHMENT_ACCEPT = '.pdf,.doc,.docx,.xls,.xlsx,.png,.jpg,.jpeg,.txt';
 
 /**
- * Fetch request data by ID
+ * Fetch request data by ID (submitter or reviewer perspective, includes reviewInfo)
  */
 async function fetchRequestById(requestId) {
   try {
     // eslint-disable-next-line no-console
     console.trace(`Fetching request: ${requestId}`);
 
-    // Try reviewer perspective first (includes reviewInfo)
-    const reviewResponse = await fetch('/api/rightsrequests/reviews', {
+    const response = await fetch(`/api/rightsrequests/${encodeURIComponent(requestId)}`, {
       credentials: 'include',
     });
 
-    if (reviewResponse.ok) {
-      const reviewResult = await reviewResponse.json();
-      const key = `${REQUEST_ID_PREFIX}${requestId}`;
-      if (reviewResult.data && reviewResult.data[key]) {
-        return reviewResult.data[key];
-      }
+    if (!response.ok) {
+      throw new Error(response.status === 404 ? 'Request not found' : `Failed to load request: ${response.status}`);
     }
 
-    // Fallback to submitter perspective
-    const submitterResponse = await fetch('/api/rightsrequests', {
-      credentials: 'include',
-    });
-
-    if (submitterResponse.ok) {
-      const submitterResult = await submitterResponse.json();
-      const key = `${REQUEST_ID_PREFIX}${requestId}`;
-      if (submitterResult.data && submitterResult.data[key]) {
-        return submitterResult.data[key];
-      }
-    }
-
-    throw new Error('Request not found');
+    const result = await response.json();
+    return result.data;
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Error fetching request:', error);
@@ -328,6 +317,263 @@ function createReviewSection(request) {
   return section;
 }
 
+/**
+ * Create status badge element
+ */
+function createStatusBadge(status) {
+  const badge = document.createElement('span');
+  badge.className = `status-badge status-${status.toLowerCase().replace(/\s+/g, '-')}`;
+  badge.textContent = status;
+  return badge;
+}
+
+/**
+ * Create status history timeline section (oldest entry first)
+ */
+function createHistorySection(request) {
+  const section = document.createElement('div');
+  section.className = 'detail-section';
+
+  const sectionTitle = document.createElement('h2');
+  sectionTitle.textContent = 'Status History';
+  section.appendChild(sectionTitle);
+
+  const history = request.history || [];
+  if (history.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'No status history recorded for this request.';
+    section.appendChild(empty);
+    return section;
+  }
+
+  const timeline = document.createElement('ol');
+  timeline.className = 'status-timeline';
+
+  history.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = 'timeline-entry';
+
+    const time = document.createElement('div');
+    time.className = 'timeline-time';
+    time.textContent = formatDateTime(entry.timestamp);
+
+    const change = document.createElement('div');
+    change.className = 'timeline-change';
+    if (entry.from) {
+      change.appendChild(createStatusBadge(entry.from));
+      const arrow = document.createElement('span');
+      arrow.className = 'timeline-arrow';
+      arrow.textContent = '→';
+      change.appendChild(arrow);
+    }
+    change.appendChild(createStatusBadge(entry.to));
+
+    const actor = document.createElement('div');
+    actor.className = 'timeline-actor';
+    actor.textContent = `by ${entry.actor}`;
+
+    item.appendChild(time);
+    item.appendChild(change);
+    item.appendChild(actor);
+
+    if (entry.comment) {
+      const comment = document.createElement('div');
+      comment.className = 'timeline-comment';
+      comment.textContent = entry.comment;
+      item.appendChild(comment);
+    }
+
+    timeline.appendChild(item);
+  });
+
+  section.appendChild(timeline);
+  return section;
+}
+
+/**
+ * Create comments section (conversation between submitter and reviewer)
+ */
+function createCommentsSection(request) {
+  const section = document.createElement('div');
+  section.className = 'detail-section';
+
+  const sectionTitle = document.createElement('h2');
+  sectionTitle.textContent = 'Comments';
+
+  section.appendChild(sectionTitle);
+  section.appendChild(createCommentThread(request.rightsRequestID, request.comments || []));
+
+  return section;
+}
+
+/**
+ * Build the API URL of the attachments of a request (or of a single attachment)
+ */
+function attachmentsUrl(requestId, attachmentId) {
+  const base = `/api/rightsrequests/${encodeURIComponent(requestId)}/attachments`;
+  return attachmentId ? `${base}/${encodeURIComponent(attachmentId)}` : base;
+}
+
+/**
+ * Format a file size in bytes for display
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Render the attachment list (deleting removes the entry from the attachments array)
+ */
+function renderAttachments(list, requestId, attachments) {
+  list.textContent = '';
+
+  if (attachments.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'attachment-empty';
+    empty.textContent = 'No attachments yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  attachments.forEach((attachment) => {
+    const item = document.createElement('li');
+    item.className = 'attachment-item';
+
+    const link = document.createElement('a');
+    link.className = 'attachment-name';
+    link.href = attachmentsUrl(requestId, attachment.id);
+    link.download = attachment.fileName;
+    link.textContent = attachment.fileName;
+
+    const meta = document.createElement('span');
+    meta.className = 'attachment-meta';
+    meta.textContent = `${formatFileSize(attachment.size)} · ${attachment.uploadedBy} · ${formatDateTime(attachment.uploadedAt)}`;
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'attachment-delete';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.setAttribute('aria-label', `Delete ${attachment.fileName}`);
+    deleteBtn.addEventListener('click', async () => {
+      // eslint-disable-next-line no-alert
+      if (!window.confirm(`Delete attachment "${attachment.fileName}"?`)) return;
+
+      try {
+        deleteBtn.disabled = true;
+        const response = await fetch(attachmentsUrl(requestId, attachment.id), {
+          method: 'DELETE',
+          credentials: 'include',
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.error || `Failed to delete attachment: ${response.status}`);
+        }
+        attachments.splice(attachments.indexOf(attachment), 1);
+        renderAttachments(list, requestId, attachments);
+        showToast('Attachment deleted', 'success');
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error('Error deleting attachment:', error);
+        showToast(error.message, 'error');
+        deleteBtn.disabled = false;
+      }
+    });
+
+    item.appendChild(link);
+    item.appendChild(meta);
+    item.appendChild(deleteBtn);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Create attachments section (quotes, release forms, ...)
+ */
+function createAttachmentsSection(request) {
+  const requestId = request.rightsRequestID;
+  const attachments = [...(request.attachments || [])];
+
+  const section = document.createElement('div');
+  section.className = 'detail-section attachments-section';
+
+  const sectionTitle = document.createElement('h2');
+  sectionTitle.textContent = 'Attachments';
+
+  const list = document.createElement('ul');
+  list.className = 'attachment-list';
+  renderAttachments(list, requestId, attachments);
+
+  const form = document.createElement('form');
+  form.className = 'attachment-form';
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.className = 'attachment-input';
+  fileInput.accept = ATTACHMENT_ACCEPT;
+  fileInput.setAttribute('aria-label', 'Attachment file');
+
+  const uploadBtn = document.createElement('button');
+  uploadBtn.type = 'submit';
+  uploadBtn.className = 'attachment-upload';
+  uploadBtn.textContent = 'Upload';
+
+  const hint = document.createElement('span');
+  hint.className = 'attachment-hint';
+  hint.textContent = 'PDF, Word, Excel, PNG, JPEG or text, max 10 MB';
+
+  form.appendChild(fileInput);
+  form.appendChild(uploadBtn);
+  form.appendChild(hint);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      showToast('Attachment must not exceed 10 MB', 'error');
+      return;
+    }
+
+    try {
+      uploadBtn.disabled = true;
+      uploadBtn.textContent = 'Uploading...';
+
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await fetch(attachmentsUrl(requestId), {
+        method: 'POST',
+        credentials: 'include',
+        body: formData,
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `Failed to upload attachment: ${response.status}`);
+      }
+
+      attachments.push(result.data);
+      renderAttachments(list, requestId, attachments);
+      form.reset();
+      showToast('Attachment uploaded', 'success');
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error uploading attachment:', error);
+      showToast(error.message, 'error');
+    } finally {
+      uploadBtn.disabled = false;
+      uploadBtn.textContent = 'Upload';
+    }
+  });
+
+  section.appendChild(sectionTitle);
+  section.appendChild(list);
+  section.appendChild(form);
+
+  return section;
+}
+
 /**
  * Main decorate function
  */
@@ -376,6 +622,9 @@ export default async function decorate(block) {
     container.appendChild(createIntendedUsageSection(request));
     container.appendChild(createMaterialsSection(request));
     container.appendChild(createBudgetSection(request));
+    container.appendChild(createAttachmentsSection(request));
+    container.appendChild(createCommentsSection(request));
+    container.appendChild(createHistorySection(request));
 
     block.appendChild(container);
   } catch (error) {
@@ -36,21 +36,54 @@ export const SUBMITTER_CHANGEABLE_STATUSES = [
 ];
 
 /**
- * Get available status options for a reviewer (excluding current status)
+ * Allowed status transitions (current status => next statuses)
+ * Must match STATUS_TRANSITIONS in cloudflare/src/api/rightsrequests.js
+ */
+export const STATUS_TRANSITIONS = {
+  [REQUEST_STATUSES.NOT_STARTED]: [
+    REQUEST_STATUSES.IN_PROGRESS,
+    REQUEST_STATUSES.USER_CANCELED,
+    REQUEST_STATUSES.RM_CANCELED,
+  ],
+  [REQUEST_STATUSES.IN_PROGRESS]: [
+    REQUEST_STATUSES.QUOTE_PENDING,
+    REQUEST_STATUSES.RELEASE_PENDING,
+    REQUEST_STATUSES.USER_CANCELED,
+    REQUEST_STATUSES.RM_CANCELED,
+  ],
+  [REQUEST_STATUSES.QUOTE_PENDING]: [
+    REQUEST_STATUSES.IN_PROGRESS,
+    REQUEST_STATUSES.RELEASE_PENDING,
+    REQUEST_STATUSES.USER_CANCELED,
+    REQUEST_STATUSES.RM_CANCELED,
+  ],
+  [REQUEST_STATUSES.RELEASE_PENDING]: [
+    REQUEST_STATUSES.DONE,
+    REQUEST_STATUSES.RM_CANCELED,
+  ],
+  [REQUEST_STATUSES.DONE]: [],
+  [REQUEST_STATUSES.USER_CANCELED]: [],
+  [REQUEST_STATUSES.RM_CANCELED]: [],
+};
+
+/**
+ * Get available status options for a reviewer (allowed transitions from the current status)
  * @param {string} currentStatus - The current status of the request
  * @returns {string[]} Array of available statuses
  */
 export function getAvailableReviewerStatuses(currentStatus) {
-  return REVIEWER_CHANGEABLE_STATUSES.filter((status) => status !== currentStatus);
+  const next = STATUS_TRANSITIONS[currentStatus || REQUEST_STATUSES.NOT_STARTED] || [];
+  return REVIEWER_CHANGEABLE_STATUSES.filter((status) => next.includes(status));
 }
 
 /**
- * Get available status options for a submitter (excluding current status)
+ * Get available status options for a submitter (allowed transitions from the current status)
  * @param {string} currentStatus - The current status of the request
  * @returns {string[]} Array of available statuses
  */
 export function getAvailableSubmitterStatuses(currentStatus) {
-  return SUBMITTER_CHANGEABLE_STATUSES.filter((status) => status !== currentStatus);
+  const next = STATUS_TRANSITIONS[currentStatus || REQUEST_STATUSES.NOT_STARTED] || [];
+  return SUBMITTER_CHANGEABLE_STATUSES.filter((status) => next.includes(status));
 }
 
 /**
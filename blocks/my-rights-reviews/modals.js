@@ -8,15 +8,21 @@ import showToast from '../../scripts/toast/toast.js';
 /**
  * Update review status via API
  */
-async function updateReviewStatus(requestId, newStatus) {
+async function updateReviewStatus(requestId, newStatus, comment) {
   try {
     const response = await fetch('/api/rightsrequests/reviews/status', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ requestId, status: newStatus }),
+      body: JSON.stringify({ requestId, status: newStatus, comment }),
     });
 
+    if (response.status === 409) {
+      // status was changed in the meantime, the transition is no longer allowed
+      const result = await response.json();
+      throw new Error(result.message || result.error);
+    }
+
     if (!response.ok) {
       throw new Error(`Failed to update status: ${response.status}`);
     }
@@ -83,10 +89,20 @@ export function showStatusModal(review, onStatusChanged) {
     select.appendChild(option);
   });
 
+  const commentLabel = document.createElement('label');
+  commentLabel.className = 'status-modal-label';
+  commentLabel.textContent = 'Comment (optional):';
+
+  const commentInput = document.createElement('textarea');
+  commentInput.className = 'status-modal-comment';
+  commentInput.rows = 3;
+
   body.appendChild(requestInfo);
   body.appendChild(currentStatus);
   body.appendChild(label);
   body.appendChild(select);
+  body.appendChild(commentLabel);
+  body.appendChild(commentInput);
 
   // Modal footer
   const footer = document.createElement('div');
@@ -128,7 +144,7 @@ export function showStatusModal(review, onStatusChanged) {
     try {
       confirmBtn.disabled = true;
       confirmBtn.textContent = 'Updating...';
-      await updateReviewStatus(review.rightsRequestID, newStatus);
+      await updateReviewStatus(review.rightsRequestID, newStatus, commentInput.value.trim());
       closeModal();
       showToast(`Status updated to "${newStatus}"`, 'success');
       // Call the callback to refresh the reviews list
@@ -4,7 +4,7 @@
  */
 
 import { showStatusModal, showAssignmentModal } from './modals.js';
-import { REQUEST_STATUSES, getStatusClassName } from './config.js';
+import { REQUEST_STATUSES, getStatusClassName, getAvailableReviewerStatuses } from './config.js';
 import { formatDate } from '../../scripts/rights-management/date-formatter.js';
 import { ASSET_PREVIEW } from '../../scripts/rights-management/rights-constants.js';
 import showToast from '../../scripts/toast/toast.js';
@@ -15,10 +15,28 @@ const TABS = {
   ASSIGNED: 'assigned',
 };
 
+// Reviews per page
+const PAGE_SIZE = 20;
+
+// Status filter values => statuses
+const STATUS_FILTERS = {
+  'not-started': REQUEST_STATUSES.NOT_STARTED,
+  'in-progress': REQUEST_STATUSES.IN_PROGRESS,
+  'user-canceled': REQUEST_STATUSES.USER_CANCELED,
+  'rm-canceled': REQUEST_STATUSES.RM_CANCELED,
+  'quote-pending': REQUEST_STATUSES.QUOTE_PENDING,
+  'release-pending': REQUEST_STATUSES.RELEASE_PENDING,
+  done: REQUEST_STATUSES.DONE,
+};
+
 // Global state
-let allReviews = [];
+// reviews of the current page (filtered, sorted and paged by the API)
 let filteredReviews = [];
 let currentTab = TABS.UNASSIGNED;
+let currentPage = 1;
+let pageInfo = {
+  total: 0, totalPages: 0, unassignedCount: 0, assignedCount: 0,
+};
 const selectedFilters = new Set(['all']);
 
 /**
@@ -50,11 +68,24 @@ function buildAssetImageUrl(
 }
 
 /**
- * Load reviews from API
+ * Load the current page of reviews for the current tab and filters from API
  */
 async function loadReviews() {
   try {
-    const response = await fetch('/api/rightsrequests/reviews', {
+    const params = new URLSearchParams({
+      tab: currentTab,
+      page: currentPage,
+      limit: PAGE_SIZE,
+    });
+    const statuses = [...selectedFilters].map((filter) => STATUS_FILTERS[filter]).filter(Boolean);
+    if (statuses.length > 0) {
+      params.set('status', statuses.join(','));
+    }
+    if (selectedFilters.has('overdue')) {
+      params.set('overdue', 'true');
+    }
+
+    const response = await fetch(`/api/rightsrequests/reviews?${params}`, {
       credentials: 'include',
     });
 
@@ -63,8 +94,14 @@ async function loadReviews() {
     }
 
     const result = await response.json();
-    allReviews = Object.values(result.data || {});
-    return allReviews;
+    filteredReviews = Object.values(result.data || {});
+    pageInfo = {
+      total: result.total || 0,
+      totalPages: result.totalPages || 0,
+      unassignedCount: result.unassignedCount || 0,
+      assignedCount: result.assignedCount || 0,
+    };
+    return filteredReviews;
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Error loading reviews:', error);
@@ -239,6 +276,17 @@ function createReviewRow(review) {
 
   statusCell.appendChild(statusBadge);
 
+  // SLA exceeded (computed by the API)
+  if (review.sla?.overdue) {
+    const overdueBadge = document.createElement('div');
+    overdueBadge.className = 'overdue-badge';
+    overdueBadge.textContent = 'Overdue';
+    const unit = review.sla.businessDays ? 'business days' : 'days';
+    overdueBadge.title = `${review.sla.status} for more than ${review.sla.days} ${unit}, `
+      + `due ${formatDate(review.sla.dueDate)}`;
+    statusCell.appendChild(overdueBadge);
+  }
+
   // Action column
   const actionCell = document.createElement('div');
   actionCell.className = 'row-cell cell-action';
@@ -258,11 +306,8 @@ function createReviewRow(review) {
         // Wait for Cloudflare KV propagation before refreshing
         await new Promise((resolve) => { setTimeout(resolve, 800); });
 
-        await loadReviews();
         // eslint-disable-next-line no-use-before-define
-        applyFilters();
-        // eslint-disable-next-line no-use-before-define
-        renderReviews();
+        await refreshReviews();
       } catch (error) {
         showToast(`Failed to assign review: ${error.message}`, 'error');
         assignBtn.disabled = false;
@@ -279,26 +324,23 @@ function createReviewRow(review) {
       assignToBtn.addEventListener('click', async (e) => {
         e.stopPropagation();
         showAssignmentModal(review, async () => {
-          await loadReviews();
-          applyFilters();
-          renderReviews();
+          await refreshReviews();
         });
       });
       actionCell.appendChild(assignToBtn);
     }
   }
 
-  // Change Status button (only for assigned reviews)
-  if (!isUnassigned) {
+  // Change Status button (only for assigned reviews that are not in a final status)
+  const currentStatus = review.rightsRequestReviewDetails?.rightsRequestStatus;
+  if (!isUnassigned && getAvailableReviewerStatuses(currentStatus).length > 0) {
     const statusBtn = document.createElement('button');
     statusBtn.className = 'action-button status-button';
     statusBtn.textContent = 'Change Status';
     statusBtn.addEventListener('click', async (e) => {
       e.stopPropagation();
       showStatusModal(review, async () => {
-        await loadReviews();
-        applyFilters();
-        renderReviews();
+        await refreshReviews();
       });
     });
     actionCell.appendChild(statusBtn);
@@ -347,38 +389,6 @@ function createReviewRow(review) {
   return row;
 }
 
-/**
- * Apply filter to reviews based on selected filters and current tab
- */
-function applyFilters() {
-  // First filter by tab (unassigned vs assigned)
-  let tabFiltered = [];
-  if (currentTab === TABS.UNASSIGNED) {
-    tabFiltered = allReviews.filter((r) => !r.reviewInfo?.rightsReviewer);
-  } else {
-    tabFiltered = allReviews.filter((r) => r.reviewInfo?.rightsReviewer);
-  }
-
-  // Then filter by status
-  if (selectedFilters.has('all') || selectedFilters.size === 0) {
-    filteredReviews = [...tabFiltered];
-  } else {
-    filteredReviews = tabFiltered.filter((review) => {
-      const status = review.rightsRequestReviewDetails?.rightsRequestStatus?.toLowerCase().replace(/\s+/g, '-') || 'not-started';
-      return Array.from(selectedFilters).some((filter) => {
-        if (filter === 'not-started') return status === 'not-started';
-        if (filter === 'in-progress') return status === 'in-progress';
-        if (filter === 'user-canceled') return status === 'user-canceled';
-        if (filter === 'rm-canceled') return status === 'rm-canceled';
-        if (filter === 'quote-pending') return status === 'quote-pending';
-        if (filter === 'release-pending') return status === 'release-pending';
-        if (filter === 'done') return status === 'done';
-        return false;
-      });
-    });
-  }
-}
-
 /**
  * Create table header
  */
@@ -437,9 +447,14 @@ function renderReviews() {
 
   container.appendChild(reviewsList);
 
+  // Pagination
+  if (pageInfo.totalPages > 1) {
+    // eslint-disable-next-line no-use-before-define
+    container.appendChild(createPagination());
+  }
+
   // Update tab counts
-  const unassignedCount = allReviews.filter((r) => !r.reviewInfo?.rightsReviewer).length;
-  const assignedCount = allReviews.filter((r) => r.reviewInfo?.rightsReviewer).length;
+  const { unassignedCount, assignedCount } = pageInfo;
 
   const unassignedTab = document.querySelector('[data-tab="unassigned"]');
   const assignedTab = document.querySelector('[data-tab="assigned"]');
@@ -462,13 +477,57 @@ function updateShowingCount() {
   const showingText = document.querySelector('.my-rights-reviews .showing-text');
   if (showingText) {
     const count = filteredReviews.length;
-    const tabTotal = currentTab === TABS.UNASSIGNED
-      ? allReviews.filter((r) => !r.reviewInfo?.rightsReviewer).length
-      : allReviews.filter((r) => r.reviewInfo?.rightsReviewer).length;
-    showingText.innerHTML = `Showing <strong>${count}</strong> of <strong>${tabTotal}</strong>`;
+    showingText.innerHTML = `Showing <strong>${count}</strong> of <strong>${pageInfo.total}</strong>`;
   }
 }
 
+/**
+ * Reload the current page of reviews and render it
+ */
+async function refreshReviews() {
+  try {
+    await loadReviews();
+    renderReviews();
+  } catch (error) {
+    showToast(`Failed to load reviews: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Create pagination controls (previous/next page)
+ */
+function createPagination() {
+  const pagination = document.createElement('div');
+  pagination.className = 'reviews-pagination';
+
+  const prevBtn = document.createElement('button');
+  prevBtn.className = 'pagination-button';
+  prevBtn.textContent = 'Previous';
+  prevBtn.disabled = currentPage <= 1;
+  prevBtn.addEventListener('click', () => {
+    currentPage -= 1;
+    refreshReviews();
+  });
+
+  const pageText = document.createElement('span');
+  pageText.className = 'pagination-text';
+  pageText.textContent = `Page ${currentPage} of ${pageInfo.totalPages}`;
+
+  const nextBtn = document.createElement('button');
+  nextBtn.className = 'pagination-button';
+  nextBtn.textContent = 'Next';
+  nextBtn.disabled = currentPage >= pageInfo.totalPages;
+  nextBtn.addEventListener('click', () => {
+    currentPage += 1;
+    refreshReviews();
+  });
+
+  pagination.appendChild(prevBtn);
+  pagination.appendChild(pageText);
+  pagination.appendChild(nextBtn);
+  return pagination;
+}
+
 /**
  * Create tabs
  */
@@ -484,8 +543,8 @@ function createTabs() {
     currentTab = TABS.UNASSIGNED;
     document.querySelectorAll('.tab-button').forEach((btn) => btn.classList.remove('active'));
     unassignedTab.classList.add('active');
-    applyFilters();
-    renderReviews();
+    currentPage = 1;
+    refreshReviews();
   });
 
   const assignedTab = document.createElement('button');
@@ -496,8 +555,8 @@ function createTabs() {
     currentTab = TABS.ASSIGNED;
     document.querySelectorAll('.tab-button').forEach((btn) => btn.classList.remove('active'));
     assignedTab.classList.add('active');
-    applyFilters();
-    renderReviews();
+    currentPage = 1;
+    refreshReviews();
   });
 
   tabsContainer.appendChild(unassignedTab);
@@ -546,6 +605,7 @@ function createControls() {
     { value: 'quote-pending', label: REQUEST_STATUSES.QUOTE_PENDING },
     { value: 'release-pending', label: REQUEST_STATUSES.RELEASE_PENDING },
     { value: 'done', label: REQUEST_STATUSES.DONE },
+    { value: 'overdue', label: 'Overdue' },
   ];
 
   filterOptions.forEach((option) => {
@@ -585,8 +645,8 @@ function createControls() {
         }
       }
 
-      applyFilters();
-      renderReviews();
+      currentPage = 1;
+      refreshReviews();
     });
 
     const label = document.createElement('span');
@@ -667,15 +727,10 @@ export default async function decorate(block) {
   try {
     await loadReviews();
 
-    // Remove loading state
-    loading.remove();
-
-    // Check if there are any unassigned reviews
-    const unassignedReviews = allReviews.filter((r) => !r.reviewInfo?.rightsReviewer);
-
     // If no unassigned reviews, switch to "My Reviews" tab
-    if (unassignedReviews.length === 0) {
+    if (pageInfo.unassignedCount === 0) {
       currentTab = TABS.ASSIGNED;
+      await loadReviews();
       // Update tab button classes
       const unassignedTab = document.querySelector(`[data-tab="${TABS.UNASSIGNED}"]`);
       const assignedTab = document.querySelector(`[data-tab="${TABS.ASSIGNED}"]`);
@@ -683,8 +738,8 @@ export default async function decorate(block) {
       if (assignedTab) assignedTab.classList.add('active');
     }
 
-    // Apply initial filters
-    applyFilters();
+    // Remove loading state
+    loading.remove();
 
     // Create controls
     const controls = createControls();
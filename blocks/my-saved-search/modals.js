@@ -3,11 +3,12 @@
  */
 
 import {
-  updateSavedSearch, deleteSavedSearch, showToast, updateSearchLastUsed,
+  updateSavedSearch, deleteSavedSearch, shareSavedSearch, showToast, updateSearchLastUsed,
 } from './saved-search-helpers.js';
 
 // Modal state
 let editingSearch = null;
+let sharingSearch = null;
 let deleteSearchId = null;
 let deleteSearchName = '';
 let onModalUpdate = null; // Callback for when modals make changes
@@ -62,8 +63,19 @@ export function createEditModal() {
   nameInput.className = 'form-input';
   nameInput.required = true;
 
+  const alertLabel = document.createElement('label');
+  alertLabel.className = 'form-checkbox';
+
+  const alertInput = document.createElement('input');
+  alertInput.type = 'checkbox';
+  alertInput.id = 'edit-search-alert';
+
+  alertLabel.appendChild(alertInput);
+  alertLabel.appendChild(document.createTextNode('Alert me when new assets match this search'));
+
   modalBody.appendChild(nameLabel);
   modalBody.appendChild(nameInput);
+  modalBody.appendChild(alertLabel);
 
   // Modal footer
   const modalFooter = document.createElement('div');
@@ -90,6 +102,82 @@ export function createEditModal() {
   return modal;
 }
 
+/**
+ * Create share modal
+ * @returns {HTMLElement} Modal element
+ */
+export function createShareModal() {
+  const modal = document.createElement('div');
+  modal.className = 'share-modal';
+  modal.style.display = 'none';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content';
+
+  // Modal header
+  const modalHeader = document.createElement('div');
+  modalHeader.className = 'modal-header';
+
+  const modalTitle = document.createElement('h2');
+  modalTitle.className = 'modal-title';
+  modalTitle.textContent = 'Share Saved Search';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'modal-close';
+  closeBtn.innerHTML = '&times;';
+  closeBtn.onclick = hideShareModal;
+
+  modalHeader.appendChild(modalTitle);
+  modalHeader.appendChild(closeBtn);
+
+  // Modal body
+  const modalBody = document.createElement('div');
+  modalBody.className = 'modal-body';
+
+  const emailsLabel = document.createElement('label');
+  emailsLabel.textContent = 'Share with (email addresses)';
+  emailsLabel.className = 'form-label';
+  emailsLabel.htmlFor = 'share-search-emails';
+
+  const emailsInput = document.createElement('textarea');
+  emailsInput.id = 'share-search-emails';
+  emailsInput.className = 'form-input';
+  emailsInput.rows = 5;
+  emailsInput.placeholder = 'name@example.com';
+
+  const hintText = document.createElement('p');
+  hintText.className = 'form-hint';
+  hintText.textContent = 'One email address per line. Teammates can run the search, but not change it.';
+
+  modalBody.appendChild(emailsLabel);
+  modalBody.appendChild(emailsInput);
+  modalBody.appendChild(hintText);
+
+  // Modal footer
+  const modalFooter = document.createElement('div');
+  modalFooter.className = 'modal-footer';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'btn-cancel';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = hideShareModal;
+
+  const shareBtn = document.createElement('button');
+  shareBtn.className = 'btn-create';
+  shareBtn.textContent = 'Share';
+  shareBtn.onclick = handleShareSearch;
+
+  modalFooter.appendChild(cancelBtn);
+  modalFooter.appendChild(shareBtn);
+
+  modalContent.appendChild(modalHeader);
+  modalContent.appendChild(modalBody);
+  modalContent.appendChild(modalFooter);
+  modal.appendChild(modalContent);
+
+  return modal;
+}
+
 /**
  * Create delete modal
  * @returns {HTMLElement} Modal element
@@ -180,10 +268,14 @@ export async function showEditModal(search) {
   editingSearch = { ...search };
   const modal = document.querySelector('.edit-modal');
   const nameInput = document.getElementById('edit-search-name');
+  const alertInput = document.getElementById('edit-search-alert');
 
   if (nameInput && editingSearch) {
     nameInput.value = editingSearch.name;
   }
+  if (alertInput && editingSearch) {
+    alertInput.checked = !!editingSearch.alert;
+  }
 
   modal.style.display = 'flex';
   if (nameInput) nameInput.focus();
@@ -212,6 +304,7 @@ async function handleUpdateSearch() {
   if (!editingSearch) return;
 
   const nameInput = document.getElementById('edit-search-name');
+  const alertInput = document.getElementById('edit-search-alert');
 
   const name = nameInput ? nameInput.value.trim() : '';
   if (!name) {
@@ -221,14 +314,19 @@ async function handleUpdateSearch() {
   }
 
   // Update the search
-  await updateSavedSearch(editingSearch.id, {
+  const updated = await updateSavedSearch(editingSearch.id, {
     name,
+    alert: alertInput ? alertInput.checked : !!editingSearch.alert,
     dateLastUsed: Date.now(),
   });
 
-  // Hide modal and show success
+  // Hide modal and show result
   hideEditModal();
-  showToast('SAVED SEARCH UPDATED SUCCESSFULLY', 'success');
+  if (updated) {
+    showToast('SAVED SEARCH UPDATED SUCCESSFULLY', 'success');
+  } else {
+    showToast('SAVED SEARCH WAS CHANGED ELSEWHERE, PLEASE TRY AGAIN', 'info');
+  }
 
   // Notify main component to refresh
   if (onModalUpdate) {
@@ -236,6 +334,71 @@ async function handleUpdateSearch() {
   }
 }
 
+/**
+ * Show share modal
+ * @param {Object} search - Search object to share
+ */
+export function showShareModal(search) {
+  sharingSearch = { ...search };
+  const modal = document.querySelector('.share-modal');
+  const emailsInput = document.getElementById('share-search-emails');
+
+  if (emailsInput) {
+    emailsInput.value = (sharingSearch.sharedWith || []).join('\n');
+  }
+
+  modal.style.display = 'flex';
+  if (emailsInput) emailsInput.focus();
+}
+
+/**
+ * Hide share modal
+ */
+function hideShareModal() {
+  const modal = document.querySelector('.share-modal');
+  modal.style.display = 'none';
+  sharingSearch = null;
+
+  // Clear form
+  const emailsInput = document.getElementById('share-search-emails');
+  if (emailsInput) emailsInput.value = '';
+}
+
+/**
+ * Handle share search
+ */
+async function handleShareSearch() {
+  if (!sharingSearch) return;
+
+  const emailsInput = document.getElementById('share-search-emails');
+  const sharedWith = (emailsInput ? emailsInput.value : '')
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+
+  const invalid = sharedWith.find((email) => !/^[^@\s]+@[^@\s]+$/.test(email));
+  if (invalid) {
+    showToast(`Invalid email address: ${invalid}`, 'info');
+    if (emailsInput) emailsInput.focus();
+    return;
+  }
+
+  // Share the search (replaces the previous list of users)
+  const updated = await shareSavedSearch(sharingSearch.id, sharedWith);
+
+  // Hide modal and show result
+  hideShareModal();
+  if (updated) {
+    showToast(updated.sharedWith.length ? 'SAVED SEARCH SHARED SUCCESSFULLY' : 'SAVED SEARCH IS NO LONGER SHARED', 'success');
+  } else {
+    showToast('SAVED SEARCH WAS CHANGED ELSEWHERE, PLEASE TRY AGAIN', 'info');
+  }
+
+  // Notify main component to refresh
+  if (onModalUpdate) {
+    await onModalUpdate();
+  }
+}
+
 /**
  * Show delete modal
  * @param {string} searchId - ID of search to delete
@@ -276,13 +439,17 @@ async function handleConfirmDelete() {
   if (!deleteSearchId) return;
 
   // Delete the search
-  await deleteSavedSearch(deleteSearchId);
+  const deleted = await deleteSavedSearch(deleteSearchId);
 
   // Hide modal
   hideDeleteModal();
 
-  // Show success toast
-  showToast('SAVED SEARCH DELETED SUCCESSFULLY', 'success');
+  // Show result toast
+  if (deleted) {
+    showToast('SAVED SEARCH DELETED SUCCESSFULLY', 'success');
+  } else {
+    showToast('SAVED SEARCH WAS CHANGED ELSEWHERE, PLEASE TRY AGAIN', 'info');
+  }
 
   // Notify main component to refresh
   if (onModalUpdate) {
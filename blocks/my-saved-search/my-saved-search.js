@@ -8,7 +8,8 @@ import {
   filterSearches,
   sortSearchesByLastUsed,
   updateSearchLastUsed,
-  updateSavedSearch,
+  toggleFavoriteSearch,
+  unsubscribeSavedSearch,
   showToast,
 } from './saved-search-helpers.js';
 import {
@@ -19,8 +20,10 @@ import {
 import {
   initModals,
   createEditModal,
+  createShareModal,
   createDeleteModal,
   showEditModal,
+  showShareModal,
   showDeleteModal,
 } from './modals.js';
 
@@ -32,8 +35,10 @@ let currentSearchTerm = '';
  * @param {Object} search - Search object
  */
 async function handleExecuteSearch(search) {
-  // Update last used when user executes search
-  await updateSearchLastUsed(search.id);
+  // Update last used when user executes search (not possible for searches shared by others)
+  if (!search.readOnly) {
+    await updateSearchLastUsed(search.id);
+  }
 
   // Use the shared utility to build the search URL (same as copy link)
   const searchUrl = buildSavedSearchUrl(search);
@@ -46,7 +51,9 @@ async function handleExecuteSearch(search) {
  */
 async function handleCopySearchLink(search) {
   // Update last used when user interacts with search
-  await updateSearchLastUsed(search.id);
+  if (!search.readOnly) {
+    await updateSearchLastUsed(search.id);
+  }
 
   // Use shared utility to build the search URL
   const searchUrl = buildSavedSearchUrl(search);
@@ -78,19 +85,38 @@ async function handleToggleFavorite(search) {
   // Update last used when user interacts with search
   await updateSearchLastUsed(search.id);
 
-  // Update the favorite status
-  await updateSavedSearch(search.id, {
-    favorite: !search.favorite,
-  });
+  // Update the favorite status (based on the latest stored state)
+  const updated = await toggleFavoriteSearch(search.id);
 
-  const action = search.favorite ? 'REMOVED FROM' : 'ADDED TO';
-  showToast(`SEARCH ${action} FAVORITES`, 'success');
+  if (updated) {
+    const action = updated.favorite ? 'ADDED TO' : 'REMOVED FROM';
+    showToast(`SEARCH ${action} FAVORITES`, 'success');
+  } else {
+    showToast('SEARCH WAS CHANGED ELSEWHERE, PLEASE TRY AGAIN', 'info');
+  }
 
   // Refresh display to show updated sort order
   // eslint-disable-next-line no-use-before-define
   await updateSearchesDisplay();
 }
 
+/**
+ * Unsubscribe from a search shared by another user
+ * @param {Object} search - Shared search object
+ */
+async function handleUnsubscribe(search) {
+  const unsubscribed = await unsubscribeSavedSearch(search);
+
+  if (unsubscribed) {
+    showToast('UNSUBSCRIBED FROM SHARED SEARCH', 'success');
+  } else {
+    showToast('FAILED TO UNSUBSCRIBE, PLEASE TRY AGAIN', 'info');
+  }
+
+  // eslint-disable-next-line no-use-before-define
+  await updateSearchesDisplay();
+}
+
 /**
  * Update the searches display
  * @param {boolean} shouldClearSearch - Whether to clear the search filter
@@ -125,6 +151,8 @@ async function updateSearchesDisplay(shouldClearSearch = false) {
     onCopy: handleCopySearchLink,
     onToggleFavorite: handleToggleFavorite,
     onEdit: (search) => showEditModal(search),
+    onShare: (search) => showShareModal(search),
+    onUnsubscribe: handleUnsubscribe,
     onDelete: (searchId, searchName) => showDeleteModal(searchId, searchName),
   };
 
@@ -194,6 +222,8 @@ export default async function decorate(block) {
     onCopy: handleCopySearchLink,
     onToggleFavorite: handleToggleFavorite,
     onEdit: (search) => showEditModal(search),
+    onShare: (search) => showShareModal(search),
+    onUnsubscribe: handleUnsubscribe,
     onDelete: (searchId, searchName) => showDeleteModal(searchId, searchName),
   };
 
@@ -202,6 +232,7 @@ export default async function decorate(block) {
 
   // Create modals
   const editModal = createEditModal();
+  const shareModal = createShareModal();
   const deleteModal = createDeleteModal();
 
   // Initialize modals with update callback
@@ -213,5 +244,6 @@ export default async function decorate(block) {
   container.appendChild(controlsRow);
   container.appendChild(searchesList);
   container.appendChild(editModal);
+  container.appendChild(shareModal);
   container.appendChild(deleteModal);
 }
@@ -9,6 +9,9 @@ import {
   updateSearchLastUsed,
   updateSavedSearch,
   deleteSavedSearch,
+  toggleFavoriteSearch,
+  shareSavedSearch,
+  unsubscribeSavedSearch,
   filterSearches,
   sortSearchesByLastUsed,
 } from '../../scripts/saved-searches/saved-search-client.js';
@@ -20,6 +23,9 @@ export {
   updateSearchLastUsed,
   updateSavedSearch,
   deleteSavedSearch,
+  toggleFavoriteSearch,
+  shareSavedSearch,
+  unsubscribeSavedSearch,
   filterSearches,
   sortSearchesByLastUsed,
 };
@@ -115,6 +115,28 @@ export function createSavedSearchRow(search, handlers) {
   nameCell.appendChild(filtersText);
   nameCell.appendChild(dateText);
 
+  if (search.alert) {
+    const alertText = document.createElement('div');
+    alertText.className = 'saved-search-alert';
+    alertText.textContent = 'Daily alerts on';
+    alertText.title = 'You get a message when new assets match this search';
+    nameCell.appendChild(alertText);
+  }
+
+  if (search.readOnly) {
+    const sharedText = document.createElement('div');
+    sharedText.className = 'saved-search-shared';
+    sharedText.textContent = `Shared by ${search.owner}`;
+    sharedText.title = 'Read-only, only the owner can change this search';
+    nameCell.appendChild(sharedText);
+  } else if (search.sharedWith?.length) {
+    const sharedText = document.createElement('div');
+    sharedText.className = 'saved-search-shared';
+    sharedText.textContent = `Shared with ${search.sharedWith.length} user${search.sharedWith.length !== 1 ? 's' : ''}`;
+    sharedText.title = search.sharedWith.join(', ');
+    nameCell.appendChild(sharedText);
+  }
+
   // Search term cell
   const searchTermCell = document.createElement('div');
   searchTermCell.className = 'row-cell cell-search-term';
@@ -161,10 +183,31 @@ export function createSavedSearchRow(search, handlers) {
   deleteBtn.setAttribute('aria-label', 'Delete Saved Search');
   deleteBtn.onclick = () => handlers.onDelete(search.id, search.name);
 
-  actionCell.appendChild(favoriteBtn);
-  actionCell.appendChild(editBtn);
-  actionCell.appendChild(deleteBtn);
-  actionCell.appendChild(copyBtn);
+  // Shared searches of other users can only be run, copied or unsubscribed from
+  if (search.readOnly) {
+    const unsubscribeBtn = document.createElement('button');
+    unsubscribeBtn.className = 'action-btn delete-btn';
+    unsubscribeBtn.innerHTML = '';
+    unsubscribeBtn.title = 'Unsubscribe from Shared Search';
+    unsubscribeBtn.setAttribute('aria-label', 'Unsubscribe from Shared Search');
+    unsubscribeBtn.onclick = () => handlers.onUnsubscribe(search);
+
+    actionCell.appendChild(unsubscribeBtn);
+    actionCell.appendChild(copyBtn);
+  } else {
+    const shareBtn = document.createElement('button');
+    shareBtn.className = `action-btn share-btn ${search.sharedWith?.length ? 'shared' : ''}`;
+    shareBtn.innerHTML = '';
+    shareBtn.title = 'Share Saved Search';
+    shareBtn.setAttribute('aria-label', 'Share Saved Search');
+    shareBtn.onclick = () => handlers.onShare(search);
+
+    actionCell.appendChild(favoriteBtn);
+    actionCell.appendChild(editBtn);
+    actionCell.appendChild(shareBtn);
+    actionCell.appendChild(deleteBtn);
+    actionCell.appendChild(copyBtn);
+  }
 
   row.appendChild(previewCell);
   row.appendChild(nameCell);
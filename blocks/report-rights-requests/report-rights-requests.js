@@ -12,6 +12,8 @@ const CONFIG = {
   TABLE_COLUMNS_COUNT: 15,
   DEFAULT_STATUS: 'Not Started',
   DONE_STATUS: 'Done',
+  // requests per page when loading from the (paged) report API
+  PAGE_SIZE: 200,
   MONTH_ORDER: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
   DEBUG: false, // Set to true for debug logging
   // Canvas rendering
@@ -54,8 +56,11 @@ function isCompletedStatus(status) {
 }
 
 // Global state
-let allRequests = [];
+// requests matching the current filters (filtered by the API)
 let filteredRequests = [];
+// number of requests without filters and the filter values available across all requests
+let totalRequests = 0;
+let availableFilters = { statuses: [], reviewers: [], years: [] };
 let chartJsLoaded = false;
 const currentFilters = {
   dateRange: 'all',
@@ -167,52 +172,6 @@ function calculateDateCounts(requests) {
   return { yearCounts, monthCounts };
 }
 
-/**
- * Get unique years from requests data
- * @param {Array} requests - Array of rights request objects
- * @returns {Array<number>} Sorted years (newest first)
- */
-function getAvailableYears(requests) {
-  const years = new Set();
-  requests.forEach((request) => {
-    if (request.created) {
-      const year = new Date(request.created).getFullYear();
-      years.add(year);
-    }
-  });
-  return Array.from(years).sort().reverse();
-}
-
-/**
- * Get all unique statuses from requests
- * @param {Array} requests - Array of rights request objects
- * @returns {Array<string>} Sorted unique statuses
- */
-function getAvailableStatuses(requests) {
-  const statuses = new Set();
-  requests.forEach((request) => {
-    const status = request.rightsRequestReviewDetails?.rightsRequestStatus || CONFIG.DEFAULT_STATUS;
-    statuses.add(status);
-  });
-  return Array.from(statuses).sort();
-}
-
-/**
- * Get all unique reviewers from requests
- * @param {Array} requests - Array of rights request objects
- * @returns {Array<string>} Sorted unique reviewer emails
- */
-function getAvailableReviewers(requests) {
-  const reviewers = new Set();
-  requests.forEach((request) => {
-    const reviewer = request.rightsRequestReviewDetails?.rightsReviewer;
-    if (reviewer) {
-      reviewers.add(reviewer);
-    }
-  });
-  return Array.from(reviewers).sort();
-}
-
 /**
  * Calculate repeated asset requests
  * Returns assets that appear in multiple requests
@@ -368,12 +327,12 @@ function calculateReviewTimeStats(requests) {
 }
 
 /**
- * Apply filters to requests data based on currentFilters state
+ * Build the report API query parameters for the currentFilters state
  * Filters by date range, status, and reviewer
- * @returns {Array} Filtered array of requests
+ * @returns {URLSearchParams} Query parameters
  */
-function applyFilters() {
-  let filtered = [...allRequests];
+function buildFilterParams() {
+  const params = new URLSearchParams();
 
   // Apply date filter
   if (currentFilters.dateRange !== 'all') {
@@ -388,58 +347,47 @@ function applyFilters() {
       cutoffDate = new Date(now.setMonth(now.getMonth() - 12));
     } else if (currentFilters.dateRange.match(/^\d{4}$/)) {
       // Year filter (e.g., "2025")
-      const year = parseInt(currentFilters.dateRange, 10);
-      filtered = filtered.filter((request) => {
-        if (!request.created) return false;
-        const requestYear = new Date(request.created).getFullYear();
-        return requestYear === year;
-      });
-      cutoffDate = null;
+      params.set('from', `${currentFilters.dateRange}-01-01`);
+      params.set('to', `${currentFilters.dateRange}-12-31`);
     }
 
     if (cutoffDate) {
-      filtered = filtered.filter((request) => {
-        if (!request.created) return false;
-        const requestDate = new Date(request.created);
-        return requestDate >= cutoffDate;
-      });
+      params.set('from', cutoffDate.toISOString());
     }
   }
 
   // Apply status filter
   if (currentFilters.status !== 'all') {
-    filtered = filtered.filter((request) => {
-      const status = request.rightsRequestReviewDetails?.rightsRequestStatus
-        || CONFIG.DEFAULT_STATUS;
-      return status === currentFilters.status;
-    });
+    params.set('status', currentFilters.status);
   }
 
   // Apply reviewer filter
   if (currentFilters.reviewer !== 'all') {
-    filtered = filtered.filter((request) => {
-      const reviewer = request.rightsRequestReviewDetails?.rightsReviewer;
-      return reviewer === currentFilters.reviewer;
-    });
+    params.set('reviewer', currentFilters.reviewer);
   }
 
-  filteredRequests = filtered;
-  return filtered;
+  return params;
 }
 
 /**
  * Update all displays with filtered data
- * Re-renders charts, table, and summary counts
+ * Reloads the requests matching the filters, re-renders charts, table, and summary counts
  */
-function updateDisplays() {
-  applyFilters();
+async function updateDisplays() {
+  try {
+    // eslint-disable-next-line no-use-before-define
+    await loadAllRightsRequests();
+  } catch (error) {
+    showToast(`Failed to load rights requests: ${error.message}`, 'error');
+    return;
+  }
 
-  debug(`Applied filters. Showing ${filteredRequests.length} of ${allRequests.length} requests`);
+  debug(`Applied filters. Showing ${filteredRequests.length} of ${totalRequests} requests`);
 
   // Update count text
   const countText = document.querySelector('.report-count');
   if (countText) {
-    const filterLabel = isFilterActive() ? ` (filtered from ${allRequests.length})` : '';
+    const filterLabel = isFilterActive() ? ` (filtered from ${totalRequests})` : '';
     countText.innerHTML = `Showing <strong>${filteredRequests.length}</strong> total requests${filterLabel}`;
   }
 
@@ -498,8 +446,7 @@ function createFiltersSection() {
   ];
 
   // Add year options
-  const years = getAvailableYears(allRequests);
-  years.forEach((year) => {
+  availableFilters.years.forEach((year) => {
     dateOptions.push({ value: year.toString(), label: year.toString() });
   });
 
@@ -532,8 +479,7 @@ function createFiltersSection() {
 
   // Build status options
   const statusOptions = [{ value: 'all', label: 'All Statuses' }];
-  const statuses = getAvailableStatuses(allRequests);
-  statuses.forEach((status) => {
+  availableFilters.statuses.forEach((status) => {
     statusOptions.push({ value: status, label: status });
   });
 
@@ -566,8 +512,7 @@ function createFiltersSection() {
 
   // Build reviewer options
   const reviewerOptions = [{ value: 'all', label: 'All Reviewers' }];
-  const reviewers = getAvailableReviewers(allRequests);
-  reviewers.forEach((reviewer) => {
+  availableFilters.reviewers.forEach((reviewer) => {
     reviewerOptions.push({ value: reviewer, label: reviewer });
   });
 
@@ -1062,43 +1007,81 @@ function toggleDateView(canvas, newView) {
 }
 
 /**
- * Load all rights requests from KV store via admin endpoint
- * Fetches ALL requests across all users (requires admin access)
- * @returns {Promise<Array>} Array of all rights requests
+ * Merge the filter values of an index page into the filter values found so far
+ * @param {Object} filters - Filter values so far
+ * @param {Object} pageFilters - Filter values of the page
+ * @returns {Object} Merged filter values
+ */
+function mergeFilters(filters, pageFilters = {}) {
+  const merge = (a = [], b = []) => [...new Set([...a, ...b])].sort();
+  return {
+    statuses: merge(filters.statuses, pageFilters.statuses),
+    reviewers: merge(filters.reviewers, pageFilters.reviewers),
+    years: merge(filters.years, pageFilters.years).reverse(),
+  };
+}
+
+/**
+ * Load the rights requests matching the current filters via admin endpoint
+ * Reads the index page by page with a cursor across all users (requires admin access),
+ * so that every call only reads one page of the index
+ * @returns {Promise<Array>} Array of rights requests matching the filters
  * @throws {Error} If fetch fails or user not authenticated
  */
 async function loadAllRightsRequests() {
   try {
-    debug('Loading all rights requests from KV store...');
+    debug('Loading rights requests from index...');
+
+    const params = buildFilterParams();
+    params.set('limit', CONFIG.PAGE_SIZE);
+
+    const requests = [];
+    let cursor = '';
+    let filters = { statuses: [], reviewers: [], years: [] };
+    let total = 0;
+    do {
+      params.set('cursor', cursor);
+      // pages are requested sequentially to keep the worker load low
+      // eslint-disable-next-line no-await-in-loop
+      const response = await fetch(`/api/rightsrequests/all?${params}`, {
+        credentials: 'include',
+      });
 
-    const response = await fetch('/api/rightsrequests/all', {
-      credentials: 'include',
-    });
+      if (!response.ok) {
+        throw new Error(`Failed to load rights requests: ${response.status}`);
+      }
 
-    if (!response.ok) {
-      throw new Error(`Failed to load rights requests: ${response.status}`);
-    }
+      // eslint-disable-next-line no-await-in-loop
+      const result = await response.json();
 
-    const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load rights requests');
+      }
 
-    if (!result.success) {
-      throw new Error(result.error || 'Failed to load rights requests');
-    }
+      // Convert object to array with KV key information
+      Object.entries(result.data || {}).forEach(([key, request]) => {
+        requests.push({ ...request, kvKey: key });
+      });
 
-    // Convert object to array with KV key information
-    allRequests = Object.entries(result.data || {}).map(([key, request]) => ({
-      ...request,
-      kvKey: key,
-    }));
+      // counts and filter values are those of the index page
+      total += result.totalRequests || 0;
+      filters = mergeFilters(filters, result.filters);
+      cursor = result.cursor;
+    } while (cursor);
 
-    debug(`Loaded ${allRequests.length} rights requests from ${result.totalKeys || 0} total KV keys`);
+    totalRequests = total;
+    availableFilters = filters;
+    // pages are in index order, show the newest requests first
+    requests.sort((a, b) => (Date.parse(b.created) || 0) - (Date.parse(a.created) || 0));
+    filteredRequests = requests;
+    debug(`Loaded ${filteredRequests.length} of ${totalRequests} rights requests`);
 
     // Debug: log first request to see structure
-    if (allRequests.length > 0) {
-      debug('Sample request structure:', allRequests[0]);
+    if (filteredRequests.length > 0) {
+      debug('Sample request structure:', filteredRequests[0]);
     }
 
-    return allRequests;
+    return filteredRequests;
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Error loading rights requests:', error);
@@ -1112,7 +1095,7 @@ async function loadAllRightsRequests() {
  */
 function exportToCSV() {
   // Use filtered data if filters are active
-  const dataSource = isFilterActive() ? filteredRequests : allRequests;
+  const dataSource = filteredRequests;
 
   if (dataSource.length === 0) {
     showToast('No data to export', 'info');
@@ -1235,7 +1218,7 @@ function createSummarySection() {
   totalCard.className = 'summary-card total-card';
   totalCard.innerHTML = `
     <h3 class="summary-card-title">Total Requests</h3>
-    <div class="summary-total-count">${allRequests.length}</div>
+    <div class="summary-total-count">${filteredRequests.length}</div>
   `;
 
   // Card 2: Requests by Status (Pie Chart)
@@ -1346,7 +1329,7 @@ function createSummarySection() {
  */
 function initializeCharts() {
   // Use filtered data when filters are active
-  const dataSource = isFilterActive() ? filteredRequests : allRequests;
+  const dataSource = filteredRequests;
 
   debug(`Rendering charts with ${dataSource.length} requests (filter active: ${isFilterActive()})`);
 
@@ -1589,9 +1572,9 @@ function createTable() {
   const tbody = document.createElement('tbody');
 
   // Use filtered requests if filters are active
-  const dataSource = isFilterActive() ? filteredRequests : allRequests;
+  const dataSource = filteredRequests;
 
-  debug(`Creating table with ${dataSource.length} rows (filter active: ${isFilterActive()}, total: ${allRequests.length})`);
+  debug(`Creating table with ${dataSource.length} rows (filter active: ${isFilterActive()}, total: ${totalRequests})`);
 
   if (dataSource.length === 0) {
     const emptyRow = document.createElement('tr');
@@ -1661,9 +1644,6 @@ export default async function decorate(block) {
     await Promise.all([loadAllRightsRequests(), loadChartJs()]);
     loading.remove();
 
-    // Initialize filtered requests (start with all data)
-    filteredRequests = [...allRequests];
-
     // Add filters section
     const filters = createFiltersSection();
     container.appendChild(filters);
@@ -1680,7 +1660,7 @@ export default async function decorate(block) {
     // Add count
     const countText = document.createElement('div');
     countText.className = 'report-count';
-    countText.innerHTML = `Showing <strong>${allRequests.length}</strong> total requests`;
+    countText.innerHTML = `Showing <strong>${totalRequests}</strong> total requests`;
     container.appendChild(countText);
 
     // Create and add table
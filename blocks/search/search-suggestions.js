@@ -0,0 +1,212 @@
+import { savedSearchClient } from '../../scripts/saved-searches/saved-search-client.js';
+import buildSavedSearchUrl, { buildSavedSearchParams } from '../../scripts/saved-searches/saved-search-utils.js';
+import { loadRecentSearches } from '../../scripts/saved-searches/recent-searches.js';
+
+// Search suggestions API, see cloudflare/src/api/suggest.js
+const SUGGEST_API = '/api/suggest';
+const MIN_SUGGEST_LENGTH = 2;
+const DEBOUNCE_MS = 250;
+
+const MAX_SAVED_SEARCHES = 5;
+
+const TYPE_LABELS = {
+  recent: 'Recent search',
+  saved: 'Saved search',
+  brand: 'Brand',
+  campaign: 'Campaign',
+  tag: 'Tag',
+};
+
+function matches(text, query) {
+  return !query || (text || '').toLowerCase().includes(query.toLowerCase());
+}
+
+/**
+ * Add a typeahead to the search input: recent and saved searches of the user, and brand,
+ * campaign and tag values matching the typed text. Arrow keys move through the options,
+ * Enter selects the active option (or searches the text if none is active), Escape closes.
+ * @param {HTMLInputElement} input - Search input
+ * @param {Object} options
+ * @param {function(string): void} options.onSearch - Search a query (selected recent search)
+ * @param {function(): string} options.getSearchPath - Path of the selected search page
+ * @returns {HTMLElement} suggestions list, to be added next to the input
+ */
+export default function decorateSearchSuggestions(input, { onSearch, getSearchPath }) {
+  const list = document.createElement('ul');
+  list.className = 'search-suggestions';
+  list.id = 'search-suggestions';
+  list.setAttribute('role', 'listbox');
+  list.hidden = true;
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', list.id);
+  input.setAttribute('aria-expanded', 'false');
+  input.autocomplete = 'off';
+
+  let options = [];
+  let activeIndex = -1;
+  let savedSearches;
+  let debounceTimer;
+  let abortController;
+  const suggestionsCache = new Map();
+
+  const close = () => {
+    list.hidden = true;
+    activeIndex = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  };
+
+  const setActive = (index) => {
+    activeIndex = index;
+    [...list.querySelectorAll('[role="option"]')].forEach((element, i) => {
+      element.classList.toggle('active', i === index);
+      element.setAttribute('aria-selected', String(i === index));
+    });
+    if (index >= 0) {
+      input.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+      list.querySelector(`#search-suggestion-${index}`)?.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const select = (option) => {
+    close();
+    if (option.type === 'recent') {
+      input.value = option.label;
+      onSearch(option.label);
+    } else if (option.type === 'saved') {
+      window.location.href = buildSavedSearchUrl(option.search);
+    } else {
+      // brand, campaign or tag: search all assets with that facet value
+      const facetFilters = { [option.facet]: { [option.value]: true } };
+      const params = buildSavedSearchParams({ facetFilters });
+      window.location.href = `${getSearchPath()}?${params.toString()}`;
+    }
+  };
+
+  const render = () => {
+    list.textContent = '';
+    options.forEach((option, index) => {
+      const item = document.createElement('li');
+      item.id = `search-suggestion-${index}`;
+      item.className = `search-suggestion search-suggestion-${option.type}`;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', 'false');
+
+      const label = document.createElement('span');
+      label.className = 'search-suggestion-label';
+      label.textContent = option.label;
+      const type = document.createElement('span');
+      type.className = 'search-suggestion-type';
+      type.textContent = TYPE_LABELS[option.type] || option.type;
+      item.append(label, type);
+
+      // mousedown instead of click, so that the input does not lose focus first
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        select(option);
+      });
+      list.append(item);
+    });
+
+    activeIndex = -1;
+    list.hidden = options.length === 0;
+    input.setAttribute('aria-expanded', String(!list.hidden));
+    input.removeAttribute('aria-activedescendant');
+  };
+
+  const localOptions = (query) => [
+    ...loadRecentSearches()
+      .filter((recent) => matches(recent, query))
+      .map((recent) => ({ type: 'recent', label: recent })),
+    ...(savedSearches || [])
+      .filter((search) => matches(search.name, query) || matches(search.searchTerm, query))
+      .slice(0, MAX_SAVED_SEARCHES)
+      .map((search) => ({ type: 'saved', label: search.name, search })),
+  ];
+
+  const fetchSuggestions = async (query) => {
+    if (suggestionsCache.has(query)) {
+      return suggestionsCache.get(query);
+    }
+    abortController?.abort();
+    abortController = new AbortController();
+    const response = await fetch(`${SUGGEST_API}?q=${encodeURIComponent(query)}`, { signal: abortController.signal });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    suggestionsCache.set(query, result.suggestions);
+    return result.suggestions;
+  };
+
+  const update = () => {
+    const query = input.value.trim();
+    options = localOptions(query);
+    render();
+
+    clearTimeout(debounceTimer);
+    abortController?.abort();
+    if (query.length < MIN_SUGGEST_LENGTH) return;
+
+    debounceTimer = setTimeout(async () => {
+      try {
+        const suggestions = await fetchSuggestions(query);
+        // ignore responses for text that was changed meanwhile
+        if (input.value.trim() !== query) return;
+        options = [...localOptions(query), ...suggestions];
+        render();
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          // eslint-disable-next-line no-console
+          console.warn('Failed to load search suggestions:', error);
+        }
+      }
+    }, DEBOUNCE_MS);
+  };
+
+  input.addEventListener('input', update);
+
+  // saved searches are loaded once, when the input is used first (it has autofocus)
+  input.addEventListener('focus', async () => {
+    if (savedSearches === undefined) {
+      savedSearches = [];
+      savedSearches = await savedSearchClient.load();
+    }
+  });
+
+  input.addEventListener('click', update);
+
+  input.addEventListener('blur', close);
+
+  input.addEventListener('keydown', (e) => {
+    if (list.hidden) {
+      if (e.key === 'ArrowDown') {
+        update();
+      }
+      return;
+    }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(activeIndex + 1 < options.length ? activeIndex + 1 : 0);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(activeIndex > 0 ? activeIndex - 1 : options.length - 1);
+    } else if (e.key === 'Enter') {
+      if (activeIndex >= 0) {
+        // prevents the keypress search of the typed text
+        e.preventDefault();
+        select(options[activeIndex]);
+      } else {
+        close();
+      }
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  });
+
+  return list;
+}
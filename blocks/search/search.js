@@ -3,6 +3,8 @@ import {
   fetchSpreadsheetData,
   getBlockKeyValues,
 } from '../../scripts/scripts.js';
+import { addRecentSearch } from '../../scripts/saved-searches/recent-searches.js';
+import decorateSearchSuggestions from './search-suggestions.js';
 
 function createCustomDropdown(pathObjects) {
   // Create custom dropdown instead of select
@@ -155,16 +157,25 @@ export default async function decorate(block) {
     }
   }
 
+  // If no dropdown exists, use a current page path
+  const getSearchPath = () => searchTypeSelect?.dataset.value || window.location.pathname;
+
   const performSearch = () => {
     const query = input.value;
+    addRecentSearch(query);
 
-    // If no dropdown exists, use a current page path
-    const selectedSearchPath = searchTypeSelect?.dataset.value || window.location.pathname;
+    const selectedSearchPath = getSearchPath();
 
     // Redirect to search page with search parameters
     window.location.href = `${selectedSearchPath}?query=${encodeURIComponent(query)}&curPath=${encodeURIComponent(window.location.pathname)}&nextPath=${encodeURIComponent(selectedSearchPath)}`;
   };
 
+  // Typeahead with recent and saved searches, brands, campaigns and tags
+  queryInputWrapper.append(decorateSearchSuggestions(input, {
+    onSearch: performSearch,
+    getSearchPath,
+  }));
+
   // Search button
   const searchBtn = document.createElement('button');
   searchBtn.className = 'query-search-btn';
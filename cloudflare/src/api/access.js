@@ -0,0 +1,112 @@
+/**
+ * Access support API endpoints
+ * Helps support staff understand why a user can or cannot see an asset.
+ */
+
+import { error, json } from 'itty-router';
+import { buildSearchConstraint, searchAssets } from '../origin/dm.js';
+import { getEmailDomain, getUserAttributes } from '../user.js';
+
+// asset metadata fields relevant for the search authorization (see buildSearchConstraint)
+const AUTHZ_FIELDS = ['tccc-brand', 'tccc-intendedBottlerCountry', 'tccc-intendedCustomers', 'tccc-contentType'];
+
+/**
+ * Build an Algolia search request that finds a single asset with an optional constraint
+ * @param {string} assetFilter - Filter matching the asset
+ * @param {string} [constraint] - Additional constraint
+ * @returns {Object} Algolia search request
+ */
+function assetSearchRequest(assetFilter, constraint) {
+  return {
+    params: {
+      analytics: false,
+      clickAnalytics: false,
+      filters: constraint ? `${assetFilter} AND ${constraint}` : assetFilter,
+      hitsPerPage: 1,
+      page: 0,
+      query: '',
+    },
+  };
+}
+
+/**
+ * Explain the search authorization decision for a user and an asset
+ * GET /api/access/explain?email=<email>&assetId=<assetId>[&country=<idp country>&employeeType=<idp employee type>]
+ * Requires access-explain permission.
+ */
+async function explainAccess(request, env) {
+  try {
+    const url = new URL(request.url);
+    const email = url.searchParams.get('email')?.trim().toLowerCase();
+    const assetId = url.searchParams.get('assetId')?.trim();
+    if (!email || !assetId) {
+      return error(400, { success: false, error: 'Missing required parameters: email, assetId' });
+    }
+
+    // country and employee type normally come from the IDP upon login
+    const attributes = await getUserAttributes(env, {
+      email,
+      domain: getEmailDomain(email),
+      country: url.searchParams.get('country') || undefined,
+      employeeType: url.searchParams.get('employeeType') || undefined,
+    });
+
+    const authz = await buildSearchConstraint(env, attributes);
+
+    // one multi-query: the asset itself, then the asset with each clause
+    const assetFilter = `assetId:'${assetId.replaceAll("'", "\\'")}'`;
+    const clauses = Object.entries(authz.clauses || {}).filter(([, filter]) => filter);
+    const search = {
+      requests: [
+        assetSearchRequest(assetFilter),
+        ...clauses.map(([, filter]) => assetSearchRequest(assetFilter, filter)),
+      ],
+    };
+    const { results = [] } = await searchAssets(env, search);
+
+    const hit = results[0]?.hits?.[0];
+    const asset = hit ? Object.fromEntries([['assetId', hit.assetId], ...AUTHZ_FIELDS.map((f) => [f, hit[f]])]) : null;
+
+    const checks = [];
+    if (authz.blockAll) {
+      checks.push({ clause: 'noRoles', allowed: false });
+    } else if (authz.admin) {
+      checks.push({ clause: 'admin', allowed: true });
+    } else {
+      clauses.forEach(([clause, filter], i) => {
+        checks.push({ clause, filter, allowed: (results[i + 1]?.nbHits || 0) > 0 });
+      });
+    }
+
+    const blockedBy = checks.filter((c) => !c.allowed).map((c) => c.clause);
+
+    return json({
+      success: true,
+      email,
+      attributes,
+      constraint: authz.constraint || null,
+      asset,
+      checks,
+      blockedBy,
+      visible: !!asset && blockedBy.length === 0,
+    });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to explain access', message: err.message });
+  }
+}
+
+/**
+ * Main access API handler - routes requests to appropriate endpoint
+ */
+export async function accessApi(request, env) {
+  if (!request.user?.permissions?.includes('access-explain')) {
+    return error(403, { success: false, error: 'Access denied: access-explain permission required' });
+  }
+
+  const url = new URL(request.url);
+  if (url.pathname === '/api/access/explain' && request.method === 'GET') {
+    return explainAccess(request, env);
+  }
+
+  return error(404, { success: false, error: 'Access endpoint not found' });
+}
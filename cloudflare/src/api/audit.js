@@ -0,0 +1,291 @@
+/**
+ * Audit log API endpoints
+ * Query the audit events of mutating API calls (see util/audit.js) for compliance reviews.
+ */
+
+import { error, json } from 'itty-router';
+import { AUDIT_KEY_PREFIX } from '../util/audit.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 92;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// parallel R2 reads when loading event bodies
+const READ_BATCH_SIZE = 20;
+
+const CSV_COLUMNS = [
+  'timestamp',
+  'requestId',
+  'actor',
+  'sudoActor',
+  'action',
+  'targetType',
+  'targetId',
+  'before',
+  'after',
+];
+
+/**
+ * Parse a date query parameter (YYYY-MM-DD or ISO timestamp)
+ * @param {string} value - Parameter value
+ * @param {boolean} [endOfDay] - Whether a date without time means the end of that day
+ * @returns {Date|null} date or null if missing or invalid
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + DAY_MS - 1);
+  }
+  return date;
+}
+
+/**
+ * Parse the query filters
+ * @param {URL} url - Request URL
+ * @returns {Object|Response} filters or error response
+ */
+export function parseFilters(url) {
+  const params = url.searchParams;
+
+  const to = parseDate(params.get('to'), true) || new Date();
+  // default: the last days including today, from midnight (UTC)
+  const from =
+    parseDate(params.get('from')) ||
+    new Date(`${new Date(to.getTime() - (DEFAULT_DAYS - 1) * DAY_MS).toISOString().substring(0, 10)}T00:00:00Z`);
+  if (from > to) {
+    return error(400, { success: false, error: 'from must be before to' });
+  }
+  if (to.getTime() - from.getTime() > MAX_DAYS * DAY_MS) {
+    return error(400, { success: false, error: `Time range must not exceed ${MAX_DAYS} days` });
+  }
+
+  const limit = Math.min(Math.max(Number(params.get('limit')) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  // key of the last event of the previous page, see findAuditKeys()
+  const cursor = params.get('cursor') || undefined;
+  if (cursor && !cursor.startsWith(AUDIT_KEY_PREFIX)) {
+    return error(400, { success: false, error: 'Invalid cursor' });
+  }
+
+  return {
+    from,
+    to,
+    actor: params.get('actor')?.trim().toLowerCase(),
+    action: params.get('action')?.trim(),
+    targetType: params.get('targetType')?.trim(),
+    targetId: params.get('targetId')?.trim(),
+    limit,
+    cursor,
+    format: params.get('format') === 'csv' ? 'csv' : 'json',
+  };
+}
+
+/**
+ * Check the custom metadata of an audit object against the filters
+ * @param {Object} metadata - R2 custom metadata
+ * @param {Object} filters - Query filters
+ * @returns {boolean} true if the event matches
+ */
+function matchesFilters(metadata, filters) {
+  if (filters.actor && metadata.actor !== filters.actor && metadata.sudoActor !== filters.actor) {
+    return false;
+  }
+  // action matches by prefix, e.g. `rightsrequest` matches all rights request actions
+  if (filters.action && metadata.action !== filters.action && !metadata.action?.startsWith(`${filters.action}.`)) {
+    return false;
+  }
+  if (filters.targetType && metadata.targetType !== filters.targetType) {
+    return false;
+  }
+  if (filters.targetId && metadata.targetId !== filters.targetId) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Find the keys of matching audit events, most recent first. With a cursor (the key of the last
+ * event of the previous page), only older events are returned. Keys sort chronologically, as they
+ * start with the day and the timestamp of the event (see util/audit.js).
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} filters - Query filters
+ * @returns {Promise<{keys: string[], truncated: boolean, cursor: string|null}>} matching object keys,
+ *   and the cursor of the next page if truncated
+ */
+export async function findAuditKeys(env, filters) {
+  const fromIso = filters.from.toISOString();
+  const toIso = filters.to.toISOString();
+  const { cursor: after } = filters;
+  // day of the cursor, no later day has older events
+  const startDay = after ? after.substring(AUDIT_KEY_PREFIX.length, AUDIT_KEY_PREFIX.length + 10) : '';
+  const isBeforeCursor = (key) => !after || key < after;
+
+  const keys = [];
+  // iterate days newest first, objects of a day are listed in chronological order
+  for (
+    let day = new Date(startDay && startDay < toIso.substring(0, 10) ? startDay : toIso.substring(0, 10));
+    day >= new Date(fromIso.substring(0, 10));
+    day = new Date(day.getTime() - DAY_MS)
+  ) {
+    const dayKeys = [];
+    let cursor;
+    do {
+      const result = await env.AUDIT_LOG.list({
+        prefix: `${AUDIT_KEY_PREFIX}${day.toISOString().substring(0, 10)}/`,
+        cursor,
+        include: ['customMetadata'],
+      });
+      for (const object of result.objects) {
+        const timestamp = object.key.split('/').pop().split('_')[0];
+        if (
+          timestamp >= fromIso &&
+          timestamp <= toIso &&
+          isBeforeCursor(object.key) &&
+          matchesFilters(object.customMetadata || {}, filters)
+        ) {
+          dayKeys.push(object.key);
+        }
+      }
+      cursor = result.truncated ? result.cursor : undefined;
+    } while (cursor);
+
+    keys.push(...dayKeys.reverse());
+    if (keys.length > filters.limit) {
+      const page = keys.slice(0, filters.limit);
+      return { keys: page, truncated: true, cursor: page.at(-1) };
+    }
+  }
+  return { keys, truncated: false, cursor: null };
+}
+
+/**
+ * Load the audit events for the given keys
+ * @param {Object} env - Cloudflare environment
+ * @param {string[]} keys - R2 object keys
+ * @returns {Promise<Array>} audit events
+ */
+export async function readAuditEvents(env, keys) {
+  const events = [];
+  for (let i = 0; i < keys.length; i += READ_BATCH_SIZE) {
+    const batch = await Promise.all(
+      keys.slice(i, i + READ_BATCH_SIZE).map(async (key) => {
+        const object = await env.AUDIT_LOG.get(key);
+        return object ? object.json() : null;
+      }),
+    );
+    events.push(...batch.filter(Boolean));
+  }
+  return events;
+}
+
+/**
+ * Escape a value for CSV. Values starting like a formula (`=`, `+`, `-`, `@`, tab or carriage return)
+ * are prefixed with `'`, so that spreadsheet applications show them as text instead of evaluating them.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    return `"'${text.replaceAll('"', '""')}"`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Render audit events as CSV
+ * @param {Array} events - Audit events
+ * @returns {string} CSV document
+ */
+export function toCsv(events) {
+  const rows = events.map((event) =>
+    [
+      event.timestamp,
+      event.requestId,
+      event.actor,
+      event.sudoActor,
+      event.action,
+      event.target?.type,
+      event.target?.id,
+      event.before,
+      event.after,
+    ]
+      .map(csvCell)
+      .join(','),
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Query the audit log, most recent first
+ * GET /api/audit[?from=&to=&actor=&action=&targetType=&targetId=&limit=&cursor=&format=csv]
+ * If there are more events than the limit, the response has `truncated: true` and the `cursor` of the
+ * next page (CSV: `X-Audit-Truncated` and `X-Audit-Cursor` headers), to be passed with the same filters.
+ */
+async function queryAuditLog(request, env) {
+  try {
+    const filters = parseFilters(new URL(request.url));
+    if (filters instanceof Response) {
+      return filters;
+    }
+
+    const { keys, truncated, cursor } = await findAuditKeys(env, filters);
+    const events = await readAuditEvents(env, keys);
+
+    if (filters.format === 'csv') {
+      const fileName = `audit-log-${filters.from.toISOString().substring(0, 10)}-${filters.to.toISOString().substring(0, 10)}.csv`;
+      const headers = new Headers({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'X-Audit-Truncated': String(truncated),
+      });
+      if (cursor) {
+        headers.set('X-Audit-Cursor', cursor);
+      }
+      return new Response(toCsv(events), { headers });
+    }
+
+    return json({
+      success: true,
+      from: filters.from.toISOString(),
+      to: filters.to.toISOString(),
+      events,
+      truncated,
+      cursor,
+    });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to query audit log', message: err.message });
+  }
+}
+
+/**
+ * Main audit API handler - routes requests to appropriate endpoint
+ */
+export async function auditApi(request, env) {
+  if (!request.user?.permissions?.includes('admin-audit')) {
+    return error(403, { success: false, error: 'Access denied: admin-audit permission required' });
+  }
+  if (!env.AUDIT_LOG) {
+    return error(503, { success: false, error: 'Audit log not configured' });
+  }
+
+  const url = new URL(request.url);
+  if (url.pathname === '/api/audit' && request.method === 'GET') {
+    return queryAuditLog(request, env);
+  }
+
+  return error(404, { success: false, error: 'Audit endpoint not found' });
+}
@@ -4,6 +4,7 @@
  */
 
 import { json, error } from 'itty-router';
+import { auditLog } from '../util/audit.js';
 
 /**
  * Main Notifications API handler - routes requests to appropriate endpoint
@@ -183,6 +184,19 @@ export async function createNotification(request, env) {
       },
     });
 
+    await auditLog(request, env, {
+      action: 'message.create',
+      targetType: 'message',
+      targetId: key,
+      after: {
+        subject: notificationData.subject,
+        type: notificationData.type,
+        from: notificationData.from,
+        priority: notificationData.priority,
+        status: notificationData.status,
+      },
+    });
+
     return json({
       success: true,
       message: notificationData,
@@ -244,6 +258,14 @@ export async function updateNotification(request, env, notificationId) {
       },
     });
 
+    await auditLog(request, env, {
+      action: 'message.update',
+      targetType: 'message',
+      targetId: key,
+      before: { status: existingNotification.status, priority: existingNotification.priority },
+      after: { status: updatedNotification.status, priority: updatedNotification.priority },
+    });
+
     return json({
       success: true,
       message: updatedNotification,
@@ -275,6 +297,12 @@ export async function deleteNotification(request, env, notificationId) {
 
     await env.MESSAGES.delete(key);
 
+    await auditLog(request, env, {
+      action: 'message.delete',
+      targetType: 'message',
+      targetId: key,
+    });
+
     return json({
       success: true,
       message: 'Notification deleted successfully',
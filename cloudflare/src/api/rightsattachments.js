@@ -0,0 +1,309 @@
+/**
+ * Rights Request Attachments
+ * Files attached to rights requests (e.g. quotes, release forms), stored in the
+ * RIGHTS_ATTACHMENTS R2 bucket. Each attachment is listed as an `attachment` entry
+ * of the request (see ../util/rights-request-entries.js), so concurrent uploads do not
+ * drop each other from the list.
+ *
+ * Access checks are done by the caller (see rightsRequestsApi in ./rightsrequests.js):
+ * every handler receives the accessible request as { requestKey, requestData, role }.
+ */
+
+import { error, json } from 'itty-router';
+import { auditLog } from '../util/audit.js';
+import {
+  addRequestEntry,
+  deleteRequestEntry,
+  getRequestEntry,
+  listRequestEntries,
+} from '../util/rights-request-entries.js';
+
+// Maximum size of a single attachment (10 MB)
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Maximum number of attachments per rights request
+const MAX_ATTACHMENTS = 20;
+
+const ATTACHMENT_ENTRY_TYPE = 'attachment';
+
+// Leading bytes of the allowed file formats
+const PDF_SIGNATURE = [0x25, 0x50, 0x44, 0x46, 0x2d]; // %PDF-
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]; // .doc, .xls
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04]; // .docx, .xlsx
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const JPEG_SIGNATURE = [0xff, 0xd8, 0xff];
+
+// Number of leading bytes of a text file checked for binary content
+const TEXT_SNIFF_LENGTH = 8 * 1024;
+
+// Allowed attachment types: the file name extension must match and the content must
+// start with the signature (text files must not contain NUL bytes). The client-supplied
+// content type is ignored.
+const ALLOWED_FILE_TYPES = [
+  { extensions: ['pdf'], contentType: 'application/pdf', signature: PDF_SIGNATURE },
+  { extensions: ['doc'], contentType: 'application/msword', signature: OLE_SIGNATURE },
+  {
+    extensions: ['docx'],
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    signature: ZIP_SIGNATURE,
+  },
+  { extensions: ['xls'], contentType: 'application/vnd.ms-excel', signature: OLE_SIGNATURE },
+  {
+    extensions: ['xlsx'],
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    signature: ZIP_SIGNATURE,
+  },
+  { extensions: ['png'], contentType: 'image/png', signature: PNG_SIGNATURE },
+  { extensions: ['jpg', 'jpeg'], contentType: 'image/jpeg', signature: JPEG_SIGNATURE },
+  { extensions: ['txt'], contentType: 'text/plain' },
+];
+
+/**
+ * Build the R2 object key of an attachment
+ * @param {string} requestId - Rights request ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {string} R2 object key
+ */
+function buildAttachmentKey(requestId, attachmentId) {
+  return `rights-request/${requestId}/${attachmentId}`;
+}
+
+/**
+ * Check if a character is a control character (C0 or DEL)
+ * @param {string} char - Single character
+ * @returns {boolean} true for control characters
+ */
+function isControlCharacter(char) {
+  const code = char.charCodeAt(0);
+  return code < 0x20 || code === 0x7f;
+}
+
+/**
+ * Remove path components, control characters and quotes from an uploaded file name
+ * @param {string} fileName - File name as sent by the browser
+ * @returns {string} Safe file name
+ */
+function sanitizeFileName(fileName) {
+  const name = [
+    ...String(fileName || '')
+      .split(/[\\/]/)
+      .pop(),
+  ]
+    .filter((char) => !isControlCharacter(char) && char !== '"')
+    .join('')
+    .trim();
+  return name.slice(0, 200) || 'attachment';
+}
+
+/**
+ * Detect the type of an uploaded file from its extension and its content
+ * @param {string} fileName - File name
+ * @param {Uint8Array} bytes - File content
+ * @returns {Object|undefined} Entry of ALLOWED_FILE_TYPES, or undefined if not allowed
+ */
+function detectFileType(fileName, bytes) {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  const fileType = ALLOWED_FILE_TYPES.find((type) => type.extensions.includes(extension));
+  if (!fileType) {
+    return undefined;
+  }
+  if (!fileType.signature) {
+    return bytes.subarray(0, TEXT_SNIFF_LENGTH).includes(0) ? undefined : fileType;
+  }
+  return fileType.signature.every((byte, i) => bytes[i] === byte) ? fileType : undefined;
+}
+
+/**
+ * List the attachments of a rights request
+ * @param {Object} env - Environment bindings
+ * @param {string} requestId - Rights request ID
+ * @returns {Promise<Array<Object>>} Attachments, oldest first
+ */
+export async function listRequestAttachments(env, requestId) {
+  const attachments = await listRequestEntries(env, ATTACHMENT_ENTRY_TYPE, requestId);
+  return attachments.sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt) || a.id.localeCompare(b.id));
+}
+
+/**
+ * List the attachments of a rights request
+ * GET /api/rightsrequests/<requestId>/attachments
+ */
+export async function listAttachments(_request, env, found) {
+  const attachments = await listRequestAttachments(env, found.requestData.rightsRequestID);
+  return json({
+    success: true,
+    data: attachments,
+    count: attachments.length,
+  });
+}
+
+/**
+ * Upload an attachment to a rights request
+ * POST /api/rightsrequests/<requestId>/attachments
+ * Body: multipart/form-data with a `file` field
+ */
+export async function uploadAttachment(request, env, found) {
+  const userEmail = request.user.email.toLowerCase();
+  const { requestData } = found;
+  const requestId = requestData.rightsRequestID;
+
+  // reject oversized uploads before reading the body
+  const contentLength = parseInt(request.headers.get('Content-Length') || '0', 10);
+  if (contentLength > MAX_ATTACHMENT_SIZE + 64 * 1024) {
+    return error(413, { success: false, error: `Attachment must not exceed ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB` });
+  }
+
+  const tooManyAttachments = () =>
+    error(400, {
+      success: false,
+      error: `A rights request can have at most ${MAX_ATTACHMENTS} attachments`,
+    });
+  if ((await listRequestAttachments(env, requestId)).length >= MAX_ATTACHMENTS) {
+    return tooManyAttachments();
+  }
+
+  let file;
+  try {
+    const formData = await request.formData();
+    file = formData.get('file');
+  } catch {
+    return error(400, { success: false, error: 'Expected multipart/form-data with a file' });
+  }
+  if (!file || typeof file === 'string') {
+    return error(400, { success: false, error: 'File is required' });
+  }
+
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return error(413, { success: false, error: `Attachment must not exceed ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB` });
+  }
+  if (file.size === 0) {
+    return error(400, { success: false, error: 'File is empty' });
+  }
+
+  const fileName = sanitizeFileName(file.name);
+  const content = await file.arrayBuffer();
+  const fileType = detectFileType(fileName, new Uint8Array(content));
+  if (!fileType) {
+    return error(415, {
+      success: false,
+      error: 'File type not allowed or file content does not match its extension',
+      allowedTypes: ALLOWED_FILE_TYPES.flatMap((type) => type.extensions.map((ext) => `.${ext}`)),
+    });
+  }
+  const { contentType } = fileType;
+
+  const attachment = {
+    id: crypto.randomUUID(),
+    fileName,
+    contentType,
+    size: file.size,
+    uploadedBy: userEmail,
+    uploadedAt: new Date().toISOString(),
+  };
+
+  const attachmentKey = buildAttachmentKey(requestId, attachment.id);
+  const deleteFile = () =>
+    env.RIGHTS_ATTACHMENTS.delete(attachmentKey).catch((deleteErr) => {
+      console.error(`Failed to delete attachment ${attachmentKey} after failed upload:`, deleteErr);
+    });
+  await env.RIGHTS_ATTACHMENTS.put(attachmentKey, content, {
+    httpMetadata: { contentType },
+    customMetadata: {
+      fileName: attachment.fileName,
+      uploadedBy: userEmail,
+    },
+  });
+
+  try {
+    await addRequestEntry(env, ATTACHMENT_ENTRY_TYPE, requestId, attachment);
+  } catch (err) {
+    // do not keep a file that is not listed in the request
+    await deleteFile();
+    throw err;
+  }
+
+  // concurrent uploads can pass the limit check above together: the oldest attachments
+  // are kept, so exactly the uploads past the limit are rolled back
+  const attachments = await listRequestAttachments(env, requestId);
+  if (attachments.findIndex((a) => a.id === attachment.id) >= MAX_ATTACHMENTS) {
+    await deleteRequestEntry(env, ATTACHMENT_ENTRY_TYPE, requestId, attachment.id);
+    await deleteFile();
+    return tooManyAttachments();
+  }
+
+  await auditLog(request, env, {
+    action: 'rightsrequest.attachment.upload',
+    targetType: 'rightsrequest',
+    targetId: requestId,
+    after: attachment,
+  });
+
+  return json({
+    success: true,
+    data: attachment,
+    message: 'Attachment uploaded successfully',
+  });
+}
+
+/**
+ * Download an attachment
+ * GET /api/rightsrequests/<requestId>/attachments/<attachmentId>
+ */
+export async function downloadAttachment(_request, env, found, attachmentId) {
+  const requestId = found.requestData.rightsRequestID;
+  const attachment = await getRequestEntry(env, ATTACHMENT_ENTRY_TYPE, requestId, attachmentId);
+  if (!attachment) {
+    return error(404, { success: false, error: 'Attachment not found' });
+  }
+
+  const object = await env.RIGHTS_ATTACHMENTS.get(buildAttachmentKey(requestId, attachmentId));
+  if (!object) {
+    return error(404, { success: false, error: 'Attachment file not found' });
+  }
+
+  return new Response(object.body, {
+    headers: {
+      'Content-Type': attachment.contentType,
+      'Content-Length': String(object.size),
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store',
+    },
+  });
+}
+
+/**
+ * Delete an attachment
+ * DELETE /api/rightsrequests/<requestId>/attachments/<attachmentId>
+ * Allowed for the uploader and reviewers
+ */
+export async function deleteAttachment(request, env, found, attachmentId) {
+  const userEmail = request.user.email.toLowerCase();
+  const { requestData, role } = found;
+  const requestId = requestData.rightsRequestID;
+
+  const attachment = await getRequestEntry(env, ATTACHMENT_ENTRY_TYPE, requestId, attachmentId);
+  if (!attachment) {
+    return error(404, { success: false, error: 'Attachment not found' });
+  }
+
+  if (attachment.uploadedBy !== userEmail && role !== 'reviewer') {
+    return error(403, { success: false, error: 'Only the uploader or a reviewer can delete this attachment' });
+  }
+
+  await env.RIGHTS_ATTACHMENTS.delete(buildAttachmentKey(requestId, attachmentId));
+  await deleteRequestEntry(env, ATTACHMENT_ENTRY_TYPE, requestId, attachmentId);
+
+  await auditLog(request, env, {
+    action: 'rightsrequest.attachment.delete',
+    targetType: 'rightsrequest',
+    targetId: requestId,
+    before: attachment,
+  });
+
+  return json({
+    success: true,
+    message: 'Attachment deleted successfully',
+    attachmentId,
+  });
+}
@@ -7,18 +7,30 @@
 import { json, error } from 'itty-router';
 import { sendMessage, sendMessageToMultiple } from '../util/notifications-helpers.js';
 import { fetchHelixSheet } from '../util/helixutil.js';
-
-// Rights Reviewers - users who receive notifications for new requests
-// NOTE: This hardcoded list is used for notification distribution only.
-// Actual reviewer permissions are managed in /config/access/permissions sheet.
+import { auditLog } from '../util/audit.js';
+import {
+  listAttachments, listRequestAttachments, uploadAttachment, downloadAttachment, deleteAttachment,
+} from './rightsattachments.js';
+import { FINAL_STATUSES, getSlaState, loadRightsSlas } from '../util/rights-sla.js';
+import {
+  backfillRightsIndex, parseIndexQuery, queryRightsIndex, readIndexEntries, readRightsIndex, readRightsIndexPage,
+  RIGHTS_INDEX_PREFIX, saveRightsRequest,
+} from '../util/rights-index.js';
+import { addRequestEntry, generateEntryId, listRequestEntries } from '../util/rights-request-entries.js';
+
+// Reviewer routing rules - who receives notifications for new requests
+// Authored as Helix sheet with columns `type`, `value` and `reviewers` (comma separated emails):
+// - type `market`, `brand` or `media`: reviewers for requests that cover a market, contain an
+//   asset of a brand or include a media channel with that name or id
+// - type `fallback`: reviewer pool for requests that match no other rule
+// Reviewer permissions are still managed in the /config/access/permissions sheet.
 // Users with 'manage-rights' permissions can review requests.
 // Users with 'admin-rights' permissions can assign requests to other reviewers.
-const RIGHTS_REVIEWERS = [
-  'jfait@adobe.com',
-  'pkoch@adobe.com',
-  'inedoviesov@adobe.com'
-  // Add more reviewers here
-];
+const RIGHTS_ROUTING_SHEET = '/config/access/rights-routing';
+
+// status history entries and comments of a request (see rights-request-entries.js)
+const HISTORY_ENTRY_TYPE = 'history';
+const COMMENT_ENTRY_TYPE = 'comment';
 
 // Rights Request Status Constants
 const RIGHTS_REQUEST_STATUSES = {
@@ -46,6 +58,38 @@ const SUBMITTER_STATUSES = [
   RIGHTS_REQUEST_STATUSES.USER_CANCELED,
 ];
 
+// Allowed status transitions: current status => statuses it can change to
+// Done and the canceled statuses are final.
+const STATUS_TRANSITIONS = {
+  [RIGHTS_REQUEST_STATUSES.NOT_STARTED]: [
+    RIGHTS_REQUEST_STATUSES.IN_PROGRESS,
+    RIGHTS_REQUEST_STATUSES.USER_CANCELED,
+    RIGHTS_REQUEST_STATUSES.RM_CANCELED,
+  ],
+  [RIGHTS_REQUEST_STATUSES.IN_PROGRESS]: [
+    RIGHTS_REQUEST_STATUSES.QUOTE_PENDING,
+    RIGHTS_REQUEST_STATUSES.RELEASE_PENDING,
+    RIGHTS_REQUEST_STATUSES.USER_CANCELED,
+    RIGHTS_REQUEST_STATUSES.RM_CANCELED,
+  ],
+  [RIGHTS_REQUEST_STATUSES.QUOTE_PENDING]: [
+    RIGHTS_REQUEST_STATUSES.IN_PROGRESS,
+    RIGHTS_REQUEST_STATUSES.RELEASE_PENDING,
+    RIGHTS_REQUEST_STATUSES.USER_CANCELED,
+    RIGHTS_REQUEST_STATUSES.RM_CANCELED,
+  ],
+  [RIGHTS_REQUEST_STATUSES.RELEASE_PENDING]: [
+    RIGHTS_REQUEST_STATUSES.DONE,
+    RIGHTS_REQUEST_STATUSES.RM_CANCELED,
+  ],
+  [RIGHTS_REQUEST_STATUSES.DONE]: [],
+  [RIGHTS_REQUEST_STATUSES.USER_CANCELED]: [],
+  [RIGHTS_REQUEST_STATUSES.RM_CANCELED]: [],
+};
+
+// Maximum length of a single comment on a rights request
+const MAX_COMMENT_LENGTH = 5000;
+
 // Permission Constants
 const PERMISSIONS = {
   MANAGE_RIGHTS: 'manage-rights',  // Base: can review and self-assign
@@ -60,10 +104,37 @@ export async function rightsRequestsApi(request, env) {
   const url = new URL(request.url);
   const path = url.pathname;
 
+  // Comment routes (submitter and reviewer perspective)
+  // Path format: /api/rightsrequests/<requestId>/comments
+  const commentsMatch = path.match(/\/rightsrequests\/([^/]+)\/comments$/);
+  if (commentsMatch) {
+    const requestId = decodeURIComponent(commentsMatch[1]);
+    if (request.method === 'GET') return listRequestComments(request, env, requestId);
+    if (request.method === 'POST') return addRequestComment(request, env, requestId);
+  }
+
+  // Attachment routes (submitter and reviewer perspective)
+  // Path format: /api/rightsrequests/<requestId>/attachments[/<attachmentId>]
+  const attachmentsMatch = path.match(/\/rightsrequests\/([^/]+)\/attachments(?:\/([^/]+))?$/);
+  if (attachmentsMatch) {
+    const requestId = decodeURIComponent(attachmentsMatch[1]);
+    const attachmentId = attachmentsMatch[2] && decodeURIComponent(attachmentsMatch[2]);
+    return rightsRequestAttachmentsApi(request, env, requestId, attachmentId);
+  }
+
   // Admin report route (all requests)
   if (request.method === 'GET' && path.endsWith('/rightsrequests/all')) {
     return listAllRightsRequests(request, env);
   }
+  if (request.method === 'POST' && path.endsWith('/rightsrequests/index/backfill')) {
+    return backfillIndex(request, env);
+  }
+
+  // Single request (submitter and reviewer perspective)
+  const requestMatch = path.match(/\/rightsrequests\/(\d+)$/);
+  if (request.method === 'GET' && requestMatch) {
+    return getRightsRequest(request, env, requestMatch[1]);
+  }
 
   // Request routes (submitter perspective)
   if (request.method === 'GET' && path.endsWith('/rightsrequests')) {
@@ -128,6 +199,68 @@ function formatDateToGMT(date) {
   }
 }
 
+/**
+ * Resolve the reviewers for a rights request from the routing rules sheet.
+ * Reviewers of all rules matching a market, brand or media channel of the request are
+ * combined; if no rule matches, the fallback pool is used.
+ * @param {Object} env - Environment bindings
+ * @param {Object} requestData - Rights request (JCR structure)
+ * @returns {Promise<Array<string>>} Reviewer emails (lowercase, unique)
+ */
+async function resolveReviewers(env, requestData) {
+  const rules = await fetchHelixSheet(env, RIGHTS_ROUTING_SHEET, {
+    sheet: { arrays: ['reviewers'] },
+  });
+  if (!rules) {
+    console.error('Failed to load rights routing rules:', RIGHTS_ROUTING_SHEET);
+    return [];
+  }
+
+  const details = requestData.rightsRequestDetails || {};
+  const normalize = (value) => String(value || '').trim().toLowerCase();
+  const namesAndIds = (items) => (items || []).flatMap((item) => [normalize(item.name), normalize(item.id)]);
+  const requestValues = {
+    market: namesAndIds(details.intendedUsage?.marketsCovered),
+    media: namesAndIds(details.intendedUsage?.mediaRights),
+    // assets can have several brands, comma separated
+    brand: (details.general?.assets || []).flatMap((asset) => String(asset.brand || '').split(',').map(normalize)),
+  };
+
+  const matches = (type) => rules
+    .filter((rule) => normalize(rule.type) === type)
+    .filter((rule) => type === 'fallback' || requestValues[type].includes(normalize(rule.value)));
+
+  let matched = ['market', 'brand', 'media'].flatMap(matches);
+  if (matched.length === 0) {
+    matched = matches('fallback');
+  }
+
+  const reviewers = matched.flatMap((rule) => rule.reviewers).map(normalize).filter((email) => email.includes('@'));
+  return [...new Set(reviewers)];
+}
+
+/**
+ * Check that a user may review rights requests (manage-rights or admin-rights permission,
+ * directly or by the email domain) in the permissions sheet
+ * @param {Object} env - Environment bindings
+ * @param {string} email - Reviewer email
+ * @returns {Promise<boolean>} true if the user may be assigned reviews
+ */
+async function isValidReviewer(env, email) {
+  const permissions = await fetchHelixSheet(env, '/config/access/permissions', {
+    sheet: { key: 'email', arrays: ['permissions'] },
+  });
+
+  const assigneePerms = permissions?.[email]?.permissions || [];
+  const domain = email.split('@')[1]?.toLowerCase();
+  const domainPerms = permissions?.[domain]?.permissions || [];
+
+  return assigneePerms.includes(PERMISSIONS.MANAGE_RIGHTS)
+    || assigneePerms.includes(PERMISSIONS.ADMIN_RIGHTS)
+    || domainPerms.includes(PERMISSIONS.MANAGE_RIGHTS)
+    || domainPerms.includes(PERMISSIONS.ADMIN_RIGHTS);
+}
+
 /**
  * Transform React format payload to JCR structure
  * Maps RequestRightsExtensionStepData + RequestDownloadStepData to JCR format
@@ -165,6 +298,7 @@ function transformReactToJCR(payload, userEmail) {
         assets: payload.restrictedAssets?.map((asset) => ({
           name: asset.name || '',
           assetId: asset.assetId || '',
+          brand: asset.brand || '',
         })) || [],
       },
       intendedUsage: {
@@ -215,32 +349,93 @@ export async function createRightsRequest(request, env) {
     const payload = await request.json();
     const jcrData = transformReactToJCR(payload, userEmail);
 
+    // Route to the reviewers responsible for the markets, brands and media channels;
+    // assign automatically if exactly one reviewer is responsible and may review requests
+    // (the routing sheet is maintained separately from the permissions)
+    const reviewers = await resolveReviewers(env, jcrData);
+    let autoAssignee = reviewers.length === 1 ? reviewers[0] : '';
+    if (autoAssignee && !(await isValidReviewer(env, autoAssignee))) {
+      console.warn(`Rights routing reviewer ${autoAssignee} lacks manage-rights permission, request stays unassigned`);
+      autoAssignee = '';
+    }
+    jcrData.rightsRequestReviewDetails.rightsReviewer = autoAssignee;
+    if (autoAssignee) {
+      // same as assigning the request manually (see assignReview)
+      jcrData.rightsRequestReviewDetails.rightsRequestStatus = RIGHTS_REQUEST_STATUSES.IN_PROGRESS;
+    }
+    const timestamp = new Date().toISOString();
+    // the automatic assignment follows the submission, a later timestamp keeps the history in order
+    const assignedTimestamp = new Date(Date.parse(timestamp) + 1).toISOString();
+    jcrData.statusSince = autoAssignee ? assignedTimestamp : timestamp;
+
     // Store in primary KV with key: user:{userId}:rights-request:{requestId}
     const kvKey = `user:${userEmail}:rights-request:${jcrData.rightsRequestID}`;
-    await env.RIGHTS_REQUESTS.put(kvKey, JSON.stringify(jcrData));
+    await saveRightsRequest(env, kvKey, jcrData);
+    await addHistoryEntry(env, jcrData.rightsRequestID, {
+      actor: userEmail,
+      from: null,
+      to: RIGHTS_REQUEST_STATUSES.NOT_STARTED,
+      timestamp,
+      comment: 'Request submitted',
+    });
+    if (autoAssignee) {
+      await addHistoryEntry(env, jcrData.rightsRequestID, {
+        actor: 'Rights Management System',
+        from: RIGHTS_REQUEST_STATUSES.NOT_STARTED,
+        to: RIGHTS_REQUEST_STATUSES.IN_PROGRESS,
+        timestamp: assignedTimestamp,
+        comment: `Automatically assigned to ${autoAssignee}`,
+      });
+    }
 
-    // Create unassigned review entry in secondary KV
-    const reviewKey = `user:unassigned:rights-request-review:${jcrData.rightsRequestID}`;
+    // Create review entry in secondary KV (unassigned unless automatically assigned)
+    const reviewKey = `user:${autoAssignee || 'unassigned'}:rights-request-review:${jcrData.rightsRequestID}`;
     const reviewData = {
       requestId: kvKey,
-      rightsReviewer: '',
-      assignedDate: '',
+      rightsReviewer: autoAssignee,
+      assignedDate: autoAssignee ? assignedTimestamp : '',
       submittedBy: userEmail,
+      // portal origin for links in scheduled notifications (SLA escalations)
+      origin: new URL(request.url).origin,
     };
+    if (autoAssignee) {
+      reviewData.assignedBy = 'routing';
+    }
     await env.RIGHTS_REQUEST_REVIEWS.put(reviewKey, JSON.stringify(reviewData));
 
-    // Send notification messages to all reviewers
+    await auditLog(request, env, {
+      action: 'rightsrequest.create',
+      targetType: 'rightsrequest',
+      targetId: jcrData.rightsRequestID,
+      after: {
+        status: getRequestStatus(jcrData),
+        reviewer: autoAssignee,
+      },
+    });
+
+    // Send notification messages to the routed reviewers
     const requestDetailsUrl = `${new URL(request.url).origin}/my-rights-review-details?requestId=${jcrData.rightsRequestID}`;
     const myReviewsUrl = `${new URL(request.url).origin}/my-rights-reviews`;
 
-    await sendMessageToMultiple(env, RIGHTS_REVIEWERS, {
-      subject: 'New Rights Review Request',
-      message: `A new rights request has been submitted that requires review.\n\nRequest ID: ${jcrData.rightsRequestID}\nSubmitted by: ${userEmail}\n\nView request details: ${requestDetailsUrl}\n\nYou can assign this to yourself from your rights reviews page: ${myReviewsUrl}`,
-      type: 'Notification',
-      from: 'Rights Management System',
-      priority: 'normal',
-      expiresInXDays: 7,
-    });
+    if (autoAssignee) {
+      await sendMessage(env, autoAssignee, {
+        subject: 'Rights Request Assigned to You',
+        message: `A new rights request has been assigned to you based on its markets, brands and media channels.\n\nRequest ID: ${jcrData.rightsRequestID}\nSubmitted by: ${userEmail}\n\nView request details: ${requestDetailsUrl}\n\nYou can see all your assigned requests from: ${myReviewsUrl}`,
+        type: 'Notification',
+        from: 'Rights Management System',
+        priority: 'normal',
+        expiresInXDays: 7,
+      });
+    } else if (reviewers.length > 0) {
+      await sendMessageToMultiple(env, reviewers, {
+        subject: 'New Rights Review Request',
+        message: `A new rights request has been submitted that requires review.\n\nRequest ID: ${jcrData.rightsRequestID}\nSubmitted by: ${userEmail}\n\nView request details: ${requestDetailsUrl}\n\nYou can assign this to yourself from your rights reviews page: ${myReviewsUrl}`,
+        type: 'Notification',
+        from: 'Rights Management System',
+        priority: 'normal',
+        expiresInXDays: 7,
+      });
+    }
 
     return json({
       success: true,
@@ -333,10 +528,30 @@ export async function listAvailableReviewers(request, env) {
   }
 }
 
+/**
+ * Read the index entries for a listing: the whole index, or with the `cursor` parameter only one
+ * KV page of it (see readRightsIndexPage), which is then filtered and sorted on its own
+ * @param {Object} env - Environment bindings
+ * @param {Object} query - Query from parseIndexQuery()
+ * @returns {Promise<{entries: Array<Object>, query: Object, cursor: (string|null|undefined)}>} index entries,
+ *   the query to apply to them and the cursor of the next page (undefined without cursor)
+ */
+async function readIndexForListing(env, query) {
+  if (query.cursor === null) {
+    return { entries: await readRightsIndex(env), query, cursor: undefined };
+  }
+  const page = await readRightsIndexPage(env, query.cursor || undefined, query.limit);
+  return { entries: page.entries, query: { ...query, page: 1 }, cursor: page.cursor };
+}
+
 /**
  * List reviews for the authenticated reviewer
  * GET /api/rightsrequests/reviews
- * Requires: manage-rights permission (admin-rights users also have access)
+ * Query: tab (unassigned | assigned, default both), overdue=true, and the listing
+ * parameters of parseIndexQuery() (status, from, to, sort, order, page, limit, cursor)
+ * Requires: PERMISSIONS.MANAGE_RIGHTS
+ * Returns one page of unassigned reviews and reviews assigned to the user, with the review
+ * entry (reviewInfo) and SLA state of each request
  */
 export async function listReviewsForReviewer(request, env) {
   try {
@@ -354,36 +569,45 @@ export async function listReviewsForReviewer(request, env) {
       });
     }
 
-    // Get unassigned reviews
-    const unassignedPrefix = 'user:unassigned:rights-request-review:';
-    const unassignedList = await env.RIGHTS_REQUEST_REVIEWS.list({ prefix: unassignedPrefix });
-    const unassignedReviews = await Promise.all(
-      unassignedList.keys.map(async (key) => {
-        const data = await env.RIGHTS_REQUEST_REVIEWS.get(key.name);
-        return data ? JSON.parse(data) : null;
-      }),
-    );
+    const url = new URL(request.url);
+    const query = parseIndexQuery(url);
+    const tab = url.searchParams.get('tab');
+    const overdueOnly = url.searchParams.get('overdue') === 'true';
+
+    const [{ entries, query: indexQuery, cursor }, slas] = await Promise.all([
+      readIndexForListing(env, query),
+      loadRightsSlas(env),
+    ]);
+
+    // requests that were canceled before being assigned are no longer open for review
+    const isUnassigned = (entry) => !entry.rightsRequestReviewDetails.rightsReviewer
+      && !FINAL_STATUSES.includes(entry.rightsRequestReviewDetails.rightsRequestStatus);
+    const isAssigned = (entry) => entry.rightsRequestReviewDetails.rightsReviewer === userEmail;
+    const inTab = (entry) => {
+      if (tab === 'unassigned') return isUnassigned(entry);
+      if (tab === 'assigned') return isAssigned(entry);
+      return isUnassigned(entry) || isAssigned(entry);
+    };
+    const isOverdue = (entry) => !!getSlaState(entry, entry.rightsRequestReviewDetails, slas)?.overdue;
 
-    // Get reviews assigned to this user
-    const assignedPrefix = `user:${userEmail}:rights-request-review:`;
-    const assignedList = await env.RIGHTS_REQUEST_REVIEWS.list({ prefix: assignedPrefix });
-    const assignedReviews = await Promise.all(
-      assignedList.keys.map(async (key) => {
-        const data = await env.RIGHTS_REQUEST_REVIEWS.get(key.name);
-        return data ? JSON.parse(data) : null;
-      }),
-    );
+    const result = queryRightsIndex(entries, indexQuery, (entry) => inTab(entry) && (!overdueOnly || isOverdue(entry)));
 
-    // Fetch full request data for each review
-    const allReviews = [...unassignedReviews, ...assignedReviews].filter((r) => r !== null);
+    // Fetch full request data and review entry for the requests of the page
     const reviewsWithData = await Promise.all(
-      allReviews.map(async (review) => {
-        const requestData = await env.RIGHTS_REQUESTS.get(review.requestId);
-        return requestData ? { ...JSON.parse(requestData), reviewInfo: review } : null;
+      result.items.map(async (entry) => {
+        const reviewer = entry.rightsRequestReviewDetails.rightsReviewer || 'unassigned';
+        const [requestData, review] = await Promise.all([
+          env.RIGHTS_REQUESTS.get(entry.kvKey, { type: 'json' }),
+          env.RIGHTS_REQUEST_REVIEWS.get(`user:${reviewer}:rights-request-review:${entry.rightsRequestID}`, { type: 'json' }),
+        ]);
+        if (!requestData || !review) {
+          return null;
+        }
+        return { ...requestData, reviewInfo: review, sla: getSlaState(requestData, review, slas) };
       }),
     );
 
-    // Convert to object with request IDs as keys
+    // Convert to object with request IDs as keys (in sort order)
     const reviewsById = {};
     reviewsWithData.filter((r) => r !== null).forEach((req) => {
       const key = `rights-request-${req.rightsRequestID}`;
@@ -394,8 +618,13 @@ export async function listReviewsForReviewer(request, env) {
       success: true,
       data: reviewsById,
       count: Object.keys(reviewsById).length,
-      unassignedCount: unassignedReviews.length,
-      assignedCount: assignedReviews.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      unassignedCount: entries.filter(isUnassigned).length,
+      assignedCount: entries.filter(isAssigned).length,
+      cursor,
     });
   } catch (err) {
     return error(500, {
@@ -416,6 +645,9 @@ export async function listReviewsForReviewer(request, env) {
  * 
  * If assigneeEmail is provided and different from caller: Assign to another
  *   - Requires: admin-rights (elevated permission)
+ *
+ * Assigning starts the review (Not Started => In Progress). Users with admin-rights can also
+ * reassign a review that is already assigned (e.g. by the routing), which keeps its status.
  */
 export async function assignReview(request, env) {
   try {
@@ -454,21 +686,7 @@ export async function assignReview(request, env) {
       }
 
       // Validate that assignee has manage-rights or admin-rights permission
-      const permissions = await fetchHelixSheet(env, '/config/access/permissions', {
-        sheet: { key: 'email', arrays: ['permissions'] },
-      });
-
-      const assigneePerms = permissions?.[targetEmail]?.permissions || [];
-      const domain = targetEmail.split('@')[1]?.toLowerCase();
-      const domainPerms = permissions?.[domain]?.permissions || [];
-      
-      const isValidReviewer =
-        assigneePerms.includes(PERMISSIONS.MANAGE_RIGHTS) ||
-        assigneePerms.includes(PERMISSIONS.ADMIN_RIGHTS) ||
-        domainPerms.includes(PERMISSIONS.MANAGE_RIGHTS) ||
-        domainPerms.includes(PERMISSIONS.ADMIN_RIGHTS);
-
-      if (!isValidReviewer) {
+      if (!(await isValidReviewer(env, targetEmail))) {
         return error(400, {
           success: false,
           error: 'Invalid assignee',
@@ -477,19 +695,35 @@ export async function assignReview(request, env) {
       }
     }
 
-    // Get the unassigned review entry
-    const unassignedKey = `user:unassigned:rights-request-review:${requestId}`;
-    const unassignedData = await env.RIGHTS_REQUEST_REVIEWS.get(unassignedKey);
+    // Get the unassigned review entry, or the review entry of the current reviewer when an admin reassigns
+    let reviewKey = `user:unassigned:rights-request-review:${requestId}`;
+    let existingReviewData = await env.RIGHTS_REQUEST_REVIEWS.get(reviewKey);
+    let previousReviewer = '';
+    if (!existingReviewData && hasAdminRightsPermission(request.user)) {
+      const indexEntry = await env.RIGHTS_REQUESTS.get(`${RIGHTS_INDEX_PREFIX}${requestId}`, { type: 'json' });
+      previousReviewer = indexEntry?.rightsRequestReviewDetails?.rightsReviewer || '';
+      if (previousReviewer) {
+        reviewKey = `user:${previousReviewer}:rights-request-review:${requestId}`;
+        existingReviewData = await env.RIGHTS_REQUEST_REVIEWS.get(reviewKey);
+      }
+    }
 
-    if (!unassignedData) {
+    if (!existingReviewData) {
       return error(404, {
         success: false,
         error: 'Unassigned review not found',
         message: 'This request may already be assigned',
       });
     }
+    if (previousReviewer === targetEmail) {
+      return error(409, {
+        success: false,
+        error: 'Already assigned',
+        message: `This request is already assigned to ${targetEmail}`,
+      });
+    }
 
-    const reviewData = JSON.parse(unassignedData);
+    const reviewData = JSON.parse(existingReviewData);
 
     // Update the primary request with reviewer info
     const primaryRequestData = await env.RIGHTS_REQUESTS.get(reviewData.requestId);
@@ -498,16 +732,44 @@ export async function assignReview(request, env) {
     }
 
     const requestDataObj = JSON.parse(primaryRequestData);
+    const currentStatus = getRequestStatus(requestDataObj);
+    // assigning starts the review, reassigning a request in review keeps its status
+    const newStatus = currentStatus === RIGHTS_REQUEST_STATUSES.NOT_STARTED
+      ? RIGHTS_REQUEST_STATUSES.IN_PROGRESS
+      : currentStatus;
+    if (!previousReviewer && !canTransitionStatus(currentStatus, RIGHTS_REQUEST_STATUSES.IN_PROGRESS)) {
+      return invalidTransition(currentStatus, RIGHTS_REQUEST_STATUSES.IN_PROGRESS);
+    }
+    if (FINAL_STATUSES.includes(currentStatus)) {
+      return error(409, {
+        success: false,
+        error: 'Request closed',
+        message: `Requests in status "${currentStatus}" cannot be reassigned`,
+        currentStatus,
+      });
+    }
+
+    const timestamp = new Date().toISOString();
     requestDataObj.rightsRequestReviewDetails.rightsReviewer = targetEmail;
-    requestDataObj.rightsRequestReviewDetails.rightsRequestStatus = RIGHTS_REQUEST_STATUSES.IN_PROGRESS;
+    requestDataObj.rightsRequestReviewDetails.rightsRequestStatus = newStatus;
+    if (newStatus !== currentStatus) {
+      requestDataObj.statusSince = timestamp;
+    }
     requestDataObj.lastModified = new Date().toUTCString();
     requestDataObj.lastModifiedBy = userEmail; // The user who made the assignment
 
     // Save updated primary request
-    await env.RIGHTS_REQUESTS.put(reviewData.requestId, JSON.stringify(requestDataObj));
+    await saveRightsRequest(env, reviewData.requestId, requestDataObj);
+    await addHistoryEntry(env, requestId, {
+      actor: userEmail,
+      from: currentStatus,
+      to: newStatus,
+      timestamp,
+      comment: previousReviewer ? `Reassigned from ${previousReviewer} to ${targetEmail}` : `Assigned to ${targetEmail}`,
+    });
 
-    // Delete unassigned entry
-    await env.RIGHTS_REQUEST_REVIEWS.delete(unassignedKey);
+    // Delete the unassigned (or previous reviewer's) entry
+    await env.RIGHTS_REQUEST_REVIEWS.delete(reviewKey);
 
     // Create assigned entry for the target reviewer
     const assignedKey = `user:${targetEmail}:rights-request-review:${requestId}`;
@@ -524,6 +786,14 @@ export async function assignReview(request, env) {
     
     await env.RIGHTS_REQUEST_REVIEWS.put(assignedKey, JSON.stringify(assignedReviewData));
 
+    await auditLog(request, env, {
+      action: 'rightsrequest.assign',
+      targetType: 'rightsrequest',
+      targetId: requestId,
+      before: { status: currentStatus, reviewer: previousReviewer },
+      after: { status: newStatus, reviewer: targetEmail },
+    });
+
     // Send notification if assigning to another reviewer
     if (!isSelfAssignment) {
       const requestDetailsUrl = `${new URL(request.url).origin}/my-rights-review-details?requestId=${requestId}`;
@@ -556,27 +826,95 @@ export async function assignReview(request, env) {
 }
 
 
+/**
+ * Get the current status of a rights request
+ * @param {Object} requestData - Request data object
+ * @returns {string} Current status (Not Started if missing)
+ */
+function getRequestStatus(requestData) {
+  return requestData.rightsRequestReviewDetails?.rightsRequestStatus || RIGHTS_REQUEST_STATUSES.NOT_STARTED;
+}
+
+/**
+ * Check if a status change is allowed by the transition table
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransitionStatus(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Standard response for status changes not allowed from the current status
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Response} 409 response
+ */
+function invalidTransition(from, to) {
+  return error(409, {
+    success: false,
+    error: 'Invalid status transition',
+    message: `Status cannot change from "${from}" to "${to}"`,
+    currentStatus: from,
+    allowedStatuses: STATUS_TRANSITIONS[from] || [],
+  });
+}
+
+/**
+ * Add an entry to the append-only status history of a request. Every entry has its own KV key
+ * (see rights-request-entries.js), so concurrent status changes cannot drop entries.
+ * @param {Object} env - Environment bindings
+ * @param {string} requestId - Rights request ID
+ * @param {Object} change - Status change
+ * @param {string} change.actor - Email of the user making the change, or 'Rights Management System' for automatic changes
+ * @param {string|null} change.from - Previous status (null on creation)
+ * @param {string} change.to - New status
+ * @param {string} change.timestamp - Time of the change (ISO)
+ * @param {string} [change.comment] - Optional comment
+ */
+async function addHistoryEntry(env, requestId, { actor, from, to, timestamp, comment }) {
+  await addRequestEntry(env, HISTORY_ENTRY_TYPE, requestId, {
+    id: generateEntryId(timestamp),
+    actor,
+    from,
+    to,
+    timestamp,
+    comment: comment ? String(comment) : '',
+  });
+}
+
 /**
  * Helper function to update request status
+ * The transition must have been checked with canTransitionStatus() before.
  * @param {Object} env - Environment bindings
  * @param {string} requestKey - KV key for the request
  * @param {Object} requestData - Request data object
  * @param {string} status - New status
  * @param {string} userEmail - User email making the change
+ * @param {string} [comment] - Optional comment for the history entry
  * @returns {Promise<Object>} Updated request data
  */
-async function updateRequestStatusHelper(env, requestKey, requestData, status, userEmail) {
+async function updateRequestStatusHelper(env, requestKey, requestData, status, userEmail, comment) {
+  const from = getRequestStatus(requestData);
+  const timestamp = new Date().toISOString();
   requestData.rightsRequestReviewDetails.rightsRequestStatus = status;
+  // time the status was entered, used for SLAs (see rights-sla.js)
+  requestData.statusSince = timestamp;
   requestData.lastModified = new Date().toUTCString();
   requestData.lastModifiedBy = userEmail;
-  await env.RIGHTS_REQUESTS.put(requestKey, JSON.stringify(requestData));
+  await saveRightsRequest(env, requestKey, requestData);
+  await addHistoryEntry(env, requestData.rightsRequestID, {
+    actor: userEmail, from, to: status, timestamp, comment,
+  });
   return requestData;
 }
 
 /**
  * Update review status for a rights request
  * POST /api/rightsrequests/reviews/status
- * Body: { requestId, status }
+ * Body: { requestId, status, comment? }
+ * Returns 409 if the status cannot be reached from the current status (see STATUS_TRANSITIONS)
  * Requires: manage-rights permission (admin-rights users also have access)
  */
 export async function updateReviewStatus(request, env) {
@@ -595,7 +933,7 @@ export async function updateReviewStatus(request, env) {
       });
     }
 
-    const { requestId, status } = await request.json();
+    const { requestId, status, comment } = await request.json();
     if (!requestId || !status) {
       return error(400, { success: false, error: 'Request ID and status are required' });
     }
@@ -622,6 +960,11 @@ export async function updateReviewStatus(request, env) {
 
     const requestDataObj = JSON.parse(primaryRequestData);
 
+    const currentStatus = getRequestStatus(requestDataObj);
+    if (!canTransitionStatus(currentStatus, status)) {
+      return invalidTransition(currentStatus, status);
+    }
+
     // Update status using helper
     const updatedData = await updateRequestStatusHelper(
       env,
@@ -629,8 +972,17 @@ export async function updateReviewStatus(request, env) {
       requestDataObj,
       status,
       userEmail,
+      comment,
     );
 
+    await auditLog(request, env, {
+      action: 'rightsrequest.status',
+      targetType: 'rightsrequest',
+      targetId: requestId,
+      before: { status: currentStatus },
+      after: { status, comment },
+    });
+
     // Send notification to submitter about status change
     const submitterEmail = requestDataObj.rightsRequestSubmittedUserID;
     const requestDetailsUrl = `${new URL(request.url).origin}/my-rights-review-details?requestId=${requestId}`;
@@ -662,8 +1014,9 @@ export async function updateReviewStatus(request, env) {
 /**
  * Update request status by submitter
  * POST /api/rightsrequests/status
- * Body: { requestId, status }
+ * Body: { requestId, status, comment? }
  * Submitters can only change status to 'User Canceled'
+ * Returns 409 if the status cannot be reached from the current status (see STATUS_TRANSITIONS)
  */
 export async function updateSubmitterRequestStatus(request, env) {
   try {
@@ -672,7 +1025,7 @@ export async function updateSubmitterRequestStatus(request, env) {
       return error(401, { success: false, error: 'User not authenticated' });
     }
 
-    const { requestId, status } = await request.json();
+    const { requestId, status, comment } = await request.json();
     if (!requestId || !status) {
       return error(400, { success: false, error: 'Request ID and status are required' });
     }
@@ -691,26 +1044,29 @@ export async function updateSubmitterRequestStatus(request, env) {
 
     const requestDataObj = JSON.parse(primaryRequestData);
 
+    const currentStatus = getRequestStatus(requestDataObj);
+    if (!canTransitionStatus(currentStatus, status)) {
+      return invalidTransition(currentStatus, status);
+    }
+
     // Update status using helper
-    await updateRequestStatusHelper(env, primaryRequestKey, requestDataObj, status, userEmail);
+    await updateRequestStatusHelper(env, primaryRequestKey, requestDataObj, status, userEmail, comment);
+
+    await auditLog(request, env, {
+      action: 'rightsrequest.status',
+      targetType: 'rightsrequest',
+      targetId: requestId,
+      before: { status: currentStatus },
+      after: { status, comment },
+    });
 
-    // If there's a review entry (assigned or unassigned), update it too
+    // Only an unassigned review entry is removed, an assigned one stays with its reviewer, who
+    // sees the cancelled status from the request data
     const reviewerEmail = requestDataObj.rightsRequestReviewDetails.rightsReviewer;
 
-    if (reviewerEmail) {
-      // Update assigned review entry
-      const reviewKey = `user:${reviewerEmail}:rights-request-review:${requestId}`;
-      const reviewData = await env.RIGHTS_REQUEST_REVIEWS.get(reviewKey);
-      if (reviewData) {
-        await env.RIGHTS_REQUEST_REVIEWS.put(reviewKey, reviewData);
-      }
-    } else {
-      // Update unassigned review entry
-      const unassignedReviewKey = `user:unassigned:rights-request-review:${requestId}`;
-      const unassignedReviewData = await env.RIGHTS_REQUEST_REVIEWS.get(unassignedReviewKey);
-      if (unassignedReviewData) {
-        await env.RIGHTS_REQUEST_REVIEWS.put(unassignedReviewKey, unassignedReviewData);
-      }
+    if (!reviewerEmail) {
+      // Canceled before being assigned: nobody has to review it anymore
+      await env.RIGHTS_REQUEST_REVIEWS.delete(`user:unassigned:rights-request-review:${requestId}`);
     }
 
     return json({
@@ -771,6 +1127,201 @@ export async function listRightsRequests(request, env) {
   }
 }
 
+/**
+ * Find a rights request the user may access as submitter or reviewer.
+ * Mirrors the visibility of listRightsRequests (own requests) and
+ * listReviewsForReviewer (unassigned and own assigned reviews, manage-rights required).
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment bindings
+ * @param {string} requestId - Rights request ID
+ * @returns {Promise<Object|null>} { requestKey, requestData, role } or null if not accessible
+ */
+async function findAccessibleRequest(request, env, requestId) {
+  const userEmail = request.user.email.toLowerCase();
+
+  // Submitter: own request
+  const submitterKey = `user:${userEmail}:rights-request:${requestId}`;
+  const submitterData = await env.RIGHTS_REQUESTS.get(submitterKey);
+  if (submitterData) {
+    return { requestKey: submitterKey, requestData: JSON.parse(submitterData), role: 'submitter' };
+  }
+
+  // Reviewer: assigned to the user or unassigned
+  if (hasManageRightsPermission(request.user)) {
+    const reviewData = await env.RIGHTS_REQUEST_REVIEWS.get(`user:${userEmail}:rights-request-review:${requestId}`)
+      || await env.RIGHTS_REQUEST_REVIEWS.get(`user:unassigned:rights-request-review:${requestId}`);
+    if (reviewData) {
+      const review = JSON.parse(reviewData);
+      const requestData = await env.RIGHTS_REQUESTS.get(review.requestId);
+      if (requestData) {
+        return { requestKey: review.requestId, requestData: JSON.parse(requestData), role: 'reviewer' };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Attachments of a rights request, stored in R2 (see ./rightsattachments.js)
+ * GET    /api/rightsrequests/<requestId>/attachments - list attachments
+ * POST   /api/rightsrequests/<requestId>/attachments - upload (multipart/form-data `file`)
+ * GET    /api/rightsrequests/<requestId>/attachments/<attachmentId> - download
+ * DELETE /api/rightsrequests/<requestId>/attachments/<attachmentId> - delete
+ * Accessible by the submitter and reviewers who can see the request
+ */
+async function rightsRequestAttachmentsApi(request, env, requestId, attachmentId) {
+  try {
+    const userEmail = request.user?.email?.toLowerCase();
+    if (!userEmail) {
+      return error(401, { success: false, error: 'User not authenticated' });
+    }
+
+    const found = await findAccessibleRequest(request, env, requestId);
+    if (!found) {
+      return error(404, { success: false, error: 'Request not found or not accessible' });
+    }
+
+    if (!attachmentId) {
+      if (request.method === 'GET') return listAttachments(request, env, found);
+      if (request.method === 'POST') return uploadAttachment(request, env, found);
+    } else {
+      if (request.method === 'GET') return downloadAttachment(request, env, found, attachmentId);
+      if (request.method === 'DELETE') return deleteAttachment(request, env, found, attachmentId);
+    }
+
+    return error(405, { success: false, error: 'Method not allowed' });
+  } catch (err) {
+    return error(500, {
+      success: false,
+      error: 'Failed to process attachment request',
+      message: err.message,
+    });
+  }
+}
+
+/**
+ * List the comments of a rights request
+ * GET /api/rightsrequests/<requestId>/comments
+ * Accessible by the submitter and reviewers who can see the request
+ */
+export async function listRequestComments(request, env, requestId) {
+  try {
+    const userEmail = request.user?.email?.toLowerCase();
+    if (!userEmail) {
+      return error(401, { success: false, error: 'User not authenticated' });
+    }
+
+    const found = await findAccessibleRequest(request, env, requestId);
+    if (!found) {
+      return error(404, { success: false, error: 'Request not found or not accessible' });
+    }
+
+    const comments = await listRequestEntries(env, COMMENT_ENTRY_TYPE, found.requestData.rightsRequestID);
+    return json({
+      success: true,
+      data: comments,
+      count: comments.length,
+    });
+  } catch (err) {
+    return error(500, {
+      success: false,
+      error: 'Failed to retrieve comments',
+      message: err.message,
+    });
+  }
+}
+
+/**
+ * Add a comment to a rights request and notify the other party
+ * POST /api/rightsrequests/<requestId>/comments
+ * Body: { message }
+ * Accessible by the submitter and reviewers who can see the request
+ */
+export async function addRequestComment(request, env, requestId) {
+  try {
+    const userEmail = request.user?.email?.toLowerCase();
+    if (!userEmail) {
+      return error(401, { success: false, error: 'User not authenticated' });
+    }
+
+    const body = await request.json();
+    const message = typeof body?.message === 'string' ? body.message.trim() : '';
+    if (!message) {
+      return error(400, { success: false, error: 'Comment message is required' });
+    }
+    if (message.length > MAX_COMMENT_LENGTH) {
+      return error(400, { success: false, error: `Comment must not exceed ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const found = await findAccessibleRequest(request, env, requestId);
+    if (!found) {
+      return error(404, { success: false, error: 'Request not found or not accessible' });
+    }
+
+    // every comment has its own key, so concurrent comments cannot overwrite each other
+    const { requestData, role } = found;
+    const timestamp = new Date().toISOString();
+    const comment = await addRequestEntry(env, COMMENT_ENTRY_TYPE, requestData.rightsRequestID, {
+      id: generateEntryId(timestamp),
+      author: userEmail,
+      role,
+      message,
+      timestamp,
+    });
+
+    await auditLog(request, env, {
+      action: 'rightsrequest.comment',
+      targetType: 'rightsrequest',
+      targetId: requestId,
+      after: { id: comment.id, role, message },
+    });
+
+    // Notify the other party: submitter <-> assigned reviewer (all reviewers while unassigned).
+    // Submitters are sent to their requests page, reviewers to the review details.
+    const origin = new URL(request.url).origin;
+    const requestUrl = role === 'reviewer'
+      ? `${origin}/my-rights-requests`
+      : `${origin}/my-rights-review-details?requestId=${requestId}`;
+    const notification = {
+      subject: 'New Comment on Rights Request',
+      message: `${userEmail} commented on rights request ${requestId}:
+
+${message}
+
+View request details and reply: ${requestUrl}`,
+      type: 'Notification',
+      from: 'Rights Management System',
+      priority: 'normal',
+      expiresInXDays: 7,
+    };
+
+    if (role === 'reviewer') {
+      await sendMessage(env, requestData.rightsRequestSubmittedUserID, notification);
+    } else {
+      const reviewerEmail = requestData.rightsRequestReviewDetails?.rightsReviewer;
+      if (reviewerEmail) {
+        await sendMessage(env, reviewerEmail, notification);
+      } else {
+        await sendMessageToMultiple(env, await resolveReviewers(env, requestData), notification);
+      }
+    }
+
+    return json({
+      success: true,
+      data: comment,
+      comments: await listRequestEntries(env, COMMENT_ENTRY_TYPE, requestData.rightsRequestID),
+      message: 'Comment added successfully',
+    });
+  } catch (err) {
+    return error(500, {
+      success: false,
+      error: 'Failed to add comment',
+      message: err.message,
+    });
+  }
+}
+
 /**
  * Check if user has the required permission
  * @param {Object} user - User object from request
@@ -805,7 +1356,12 @@ function hasAdminRightsPermission(user) {
 /**
  * List all rights requests across all users (admin report)
  * GET /api/rightsrequests/all
+ * Query: listing parameters of parseIndexQuery() (status, reviewer, submitter, from, to,
+ * sort, order, page, limit, cursor)
  * Requires: PERMISSIONS.ADMIN_REPORTS
+ * Returns one page of index entries (summaries of the requests) and the filter values
+ * available across all requests. With `cursor`, the page, counts and filter values are those of
+ * one index page and `cursor` is the cursor of the next page (null after the last).
  */
 export async function listAllRightsRequests(request, env) {
   try {
@@ -836,48 +1392,40 @@ export async function listAllRightsRequests(request, env) {
       });
     }
 
-    // Get ALL keys from RIGHTS_REQUESTS KV store (no prefix to get everything)
-    // This will return all requests regardless of key pattern
-    const kvList = await env.RIGHTS_REQUESTS.list();
+    const { entries, query, cursor } = await readIndexForListing(env, parseIndexQuery(new URL(request.url)));
+    const result = queryRightsIndex(entries, query);
+    const items = await readIndexEntries(env, result.items);
 
-    // Fetch all requests
-    const kvRequests = await Promise.all(
-      kvList.keys.map(async (key) => {
-        try {
-          const data = await env.RIGHTS_REQUESTS.get(key.name);
-          if (data) {
-            const parsed = JSON.parse(data);
-            // Include the KV key in the response
-            return { ...parsed, kvKey: key.name };
-          }
-          return null;
-        } catch (parseError) {
-          // Log error but continue processing other keys
-          // eslint-disable-next-line no-console
-          console.error(`Error parsing data for key ${key.name}:`, parseError.message);
-          return null;
-        }
-      }),
-    );
-
-    // Filter out any null values and convert to object
-    // Use standardized keys (rights-request-ID) but preserve raw KV key in the data
+    // Use rights-request-ID as the key for consistency with other endpoints
+    // and keep the raw KV key in the data
     const requestsById = {};
-    kvRequests.filter((r) => r !== null).forEach((req) => {
-      // Use rights-request-ID as the key for consistency with other endpoints
-      const standardKey = `rights-request-${req.rightsRequestID}`;
-      requestsById[standardKey] = {
-        ...req,
-        // Keep both the raw KV key and standardized key for reference
-        rawKvKey: req.kvKey,
+    items.forEach((entry) => {
+      requestsById[`rights-request-${entry.rightsRequestID}`] = {
+        ...entry,
+        rawKvKey: entry.kvKey,
       };
     });
 
+    // Filter values across all requests (for the report filters)
+    const unique = (values) => [...new Set(values.filter(Boolean))].sort();
+    const filters = {
+      statuses: unique(entries.map((e) => e.rightsRequestReviewDetails.rightsRequestStatus)),
+      reviewers: unique(entries.map((e) => e.rightsRequestReviewDetails.rightsReviewer)),
+      years: unique(entries.map((e) => new Date(e.created).getFullYear()).filter((y) => !Number.isNaN(y)))
+        .reverse(),
+    };
+
     return json({
       success: true,
       data: requestsById,
-      count: Object.keys(requestsById).length,
-      totalKeys: kvList.keys.length,
+      count: items.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalRequests: entries.length,
+      filters,
+      cursor,
     });
   } catch (err) {
     return error(500, {
@@ -888,3 +1436,75 @@ export async function listAllRightsRequests(request, env) {
   }
 }
 
+/**
+ * Get a single rights request with its review entry
+ * GET /api/rightsrequests/<requestId>
+ * Accessible by the submitter and reviewers who can see the request
+ */
+export async function getRightsRequest(request, env, requestId) {
+  try {
+    if (!request.user?.email) {
+      return error(401, { success: false, error: 'User not authenticated' });
+    }
+
+    const found = await findAccessibleRequest(request, env, requestId);
+    if (!found) {
+      return error(404, { success: false, error: 'Request not found or not accessible' });
+    }
+
+    const { requestData, role } = found;
+    const reviewer = requestData.rightsRequestReviewDetails?.rightsReviewer || 'unassigned';
+    const [reviewInfo, history, comments, attachments] = await Promise.all([
+      env.RIGHTS_REQUEST_REVIEWS.get(`user:${reviewer}:rights-request-review:${requestId}`, { type: 'json' }),
+      listRequestEntries(env, HISTORY_ENTRY_TYPE, requestId),
+      listRequestEntries(env, COMMENT_ENTRY_TYPE, requestId),
+      listRequestAttachments(env, requestId),
+    ]);
+
+    return json({
+      success: true,
+      data: {
+        ...requestData, history, comments, attachments, reviewInfo: reviewInfo || undefined, role,
+      },
+    });
+  } catch (err) {
+    return error(500, {
+      success: false,
+      error: 'Failed to retrieve rights request',
+      message: err.message,
+    });
+  }
+}
+
+
+/**
+ * Backfill the rights requests index, e.g. after the first deploy of the index
+ * POST /api/rightsrequests/index/backfill
+ * Body: { cursor } (optional, cursor of the previous response to continue)
+ * Requires: PERMISSIONS.ADMIN_RIGHTS
+ * Indexes a bounded number of requests per call, call again with the returned cursor until `done`
+ */
+export async function backfillIndex(request, env) {
+  try {
+    if (!request.user?.email) {
+      return error(401, { success: false, error: 'User not authenticated' });
+    }
+    if (!hasAdminRightsPermission(request.user)) {
+      return error(403, { success: false, error: 'Admin-rights permission required' });
+    }
+
+    const { cursor } = await request.json().catch(() => ({}));
+    if (cursor !== undefined && cursor !== null && typeof cursor !== 'string') {
+      return error(400, { success: false, error: 'cursor must be a string' });
+    }
+
+    const summary = await backfillRightsIndex(env, cursor || undefined);
+    return json({ success: true, ...summary });
+  } catch (err) {
+    return error(500, {
+      success: false,
+      error: 'Failed to backfill the rights requests index',
+      message: err.message,
+    });
+  }
+}
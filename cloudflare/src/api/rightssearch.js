@@ -0,0 +1,450 @@
+/**
+ * Rights search API endpoint
+ * Asset search filtered by the rights clearance in Fadel for the selected markets, media channels and
+ * date range. Unlike checking the rights of a loaded page in the browser, the candidates of the search
+ * are checked server-side first, so pages only contain cleared assets and the totals are accurate.
+ */
+
+import { error, json } from 'itty-router';
+import { searchAssetsAsUser } from '../origin/dm.js';
+import { checkAssetClearance } from '../origin/fadel.js';
+
+// rights clearance status of an asset, same values as AuthorizationStatus in the React app
+const RIGHTS_STATUS = {
+  AVAILABLE: 'available',
+  NOT_AVAILABLE: 'not_available',
+  AVAILABLE_EXCEPT: 'available_except',
+};
+
+// Fadel rights type ids of the selected rights
+const MEDIA_RIGHTS_TYPE = '20';
+const MARKET_RIGHTS_TYPE = '30';
+
+// Algolia maximum hits per page, candidates are fetched in pages of this size
+const CANDIDATES_PAGE_SIZE = 1000;
+
+// default maximum number of candidates checked per search (RIGHTS_SEARCH_MAX_CANDIDATES):
+// a single Algolia page and 10 Fadel clearance requests
+const DEFAULT_MAX_CANDIDATES = 1000;
+
+// Algolia only pages through the first hits (paginationLimitedTo), further candidates are fetched with a
+// numeric cursor on the date of these sort orders. Searches with other orders continue by newest first.
+const CURSOR_SORTS = {
+  dateCreated_asc: { attribute: 'repo-createDate', operator: '>=' },
+  dateCreated_desc: { attribute: 'repo-createDate', operator: '<=' },
+  lastModified_asc: { attribute: 'repo-modifyDate', operator: '>=' },
+  lastModified_desc: { attribute: 'repo-modifyDate', operator: '<=' },
+};
+const DEFAULT_CURSOR_SORT = 'dateCreated_desc';
+
+// assets per Fadel clearance request
+const CLEARANCE_BATCH_SIZE = 100;
+
+// cleared results of a search are cached for its further pages (in RIGHTS_SEARCH_CACHE, if bound)
+const CACHE_TTL = 5 * 60;
+
+// without RIGHTS_SEARCH_CACHE, the cleared results are cached in the worker isolate instead,
+// only a few searches as the hits of large searches are several MB
+const MEMORY_CACHE_MAX_ENTRIES = 5;
+const memoryCache = new Map();
+
+const DEFAULT_HITS_PER_PAGE = 24;
+const MAX_HITS_PER_PAGE = 1000; // Algolia maximum, also used to restore several loaded pages at once
+
+const ASSET_ID_PREFIX = 'urn:aaid:aem:';
+
+/**
+ * Validate the request body
+ * @param {Object} body - Request body
+ * @returns {string|null} error message or null if valid
+ */
+function validateBody(body) {
+  if (!Array.isArray(body?.search?.requests) || body.search.requests.length === 0 || !body.search.requests[0]?.params) {
+    return 'search must be an Algolia multi-query search request with at least one request';
+  }
+  const { rights } = body;
+  if (!Number.isFinite(rights?.inDate) || !Number.isFinite(rights?.outDate) || rights.inDate > rights.outDate) {
+    return 'rights.inDate and rights.outDate must be epoch timestamps, inDate before outDate';
+  }
+  for (const field of ['markets', 'mediaChannels']) {
+    if (!Array.isArray(rights[field]) || rights[field].length === 0 || !rights[field].every(Number.isFinite)) {
+      return `rights.${field} must be a non-empty list of Fadel rights ids`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run a single search request as the user
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} user - Authenticated user
+ * @param {Object} searchRequest - Algolia search request (not modified)
+ * @param {Object} params - Parameters to set, e.g. page and hitsPerPage
+ * @returns {Promise<Object|null>} result or null if the user is not allowed to see anything
+ */
+async function searchPage(env, user, searchRequest, params) {
+  const pageRequest = structuredClone(searchRequest);
+  Object.assign(pageRequest.params, params);
+  const { results = [] } = await searchAssetsAsUser(env, user, { requests: [pageRequest] });
+  return results[0] || null;
+}
+
+/**
+ * Numeric value of a hit attribute used as cursor (epoch seconds for dates)
+ * @param {Object} hit - Search hit
+ * @param {string} attribute - Attribute name
+ * @returns {number|undefined} value
+ */
+function getCursorValue(hit, attribute) {
+  const value = hit?.[attribute] ?? hit?.repositoryMetadata?.[attribute];
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number.isFinite(Number(value)) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Fetch the candidate hits of a search request up to maxCandidates: first page by page in the requested
+ * order as far as Algolia allows, then with a numeric cursor on a date (see CURSOR_SORTS).
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} user - Authenticated user
+ * @param {Object} searchRequest - Algolia search request
+ * @param {number} maxCandidates - Maximum number of candidate hits
+ * @returns {Promise<{hits: Array, result: Object, truncated: boolean}>} candidates and the result of the first page
+ */
+async function fetchCandidates(env, user, searchRequest, maxCandidates) {
+  const hits = [];
+  const seen = new Set();
+  const add = (pageHits) => {
+    const added = pageHits.filter((hit) => hit.assetId && !seen.has(hit.assetId));
+    for (const hit of added) {
+      seen.add(hit.assetId);
+    }
+    hits.push(...added);
+    return added.length;
+  };
+
+  let result;
+  for (let page = 0; hits.length < maxCandidates; page += 1) {
+    const pageResult = await searchPage(env, user, searchRequest, { page, hitsPerPage: CANDIDATES_PAGE_SIZE });
+    if (!pageResult) {
+      // user is not allowed to see anything
+      return { hits: [], result: { hits: [], nbHits: 0 }, truncated: false };
+    }
+    result ??= pageResult;
+    const pageHits = pageResult.hits || [];
+    add(pageHits);
+    if (pageHits.length < CANDIDATES_PAGE_SIZE || page + 1 >= (pageResult.nbPages || 0)) {
+      break;
+    }
+  }
+
+  const total = Math.min(result.nbHits || 0, maxCandidates);
+  if (hits.length < total) {
+    // continue after the last hit if the search has a cursor order, otherwise from the newest asset
+    const sort = CURSOR_SORTS[searchRequest.sort] ? searchRequest.sort : DEFAULT_CURSOR_SORT;
+    const { attribute, operator } = CURSOR_SORTS[sort];
+    let cursor = sort === searchRequest.sort ? getCursorValue(hits.at(-1), attribute) : undefined;
+    const numericFilters = [searchRequest.params.numericFilters || []].flat();
+
+    while (hits.length < total) {
+      const cursorRequest = { ...searchRequest, sort };
+      const pageResult = await searchPage(env, user, cursorRequest, {
+        page: 0,
+        hitsPerPage: CANDIDATES_PAGE_SIZE,
+        // inclusive, assets with the same date as the cursor are skipped as duplicates
+        numericFilters:
+          cursor === undefined ? numericFilters : [...numericFilters, `${attribute} ${operator} ${cursor}`],
+      });
+      const pageHits = pageResult?.hits || [];
+      const added = add(pageHits);
+      const last = getCursorValue(pageHits.at(-1), attribute);
+      if (pageHits.length < CANDIDATES_PAGE_SIZE || last === undefined || (added === 0 && last === cursor)) {
+        break;
+      }
+      cursor = last;
+    }
+  }
+
+  return {
+    hits: hits.slice(0, maxCandidates),
+    result,
+    truncated: hits.length < (result.nbHits || 0),
+  };
+}
+
+/**
+ * Determine the rights clearance status of the candidate hits.
+ * Ready to use assets are not checked, assets without restrictions in Fadel are available
+ * (same as the rights check of loaded pages in the React app).
+ * @param {Object} env - Cloudflare environment
+ * @param {Array} hits - Candidate hits
+ * @param {Object} rights - Selected rights ({ inDate, outDate, markets, mediaChannels })
+ * @returns {Promise<Map<string, string>>} status by asset id
+ */
+async function checkRights(env, hits, rights) {
+  const statuses = new Map();
+  const checkedIds = [];
+  for (const hit of hits) {
+    statuses.set(hit.assetId, RIGHTS_STATUS.AVAILABLE);
+    if (String(hit['tccc-readyToUse'] ?? '').toLowerCase() !== 'yes' && hit.assetId) {
+      checkedIds.push(hit.assetId.replace(ASSET_ID_PREFIX, ''));
+    }
+  }
+
+  for (let i = 0; i < checkedIds.length; i += CLEARANCE_BATCH_SIZE) {
+    const restricted = await checkAssetClearance(env, {
+      inDate: rights.inDate,
+      outDate: rights.outDate,
+      selectedExternalAssets: checkedIds.slice(i, i + CLEARANCE_BATCH_SIZE),
+      selectedRights: {
+        [MEDIA_RIGHTS_TYPE]: rights.mediaChannels,
+        [MARKET_RIGHTS_TYPE]: rights.markets,
+      },
+    });
+    for (const item of restricted) {
+      let status = RIGHTS_STATUS.AVAILABLE;
+      if (item.notAvailable) {
+        status = RIGHTS_STATUS.NOT_AVAILABLE;
+      } else if (item.availableExcept) {
+        status = RIGHTS_STATUS.AVAILABLE_EXCEPT;
+      }
+      statuses.set(`${ASSET_ID_PREFIX}${item.asset?.assetExtId}`, status);
+    }
+  }
+  return statuses;
+}
+
+/**
+ * Values of a facet attribute of a hit, nested attributes (e.g. hierarchical tags) are separated by dots
+ * @param {Object} hit - Search hit
+ * @param {string} facet - Facet attribute
+ * @returns {Array<string>} values
+ */
+function getFacetValues(hit, facet) {
+  const value = hit[facet] ?? facet.split('.').reduce((object, key) => object?.[key], hit);
+  return [value]
+    .flat()
+    .filter((v) => v !== undefined && v !== null && v !== '')
+    .map(String);
+}
+
+/**
+ * Count the facet values of the cleared hits, for the facets of the Algolia result of all candidates
+ * @param {Object} result - Algolia result of the search request
+ * @param {Array} hits - Cleared hits
+ * @returns {Object} facets (and facets_stats) in the format of the Algolia result
+ */
+function countFacets(result, hits) {
+  const facets = {};
+  for (const facet of Object.keys(result.facets || {})) {
+    const counts = {};
+    for (const hit of hits) {
+      for (const value of getFacetValues(hit, facet)) {
+        counts[value] = (counts[value] || 0) + 1;
+      }
+    }
+    facets[facet] = counts;
+  }
+  if (!result.facets_stats) {
+    return { facets };
+  }
+
+  const stats = {};
+  for (const facet of Object.keys(result.facets_stats)) {
+    const values = hits
+      .flatMap((hit) => getFacetValues(hit, facet))
+      .map(Number)
+      .filter(Number.isFinite);
+    if (values.length > 0) {
+      const sum = values.reduce((total, value) => total + value, 0);
+      stats[facet] = { min: Math.min(...values), max: Math.max(...values), avg: sum / values.length, sum };
+    }
+  }
+  return { facets, facets_stats: stats };
+}
+
+/**
+ * Run the main request of a search on its candidates and keep only the assets cleared for the rights,
+ * its hits, total and facet counts only include the cleared assets. Further requests only count facets
+ * (e.g. disjunctive facets) and are run without checking the rights, their counts include all assets.
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} user - Authenticated user
+ * @param {Object} body - Request body ({ search, rights, includeAvailableExcept })
+ * @param {number} maxCandidates - Maximum number of candidate hits
+ * @returns {Promise<Array>} results, the first with all cleared hits
+ */
+async function clearSearch(env, user, { search, rights, includeAvailableExcept = true }, maxCandidates) {
+  const isCleared = (status) =>
+    status === RIGHTS_STATUS.AVAILABLE || (includeAvailableExcept && status === RIGHTS_STATUS.AVAILABLE_EXCEPT);
+
+  const [mainRequest, ...facetRequests] = search.requests;
+  const { hits, result, truncated } = await fetchCandidates(env, user, mainRequest, maxCandidates);
+  const statuses = await checkRights(env, hits, rights);
+  const cleared = hits
+    .map((hit) => ({ ...hit, authorized: statuses.get(hit.assetId) }))
+    .filter((hit) => isCleared(hit.authorized));
+
+  const facetResults = await Promise.all(
+    facetRequests.map(async (facetRequest) => {
+      // facet counts requests do not return hits
+      const facetResult = await searchPage(env, user, facetRequest, { page: 0, hitsPerPage: 0 });
+      return { ...(facetResult || { nbHits: 0 }), hits: [], exhaustiveFacetsCount: false };
+    }),
+  );
+
+  return [
+    {
+      ...result,
+      ...countFacets(result, cleared),
+      hits: cleared,
+      nbHits: cleared.length,
+      exhaustiveNbHits: !truncated,
+      exhaustiveFacetsCount: !truncated,
+      candidates: hits.length,
+      totalCandidates: result.nbHits || 0,
+    },
+    ...facetResults,
+  ];
+}
+
+/**
+ * KV key of the cleared results of a search, the same for all pages of it
+ * @param {Object} user - Authenticated user
+ * @param {Object} body - Request body
+ * @param {number} maxCandidates - Maximum number of candidate hits
+ * @returns {Promise<string>} key
+ */
+async function getCacheKey(user, { search, rights, includeAvailableExcept = true }, maxCandidates) {
+  const requests = search.requests.map((searchRequest, i) => {
+    if (i > 0) {
+      return searchRequest;
+    }
+    // the page selection is not part of the search
+    const params = { ...searchRequest.params };
+    delete params.page;
+    delete params.hitsPerPage;
+    return { ...searchRequest, params };
+  });
+  // the filter of non-expired assets contains the current time, which must not make every page a new search
+  const key = JSON.stringify({ email: user.email, requests, rights, includeAvailableExcept, maxCandidates }).replace(
+    /(pur-expirationDate\s*>\s*)\d+/g,
+    '$1',
+  );
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Read cached results (gzip compressed JSON in RIGHTS_SEARCH_CACHE, or from the isolate cache)
+ * @param {Object} env - Cloudflare environment
+ * @param {string} key - Cache key
+ * @returns {Promise<Array|null>} results or null if not cached
+ */
+async function readCache(env, key) {
+  if (!env.RIGHTS_SEARCH_CACHE) {
+    const cached = memoryCache.get(key);
+    return cached && cached.expires > Date.now() ? cached.results : null;
+  }
+  const compressed = await env.RIGHTS_SEARCH_CACHE.get(key, { type: 'arrayBuffer' });
+  if (!compressed) {
+    return null;
+  }
+  const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).json();
+}
+
+/**
+ * Cache results (gzip compressed JSON, the hits of large searches are several MB), without
+ * RIGHTS_SEARCH_CACHE in the worker isolate, so only further pages served by the same isolate are cached
+ * @param {Object} env - Cloudflare environment
+ * @param {string} key - Cache key
+ * @param {Array} results - Results
+ */
+async function writeCache(env, key, results) {
+  if (!env.RIGHTS_SEARCH_CACHE) {
+    const now = Date.now();
+    for (const [cachedKey, cached] of memoryCache) {
+      if (cached.expires <= now || memoryCache.size >= MEMORY_CACHE_MAX_ENTRIES) {
+        memoryCache.delete(cachedKey);
+      }
+    }
+    memoryCache.set(key, { results, expires: now + CACHE_TTL * 1000 });
+    return;
+  }
+  try {
+    const stream = new Blob([JSON.stringify(results)]).stream().pipeThrough(new CompressionStream('gzip'));
+    await env.RIGHTS_SEARCH_CACHE.put(key, await new Response(stream).arrayBuffer(), { expirationTtl: CACHE_TTL });
+  } catch (err) {
+    // further pages search again
+    console.warn('Failed to cache rights search results:', err.message);
+  }
+}
+
+/**
+ * Search assets cleared for the selected rights
+ * POST /api/rightssearch
+ * Body: {
+ *   search: Algolia multi-query search request as for /api/adobe/assets/search (page and hitsPerPage of the
+ *     first request select the result page, further requests are facet counts without the rights check),
+ *   rights: { inDate, outDate, markets: [fadel ids], mediaChannels: [fadel ids] },
+ *   includeAvailableExcept: whether to include assets available with exceptions (default true)
+ * }
+ * Responds like the Algolia search, with the `authorized` status on every hit and
+ * `exhaustiveNbHits: false` if the search had more candidates than could be checked (`candidates` of
+ * `totalCandidates` checked, `nbHits` only counts the cleared assets among them).
+ * The cleared results are cached for CACHE_TTL, so further pages of a search do not check the rights again.
+ */
+async function searchWithRights(request, env) {
+  try {
+    const body = await request.json().catch(() => null);
+    const invalid = validateBody(body);
+    if (invalid) {
+      return error(400, { success: false, error: invalid });
+    }
+
+    const { params } = body.search.requests[0];
+    const page = Math.max(Number.parseInt(params.page, 10) || 0, 0);
+    const hitsPerPage = Math.min(
+      Math.max(Number.parseInt(params.hitsPerPage, 10) || DEFAULT_HITS_PER_PAGE, 1),
+      MAX_HITS_PER_PAGE,
+    );
+    const maxCandidates = Number(env.RIGHTS_SEARCH_MAX_CANDIDATES) || DEFAULT_MAX_CANDIDATES;
+
+    const cacheKey = await getCacheKey(request.user, body, maxCandidates);
+    let results = await readCache(env, cacheKey);
+    if (!results) {
+      results = await clearSearch(env, request.user, body, maxCandidates);
+      await writeCache(env, cacheKey, results);
+    }
+
+    const [mainResult, ...otherResults] = results;
+    return json({
+      results: [
+        {
+          ...mainResult,
+          hits: mainResult.hits.slice(page * hitsPerPage, (page + 1) * hitsPerPage),
+          nbPages: Math.ceil(mainResult.nbHits / hitsPerPage),
+          page,
+          hitsPerPage,
+        },
+        ...otherResults,
+      ],
+    });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to search assets with rights', message: err.message });
+  }
+}
+
+/**
+ * Main rights search API handler - routes requests to appropriate endpoint
+ */
+export async function rightsSearchApi(request, env) {
+  const url = new URL(request.url);
+  if (url.pathname === '/api/rightssearch' && request.method === 'POST') {
+    return searchWithRights(request, env);
+  }
+
+  return error(404, { success: false, error: 'Rights search endpoint not found' });
+}
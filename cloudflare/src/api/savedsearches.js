@@ -1,9 +1,83 @@
 /**
  * Saved Searches API endpoints
- * Provides CRUD operations for the SAVED_SEARCHES KV namespace
+ * Provides RESTful saved search resources and low-level CRUD operations
+ * for the SAVED_SEARCHES KV namespace
+ *
+ * Saved search resources (one KV entry per search):
+ *   GET    /api/savedsearches       - list the user's saved searches
+ *   POST   /api/savedsearches       - create a saved search
+ *   GET    /api/savedsearches/<id>  - get a saved search
+ *   PUT    /api/savedsearches/<id>  - update a saved search (If-Match: <ETag>)
+ *   DELETE /api/savedsearches/<id>  - delete a saved search (If-Match: <ETag>)
+ *   PUT    /api/savedsearches/<id>/share - set the users a saved search is shared with
+ *   GET    /api/savedsearches/shared/<owner>/<id> - get a saved search shared with the user
+ *   DELETE /api/savedsearches/shared/<owner>/<id> - unsubscribe from a shared saved search
+ *
+ * Each search carries a `version` which is returned as ETag. Writes with an
+ * If-Match header (or `version` in the body) that does not match the stored
+ * version are rejected with 409 Conflict.
+ *
+ * Searches with `alert: true` are picked up by the scheduled saved search alerts
+ * job (see ../jobs/savedsearchalerts.js) which notifies the user about new matching assets.
+ *
+ * Owners can share a saved search with other users (`sharedWith`). Subscribers see it in
+ * their list as read-only (`readOnly: true`, `owner: <email>`) and can run it or unsubscribe,
+ * but not modify it. Subscriptions are indexed as `shared:<subscriber>:<owner>:<id>`.
+ *
+ * All keys are scoped to the authenticated user: regular endpoints only accept
+ * keys starting with `user:<session email>:`. Support staff with the
+ * `admin-saved-searches` permission can use the `/api/savedsearches/admin/*`
+ * endpoints to access keys of any user. Saved searches, their alert state and
+ * subscriptions cannot be written or deleted with the low-level `/set` and `/delete`
+ * operations, which would bypass the version check and the bookkeeping.
  */
 
 import { json, error } from 'itty-router';
+import { auditLog } from '../util/audit.js';
+
+// Permission required for the unscoped /api/savedsearches/admin/* endpoints
+const ADMIN_PERMISSION = 'admin-saved-searches';
+
+// KV key prefix for the alert state of saved searches (see buildSavedSearchAlertKey)
+export const SAVED_SEARCH_ALERT_PREFIX = 'alert:';
+
+// KV key prefix for the subscriptions of users to shared saved searches (see buildSubscriptionKey)
+const SUBSCRIPTION_PREFIX = 'shared:';
+
+// Maximum number of users a saved search can be shared with
+const MAX_SHARED_WITH = 100;
+
+// Fields of the saved searches in legacy blobs (see migrateLegacySavedSearches), sharing and alerts
+// did not exist then and are only set with the saved search endpoints
+const LEGACY_SEARCH_FIELDS = [
+  'name',
+  'searchTerm',
+  'facetFilters',
+  'numericFilters',
+  'rightsFilters',
+  'searchType',
+  'sortBy',
+  'thumbnailImageId',
+  'favorite',
+  'dateCreated',
+  'dateLastModified',
+  'dateLastUsed',
+];
+
+// fields of a saved search that users can set when creating or updating it, the others are set by the
+// API (id, dates, version, sharing) or only returned to subscribers (owner, readOnly)
+const EDITABLE_SEARCH_FIELDS = [
+  'name',
+  'searchTerm',
+  'facetFilters',
+  'numericFilters',
+  'rightsFilters',
+  'searchType',
+  'sortBy',
+  'thumbnailImageId',
+  'favorite',
+  'alert',
+];
 
 /**
  * Main Saved Searches API handler - routes requests to appropriate endpoint
@@ -11,24 +85,172 @@ import { json, error } from 'itty-router';
 export async function savedSearchesApi(request, env) {
   const url = new URL(request.url);
   const path = url.pathname;
-  
+
+  const userEmail = getUserEmail(request);
+  if (!userEmail) {
+    return error(401, { success: false, error: 'User not authenticated' });
+  }
+
+  // admin endpoints: same operations, but not restricted to the user's own keys
+  if (path.startsWith('/api/savedsearches/admin/')) {
+    if (!request.user.permissions?.includes(ADMIN_PERMISSION)) {
+      console.warn(`[${userEmail}] denied saved searches admin access`);
+      return error(403, { success: false, error: `${ADMIN_PERMISSION} permission required` });
+    }
+    request.keyScope = '';
+  } else {
+    request.keyScope = getUserKeyPrefix(userEmail);
+  }
+
   if (path.endsWith('/list')) return listKeys(request, env);
   if (path.endsWith('/get')) return getValue(request, env);
   if (path.endsWith('/set')) return setValue(request, env);
   if (path.endsWith('/delete')) return deleteKey(request, env);
+
+  if (path === '/api/savedsearches/admin/migrate' && request.method === 'POST') {
+    return migrateAllLegacySearches(request, env);
+  }
+
+  const pathParts = path.split('/').filter(Boolean);
+
+  // Shared saved search resources
+  // Path format: /api/savedsearches/shared/<ownerEmail>/<searchId>
+  if (pathParts[2] === 'shared' && pathParts.length === 5 && request.keyScope) {
+    const ownerEmail = decodeURIComponent(pathParts[3]).toLowerCase();
+    const searchId = pathParts[4];
+    if (!isValidSearchId(searchId)) {
+      return error(400, { success: false, error: 'Invalid saved search ID' });
+    }
+
+    if (request.method === 'GET') return getSharedSavedSearch(request, env, ownerEmail, searchId);
+    if (request.method === 'DELETE') return unsubscribeSavedSearch(request, env, ownerEmail, searchId);
+
+    return error(405, { success: false, error: 'Method not allowed' });
+  }
+
+  // Path format: /api/savedsearches/<searchId>/share
+  if (pathParts[3] === 'share' && pathParts.length === 4 && request.keyScope) {
+    const searchId = pathParts[2];
+    if (!isValidSearchId(searchId)) {
+      return error(400, { success: false, error: 'Invalid saved search ID' });
+    }
+
+    if (request.method === 'PUT') return shareSavedSearch(request, env, searchId);
+
+    return error(405, { success: false, error: 'Method not allowed' });
+  }
+
+  // Path format: /api/savedsearches/<searchId>/used
+  if (pathParts[3] === 'used' && pathParts.length === 4 && request.keyScope) {
+    const searchId = pathParts[2];
+    if (!isValidSearchId(searchId)) {
+      return error(400, { success: false, error: 'Invalid saved search ID' });
+    }
+
+    if (request.method === 'POST') return markSavedSearchUsed(request, env, searchId);
+
+    return error(405, { success: false, error: 'Method not allowed' });
+  }
+
+  // Saved search resources
+  // Path format: /api/savedsearches or /api/savedsearches/<searchId>
+  if (pathParts.length <= 3 && request.keyScope) {
+    const searchId = pathParts[2];
+    if (searchId && !isValidSearchId(searchId)) {
+      return error(400, { success: false, error: 'Invalid saved search ID' });
+    }
+
+    if (request.method === 'GET' && !searchId) return listSavedSearches(request, env);
+    if (request.method === 'POST' && !searchId) return createSavedSearch(request, env);
+    if (request.method === 'GET' && searchId) return getSavedSearch(request, env, searchId);
+    if (request.method === 'PUT' && searchId) return updateSavedSearch(request, env, searchId);
+    if (request.method === 'DELETE' && searchId) return deleteSavedSearch(request, env, searchId);
+
+    return error(405, { success: false, error: 'Method not allowed' });
+  }
   
   return error(404, { success: false, error: 'Saved searches endpoint not found' });
 }
 
+/**
+ * Get current user email from request
+ * @param {Request} request - Request object
+ * @returns {string} User email (lowercase)
+ */
+function getUserEmail(request) {
+  // User email should be available from authentication middleware
+  return request.user?.email?.toLowerCase() || '';
+}
+
+/**
+ * Build the KV key prefix owned by a user
+ * @param {string} userEmail - User email
+ * @returns {string} KV key prefix
+ */
+function getUserKeyPrefix(userEmail) {
+  return `user:${userEmail}:`;
+}
+
+/**
+ * Check if a key (or list prefix) is within the scope allowed for this request
+ * @param {Request} request - Request object (with keyScope set by savedSearchesApi)
+ * @param {string} key - KV key or prefix
+ * @returns {boolean} True if access is allowed
+ */
+function isKeyInScope(request, key) {
+  return key.startsWith(request.keyScope || '');
+}
+
+/**
+ * Standard response for keys outside the user's scope
+ * @param {Request} request - Request object
+ * @param {string} key - Rejected KV key or prefix
+ * @returns {Response} 403 response
+ */
+function forbiddenKey(request, key) {
+  console.warn(`[${getUserEmail(request)}] denied access to saved searches key: ${key}`);
+  return error(403, { success: false, error: 'Access to this key is not allowed' });
+}
+
+/**
+ * Check if a key is maintained by the saved search resource endpoints: saved searches
+ * (`user:<email>:saved-search:<id>`), the legacy blob they are migrated from
+ * (`user:<email>:saved-searches`), their alert state and subscriptions
+ * @param {string} key - KV key
+ * @returns {boolean} True if the key must not be written or deleted directly
+ */
+function isManagedKey(key) {
+  return /^user:.*:saved-search:/.test(key)
+    || /^user:.*:saved-searches$/.test(key)
+    || key.startsWith(SAVED_SEARCH_ALERT_PREFIX)
+    || key.startsWith(SUBSCRIPTION_PREFIX);
+}
+
+/**
+ * Standard response for writes of keys maintained by the saved search resource endpoints
+ * @param {Request} request - Request object
+ * @param {string} key - Rejected KV key
+ * @returns {Response} 403 response
+ */
+function managedKey(request, key) {
+  console.warn(`[${getUserEmail(request)}] denied direct write of saved searches key: ${key}`);
+  return error(403, { success: false, error: 'Saved searches can only be changed with the saved search endpoints' });
+}
+
 /**
  * List all keys in the KV store
  * GET /api/savedsearches/list?prefix=xxx&limit=100
+ * The prefix defaults to the user's own key prefix.
  */
 export async function listKeys(request, env) {
   try {
     const url = new URL(request.url);
-    const prefix = url.searchParams.get('prefix') || '';
+    const prefix = url.searchParams.get('prefix') || request.keyScope || '';
     const limit = parseInt(url.searchParams.get('limit') || '100', 10);
+
+    if (!isKeyInScope(request, prefix)) {
+      return forbiddenKey(request, prefix);
+    }
     
     const { keys } = await env.SAVED_SEARCHES.list({
       prefix,
@@ -62,6 +284,10 @@ export async function getValue(request, env) {
     if (!key) {
       return error(400, { success: false, error: 'Key is required' });
     }
+
+    if (!isKeyInScope(request, key)) {
+      return forbiddenKey(request, key);
+    }
     
     const value = await env.SAVED_SEARCHES.get(key, { type: 'text' });
     
@@ -106,6 +332,13 @@ export async function setValue(request, env) {
     if (value === undefined) {
       return error(400, { success: false, error: 'Value is required' });
     }
+
+    if (!isKeyInScope(request, key)) {
+      return forbiddenKey(request, key);
+    }
+    if (isManagedKey(key)) {
+      return managedKey(request, key);
+    }
     
     // Convert value to string if it's an object
     const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
@@ -119,6 +352,12 @@ export async function setValue(request, env) {
     }
     
     await env.SAVED_SEARCHES.put(key, stringValue, options);
+
+    await auditLog(request, env, {
+      action: 'savedsearch.set',
+      targetType: 'savedsearch',
+      targetId: key,
+    });
     
     return json({
       success: true,
@@ -143,8 +382,21 @@ export async function deleteKey(request, env) {
     if (!key) {
       return error(400, { success: false, error: 'Key is required' });
     }
+
+    if (!isKeyInScope(request, key)) {
+      return forbiddenKey(request, key);
+    }
+    if (isManagedKey(key)) {
+      return managedKey(request, key);
+    }
     
     await env.SAVED_SEARCHES.delete(key);
+
+    await auditLog(request, env, {
+      action: 'savedsearch.delete',
+      targetType: 'savedsearch',
+      targetId: key,
+    });
     
     return json({
       success: true,
@@ -156,3 +408,705 @@ export async function deleteKey(request, env) {
     return error(500, { success: false, error: err.message });
   }
 }
+
+// ---------------------------------------------------------------------------
+// Saved search resources
+// ---------------------------------------------------------------------------
+
+/**
+ * Check that a saved search ID is safe to use inside a KV key
+ * @param {string} searchId - Saved search ID
+ * @returns {boolean} True if valid
+ */
+function isValidSearchId(searchId) {
+  return /^[A-Za-z0-9_-]{1,64}$/.test(searchId);
+}
+
+/**
+ * Build KV key for a single saved search
+ * @param {string} userEmail - User email
+ * @param {string} searchId - Saved search ID
+ * @returns {string} KV key
+ */
+function buildSavedSearchKey(userEmail, searchId) {
+  return `${getUserKeyPrefix(userEmail)}saved-search:${searchId}`;
+}
+
+/**
+ * Build KV key of the legacy blob holding all saved searches of a user as one array
+ * @param {string} userEmail - User email
+ * @returns {string} KV key
+ */
+function buildLegacySavedSearchesKey(userEmail) {
+  return `${getUserKeyPrefix(userEmail)}saved-searches`;
+}
+
+/**
+ * Format a version as (strong) ETag header value
+ * @param {number} version - Saved search version
+ * @returns {string} ETag
+ */
+function toETag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Get the version the client expects to overwrite, from the If-Match header or the body
+ * @param {Request} request - Request object
+ * @param {Object} [body] - Parsed request body
+ * @returns {number|string|undefined} expected version, '*' for any, undefined if not provided
+ */
+function getExpectedVersion(request, body) {
+  const ifMatch = request.headers.get('If-Match');
+  if (ifMatch) {
+    const value = ifMatch.trim().replace(/^W\//, '').replace(/"/g, '');
+    return value === '*' ? '*' : Number(value);
+  }
+  return body?.version;
+}
+
+/**
+ * Check the expected version against the stored saved search
+ * @param {number|string|undefined} expected - Expected version (see getExpectedVersion)
+ * @param {Object} search - Stored saved search
+ * @returns {boolean} True if the write may proceed
+ */
+function versionMatches(expected, search) {
+  if (expected === undefined || expected === null || expected === '*') {
+    return true;
+  }
+  return Number(expected) === (search.version || 0);
+}
+
+/**
+ * Standard response for conflicting writes
+ * @param {Object} current - Currently stored saved search
+ * @returns {Response} 409 response including the current state
+ */
+function conflict(current) {
+  const response = error(409, {
+    success: false,
+    error: 'Saved search was modified elsewhere',
+    current,
+  });
+  response.headers.set('ETag', toETag(current.version || 0));
+  return response;
+}
+
+/**
+ * Json response for a single saved search including its ETag
+ * @param {Object} search - Saved search
+ * @returns {Response} json response
+ */
+function savedSearchResponse(search) {
+  return json(
+    { success: true, data: search },
+    { headers: { ETag: toETag(search.version) } },
+  );
+}
+
+/**
+ * Build KV key for the alert state of a saved search.
+ * Kept outside of the `user:<email>:` prefix so users cannot modify it through the key-value endpoints.
+ * @param {string} userEmail - User email
+ * @param {string} searchId - Saved search ID
+ * @returns {string} KV key
+ */
+export function buildSavedSearchAlertKey(userEmail, searchId) {
+  return `${SAVED_SEARCH_ALERT_PREFIX}${userEmail}:${searchId}`;
+}
+
+/**
+ * Create, update or remove the alert state entry of a saved search based on its `alert` flag
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment bindings
+ * @param {string} userEmail - User email
+ * @param {Object} search - Saved search (null if deleted)
+ * @param {string} [searchId] - Saved search ID (if search is null)
+ */
+async function syncSavedSearchAlert(request, env, userEmail, search, searchId = search?.id) {
+  const key = buildSavedSearchAlertKey(userEmail, searchId);
+  if (!search?.alert) {
+    await env.SAVED_SEARCHES.delete(key);
+    return;
+  }
+
+  const existing = await env.SAVED_SEARCHES.get(key, { type: 'json' });
+  await env.SAVED_SEARCHES.put(key, JSON.stringify({
+    // no last run yet: the first run only records its time, later runs report assets created since
+    lastRun: null,
+    ...existing,
+    email: userEmail,
+    searchId,
+    // IDP attributes needed to compute the user's search authorization in the scheduled job
+    country: request.user.country,
+    employeeType: request.user.employeeType,
+    // used to build links in the alert messages
+    origin: new URL(request.url).origin,
+  }), {
+    // see isAlertDue() in ../jobs/savedsearchalerts.js
+    metadata: { lastRun: existing?.lastRun || null },
+  });
+}
+
+/**
+ * Build KV key for the subscription of a user to a saved search shared by another user.
+ * Kept outside of the `user:<email>:` prefix so users cannot subscribe themselves through the key-value endpoints.
+ * @param {string} subscriberEmail - Email of the user the search is shared with
+ * @param {string} ownerEmail - Email of the owner of the saved search
+ * @param {string} searchId - Saved search ID
+ * @returns {string} KV key
+ */
+function buildSubscriptionKey(subscriberEmail, ownerEmail, searchId) {
+  return `${SUBSCRIPTION_PREFIX}${subscriberEmail}:${ownerEmail}:${searchId}`;
+}
+
+/**
+ * Normalize the list of users a saved search is shared with
+ * @param {Array} emails - Email addresses
+ * @param {string} ownerEmail - Email of the owner (removed from the list)
+ * @returns {Array|null} Lowercase, unique email addresses or null if invalid
+ */
+function normalizeSharedWith(emails, ownerEmail) {
+  if (!Array.isArray(emails)) {
+    return null;
+  }
+  const normalized = [...new Set(emails.map((email) => String(email).trim().toLowerCase()))]
+    .filter((email) => email && email !== ownerEmail);
+  if (normalized.some((email) => !/^[^@\s:]+@[^@\s:]+$/.test(email))) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Create and remove the subscription entries of a saved search
+ * @param {Object} env - Environment bindings
+ * @param {string} ownerEmail - Email of the owner
+ * @param {string} searchId - Saved search ID
+ * @param {Array} previous - Users the search was shared with before
+ * @param {Array} current - Users the search is shared with now
+ */
+async function syncSubscriptions(env, ownerEmail, searchId, previous = [], current = []) {
+  const removed = previous.filter((email) => !current.includes(email));
+  const added = current.filter((email) => !previous.includes(email));
+  const sharedAt = Date.now();
+
+  await Promise.all([
+    ...removed.map((email) => env.SAVED_SEARCHES.delete(buildSubscriptionKey(email, ownerEmail, searchId))),
+    ...added.map((email) => env.SAVED_SEARCHES.put(
+      buildSubscriptionKey(email, ownerEmail, searchId),
+      JSON.stringify({ owner: ownerEmail, searchId, sharedAt }),
+    )),
+  ]);
+}
+
+/**
+ * Read a saved search shared with a user
+ * @param {Object} env - Environment bindings
+ * @param {string} subscriberEmail - Email of the user the search is shared with
+ * @param {string} ownerEmail - Email of the owner
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<Object|null>} Read-only view of the saved search or null if not (or no longer) shared
+ */
+async function readSharedSavedSearch(env, subscriberEmail, ownerEmail, searchId) {
+  const search = await readSavedSearch(env, ownerEmail, searchId);
+  if (!search?.sharedWith?.includes(subscriberEmail)) {
+    return null;
+  }
+
+  const shared = {
+    ...search,
+    // the owner's personal settings are not shared
+    favorite: false,
+    owner: ownerEmail,
+    readOnly: true,
+  };
+  delete shared.sharedWith;
+  delete shared.alert;
+  return shared;
+}
+
+/**
+ * List the saved searches shared with a user.
+ * Subscriptions whose search was deleted or is no longer shared are removed.
+ * @param {Object} env - Environment bindings
+ * @param {string} subscriberEmail - Email of the user
+ * @returns {Promise<Array>} Read-only saved searches
+ */
+async function listSharedSavedSearches(env, subscriberEmail) {
+  const prefix = `${SUBSCRIPTION_PREFIX}${subscriberEmail}:`;
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.SAVED_SEARCHES.list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  const searches = await Promise.all(keys.map(async (key) => {
+    const subscription = await env.SAVED_SEARCHES.get(key.name, { type: 'json' });
+    const search = subscription
+      && await readSharedSavedSearch(env, subscriberEmail, subscription.owner, subscription.searchId);
+    if (!search) {
+      await env.SAVED_SEARCHES.delete(key.name);
+    }
+    return search;
+  }));
+
+  return searches.filter(Boolean);
+}
+
+/**
+ * Read a single saved search
+ * @param {Object} env - Environment bindings
+ * @param {string} userEmail - User email
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<Object|null>} Saved search or null if not found
+ */
+export async function readSavedSearch(env, userEmail, searchId) {
+  return env.SAVED_SEARCHES.get(buildSavedSearchKey(userEmail, searchId), { type: 'json' });
+}
+
+/**
+ * Store a single saved search
+ * @param {Object} env - Environment bindings
+ * @param {string} userEmail - User email
+ * @param {Object} search - Saved search (with id and version)
+ */
+async function writeSavedSearch(env, userEmail, search) {
+  await env.SAVED_SEARCHES.put(buildSavedSearchKey(userEmail, search.id), JSON.stringify(search), {
+    metadata: {
+      version: search.version,
+      name: search.name,
+    },
+  });
+}
+
+/**
+ * Copy the given fields of an object, leaving out undefined ones
+ * @param {Object} object - Source object, e.g. a request body
+ * @param {string[]} fields - Field names
+ * @returns {Object} object with the fields
+ */
+function pickFields(object, fields) {
+  return Object.fromEntries(fields.filter((field) => object?.[field] !== undefined).map((field) => [field, object[field]]));
+}
+
+/**
+ * Summary of a saved search for the audit log
+ * @param {Object} search - Saved search
+ * @returns {Object|null} audit summary
+ */
+function auditSummary(search) {
+  if (!search) {
+    return null;
+  }
+  return {
+    name: search.name,
+    version: search.version,
+    alert: !!search.alert,
+    sharedWith: search.sharedWith || [],
+  };
+}
+
+/**
+ * Split the legacy single-blob array of a user into individual saved search entries.
+ * Only the fields of LEGACY_SEARCH_FIELDS are kept, searches without name are skipped.
+ * Existing individual entries are not overwritten. The legacy blob is deleted afterwards.
+ *
+ * @param {Object} env - Environment bindings
+ * @param {string} userEmail - User email
+ * @returns {Promise<number>} Number of migrated saved searches
+ */
+export async function migrateLegacySavedSearches(env, userEmail) {
+  const legacyKey = buildLegacySavedSearchesKey(userEmail);
+  const legacy = await env.SAVED_SEARCHES.get(legacyKey, { type: 'text' });
+  if (legacy === null) {
+    return 0;
+  }
+
+  let searches;
+  try {
+    searches = JSON.parse(legacy);
+  } catch (err) {
+    console.error(`Failed to parse legacy saved searches ${legacyKey}:`, err);
+    return 0;
+  }
+
+  let migrated = 0;
+  for (const search of Array.isArray(searches) ? searches : []) {
+    const searchId = String(search?.id || '');
+    if (!isValidSearchId(searchId)) {
+      console.warn(`Skipping legacy saved search with invalid id in ${legacyKey}:`, search?.id);
+      continue;
+    }
+    if (typeof search.name !== 'string' || !search.name) {
+      console.warn(`Skipping legacy saved search without name in ${legacyKey}:`, searchId);
+      continue;
+    }
+    if (await readSavedSearch(env, userEmail, searchId)) {
+      continue;
+    }
+    await writeSavedSearch(env, userEmail, {
+      ...pickFields(search, LEGACY_SEARCH_FIELDS),
+      id: searchId,
+      sharedWith: [],
+      version: 1,
+    });
+    migrated += 1;
+  }
+
+  await env.SAVED_SEARCHES.delete(legacyKey);
+  console.warn(`[${userEmail}] migrated ${migrated} legacy saved searches`);
+  return migrated;
+}
+
+/**
+ * List all saved searches of the current user
+ * GET /api/savedsearches
+ * Migrates a legacy single-blob entry on first access.
+ */
+export async function listSavedSearches(request, env) {
+  try {
+    const userEmail = getUserEmail(request);
+
+    await migrateLegacySavedSearches(env, userEmail);
+
+    const prefix = buildSavedSearchKey(userEmail, '');
+    const keys = [];
+    let cursor;
+    do {
+      const page = await env.SAVED_SEARCHES.list({ prefix, cursor });
+      keys.push(...page.keys);
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    const searches = (await Promise.all(
+      keys.map((key) => env.SAVED_SEARCHES.get(key.name, { type: 'json' })),
+    )).filter((search) => search !== null);
+
+    searches.push(...await listSharedSavedSearches(env, userEmail));
+
+    return json({
+      success: true,
+      data: searches,
+      count: searches.length,
+    });
+  } catch (err) {
+    console.error('Error listing saved searches:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
+
+/**
+ * Get a saved search
+ * GET /api/savedsearches/<searchId>
+ */
+export async function getSavedSearch(request, env, searchId) {
+  try {
+    const search = await readSavedSearch(env, getUserEmail(request), searchId);
+    if (!search) {
+      return error(404, { success: false, error: 'Saved search not found' });
+    }
+    return savedSearchResponse(search);
+  } catch (err) {
+    console.error('Error getting saved search:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
+
+/**
+ * Create a saved search
+ * POST /api/savedsearches
+ * Body: saved search object (name, searchTerm, facetFilters, numericFilters, rightsFilters, ...)
+ */
+export async function createSavedSearch(request, env) {
+  try {
+    const userEmail = getUserEmail(request);
+    const body = await request.json();
+
+    if (!body?.name) {
+      return error(400, { success: false, error: 'Missing required field: name' });
+    }
+
+    const now = Date.now();
+    const search = {
+      dateCreated: now,
+      dateLastModified: now,
+      dateLastUsed: now,
+      favorite: false,
+      ...pickFields(body, EDITABLE_SEARCH_FIELDS),
+      id: crypto.randomUUID(),
+      // shared via PUT /api/savedsearches/<id>/share only
+      sharedWith: [],
+      version: 1,
+    };
+
+    await writeSavedSearch(env, userEmail, search);
+    await syncSavedSearchAlert(request, env, userEmail, search);
+
+    await auditLog(request, env, {
+      action: 'savedsearch.create',
+      targetType: 'savedsearch',
+      targetId: buildSavedSearchKey(userEmail, search.id),
+      after: auditSummary(search),
+    });
+
+    return savedSearchResponse(search);
+  } catch (err) {
+    console.error('Error creating saved search:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
+
+/**
+ * Update a saved search (partial update, the EDITABLE_SEARCH_FIELDS in the body are merged)
+ * PUT /api/savedsearches/<searchId>
+ * Headers: If-Match: <ETag> (optional, alternatively `version` in the body)
+ */
+export async function updateSavedSearch(request, env, searchId) {
+  try {
+    const userEmail = getUserEmail(request);
+    const updates = await request.json();
+
+    const existing = await readSavedSearch(env, userEmail, searchId);
+    if (!existing) {
+      return error(404, { success: false, error: 'Saved search not found' });
+    }
+
+    if (!versionMatches(getExpectedVersion(request, updates), existing)) {
+      return conflict(existing);
+    }
+
+    const search = {
+      ...existing,
+      ...pickFields(updates, EDITABLE_SEARCH_FIELDS),
+      dateLastModified: Date.now(),
+      version: (existing.version || 0) + 1,
+    };
+
+    await writeSavedSearch(env, userEmail, search);
+    await syncSavedSearchAlert(request, env, userEmail, search);
+
+    await auditLog(request, env, {
+      action: 'savedsearch.update',
+      targetType: 'savedsearch',
+      targetId: buildSavedSearchKey(userEmail, searchId),
+      before: auditSummary(existing),
+      after: auditSummary(search),
+    });
+
+    return savedSearchResponse(search);
+  } catch (err) {
+    console.error('Error updating saved search:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
+
+/**
+ * Record that a saved search was run. Only sets dateLastUsed: the version is kept, so that
+ * running a search does not make edits in other tabs conflict, and it is not audited.
+ * POST /api/savedsearches/<searchId>/used
+ */
+export async function markSavedSearchUsed(request, env, searchId) {
+  try {
+    const userEmail = getUserEmail(request);
+
+    const existing = await readSavedSearch(env, userEmail, searchId);
+    if (!existing) {
+      return error(404, { success: false, error: 'Saved search not found' });
+    }
+
+    const search = { ...existing, dateLastUsed: Date.now() };
+    await writeSavedSearch(env, userEmail, search);
+
+    return savedSearchResponse(search);
+  } catch (err) {
+    console.error('Error marking saved search as used:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
+
+/**
+ * Delete a saved search
+ * DELETE /api/savedsearches/<searchId>
+ * Headers: If-Match: <ETag> (optional)
+ */
+export async function deleteSavedSearch(request, env, searchId) {
+  try {
+    const userEmail = getUserEmail(request);
+
+    const existing = await readSavedSearch(env, userEmail, searchId);
+    if (!existing) {
+      return error(404, { success: false, error: 'Saved search not found' });
+    }
+
+    if (!versionMatches(getExpectedVersion(request), existing)) {
+      return conflict(existing);
+    }
+
+    await env.SAVED_SEARCHES.delete(buildSavedSearchKey(userEmail, searchId));
+    await syncSavedSearchAlert(request, env, userEmail, null, searchId);
+    await syncSubscriptions(env, userEmail, searchId, existing.sharedWith);
+
+    await auditLog(request, env, {
+      action: 'savedsearch.delete',
+      targetType: 'savedsearch',
+      targetId: buildSavedSearchKey(userEmail, searchId),
+      before: auditSummary(existing),
+    });
+
+    return json({
+      success: true,
+      message: 'Saved search deleted successfully',
+      searchId,
+    });
+  } catch (err) {
+    console.error('Error deleting saved search:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
+
+/**
+ * Set the users a saved search is shared with (read-only)
+ * PUT /api/savedsearches/<searchId>/share
+ * Headers: If-Match: <ETag> (optional, alternatively `version` in the body)
+ * Body: { sharedWith: string[] }
+ */
+export async function shareSavedSearch(request, env, searchId) {
+  try {
+    const userEmail = getUserEmail(request);
+    const body = await request.json();
+
+    const sharedWith = normalizeSharedWith(body?.sharedWith, userEmail);
+    if (!sharedWith) {
+      return error(400, { success: false, error: 'sharedWith must be a list of email addresses' });
+    }
+    if (sharedWith.length > MAX_SHARED_WITH) {
+      return error(400, { success: false, error: `A saved search can be shared with at most ${MAX_SHARED_WITH} users` });
+    }
+
+    const existing = await readSavedSearch(env, userEmail, searchId);
+    if (!existing) {
+      return error(404, { success: false, error: 'Saved search not found' });
+    }
+
+    if (!versionMatches(getExpectedVersion(request, body), existing)) {
+      return conflict(existing);
+    }
+
+    const search = {
+      ...existing,
+      sharedWith,
+      dateLastModified: Date.now(),
+      version: (existing.version || 0) + 1,
+    };
+
+    await writeSavedSearch(env, userEmail, search);
+    await syncSubscriptions(env, userEmail, searchId, existing.sharedWith, sharedWith);
+
+    await auditLog(request, env, {
+      action: 'savedsearch.share',
+      targetType: 'savedsearch',
+      targetId: buildSavedSearchKey(userEmail, searchId),
+      before: { sharedWith: existing.sharedWith || [] },
+      after: { sharedWith },
+    });
+
+    return savedSearchResponse(search);
+  } catch (err) {
+    console.error('Error sharing saved search:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
+
+/**
+ * Get a saved search shared with the current user
+ * GET /api/savedsearches/shared/<ownerEmail>/<searchId>
+ */
+export async function getSharedSavedSearch(request, env, ownerEmail, searchId) {
+  try {
+    const search = await readSharedSavedSearch(env, getUserEmail(request), ownerEmail, searchId);
+    if (!search) {
+      return error(404, { success: false, error: 'Saved search not found' });
+    }
+    return savedSearchResponse(search);
+  } catch (err) {
+    console.error('Error getting shared saved search:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
+
+/**
+ * Unsubscribe the current user from a shared saved search.
+ * Also removes the user from the `sharedWith` list of the owner's search.
+ * DELETE /api/savedsearches/shared/<ownerEmail>/<searchId>
+ */
+export async function unsubscribeSavedSearch(request, env, ownerEmail, searchId) {
+  try {
+    const userEmail = getUserEmail(request);
+
+    await env.SAVED_SEARCHES.delete(buildSubscriptionKey(userEmail, ownerEmail, searchId));
+
+    const search = await readSavedSearch(env, ownerEmail, searchId);
+    if (search?.sharedWith?.includes(userEmail)) {
+      await writeSavedSearch(env, ownerEmail, {
+        ...search,
+        sharedWith: search.sharedWith.filter((email) => email !== userEmail),
+        version: (search.version || 0) + 1,
+      });
+    }
+
+    await auditLog(request, env, {
+      action: 'savedsearch.unsubscribe',
+      targetType: 'savedsearch',
+      targetId: buildSavedSearchKey(ownerEmail, searchId),
+    });
+
+    return json({
+      success: true,
+      message: 'Unsubscribed from saved search',
+      searchId,
+    });
+  } catch (err) {
+    console.error('Error unsubscribing from saved search:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
+
+/**
+ * Migrate the legacy saved searches blobs of all users
+ * POST /api/savedsearches/admin/migrate
+ * Requires: admin-saved-searches permission
+ */
+export async function migrateAllLegacySearches(_request, env) {
+  try {
+    const users = [];
+    let cursor;
+    do {
+      const page = await env.SAVED_SEARCHES.list({ prefix: 'user:', cursor });
+      for (const key of page.keys) {
+        const match = key.name.match(/^user:(.+):saved-searches$/);
+        if (match) {
+          users.push(match[1]);
+        }
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    let migrated = 0;
+    for (const userEmail of users) {
+      migrated += await migrateLegacySavedSearches(env, userEmail);
+    }
+
+    return json({
+      success: true,
+      users: users.length,
+      migrated,
+    });
+  } catch (err) {
+    console.error('Error migrating saved searches:', err);
+    return error(500, { success: false, error: err.message });
+  }
+}
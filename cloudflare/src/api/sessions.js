@@ -0,0 +1,296 @@
+/**
+ * User sessions API endpoints
+ * Active login sessions are recorded in the AUTH_TOKENS KV namespace so that they can be
+ * listed and revoked before the session cookie (JWT) expires.
+ */
+
+import { error, json } from 'itty-router';
+import { auditLog } from '../util/audit.js';
+
+const SESSION_KEY_PREFIX = 'session:';
+// legacy-session:<sid> marks a session cookie issued before sessions were recorded as adopted
+const LEGACY_SESSION_KEY_PREFIX = 'legacy-session:';
+
+// KV metadata is limited to 1024 bytes
+const MAX_USER_AGENT_LENGTH = 256;
+
+// sessions found active are cached in the isolate for this time, so that not every request
+// (e.g. page resources) reads KV. Revocations in other isolates apply after this time at the
+// latest, like the KV propagation.
+const ACTIVE_SESSION_CACHE_MS = 60 * 1000;
+const MAX_CACHED_SESSIONS = 1000;
+
+// session KV key => time the session was found active
+const activeSessions = new Map();
+
+/**
+ * Build KV key for a session
+ * @param {string} email - User email (of the logged in user, not a sudo user)
+ * @param {string} sid - Session ID from the session JWT
+ * @returns {string} KV key
+ */
+function buildSessionKey(email, sid) {
+  return `${SESSION_KEY_PREFIX}${email.toLowerCase()}:${sid}`;
+}
+
+/**
+ * Write the KV entry of a session, expiring together with the session JWT.
+ * @param {Request} request - Login (OIDC callback) or refreshing request
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} session - Session JWT payload (email, idp, sid, auth_time, iat, exp)
+ */
+async function putSession(request, env, session) {
+  const info = {
+    sid: session.sid,
+    email: session.email,
+    idp: session.idp || '',
+    userAgent: (request.headers.get('User-Agent') || '').substring(0, MAX_USER_AGENT_LENGTH),
+    ip: request.headers.get('CF-Connecting-IP') || '',
+    country: request.cf?.country || '',
+    createdAt: new Date((session.auth_time || session.iat) * 1000).toISOString(),
+    refreshedAt: new Date(session.iat * 1000).toISOString(),
+    expiresAt: new Date(session.exp * 1000).toISOString(),
+  };
+
+  await env.AUTH_TOKENS.put(buildSessionKey(session.email, session.sid), JSON.stringify(info), {
+    // KV expiration must be at least 60 seconds in the future
+    expiration: Math.max(session.exp, Math.floor(Date.now() / 1000) + 60),
+    // listing sessions only needs the metadata
+    metadata: info,
+  });
+}
+
+/**
+ * Record a new session upon login.
+ * @param {Request} request - Login (OIDC callback) request
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} session - Session JWT payload (email, idp, sid, auth_time, iat, exp)
+ */
+export async function recordSession(request, env, session) {
+  await putSession(request, env, session);
+}
+
+/**
+ * Update the record of a session when its cookie is reissued. Reads KV without the isolate cache
+ * (see isSessionActive()) and never re-creates a missing record: a revoked session stays revoked.
+ * @param {Request} request - Refreshing request
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} session - Reissued session JWT payload (email, idp, sid, auth_time, iat, exp)
+ * @returns {Promise<boolean>} true if the session is recorded and was updated, false if it was revoked
+ */
+export async function updateSession(request, env, session) {
+  const key = buildSessionKey(session.email, session.sid);
+  if ((await env.AUTH_TOKENS.get(key)) === null) {
+    activeSessions.delete(key);
+    return false;
+  }
+  await putSession(request, env, session);
+  return true;
+}
+
+/**
+ * Adopt a session cookie issued before sessions were recorded (without sid and auth_time).
+ * The cookie gets a session id derived from the JWT and is recorded on its first use only,
+ * later uses are checked against that record like any other session, so that revoking it
+ * (logout, sign out everywhere, admin) cannot be undone by presenting the old cookie again.
+ * @param {Request} request - Request with the legacy session cookie
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} session - Legacy session JWT payload
+ * @param {string} sessionJWT - Legacy session JWT
+ * @returns {Promise<Object>} session payload with sid and auth_time
+ */
+export async function adoptLegacySession(request, env, session, sessionJWT) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(sessionJWT));
+  const hash = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  const adopted = {
+    ...session,
+    sid: `legacy-${hash.substring(0, 32)}`,
+    auth_time: session.iat,
+  };
+
+  const markerKey = `${LEGACY_SESSION_KEY_PREFIX}${adopted.sid}`;
+  if ((await env.AUTH_TOKENS.get(markerKey)) === null) {
+    const expiration = Math.max(session.exp, Math.floor(Date.now() / 1000) + 60);
+    await env.AUTH_TOKENS.put(markerKey, adopted.email, { expiration });
+    await putSession(request, env, adopted);
+  }
+  return adopted;
+}
+
+/**
+ * Check whether a session is still active (recorded and not revoked).
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} session - Session JWT payload
+ * @returns {Promise<boolean>} true if the session is active
+ */
+export async function isSessionActive(env, session) {
+  if (!session.email || !session.sid) {
+    return false;
+  }
+  const key = buildSessionKey(session.email, session.sid);
+  if (Date.now() - (activeSessions.get(key) || 0) < ACTIVE_SESSION_CACHE_MS) {
+    return true;
+  }
+
+  const value = await env.AUTH_TOKENS.get(key);
+  if (value === null) {
+    activeSessions.delete(key);
+    return false;
+  }
+  if (activeSessions.size >= MAX_CACHED_SESSIONS) {
+    activeSessions.clear();
+  }
+  activeSessions.set(key, Date.now());
+  return true;
+}
+
+/**
+ * List all active sessions of a user
+ * @param {Object} env - Cloudflare environment
+ * @param {string} email - User email
+ * @returns {Promise<Array>} session info objects, most recent login first
+ */
+async function listSessions(env, email) {
+  const prefix = buildSessionKey(email, '');
+  const sessions = [];
+  let cursor;
+  do {
+    const result = await env.AUTH_TOKENS.list({ prefix, cursor });
+    for (const key of result.keys) {
+      if (key.metadata) {
+        sessions.push(key.metadata);
+      }
+    }
+    cursor = result.list_complete ? undefined : result.cursor;
+  } while (cursor);
+
+  return sessions.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Revoke a single session
+ * @param {Object} env - Cloudflare environment
+ * @param {string} email - User email
+ * @param {string} sid - Session ID
+ */
+export async function revokeSession(env, email, sid) {
+  const key = buildSessionKey(email, sid);
+  activeSessions.delete(key);
+  await env.AUTH_TOKENS.delete(key);
+}
+
+/**
+ * Revoke all sessions of a user ("sign out everywhere")
+ * @param {Object} env - Cloudflare environment
+ * @param {string} email - User email
+ * @returns {Promise<number>} number of revoked sessions
+ */
+export async function revokeAllSessions(env, email) {
+  const sessions = await listSessions(env, email);
+  await Promise.all(sessions.map((s) => revokeSession(env, email, s.sid)));
+  return sessions.length;
+}
+
+/**
+ * Determine whose sessions are managed by this request. Users manage their own sessions,
+ * users with the admin-sessions permission can manage any user's sessions via ?email=
+ * @param {Request} request - Request object
+ * @returns {{email: string, admin: boolean}|Response} target user or error response
+ */
+function getTargetUser(request) {
+  // the logged in user, not the impersonated user when using sudo
+  const ownEmail = request.user?.su?.email || request.user?.email;
+  if (!ownEmail) {
+    return error(401, { success: false, error: 'User not authenticated' });
+  }
+
+  const url = new URL(request.url);
+  const email = url.searchParams.get('email')?.trim().toLowerCase();
+  if (!email || email === ownEmail.toLowerCase()) {
+    return { email: ownEmail.toLowerCase(), admin: false };
+  }
+
+  if (!request.user.permissions?.includes('admin-sessions')) {
+    return error(403, { success: false, error: 'Access denied: admin-sessions permission required' });
+  }
+  return { email, admin: true };
+}
+
+/**
+ * List active sessions
+ * GET /api/user/sessions[?email=<email>]
+ */
+async function getSessions(request, env, target) {
+  try {
+    const sessions = await listSessions(env, target.email);
+    const currentSid = request.user?.sid;
+
+    return json({
+      success: true,
+      email: target.email,
+      sessions: sessions.map((s) => ({
+        ...s,
+        current: !target.admin && s.sid === currentSid,
+      })),
+    });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to list sessions', message: err.message });
+  }
+}
+
+/**
+ * Revoke one session or all sessions
+ * DELETE /api/user/sessions[?email=<email>]
+ * DELETE /api/user/sessions/<sid>[?email=<email>]
+ */
+async function deleteSessions(request, env, target, sid) {
+  try {
+    let revoked;
+    if (sid) {
+      await revokeSession(env, target.email, sid);
+      revoked = 1;
+    } else {
+      revoked = await revokeAllSessions(env, target.email);
+    }
+
+    if (target.admin) {
+      console.warn('Admin revoked sessions of user:', target.email, sid || '(all)');
+    }
+
+    await auditLog(request, env, {
+      action: 'session.revoke',
+      targetType: 'user',
+      targetId: target.email,
+      after: { sid: sid || '(all)', revoked },
+    });
+
+    return json({ success: true, email: target.email, revoked });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to revoke sessions', message: err.message });
+  }
+}
+
+/**
+ * Main user sessions API handler - routes requests to appropriate endpoint
+ */
+export async function userSessionsApi(request, env) {
+  const url = new URL(request.url);
+
+  // Path format: /api/user/sessions or /api/user/sessions/<sid>
+  const pathParts = url.pathname.split('/').filter(Boolean);
+  const sid = pathParts.length > 3 ? decodeURIComponent(pathParts[3]) : null;
+
+  const target = getTargetUser(request);
+  if (target instanceof Response) {
+    return target;
+  }
+
+  if (request.method === 'GET' && !sid) {
+    return getSessions(request, env, target);
+  }
+  if (request.method === 'DELETE') {
+    return deleteSessions(request, env, target, sid);
+  }
+
+  return error(404, { success: false, error: 'Sessions endpoint not found' });
+}
@@ -0,0 +1,300 @@
+/**
+ * Sudo (user impersonation) API endpoints
+ * Users with the sudo permission can view the application as another user for support purposes.
+ * An impersonation is started explicitly with a reason, bound to the session of the super user,
+ * expires automatically and is recorded in the audit log. Write operations are blocked
+ * while impersonating unless explicitly allowed (requires the sudo-write permission).
+ */
+
+import { error, json } from 'itty-router';
+import { auditLog } from '../util/audit.js';
+import { findAuditKeys, parseFilters, readAuditEvents } from './audit.js';
+
+const SUDO_KEY_PREFIX = 'sudo:';
+
+const DEFAULT_SUDO_MINUTES = 30;
+const DEFAULT_SUDO_MAX_MINUTES = 120;
+
+// KV expiration must be at least 60 seconds in the future
+const MIN_KV_EXPIRATION_SEC = 60;
+
+// API calls other than reads are blocked while impersonating, except these which do not change anything
+// of the impersonated user: searches, rights checks, download archives, extending the session and ending
+// the impersonation
+const SUDO_ALLOWED_WRITES = [
+  { method: 'POST', path: /^\/api\/adobe\/assets\/(search|search-collections|archives)$/ },
+  { method: 'POST', path: /^\/api\/rightssearch$/ },
+  { method: 'POST', path: /^\/api\/fadel\/rc-api\/clearance\/assetclearance$/ },
+  { method: 'POST', path: /^\/api\/user\/session$/ },
+  { method: 'DELETE', path: /^\/api\/user\/sudo$/ },
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Build KV key for the active impersonation of a session
+ * @param {string} sid - Session ID of the super user
+ * @returns {string} KV key
+ */
+function buildSudoKey(sid) {
+  return `${SUDO_KEY_PREFIX}${sid}`;
+}
+
+/**
+ * Get the active impersonation of a session
+ * @param {Object} env - Cloudflare environment
+ * @param {string} sid - Session ID of the super user
+ * @returns {Promise<Object|null>} impersonation record or null
+ */
+export async function getActiveSudo(env, sid) {
+  if (!sid) {
+    return null;
+  }
+  const sudo = await env.AUTH_TOKENS.get(buildSudoKey(sid), { type: 'json' });
+  // KV expiration is not exact, double check
+  if (!sudo || new Date(sudo.expiresAt) <= new Date()) {
+    return null;
+  }
+  return sudo;
+}
+
+/**
+ * Record the start or end of an impersonation in the audit log
+ * @param {Request} request - Request object
+ * @param {Object} env - Cloudflare environment
+ * @param {string} action - `sudo.start` or `sudo.stop`
+ * @param {Object} sudo - Impersonation record (with endedAt when ended)
+ * @param {Object} [options] - auditLog() options
+ */
+async function auditSudo(request, env, action, sudo, options) {
+  await auditLog(
+    request,
+    env,
+    {
+      action,
+      targetType: 'user',
+      targetId: sudo.as.email,
+      [action === 'sudo.start' ? 'after' : 'before']: sudo,
+    },
+    options,
+  );
+}
+
+/**
+ * Get the logged in (super) user, not the impersonated user
+ * @param {Request} request - Request object
+ * @returns {Object} super user identity
+ */
+function getSuperUser(request) {
+  const user = request.user;
+  return {
+    name: user.su?.name || user.name,
+    email: user.su?.email || user.email,
+  };
+}
+
+/**
+ * Get active impersonation
+ * GET /api/user/sudo
+ */
+async function getSudo(request, env) {
+  try {
+    const sudo = await getActiveSudo(env, request.user.sid);
+    return json({ success: true, sudo });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to get impersonation', message: err.message });
+  }
+}
+
+/**
+ * Start impersonating a user
+ * POST /api/user/sudo
+ * Body: { email, name?, country?, employeeType?, reason, durationMinutes?, allowWrites? }
+ */
+async function startSudo(request, env) {
+  try {
+    const permissions = request.user.permissions || [];
+    if (!permissions.includes('sudo')) {
+      return error(403, { success: false, error: 'Access denied: sudo permission required' });
+    }
+    if (!request.user.sid) {
+      return error(400, { success: false, error: 'Impersonation requires a user session' });
+    }
+
+    const body = await request.json();
+    const email = body.email?.trim().toLowerCase();
+    const reason = body.reason?.trim();
+    if (!email) {
+      return error(400, { success: false, error: 'Missing required field: email' });
+    }
+    if (!reason) {
+      return error(400, { success: false, error: 'Missing required field: reason' });
+    }
+    if (body.allowWrites && !permissions.includes('sudo-write')) {
+      return error(403, {
+        success: false,
+        error: 'Access denied: sudo-write permission required to allow write operations',
+      });
+    }
+
+    const maxMinutes = Number(env.SUDO_MAX_MINUTES) || DEFAULT_SUDO_MAX_MINUTES;
+    const minutes = Math.min(Math.max(Number(body.durationMinutes) || DEFAULT_SUDO_MINUTES, 1), maxMinutes);
+
+    const now = Date.now();
+    // never outlive the session of the super user
+    const expiresAt = Math.min(now + minutes * 60 * 1000, (request.user.exp || Infinity) * 1000);
+    const expiration = Math.floor(expiresAt / 1000);
+    if (expiration - Math.floor(now / 1000) < MIN_KV_EXPIRATION_SEC) {
+      return error(400, { success: false, error: 'Session expires too soon, please log in again' });
+    }
+
+    // end any previous impersonation of this session
+    const previous = await getActiveSudo(env, request.user.sid);
+    if (previous) {
+      await auditSudo(request, env, 'sudo.stop', { ...previous, endedAt: new Date(now).toISOString() });
+    }
+
+    const superUser = getSuperUser(request);
+    const sudo = {
+      id: crypto.randomUUID(),
+      by: superUser,
+      as: {
+        name: body.name?.trim() || email,
+        email,
+        country: body.country?.trim() || '',
+        employeeType: body.employeeType?.trim() || '',
+      },
+      reason,
+      allowWrites: !!body.allowWrites,
+      startedAt: new Date(now).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+
+    // no impersonation without audit trail
+    try {
+      await auditSudo(request, env, 'sudo.start', sudo, { required: true });
+    } catch (err) {
+      return error(503, {
+        success: false,
+        error: 'Impersonation not started: failed to write the audit log',
+        message: err.message,
+      });
+    }
+    await env.AUTH_TOKENS.put(buildSudoKey(request.user.sid), JSON.stringify(sudo), { expiration });
+
+    console.warn('Sudo started:', superUser.email, 'as', email, 'until', sudo.expiresAt, 'reason:', reason);
+
+    return json({ success: true, sudo });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to start impersonation', message: err.message });
+  }
+}
+
+/**
+ * Stop impersonating
+ * DELETE /api/user/sudo
+ */
+async function stopSudo(request, env) {
+  try {
+    const sudo = await getActiveSudo(env, request.user.sid);
+    if (sudo) {
+      await env.AUTH_TOKENS.delete(buildSudoKey(request.user.sid));
+      await auditSudo(request, env, 'sudo.stop', { ...sudo, endedAt: new Date().toISOString() });
+      console.warn('Sudo ended:', sudo.by.email, 'as', sudo.as.email);
+    }
+    return json({ success: true });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to stop impersonation', message: err.message });
+  }
+}
+
+/**
+ * List the impersonation audit trail, most recent first: the sudo events of the audit log in the
+ * time range (see /api/audit, default last 7 days)
+ * GET /api/user/sudo/audit[?email=<super user or impersonated user>&from=&to=&limit=]
+ * Requires admin-audit permission.
+ */
+async function listSudoAudit(request, env) {
+  try {
+    if (!request.user.permissions?.includes('admin-audit')) {
+      return error(403, { success: false, error: 'Access denied: admin-audit permission required' });
+    }
+
+    const url = new URL(request.url);
+    const email = url.searchParams.get('email')?.trim().toLowerCase();
+    const filters = parseFilters(url);
+    if (filters instanceof Response) {
+      return filters;
+    }
+
+    if (!env.AUDIT_LOG) {
+      return error(503, { success: false, error: 'Audit log not configured' });
+    }
+
+    // one record per impersonation, the stop event adds endedAt
+    const records = new Map();
+    const { keys } = await findAuditKeys(env, { ...filters, action: 'sudo' });
+    const events = await readAuditEvents(env, keys);
+    // oldest first, so that the stop event wins
+    for (const event of events.reverse()) {
+      const sudo = event.after || event.before;
+      if (sudo?.id) {
+        records.set(sudo.id, { ...records.get(sudo.id), ...sudo });
+      }
+    }
+
+    const entries = [...records.values()]
+      .filter((sudo) => !email || sudo.by?.email === email || sudo.as?.email === email)
+      .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+
+    return json({ success: true, entries });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to list impersonation audit', message: err.message });
+  }
+}
+
+/**
+ * Middleware blocking API write operations while impersonating, unless allowed by the impersonation.
+ */
+export function withSudoWriteProtection(request) {
+  if (!request.user?.su || request.user.su.allowWrites || READ_METHODS.includes(request.method)) {
+    return;
+  }
+
+  const { pathname } = new URL(request.url);
+  const allowed = SUDO_ALLOWED_WRITES.some(({ method, path }) => method === request.method && path.test(pathname));
+  if (pathname.startsWith('/api/') && !allowed) {
+    console.warn('Sudo write blocked:', request.user.su.email, 'as', request.user.email, request.method, pathname);
+    return error(403, {
+      success: false,
+      error: `Write operations are disabled while viewing as ${request.user.email}`,
+    });
+  }
+}
+
+/**
+ * Main sudo API handler - routes requests to appropriate endpoint
+ */
+export async function sudoApi(request, env) {
+  const url = new URL(request.url);
+
+  // Path format: /api/user/sudo or /api/user/sudo/audit
+  if (url.pathname === '/api/user/sudo/audit' && request.method === 'GET') {
+    return listSudoAudit(request, env);
+  }
+  if (url.pathname !== '/api/user/sudo') {
+    return error(404, { success: false, error: 'Sudo endpoint not found' });
+  }
+
+  if (request.method === 'GET') {
+    return getSudo(request, env);
+  }
+  if (request.method === 'POST') {
+    return startSudo(request, env);
+  }
+  if (request.method === 'DELETE') {
+    return stopSudo(request, env);
+  }
+
+  return error(405, { success: false, error: 'Method not allowed' });
+}
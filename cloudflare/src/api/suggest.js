@@ -0,0 +1,142 @@
+/**
+ * Search suggestions API endpoint (typeahead of the search box)
+ * Suggests brand, campaign and tag values matching the typed text. The values are the facet
+ * values of a search for the text with the searchAuthorization constraint of the user applied,
+ * so values that only occur on assets the user cannot see (e.g. restricted brands) are never suggested.
+ */
+
+import { error, json } from 'itty-router';
+import { searchAssetsAsUser } from '../origin/dm.js';
+
+// suggested facets and their suggestion type, tags use their hierarchy levels (lvl0 is the root)
+const TAG_FACETS = {
+  'tccc-brand': 'brand',
+  'tccc-assetCategoryAndType': 'tag',
+  'tccc-intendedChannel': 'tag',
+};
+const TAG_LEVELS = [1, 2, 3];
+const STRING_FACETS = {
+  'tccc-campaignName': 'campaign',
+};
+
+const SUGGESTION_FACETS = {
+  ...Object.fromEntries(
+    Object.entries(TAG_FACETS).flatMap(([facet, type]) =>
+      TAG_LEVELS.map((level) => [`${facet}.TCCC.#hierarchy.lvl${level}`, type]),
+    ),
+  ),
+  ...STRING_FACETS,
+};
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+// facet values considered per facet
+const MAX_VALUES_PER_FACET = 100;
+
+/**
+ * Label of a facet value, the last level of hierarchical tag values ("TCCC : Brand / Coca-Cola")
+ * @param {string} value - Facet value
+ * @returns {string} label
+ */
+function getLabel(value) {
+  return value.split(' / ').pop().trim();
+}
+
+/**
+ * Rank of a label for the query: 0 if it starts with the query, 1 if a word starts with it,
+ * -1 if it does not match
+ * @param {string} label - Lower case label
+ * @param {string} query - Lower case query
+ * @returns {number} rank
+ */
+function matchRank(label, query) {
+  if (label.startsWith(query)) {
+    return 0;
+  }
+  return label.split(/[\s\-_/]+/).some((word) => word.startsWith(query)) ? 1 : -1;
+}
+
+/**
+ * Get search suggestions
+ * GET /api/suggest?q=<text>&limit=<n>
+ * Returns { success, suggestions: [{ type, facet, value, label, count }] }, best matches first.
+ * `facet` and `value` select the suggestion as facet filter (same keys as the search facets).
+ */
+async function getSuggestions(request, env) {
+  try {
+    const url = new URL(request.url);
+    const query = (url.searchParams.get('q') || '').trim();
+    if (query.length > MAX_QUERY_LENGTH) {
+      return error(400, { success: false, error: `q must be at most ${MAX_QUERY_LENGTH} characters` });
+    }
+    if (query.length < MIN_QUERY_LENGTH) {
+      return json({ success: true, suggestions: [] });
+    }
+    const limit = Math.min(Math.max(Number.parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const { results = [] } = await searchAssetsAsUser(env, request.user, {
+      requests: [
+        {
+          params: {
+            query,
+            // only assets that have not expired, same as the searches of the React app
+            filters: `(is_pur-expirationDate = 0 OR pur-expirationDate > ${Math.floor(Date.now() / 1000)})`,
+            facets: Object.keys(SUGGESTION_FACETS),
+            hitsPerPage: 0,
+            maxValuesPerFacet: MAX_VALUES_PER_FACET,
+            analytics: false,
+            clickAnalytics: false,
+          },
+        },
+      ],
+    });
+
+    const lowerQuery = query.toLowerCase();
+    const suggestions = new Map();
+    Object.entries(results[0]?.facets || {}).forEach(([facet, values]) => {
+      const type = SUGGESTION_FACETS[facet];
+      if (!type) return;
+      Object.entries(values).forEach(([value, count]) => {
+        const label = getLabel(value);
+        const rank = matchRank(label.toLowerCase(), lowerQuery);
+        // same label on several levels or facets: keep the most used
+        const key = `${type}:${label.toLowerCase()}`;
+        if (rank >= 0 && (!suggestions.has(key) || suggestions.get(key).count < count)) {
+          suggestions.set(key, {
+            type,
+            facet,
+            value,
+            label,
+            count,
+            rank,
+          });
+        }
+      });
+    });
+
+    return json({
+      success: true,
+      suggestions: [...suggestions.values()]
+        .sort((a, b) => a.rank - b.rank || b.count - a.count || a.label.localeCompare(b.label))
+        .slice(0, limit)
+        .map(({ rank, ...suggestion }) => suggestion),
+    });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to get search suggestions', message: err.message });
+  }
+}
+
+/**
+ * Main suggest API handler - routes requests to appropriate endpoint
+ */
+export async function suggestApi(request, env) {
+  const url = new URL(request.url);
+  if (url.pathname === '/api/suggest' && request.method === 'GET') {
+    return getSuggestions(request, env);
+  }
+
+  return error(404, { success: false, error: 'Suggest endpoint not found' });
+}
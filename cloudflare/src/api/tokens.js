@@ -0,0 +1,361 @@
+/**
+ * Personal API tokens endpoints
+ * Users with the api-tokens permission can create scoped, expiring tokens for scripted access
+ * (e.g. automated downloads), sent as `Authorization: Bearer <token>` instead of the session cookie.
+ *
+ * Tokens are stored in the AUTH_TOKENS KV namespace by their SHA-256 hash, the token itself is only
+ * returned once upon creation. A token acts as the user who created it: permissions and content
+ * attributes (search filtering) are resolved on every request just like for sessions.
+ */
+
+import { error, json } from 'itty-router';
+import { getUser } from '../user.js';
+import { auditLog } from '../util/audit.js';
+
+export const API_TOKEN_PERMISSION = 'api-tokens';
+
+const TOKEN_PREFIX = 'kat_';
+
+// api-token:<sha256 of token> -> token record (for authentication)
+const TOKEN_KEY_PREFIX = 'api-token:';
+// api-tokens:<email>:<id> -> token hash, with token info as metadata (for listing and revoking)
+const USER_TOKEN_KEY_PREFIX = 'api-tokens:';
+
+// API routes granted by each scope
+const TOKEN_SCOPES = {
+  'search:read': [
+    { methods: ['POST'], pattern: /^\/api\/adobe\/assets\/search$/ },
+    { methods: ['POST'], pattern: /^\/api\/rightssearch$/ },
+    { methods: ['GET'], pattern: /^\/api\/suggest$/ },
+    { methods: ['GET'], pattern: /^\/api\/adobe\/assets\/(?!collections\/)[^/]+\/metadata$/ },
+  ],
+  download: [
+    { methods: ['GET'], pattern: /^\/api\/adobe\/assets\/(?!collections\/)[^/]+\/(as|renditions)(\/|$)/ },
+    { methods: ['GET', 'POST'], pattern: /^\/api\/adobe\/assets\/archives(\/|$)/ },
+  ],
+  'rights:read': [{ methods: ['GET'], pattern: /^\/api\/rightsrequests(\/|$)/ }],
+  'rights:write': [{ methods: ['POST', 'DELETE'], pattern: /^\/api\/rightsrequests(\/|$)/ }],
+};
+
+const DEFAULT_EXPIRATION_DAYS = 30;
+const DEFAULT_MAX_EXPIRATION_DAYS = 90;
+const MAX_TOKENS_PER_USER = 20;
+const MAX_NAME_LENGTH = 100;
+
+// only record the last use once per hour to limit KV writes
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build KV key for a token record
+ * @param {string} hash - SHA-256 hash of the token
+ * @returns {string} KV key
+ */
+function buildTokenKey(hash) {
+  return `${TOKEN_KEY_PREFIX}${hash}`;
+}
+
+/**
+ * Build KV key for a token of a user
+ * @param {string} email - User email
+ * @param {string} id - Token ID
+ * @returns {string} KV key
+ */
+function buildUserTokenKey(email, id) {
+  return `${USER_TOKEN_KEY_PREFIX}${email.toLowerCase()}:${id}`;
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {Promise<string>} hex encoded SHA-256 hash
+ */
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate a new random token
+ * @returns {string} token, e.g. `kat_<43 base64url characters>`
+ */
+function generateToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const base64 = btoa(String.fromCharCode(...bytes));
+  return TOKEN_PREFIX + base64.replaceAll('+', '-').replaceAll('/', '_').replace(/=+$/, '');
+}
+
+/**
+ * Get the token from the Authorization header, if any
+ * @param {Request} request - Request object
+ * @returns {string|null} bearer token
+ */
+export function getBearerToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Check whether the token scopes allow the request
+ * @param {string[]} scopes - Token scopes
+ * @param {Request} request - Request object
+ * @returns {boolean} true if allowed
+ */
+function isAllowedByScopes(scopes, request) {
+  const { pathname } = new URL(request.url);
+  return scopes.some((scope) =>
+    (TOKEN_SCOPES[scope] || []).some((route) => route.methods.includes(request.method) && route.pattern.test(pathname)),
+  );
+}
+
+/**
+ * Store the token info of a user (listing), keeping the token hash as value
+ * @param {Object} env - Cloudflare environment
+ * @param {string} hash - Token hash
+ * @param {Object} info - Token info
+ */
+async function putUserToken(env, hash, info) {
+  await env.AUTH_TOKENS.put(buildUserTokenKey(info.email, info.id), hash, {
+    expiration: Math.floor(new Date(info.expiresAt).getTime() / 1000),
+    // listing tokens only needs the metadata
+    metadata: info,
+  });
+}
+
+/**
+ * Authenticate a request with a personal API token (see withAuthentication).
+ * Sets request.user on success, with request.user.apiToken describing the token.
+ * @param {Request} request - Request object
+ * @param {Object} env - Cloudflare environment
+ * @param {string} token - Bearer token
+ * @returns {Promise<Response|undefined>} error response, or undefined if authenticated
+ */
+export async function authenticateApiToken(request, env, token) {
+  const hash = await hashToken(token);
+  const record = await env.AUTH_TOKENS.get(buildTokenKey(hash), { type: 'json' });
+  // KV expiration is not exact, double check
+  if (!record || new Date(record.expiresAt) <= new Date()) {
+    return error(401, { success: false, error: 'Invalid or expired API token' });
+  }
+
+  // same permissions and content attributes as the user has right now
+  const user = await getUser(request, env, record.identity);
+  if (!user) {
+    console.warn('API token of user without access:', record.email, record.id, request.error);
+    return error(401, { success: false, error: 'User not allowed to access this application' });
+  }
+  if (!user.permissions?.includes(API_TOKEN_PERMISSION)) {
+    return error(403, { success: false, error: `Access denied: ${API_TOKEN_PERMISSION} permission required` });
+  }
+  if (!isAllowedByScopes(record.scopes, request)) {
+    return error(403, {
+      success: false,
+      error: `API token scopes (${record.scopes.join(', ')}) do not allow ${request.method} ${new URL(request.url).pathname}`,
+    });
+  }
+
+  user.apiToken = { id: record.id, name: record.name, scopes: record.scopes };
+  request.user = user;
+
+  if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    record.lastUsedAt = new Date().toISOString();
+    const expiration = Math.floor(new Date(record.expiresAt).getTime() / 1000);
+    const { identity: _identity, ...info } = record;
+    try {
+      await Promise.all([
+        env.AUTH_TOKENS.put(buildTokenKey(hash), JSON.stringify(record), { expiration }),
+        putUserToken(env, hash, info),
+      ]);
+    } catch (err) {
+      console.error('Failed to record API token use:', record.id, err);
+    }
+  }
+}
+
+/**
+ * List all tokens of a user
+ * @param {Object} env - Cloudflare environment
+ * @param {string} email - User email
+ * @returns {Promise<Array>} token info objects (without the token), most recent first
+ */
+async function listTokens(env, email) {
+  const prefix = buildUserTokenKey(email, '');
+  const tokens = [];
+  let cursor;
+  do {
+    const result = await env.AUTH_TOKENS.list({ prefix, cursor });
+    for (const key of result.keys) {
+      if (key.metadata) {
+        tokens.push(key.metadata);
+      }
+    }
+    cursor = result.list_complete ? undefined : result.cursor;
+  } while (cursor);
+
+  return tokens.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * List the tokens of the current user
+ * GET /api/user/tokens
+ */
+async function getTokens(request, env) {
+  try {
+    const tokens = await listTokens(env, request.user.email);
+    return json({
+      success: true,
+      scopes: Object.keys(TOKEN_SCOPES),
+      tokens,
+    });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to list API tokens', message: err.message });
+  }
+}
+
+/**
+ * Create a token for the current user. The token is only returned in this response.
+ * POST /api/user/tokens
+ * Body: { name, scopes, expiresInDays? }
+ */
+async function createToken(request, env) {
+  try {
+    if (!request.user.permissions?.includes(API_TOKEN_PERMISSION)) {
+      return error(403, { success: false, error: `Access denied: ${API_TOKEN_PERMISSION} permission required` });
+    }
+
+    const body = await request.json().catch(() => ({}));
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return error(400, { success: false, error: `name is required (max ${MAX_NAME_LENGTH} characters)` });
+    }
+
+    const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+    const invalidScopes = scopes.filter((scope) => !TOKEN_SCOPES[scope]);
+    if (scopes.length === 0 || invalidScopes.length > 0) {
+      return error(400, {
+        success: false,
+        error: `scopes must be a non-empty list of: ${Object.keys(TOKEN_SCOPES).join(', ')}`,
+      });
+    }
+
+    const maxDays = Number(env.API_TOKEN_MAX_DAYS) || DEFAULT_MAX_EXPIRATION_DAYS;
+    const expiresInDays =
+      body.expiresInDays === undefined ? Math.min(DEFAULT_EXPIRATION_DAYS, maxDays) : Number(body.expiresInDays);
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > maxDays) {
+      return error(400, { success: false, error: `expiresInDays must be between 1 and ${maxDays}` });
+    }
+
+    const existing = await listTokens(env, request.user.email);
+    if (existing.length >= MAX_TOKENS_PER_USER) {
+      return error(400, {
+        success: false,
+        error: `Maximum of ${MAX_TOKENS_PER_USER} API tokens reached, please revoke unused tokens`,
+      });
+    }
+
+    const token = generateToken();
+    const hash = await hashToken(token);
+    const now = new Date();
+    const info = {
+      id: crypto.randomUUID(),
+      email: request.user.email.toLowerCase(),
+      name,
+      scopes,
+      // recognizable start of the token
+      hint: token.substring(0, TOKEN_PREFIX.length + 4),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + expiresInDays * DAY_MS).toISOString(),
+    };
+    const record = {
+      ...info,
+      // the identity the token acts as, like the session cookie payload
+      identity: {
+        idp: request.user.idp,
+        sub: request.user.sub,
+        name: request.user.name,
+        email: info.email,
+        country: request.user.country,
+        employeeType: request.user.employeeType,
+        koid: request.user.koid,
+        company: request.user.company,
+      },
+    };
+
+    await env.AUTH_TOKENS.put(buildTokenKey(hash), JSON.stringify(record), {
+      expiration: Math.floor(new Date(info.expiresAt).getTime() / 1000),
+    });
+    await putUserToken(env, hash, info);
+
+    await auditLog(request, env, {
+      action: 'token.create',
+      targetType: 'token',
+      targetId: info.id,
+      after: { name, scopes, expiresAt: info.expiresAt },
+    });
+
+    return json({ success: true, token, info }, { status: 201 });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to create API token', message: err.message });
+  }
+}
+
+/**
+ * Revoke a token of the current user
+ * DELETE /api/user/tokens/<id>
+ */
+async function deleteToken(request, env, id) {
+  try {
+    const userTokenKey = buildUserTokenKey(request.user.email, id);
+    const { value: hash, metadata: info } = await env.AUTH_TOKENS.getWithMetadata(userTokenKey);
+    if (!hash) {
+      return error(404, { success: false, error: 'API token not found' });
+    }
+
+    await env.AUTH_TOKENS.delete(buildTokenKey(hash));
+    await env.AUTH_TOKENS.delete(userTokenKey);
+
+    await auditLog(request, env, {
+      action: 'token.revoke',
+      targetType: 'token',
+      targetId: id,
+      before: info && { name: info.name, scopes: info.scopes, expiresAt: info.expiresAt },
+    });
+
+    return json({ success: true, id });
+  } catch (err) {
+    return error(500, { success: false, error: 'Failed to revoke API token', message: err.message });
+  }
+}
+
+/**
+ * Main API tokens handler - routes requests to appropriate endpoint
+ */
+export async function userTokensApi(request, env) {
+  if (!request.user?.email) {
+    return error(401, { success: false, error: 'User not authenticated' });
+  }
+  // tokens act as the logged in user, they cannot be managed while impersonating another user
+  if (request.user.su) {
+    return error(403, { success: false, error: 'API tokens cannot be managed while viewing as another user' });
+  }
+
+  const url = new URL(request.url);
+
+  // Path format: /api/user/tokens or /api/user/tokens/<id>
+  const pathParts = url.pathname.split('/').filter(Boolean);
+  const id = pathParts.length > 3 ? decodeURIComponent(pathParts[3]) : null;
+
+  if (request.method === 'GET' && !id) {
+    return getTokens(request, env);
+  }
+  if (request.method === 'POST' && !id) {
+    return createToken(request, env);
+  }
+  if (request.method === 'DELETE' && id) {
+    return deleteToken(request, env, id);
+  }
+
+  return error(404, { success: false, error: 'API tokens endpoint not found' });
+}
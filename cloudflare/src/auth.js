@@ -1,6 +1,24 @@
-import { Router } from 'itty-router';
-import { createRemoteJWKSet, jwtVerify, SignJWT } from 'jose';
-import { createSession, getUser } from './user.js';
+import { json, Router } from 'itty-router';
+import { decodeJwt, jwtVerify, SignJWT } from 'jose';
+import {
+  adoptLegacySession,
+  isSessionActive,
+  recordSession,
+  revokeAllSessions,
+  revokeSession,
+  updateSession,
+} from './api/sessions.js';
+import { authenticateApiToken, getBearerToken } from './api/tokens.js';
+import {
+  getAuthorizationUrl,
+  getLogoutUrl,
+  getProvider,
+  getProviders,
+  MICROSOFT_PROVIDER_ID,
+  mapIdentity,
+  validateIdToken,
+} from './oidc.js';
+import { createSession, getUser, refreshSession } from './user.js';
 import {
   createSignedCookie,
   deleteCookie,
@@ -14,7 +32,10 @@ const AUTH_PREFIX = '/auth';
 
 const COOKIE_SESSION = 'Session';
 const COOKIE_STATE = 'State';
+// last used identity provider, preselected on the next login
+const COOKIE_IDP = 'IdP';
 const ORIGINAL_URL_PARAM = 'url';
+const PROVIDER_PARAM = 'provider';
 
 const REQUIRED_ENV_VARS = [
   'MICROSOFT_ENTRA_TENANT_ID',
@@ -22,28 +43,99 @@ const REQUIRED_ENV_VARS = [
   'COOKIE_SECRET',
 ];
 
-async function createSessionJWT(request, env, session) {
-  const payload = {
-    ...session,
-    // session id
-    sid: crypto.randomUUID(),
-  };
+// absolute maximum session lifetime from login, independent of session cookie refreshes
+const DEFAULT_SESSION_MAX_LIFETIME = '24h';
+
+// session status API, see apiUserSession() in user.js
+const SESSION_STATUS_PATH = '/api/user/session';
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
 
+/** parse a simple duration such as "30m", "12h" or "7d" into seconds */
+export function parseDuration(duration) {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  return Number.parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+async function signSessionJWT(request, env, payload, expirationTime) {
   const key = new TextEncoder().encode(await env.COOKIE_SECRET.get());
 
-  const jwt = new SignJWT(payload)
+  return new SignJWT(payload)
     .setProtectedHeader({ alg: 'HS256' })
     // use current domain as issuer
     .setIssuer(request.uri.origin)
     // use same audience as MS entra IDP app
     .setAudience(env.MICROSOFT_ENTRA_CLIENT_ID)
-    .setExpirationTime(env.SESSION_COOKIE_EXPIRATION || '6h')
+    .setExpirationTime(expirationTime)
+    .setIssuedAt()
     .setNotBefore("0m")
     .sign(key);
+}
+
+/**
+ * Create (upon login) or reissue (sliding refresh) the session cookie JWT.
+ * A reissued session keeps its session id and login time (auth_time), and never
+ * expires later than SESSION_MAX_LIFETIME after the login.
+ *
+ * @returns {Promise<string|null>} session JWT or null if the reissued session was revoked meanwhile
+ */
+async function createSessionJWT(request, env, session) {
+  const payload = {
+    ...session,
+    // session id
+    sid: session.sid || crypto.randomUUID(),
+    // login time
+    auth_time: session.auth_time || Math.floor(Date.now() / 1000),
+  };
+
+  let jwt = await signSessionJWT(request, env, payload, env.SESSION_COOKIE_EXPIRATION || '6h');
+
+  // cap at the absolute maximum lifetime
+  const maxExp = payload.auth_time + parseDuration(env.SESSION_MAX_LIFETIME || DEFAULT_SESSION_MAX_LIFETIME);
+  if (decodeJwt(jwt).exp > maxExp) {
+    jwt = await signSessionJWT(request, env, payload, maxExp);
+  }
+
+  // record session server-side so it can be listed and revoked before it expires,
+  // a reissued session only updates its record and must not bring back a revoked session
+  if (!session.sid) {
+    await recordSession(request, env, decodeJwt(jwt));
+  } else if (!await updateSession(request, env, decodeJwt(jwt))) {
+    return null;
+  }
 
   return jwt;
 }
 
+/**
+ * session cookie should be reissued if past half its lifetime (or if forced) and it can still be extended
+ * - the session status API only extends the session when explicitly asked to (POST), reading the
+ *   status (GET) is not user activity and must not keep an idle session alive
+ */
+function shouldRefreshSession(request, env, session) {
+  const now = Math.floor(Date.now() / 1000);
+  const issuedAt = session.iat || now;
+  const loginTime = session.auth_time || issuedAt;
+  const maxExp = loginTime + parseDuration(env.SESSION_MAX_LIFETIME || DEFAULT_SESSION_MAX_LIFETIME);
+
+  if (request.uri.pathname === SESSION_STATUS_PATH) {
+    return request.method === 'POST' && session.exp < maxExp;
+  }
+  return now > issuedAt + (session.exp - issuedAt) / 2 && session.exp < maxExp;
+}
+
+function setSessionCookie(request, response, sessionJWT) {
+  setCookie(response, COOKIE_SESSION, sessionJWT, {
+    // SameSite=Lax because the login callback is considered cross-site because it originates from the OIDC provider
+    SameSite: 'Lax',
+    // Safari does not like Secure on http://localhost (non SSL)
+    Secure: request.uri.hostname !== 'localhost',
+  });
+}
+
 async function validateSessionJWT(request, env, sessionJWT) {
   try {
     const key = new TextEncoder().encode(await env.COOKIE_SECRET.get());
@@ -61,15 +153,15 @@ async function validateSessionJWT(request, env, sessionJWT) {
   }
 }
 
-async function validateMicrosoftSignInCallback(request, state) {
+async function validateSignInCallback(request, state) {
   const formData = await request.formData();
   if (formData.has('error')) {
-    request.error = `Microsoft OIDC error: ${formData.get('error')} - ${formData.get('error_description')}`;
+    request.error = `OIDC error: ${formData.get('error')} - ${formData.get('error_description')}`;
     return null;
   }
 
   if (!formData.has('id_token')) {
-    request.error = 'Microsoft OIDC error: No id_token in form data';
+    request.error = 'OIDC error: No id_token in form data';
     return null;
   }
 
@@ -81,37 +173,6 @@ async function validateMicrosoftSignInCallback(request, state) {
   return formData;
 }
 
-async function validateIdToken(request, rawIdToken, env, nonce) {
-  const jwksUrl = env.MICROSOFT_ENTRA_JWKS_URL || 'https://login.microsoftonline.com/common/discovery/keys';
-  const JWKS = createRemoteJWKSet(new URL(jwksUrl));
-
-  try {
-    // validate id_token signature and expiry
-    const { payload } = await jwtVerify(rawIdToken, JWKS, {
-      audience: env.MICROSOFT_ENTRA_CLIENT_ID,
-      issuer: `https://login.microsoftonline.com/${env.MICROSOFT_ENTRA_TENANT_ID}/v2.0`,
-    });
-
-    console.log('User login:', payload);
-
-    // validate nonce
-    if (payload.nonce !== nonce) {
-      request.error = `OIDC error: Invalid nonce in id_token: ${payload.nonce}`;
-      return null;
-    }
-    // validate tenant
-    if (payload.tid !== env.MICROSOFT_ENTRA_TENANT_ID) {
-      request.error = `OIDC error: Invalid tenant (tid) in id_token: ${payload.tid}`;
-      return null;
-    }
-    return payload;
-
-  } catch (error) {
-    request.error = `OIDC error: Invalid id_token: ${error.message}`;
-    return null;
-  }
-}
-
 function unauthorized(request) {
   if (request.error) {
     console.warn(request.error);
@@ -156,21 +217,58 @@ export async function withAuthentication(request, env) {
     return;
   }
 
+  // personal API tokens (scripted access) instead of the session cookie
+  const apiToken = getBearerToken(request);
+  if (apiToken) {
+    return authenticateApiToken(request, env, apiToken);
+  }
+
   const sessionJWT = request.cookies[COOKIE_SESSION];
   if (!sessionJWT) {
     console.log('No session cookie found', request.url);
     return redirectToLoginPage(request, env);
   }
 
-  const session = await validateSessionJWT(request, env, sessionJWT);
+  let session = await validateSessionJWT(request, env, sessionJWT);
   if (!session) {
     console.warn(request.error);
     // if session cookie was found but invalid, user was previously logged in,
-    // so let's send them straight to the MS login page which might auto-login them
+    // so let's send them straight to the IDP login page which might auto-login them
     return redirectToLoginPage(request, env, `${AUTH_PREFIX}/login`);
   }
 
-  request.user = await getUser(request, env, session);
+  // sessions issued before sessions were recorded have no login time and no session id: record them
+  // upon their first use and reissue the cookie right away. They end like any other session, the
+  // login time is taken from the issue time, so SESSION_MAX_LIFETIME applies from then on
+  const isLegacySession = !session.auth_time;
+  if (isLegacySession) {
+    session = await adoptLegacySession(request, env, session, sessionJWT);
+  }
+
+  // session might have been revoked (logout, sign out everywhere, admin)
+  if (!await isSessionActive(env, session)) {
+    console.warn('Session revoked or unknown:', session.email, session.sid);
+    return redirectToLoginPage(request, env);
+  }
+
+  // sliding session: reissue the session cookie with up to date permissions and attributes
+  let currentSession = session;
+  if (isLegacySession || shouldRefreshSession(request, env, session)) {
+    const refreshed = await refreshSession(request, env, session);
+    if (!refreshed) {
+      await revokeSession(env, session.email, session.sid);
+      request.error = request.error || 'User no longer allowed to access this application';
+      return unauthorized(request);
+    }
+    request.refreshedSessionJWT = await createSessionJWT(request, env, refreshed);
+    if (!request.refreshedSessionJWT) {
+      console.warn('Session revoked:', session.email, session.sid);
+      return redirectToLoginPage(request, env);
+    }
+    currentSession = decodeJwt(request.refreshedSessionJWT);
+  }
+
+  request.user = await getUser(request, env, currentSession);
   if (!request.user) {
     request.error = request.error || 'User not allowed to access this application';
     return unauthorized(request);
@@ -179,6 +277,17 @@ export async function withAuthentication(request, env) {
   // successfully authenticated
 }
 
+/** finally handler that sets the reissued session cookie (see withAuthentication) on the response */
+export function withRefreshedSession(response, request) {
+  if (!response || !request.refreshedSessionJWT) {
+    return response;
+  }
+  // origin responses have immutable headers
+  const refreshedResponse = new Response(response.body, response);
+  setSessionCookie(request, refreshedResponse, request.refreshedSessionJWT);
+  return refreshedResponse;
+}
+
 /** router for dedicated login & logout flows */
 export const authRouter = Router({
   base: AUTH_PREFIX,
@@ -197,6 +306,13 @@ export const authRouter = Router({
 });
 
 authRouter
+  // identity providers for the login page (provider picker)
+  .get('/providers', (request, env) => json({
+    success: true,
+    providers: getProviders(env).map(({ id, name }) => ({ id, name })),
+    lastUsed: getProvider(env, request.cookies?.[COOKIE_IDP])?.id || null,
+  }))
+
   .get('/login', async (request, env) => {
     // build redirect_uri
     const redirectUrl = new URL(request.uri.origin);
@@ -215,23 +331,26 @@ authRouter
       }
     }
 
+    // explicitly chosen provider, else the last used one, else the first (Microsoft)
+    const providerId = url.searchParams.get(PROVIDER_PARAM);
+    const provider = getProvider(env, providerId || request.cookies?.[COOKIE_IDP]) || getProviders(env)[0];
+    if (providerId && provider.id !== providerId) {
+      return new Response(`Unknown identity provider: ${providerId}`, { status: 400 });
+    }
+
     const state = {
       // pass over original url inside the state parameter as that's the only way to pass back user data
       state: crypto.randomUUID() + (originalUrl ? `|${originalUrl}` : ''),
       nonce: crypto.randomUUID(),
+      provider: provider.id,
     };
 
-    // redirect to MS login page
-    const authorizeUrl = `https://login.microsoftonline.com/${env.MICROSOFT_ENTRA_TENANT_ID}/oauth2/v2.0/authorize?` +
-      new URLSearchParams({
-        client_id: env.MICROSOFT_ENTRA_CLIENT_ID,
-        response_type: 'id_token',
-        redirect_uri: redirectUrl.href,
-        response_mode: 'form_post',
-        scope: 'openid profile',
-        state: state.state,
-        nonce: state.nonce,
-      });
+    // redirect to the login page of the identity provider
+    const authorizeUrl = getAuthorizationUrl(provider, {
+      redirectUri: redirectUrl.href,
+      state: state.state,
+      nonce: state.nonce,
+    });
 
     const response = redirect(authorizeUrl);
 
@@ -255,17 +374,24 @@ authRouter
       return unauthorized(request);
     }
 
-    const formData = await validateMicrosoftSignInCallback(request, state.state);
+    // state cookies of logins started before multiple providers were supported have no provider
+    const provider = getProvider(env, state.provider || MICROSOFT_PROVIDER_ID);
+    if (!provider) {
+      request.error = `OIDC error: Unknown identity provider: ${state.provider}`;
+      return unauthorized(request);
+    }
+
+    const formData = await validateSignInCallback(request, state.state);
     if (!formData) {
       return unauthorized(request);
     }
 
-    request.idToken = await validateIdToken(request, formData.get('id_token'), env, state.nonce);
-    if (!request.idToken) {
+    const idToken = await validateIdToken(request, provider, formData.get('id_token'), state.nonce);
+    if (!idToken) {
       return unauthorized(request);
     }
 
-    const session = await createSession(request, env);
+    const session = await createSession(request, env, mapIdentity(provider, idToken));
     if (!session) {
       request.error = request.error || 'User not allowed to access this application';
       return unauthorized(request);
@@ -284,25 +410,37 @@ authRouter
 
     const response = redirect(redirectUrl);
     // set session cookie
-    setCookie(response, COOKIE_SESSION, sessionJWT, {
-      // SameSite=Lax because this request is considered cross-site because it originates from the OIDC provider
+    setSessionCookie(request, response, sessionJWT);
+    // remember the identity provider for the next login
+    setCookie(response, COOKIE_IDP, provider.id, {
       SameSite: 'Lax',
-      // Safari does not like Secure on http://localhost (non SSL)
       Secure: request.uri.hostname !== 'localhost',
+      MaxAge: 60 * 60 * 24 * 365,
     });
     // remove temporary cookies
     deleteCookie(response, COOKIE_STATE);
     return response;
   })
 
-  .get('/logout', withAuthentication, (request, env) => {
+  .get('/logout', withAuthentication, async (request, env) => {
     console.log('User logout:', request.user.email);
 
-    // redirect to MS logout page
-    const logoutUrl = `https://login.microsoftonline.com/${env.MICROSOFT_ENTRA_TENANT_ID}/oauth2/logout?` +
-      new URLSearchParams({
-        post_logout_redirect_uri: `${request.uri.origin}/`,
-      });
+    // revoke session server-side, or all sessions of the user with ?everywhere=true
+    const email = request.user.su?.email || request.user.email;
+    if (email && request.user.sid) {
+      if (request.uri.searchParams.get('everywhere') === 'true') {
+        await revokeAllSessions(env, email);
+      } else {
+        await revokeSession(env, email, request.user.sid);
+      }
+    }
+
+    // redirect to the logout page of the identity provider of the session (if any)
+    const provider = getProvider(env, request.user.idp || MICROSOFT_PROVIDER_ID);
+    const logoutUrl = getLogoutUrl(provider, `${request.uri.origin}/`) || `${request.uri.origin}/`;
+
+    // do not set a refreshed session cookie on logout
+    delete request.refreshedSessionJWT;
 
     const response = redirect(logoutUrl);
     deleteCookie(response, COOKIE_SESSION);
@@ -11,74 +11,100 @@
  */
 
 import { error, Router, withCookies } from 'itty-router';
-import { authRouter, withAuthentication } from './auth';
+import { authRouter, withAuthentication, withRefreshedSession } from './auth';
 import { originDynamicMedia } from './origin/dm';
 import { originHelix } from './origin/helix';
 import { originFadel } from './origin/fadel';
-import { cors } from './util/itty';
-import { apiUser } from './user';
+import { parseOrigins, routeCors, withAllowedMethods } from './util/itty';
+import { apiInvalidateUserAccess, apiUser, apiUserSession } from './user';
+import { userSessionsApi } from './api/sessions';
+import { userTokensApi } from './api/tokens';
+import { sudoApi, withSudoWriteProtection } from './api/sudo';
+import { withRateLimit, withRateLimitUsage } from './ratelimit';
+import { accessApi } from './api/access';
+import { auditApi } from './api/audit';
 import { savedSearchesApi } from './api/savedsearches';
 import { rightsRequestsApi } from './api/rightsrequests';
+import { rightsSearchApi } from './api/rightssearch';
+import { suggestApi } from './api/suggest';
 import { notificationsApi } from './api/notifications';
+import { scheduled } from './scheduled';
 
-// Shared CORS origins
-const allowedOrigins = [
-  'https://koassets.adobeaem.workers.dev',
-  // development URLs
-  /https:\/\/.*-koassets\.adobeaem\.workers\.dev$/,
-  /https:\/\/.*-koassets--aemsites\.aem\.(live|page)$/,
-  /http:\/\/localhost:(3000|8787)/
-];
+// API routes with the methods they support. The methods are declared once here and used for
+// routing (405 with Allow header for other methods) and CORS preflight responses.
+// Note: `/path/*` also matches `/path` itself.
+const API_ROUTES = [
+  // user info
+  { path: '/api/user', methods: ['GET'], handler: apiUser },
+  { path: '/api/user/access/invalidate', methods: ['POST'], handler: apiInvalidateUserAccess },
+  { path: '/api/user/session', methods: ['GET', 'POST'], handler: apiUserSession },
 
-// Standard CORS for most routes (GET, POST only)
-const { preflight, corsify } = cors({
-  origin: allowedOrigins,
-  allowMethods: ['GET', 'POST'],
-  credentials: true,
-  maxAge: 600,
-});
+  // active sessions of the user
+  { path: '/api/user/sessions/*', methods: ['GET', 'DELETE'], handler: userSessionsApi },
 
-// Extended CORS for Saved Searches API routes (includes DELETE, PUT)
-const { preflight: savedSearchesPreflight, corsify: savedSearchesCorsify } = cors({
-  origin: allowedOrigins,
-  allowMethods: ['GET', 'POST', 'DELETE', 'PUT'],
-  credentials: true,
-  maxAge: 600,
-});
+  // personal API tokens for scripted access
+  { path: '/api/user/tokens/*', methods: ['GET', 'POST', 'DELETE'], handler: userTokensApi },
 
-// Extended CORS for Messages API routes (includes DELETE)
-const { preflight: messagesPreflight, corsify: messagesCorsify } = cors({
-  origin: allowedOrigins,
-  allowMethods: ['GET', 'POST', 'DELETE'],
-  credentials: true,
-  maxAge: 600,
-});
+  // impersonation of other users
+  { path: '/api/user/sudo', methods: ['GET', 'POST', 'DELETE'], handler: sudoApi },
+  { path: '/api/user/sudo/audit', methods: ['GET'], handler: sudoApi },
 
-// Middleware to apply extended CORS for saved searches and messages routes
-const savedSearchesCorsMiddleware = (request) => {
-  if (request.url.includes('/api/savedsearches/')) {
-    return savedSearchesPreflight(request);
-  }
-  if (request.url.includes('/api/messages')) {
-    return messagesPreflight(request);
-  }
-  return preflight(request);
-};
+  // access support (explain authorization decisions)
+  { path: '/api/access/*', methods: ['GET'], handler: accessApi },
 
-// Finally middleware that applies appropriate CORS
-const finalCorsMiddleware = (response, request) => {
-  if (request.url.includes('/api/savedsearches/')) {
-    return savedSearchesCorsify(response, request);
-  }
-  if (request.url.includes('/api/messages')) {
-    return messagesCorsify(response, request);
+  // audit log of mutating API calls
+  { path: '/api/audit', methods: ['GET'], handler: auditApi },
+
+  // dynamic media (search, renditions, collections)
+  { path: '/api/adobe/assets/*', methods: ['GET', 'POST', 'DELETE'], handler: originDynamicMedia },
+
+  // fadel
+  { path: '/api/fadel/*', methods: ['GET', 'POST'], handler: originFadel },
+
+  // asset search filtered by rights clearance (dynamic media + fadel)
+  { path: '/api/rightssearch', methods: ['POST'], handler: rightsSearchApi },
+
+  // search suggestions (typeahead)
+  { path: '/api/suggest', methods: ['GET'], handler: suggestApi },
+
+  // Saved Searches API
+  { path: '/api/savedsearches/*', methods: ['GET', 'POST', 'PUT', 'DELETE'], handler: savedSearchesApi },
+
+  // Rights Requests API (incl. attachments)
+  { path: '/api/rightsrequests/*', methods: ['GET', 'POST', 'DELETE'], handler: rightsRequestsApi },
+
+  // Notifications API
+  { path: '/api/messages/*', methods: ['GET', 'POST', 'DELETE'], handler: notificationsApi },
+];
+
+// CORS policy for the allowed origins (CORS_ALLOWED_ORIGINS), rebuilt only if the configuration changes
+let corsPolicy;
+function getCorsPolicy(env) {
+  const origins = env.CORS_ALLOWED_ORIGINS || '';
+  if (corsPolicy?.origins !== origins) {
+    corsPolicy = {
+      origins,
+      ...routeCors(API_ROUTES, {
+        origin: parseOrigins(origins),
+        // public content, auth flows
+        defaultMethods: ['GET'],
+        credentials: true,
+        maxAge: 600,
+      }),
+    };
   }
-  return corsify(response, request);
-};
+  return corsPolicy;
+}
+
+// Middleware answering CORS preflight requests
+const corsPreflight = (request, env) => getCorsPolicy(env).preflight(request);
+
+// Finally middleware that applies CORS headers
+const corsify = (response, request, env) => getCorsPolicy(env).corsify(response, request);
 
 const router = Router({
-  before: [savedSearchesCorsMiddleware],
-  finally: [finalCorsMiddleware],
+  before: [corsPreflight],
+  finally: [withRefreshedSession, withRateLimitUsage, corsify],
   catch: (err) => {
     // log stack traces for debugging
     console.error('error', err);
@@ -113,28 +139,24 @@ router
   // from here on authentication required (middleware)
   .all('*', withAuthentication)
 
-  // user info
-  .get('/api/user', apiUser)
+  // block write operations while impersonating another user (middleware)
+  .all('*', withSudoWriteProtection)
 
-  // dynamic media
-  .all('/api/adobe/assets/*', originDynamicMedia)
+  // per-user rate limits on expensive routes (middleware)
+  .all('*', withRateLimit);
 
-  // fadel
-  .all('/api/fadel/*', originFadel)
-
-  // Saved Searches API (with extended CORS for DELETE/PUT)
-  .all('/api/savedsearches/*', savedSearchesApi)
-
-  // Rights Requests API
-  .all('/api/rightsrequests/*', rightsRequestsApi)
-
-  // Notifications API (with extended CORS for DELETE)
-  .all('/api/messages/*', notificationsApi)
-  .all('/api/messages', notificationsApi)
+// API routes (see API_ROUTES)
+for (const route of API_ROUTES) {
+  router.all(route.path, withAllowedMethods(route.methods), route.handler);
+}
 
+router
   // future API routes
   .all('/api/*', () => error(404))
 
   .all('*', originHelix);
 
-export default { ...router }
+export default { ...router, scheduled }
+
+// Durable Objects
+export { RateLimiter } from './ratelimit';
@@ -0,0 +1,156 @@
+/**
+ * Rights Review SLA Escalation (scheduled job)
+ * Finds rights requests that stay in a status longer than its SLA (see ../util/rights-sla.js)
+ * and sends escalation messages to the assigned reviewer and all admin-rights users.
+ *
+ * The SLAs are computed from the rights requests index (status, time the status was entered and
+ * reviewer are in the metadata of the index keys), so requests are only read when they are escalated.
+ * Each request is escalated once per status: the escalated status and the time it was
+ * entered are remembered in `slaEscalation` of the rights request and its index entry.
+ */
+
+import { fetchHelixSheet } from '../util/helixutil.js';
+import { sendMessage } from '../util/notifications-helpers.js';
+import { readRightsIndex, saveRightsRequest } from '../util/rights-index.js';
+import { FINAL_STATUSES, getSlaState, loadRightsSlas } from '../util/rights-sla.js';
+
+// escalations per run, each reads the request and review and writes a message per recipient,
+// the remaining overdue requests are escalated by the next runs
+const MAX_ESCALATIONS_PER_RUN = 30;
+
+/**
+ * Get the individual users with admin-rights permission from the permissions sheet
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<string>>} Admin emails
+ */
+async function getRightsAdmins(env) {
+  const permissions = await fetchHelixSheet(env, '/config/access/permissions', {
+    sheet: { key: 'email', arrays: ['permissions'] },
+  });
+
+  return Object.entries(permissions || {})
+    .filter(([email, entry]) => {
+      if (!email.includes('@')) return false;
+      const domain = email.split('@')[1]?.toLowerCase();
+      return (
+        (entry.permissions || []).includes('admin-rights') ||
+        (permissions[domain]?.permissions || []).includes('admin-rights')
+      );
+    })
+    .map(([email]) => email.toLowerCase());
+}
+
+/**
+ * Check if the SLA escalation of a request was already sent for its current status
+ * @param {Object} escalation - slaEscalation of the request or index entry
+ * @param {Object} sla - SLA state from getSlaState()
+ * @returns {boolean} true if already escalated
+ */
+function isEscalated(escalation, sla) {
+  return escalation?.status === sla.status && escalation.since === sla.since;
+}
+
+/**
+ * Escalate an overdue rights request
+ * @param {Object} env - Environment bindings
+ * @param {Object} entry - Index entry of the request (see readRightsIndex)
+ * @param {Object} slas - SLAs per status
+ * @param {Array<string>} admins - Emails of admin-rights users
+ * @returns {Promise<string>} 'escalated', 'overdue' (already escalated) or 'ok'
+ */
+export async function escalateRightsRequest(env, entry, slas, admins) {
+  const requestId = entry.rightsRequestID;
+  const reviewer = entry.rightsRequestReviewDetails.rightsReviewer || 'unassigned';
+  const [requestData, review] = await Promise.all([
+    env.RIGHTS_REQUESTS.get(entry.kvKey, { type: 'json' }),
+    env.RIGHTS_REQUEST_REVIEWS.get(`user:${reviewer}:rights-request-review:${requestId}`, { type: 'json' }),
+  ]);
+  if (!requestData) {
+    return 'ok';
+  }
+
+  // the index entry might be outdated
+  const sla = getSlaState(requestData, requestData.rightsRequestReviewDetails, slas);
+  if (!sla?.overdue) {
+    return 'ok';
+  }
+  if (isEscalated(requestData.slaEscalation, sla)) {
+    return 'overdue';
+  }
+
+  const recipients = [...new Set([requestData.rightsRequestReviewDetails?.rightsReviewer, ...admins].filter(Boolean))];
+  const unit = sla.businessDays ? 'business days' : 'days';
+  const detailsUrl = review?.origin
+    ? `\n\nView request details: ${review.origin}/my-rights-review-details?requestId=${requestId}`
+    : '';
+
+  await Promise.allSettled(
+    recipients.map((email) =>
+      sendMessage(env, email, {
+        subject: `Overdue Rights Request ${requestId}`,
+        message:
+          `Rights request ${requestId} has been "${sla.status}" since ${sla.since} and exceeded its SLA of ${sla.days} ${unit} (due ${sla.dueDate}).\n\n` +
+          `Submitted by: ${requestData.rightsRequestSubmittedUserID}\n` +
+          `Reviewer: ${requestData.rightsRequestReviewDetails?.rightsReviewer || 'not assigned'}${detailsUrl}`,
+        type: 'Alert',
+        from: 'Rights Management System',
+        priority: 'high',
+        expiresInXDays: 14,
+      }),
+    ),
+  );
+
+  requestData.slaEscalation = {
+    status: sla.status,
+    since: sla.since,
+    escalatedAt: new Date().toISOString(),
+    recipients,
+  };
+  // the index entry remembers the escalation, so the next runs skip the request without reading it
+  await saveRightsRequest(env, entry.kvKey, requestData);
+
+  return 'escalated';
+}
+
+/**
+ * Check all rights requests and escalate overdue requests
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} Summary with counts
+ */
+export async function runRightsReviewEscalations(env) {
+  const summary = { requests: 0, overdue: 0, escalated: 0, deferred: 0, failed: 0 };
+
+  const [slas, admins, entries] = await Promise.all([loadRightsSlas(env), getRightsAdmins(env), readRightsIndex(env)]);
+
+  for (const entry of entries) {
+    summary.requests += 1;
+    if (FINAL_STATUSES.includes(entry.rightsRequestReviewDetails.rightsRequestStatus)) {
+      continue;
+    }
+    const sla = getSlaState(entry, entry.rightsRequestReviewDetails, slas);
+    if (!sla?.overdue) {
+      continue;
+    }
+    summary.overdue += 1;
+    if (isEscalated(entry.slaEscalation, sla)) {
+      continue;
+    }
+    if (summary.escalated + summary.failed >= MAX_ESCALATIONS_PER_RUN) {
+      summary.deferred += 1;
+      continue;
+    }
+
+    try {
+      const result = await escalateRightsRequest(env, entry, slas, admins);
+      if (result === 'escalated') {
+        summary.escalated += 1;
+      }
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`Rights request SLA escalation ${entry.rightsRequestID} failed:`, err);
+    }
+  }
+
+  console.warn('Rights review SLA escalations done:', summary);
+  return summary;
+}
@@ -0,0 +1,266 @@
+/**
+ * Saved Search Alerts (scheduled job)
+ * Replays saved searches that have alerts enabled and notifies their owners about
+ * new matching assets via the Messages API.
+ *
+ * For each alert entry in the SAVED_SEARCHES KV namespace (`alert:<email>:<searchId>`) whose last run
+ * is a day ago, at most MAX_ALERTS_PER_RUN per run, continuing with a cursor kept between the runs:
+ * 1. resolve the owner's access (permissions and authorization attributes) from the /config/access/*
+ *    sheets like the request path, alerts of users without access are skipped until access is granted again
+ * 2. run the saved query against Dynamic Media with the same searchAuthorization filter
+ *    as the frontend search, restricted to assets modified since the last run (minus a lookback
+ *    for assets indexed late), which includes assets that were published late or newly match
+ * 3. send a message with the number of new assets and the newest asset ids, leaving out the assets
+ *    already reported in the lookback (not on the first run, which only records the run time)
+ */
+
+import { readSavedSearch, SAVED_SEARCH_ALERT_PREFIX } from '../api/savedsearches.js';
+import { searchAssetsAsUser } from '../origin/dm.js';
+import { getUserAccess } from '../user.js';
+import { sendMessage } from '../util/notifications-helpers.js';
+
+// Maximum number of new asset ids listed in a single message (newest first)
+const MAX_LISTED_ASSETS = 50;
+
+// Assets modified this long before the last run are searched again, for assets that were indexed
+// (and therefore became searchable) after the last run
+const LOOKBACK_SECONDS = 24 * 60 * 60;
+
+// Maximum number of matching assets fetched per run to leave out those already reported,
+// also the maximum number of reported assets remembered (Algolia maximum hits per page)
+const MAX_CHECKED_ASSETS = 1000;
+
+// alerts processed per run, each reads the access sheets, searches and sends a message, which must stay
+// well below the subrequest limit of an invocation. The remaining alerts are processed by the next runs.
+const MAX_ALERTS_PER_RUN = 50;
+
+// an alert is run again once its last run is this long ago (a bit less than a day, the job runs hourly)
+const ALERT_INTERVAL_SECONDS = 23 * 60 * 60;
+
+// KV key of the cursor of the alert runs (see runSavedSearchAlerts)
+const ALERTS_CURSOR_KEY = 'alerts-run:cursor';
+
+/**
+ * Build the Algolia search request for the assets of a saved search modified in a time range.
+ * Mirrors the main request of DynamicMediaClient.transformToAlgoliaSearchAssets() in the React app.
+ *
+ * @param {Object} search - Saved search
+ * @param {number} since - Only assets modified after this time (epoch seconds)
+ * @param {number} until - Only assets modified up to this time (epoch seconds)
+ * @returns {Object} Algolia multi-query search request
+ */
+export function buildAlertSearchRequest(search, since, until) {
+  const facetFilters = [];
+  Object.entries(search.facetFilters || {}).forEach(([facetTechId, values]) => {
+    const group = Object.entries(values || {})
+      .filter(([, isChecked]) => isChecked)
+      .map(([value]) => `${facetTechId}:${value}`);
+    if (group.length > 0) {
+      facetFilters.push(group);
+    }
+  });
+
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    requests: [
+      {
+        // newest first, nbHits counts all new assets
+        sort: 'lastModified_desc',
+        params: {
+          query: search.searchTerm || '',
+          facetFilters,
+          numericFilters: [
+            ...(search.numericFilters || []),
+            `repo-modifyDate > ${since}`,
+            `repo-modifyDate <= ${until}`,
+          ],
+          // only non-expired assets, same as the frontend
+          filters: `(is_pur-expirationDate = 0 OR pur-expirationDate > ${now})`,
+          attributesToRetrieve: ['assetId'],
+          hitsPerPage: MAX_CHECKED_ASSETS,
+          page: 0,
+          analytics: false,
+          clickAnalytics: false,
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Build the link to open a saved search in the portal.
+ * Same format as buildSavedSearchUrl() in scripts/saved-searches/saved-search-utils.js.
+ *
+ * @param {string} origin - Portal origin
+ * @param {Object} search - Saved search
+ * @returns {string} URL
+ */
+function buildSearchUrl(origin, search) {
+  const params = new URLSearchParams();
+  if (search.searchTerm) {
+    params.set('fulltext', search.searchTerm);
+  }
+  if (search.facetFilters && Object.keys(search.facetFilters).length > 0) {
+    params.set('facetFilters', encodeURIComponent(JSON.stringify(search.facetFilters)));
+  }
+  if (search.rightsFilters && Object.keys(search.rightsFilters).length > 0) {
+    params.set('rightsFilters', encodeURIComponent(JSON.stringify(search.rightsFilters)));
+  }
+  if (search.numericFilters && search.numericFilters.length > 0) {
+    params.set('numericFilters', encodeURIComponent(JSON.stringify(search.numericFilters)));
+  }
+  if (search.sortBy) {
+    params.set('sort', search.sortBy);
+  }
+  return `${origin}${search.searchType || '/search/all'}?${params.toString()}`;
+}
+
+/**
+ * Process a single saved search alert
+ *
+ * @param {Object} env - Environment bindings
+ * @param {string} alertKey - KV key of the alert state
+ * @returns {Promise<number>} Number of new assets found (0 on the first run)
+ */
+export async function processSavedSearchAlert(env, alertKey) {
+  const alert = await env.SAVED_SEARCHES.get(alertKey, { type: 'json' });
+  if (!alert) {
+    return 0;
+  }
+
+  const search = await readSavedSearch(env, alert.email, alert.searchId);
+  if (!search?.alert) {
+    // saved search was deleted or alert disabled without cleanup
+    await env.SAVED_SEARCHES.delete(alertKey);
+    return 0;
+  }
+
+  // same access check as for requests of the user, on the portal host the alert links to
+  // (minimal request-like object, see getUserAccess())
+  const request = {
+    headers: new Headers({ host: alert.origin ? new URL(alert.origin).host : '' }),
+  };
+  const access = await getUserAccess(request, env, {
+    email: alert.email,
+    country: alert.country,
+    employeeType: alert.employeeType,
+  });
+  if (!access) {
+    console.warn(`Saved search alert ${alertKey} skipped, user has no access:`, request.error || alert.email);
+  }
+  const user = { email: alert.email, ...access };
+
+  // the next run continues where this one ends (minus the lookback), the assets reported in the
+  // lookback are remembered with the run time, so no asset is reported twice or skipped.
+  // Without access, the run is only recorded: nothing is reported for the time without access.
+  const runTime = new Date();
+  const until = Math.floor(runTime.getTime() / 1000);
+  let reported = {};
+  let newAssets = 0;
+
+  if (alert.lastRun && access) {
+    const since = Math.floor(Date.parse(alert.lastRun) / 1000) - LOOKBACK_SECONDS;
+    // assets reported before the searched time range are not found again, unless modified
+    reported = Object.fromEntries(Object.entries(alert.reported || {}).filter(([, time]) => time > since));
+
+    const result = await searchAssetsAsUser(env, user, buildAlertSearchRequest(search, since, until));
+    const hits = result.results?.[0]?.hits || [];
+    const newIds = hits.map((hit) => hit.assetId).filter((id) => id && !reported[id]);
+    // matching assets beyond the fetched hits are counted as new
+    newAssets = newIds.length + Math.max((result.results?.[0]?.nbHits || 0) - hits.length, 0);
+    for (const id of newIds) {
+      reported[id] = until;
+    }
+
+    if (newAssets > 0) {
+      const listed = newIds.slice(0, MAX_LISTED_ASSETS);
+      const more = newAssets - listed.length;
+      await sendMessage(env, alert.email, {
+        subject: `New assets for your saved search "${search.name}"`,
+        message:
+          `${newAssets} new asset(s) match your saved search "${search.name}" since ${alert.lastRun}.\n\n` +
+          `${listed.join('\n')}${more > 0 ? `\n... and ${more} more` : ''}\n\n` +
+          `Run the search: ${buildSearchUrl(alert.origin || '', search)}`,
+        type: 'Alert',
+        from: 'Saved Search Alerts',
+        priority: 'normal',
+        expiresInXDays: 14,
+      });
+    }
+  }
+
+  // only the most recently reported assets are remembered
+  const reportedIds = Object.keys(reported)
+    .sort((a, b) => reported[b] - reported[a])
+    .slice(0, MAX_CHECKED_ASSETS);
+  const state = {
+    ...alert,
+    lastRun: runTime.toISOString(),
+    reported: Object.fromEntries(reportedIds.map((id) => [id, reported[id]])),
+  };
+  await env.SAVED_SEARCHES.put(alertKey, JSON.stringify(state), {
+    // listing the alerts finds the due ones without reading them
+    metadata: { lastRun: state.lastRun },
+  });
+
+  return newAssets;
+}
+
+/**
+ * Check whether an alert is due: never run, or last run ALERT_INTERVAL_SECONDS ago
+ *
+ * @param {Object} [metadata] - KV metadata of the alert key
+ * @returns {boolean} true if due
+ */
+function isAlertDue(metadata) {
+  const lastRun = Date.parse(metadata?.lastRun);
+  return !lastRun || Date.now() - lastRun >= ALERT_INTERVAL_SECONDS * 1000;
+}
+
+/**
+ * Run the due saved search alerts, at most maxAlerts. The cursor is kept between runs,
+ * once all alerts were checked the next run starts over.
+ *
+ * @param {Object} env - Environment bindings
+ * @param {number} [maxAlerts] - Maximum number of alerts to process
+ * @returns {Promise<Object>} Summary with counts, deferred if due alerts were left for the next run
+ */
+export async function runSavedSearchAlerts(env, maxAlerts = MAX_ALERTS_PER_RUN) {
+  const summary = { alerts: 0, notified: 0, failed: 0, deferred: false, cursor: undefined };
+  const cursor = await env.SAVED_SEARCHES.get(ALERTS_CURSOR_KEY);
+
+  let pageCursor = cursor || undefined;
+  pages: do {
+    const page = await env.SAVED_SEARCHES.list({ prefix: SAVED_SEARCH_ALERT_PREFIX, cursor: pageCursor });
+    for (const key of page.keys.filter((k) => isAlertDue(k.metadata))) {
+      if (summary.alerts >= maxAlerts) {
+        // continue with this page, its processed alerts are not due anymore
+        summary.deferred = true;
+        summary.cursor = pageCursor;
+        break pages;
+      }
+      summary.alerts += 1;
+      try {
+        // sequentially to keep the load on Dynamic Media and the sheets low
+        const newAssets = await processSavedSearchAlert(env, key.name);
+        if (newAssets > 0) {
+          summary.notified += 1;
+        }
+      } catch (err) {
+        summary.failed += 1;
+        console.error(`Saved search alert ${key.name} failed:`, err);
+      }
+    }
+    pageCursor = page.list_complete ? undefined : page.cursor;
+  } while (pageCursor);
+
+  if (summary.cursor) {
+    await env.SAVED_SEARCHES.put(ALERTS_CURSOR_KEY, summary.cursor);
+  } else if (cursor) {
+    await env.SAVED_SEARCHES.delete(ALERTS_CURSOR_KEY);
+  }
+
+  console.warn('Saved search alerts done:', summary);
+  return summary;
+}
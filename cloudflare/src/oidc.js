@@ -0,0 +1,271 @@
+/**
+ * OIDC identity providers (IDPs) for login.
+ *
+ * Microsoft Entra (employees) is configured with the MICROSOFT_ENTRA_* vars. Additional providers,
+ * e.g. for agencies and bottlers without Entra accounts, are configured in OIDC_PROVIDERS.
+ * All providers use the implicit flow (`response_type=id_token`, `response_mode=form_post`, no client secret)
+ * and their id_token claims are mapped to the same user identity (see mapIdentity).
+ */
+
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+
+export const MICROSOFT_PROVIDER_ID = 'microsoft';
+
+const DEFAULT_MICROSOFT_JWKS_URL = 'https://login.microsoftonline.com/common/discovery/keys';
+
+const DEFAULT_SCOPE = 'openid profile email';
+
+// id_token claim names of Microsoft Entra for the user identity fields
+const MICROSOFT_CLAIMS = {
+  sub: 'oid',
+  name: 'name',
+  email: 'email',
+  country: 'ctry',
+  employeeType: 'EmployeeType',
+  koid: 'User ID',
+  company: 'Company',
+};
+
+// standard OIDC claims, used for fields not mapped by a provider
+const DEFAULT_CLAIMS = {
+  sub: 'sub',
+  name: 'name',
+  email: 'email',
+};
+
+const REQUIRED_PROVIDER_FIELDS = ['id', 'name', 'issuer', 'clientId', 'authorizationUrl', 'jwksUrl', 'emailDomains'];
+
+// providers of this isolate, by configuration
+let cachedProviders;
+
+/**
+ * Build the Microsoft Entra provider from the MICROSOFT_ENTRA_* vars
+ * @param {Object} env - Cloudflare environment
+ * @returns {Object} provider
+ */
+function microsoftProvider(env) {
+  const tenantId = env.MICROSOFT_ENTRA_TENANT_ID;
+  return {
+    id: MICROSOFT_PROVIDER_ID,
+    name: env.MICROSOFT_ENTRA_NAME || 'Microsoft',
+    issuer: `https://login.microsoftonline.com/${tenantId}/v2.0`,
+    clientId: env.MICROSOFT_ENTRA_CLIENT_ID,
+    authorizationUrl: `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/authorize`,
+    jwksUrl: env.MICROSOFT_ENTRA_JWKS_URL || DEFAULT_MICROSOFT_JWKS_URL,
+    logoutUrl: `https://login.microsoftonline.com/${tenantId}/oauth2/logout`,
+    scope: 'openid profile',
+    claims: MICROSOFT_CLAIMS,
+    // only users of the configured tenant
+    requiredClaims: { tid: tenantId },
+  };
+}
+
+/**
+ * Email domains of the Microsoft Entra tenant (MICROSOFT_ENTRA_EMAIL_DOMAINS, list or comma separated string)
+ * @param {Object} env - Cloudflare environment
+ * @returns {Array<string>} lower case domains
+ */
+function entraEmailDomains(env) {
+  const domains = env.MICROSOFT_ENTRA_EMAIL_DOMAINS || [];
+  return (Array.isArray(domains) ? domains : domains.split(','))
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse the additional providers from OIDC_PROVIDERS (list of objects, or a JSON string of it).
+ * Providers must restrict their users to email domains that are not managed by Microsoft Entra,
+ * otherwise they could log in users as employees.
+ * @param {Object} env - Cloudflare environment
+ * @returns {Array} valid providers
+ */
+function additionalProviders(env) {
+  let config = env.OIDC_PROVIDERS;
+  if (!config) {
+    return [];
+  }
+  if (typeof config === 'string') {
+    try {
+      config = JSON.parse(config);
+    } catch (err) {
+      console.error('Invalid OIDC_PROVIDERS, ignoring:', err.message);
+      return [];
+    }
+  }
+
+  const entraDomains = entraEmailDomains(env);
+
+  return (Array.isArray(config) ? config : []).filter((provider) => {
+    const missing = REQUIRED_PROVIDER_FIELDS.filter((field) => !provider?.[field]);
+    if (missing.length > 0) {
+      console.error(`Invalid OIDC provider ${provider?.id}, missing: ${missing.join(', ')}`);
+      return false;
+    }
+    if (provider.id === MICROSOFT_PROVIDER_ID) {
+      console.error(`Invalid OIDC provider id ${provider.id}, reserved for MICROSOFT_ENTRA_* configuration`);
+      return false;
+    }
+    if (!Array.isArray(provider.emailDomains) || provider.emailDomains.length === 0) {
+      console.error(`Invalid OIDC provider ${provider.id}, emailDomains must be a non-empty list`);
+      return false;
+    }
+    const overlapping = provider.emailDomains.filter((domain) => entraDomains.includes(domain.toLowerCase()));
+    if (overlapping.length > 0) {
+      console.error(
+        `Invalid OIDC provider ${provider.id}, emailDomains managed by Microsoft Entra: ${overlapping.join(', ')}`,
+      );
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Get all configured identity providers, Microsoft Entra first
+ * @param {Object} env - Cloudflare environment
+ * @returns {Array} providers
+ */
+export function getProviders(env) {
+  const key = JSON.stringify([
+    env.MICROSOFT_ENTRA_TENANT_ID,
+    env.MICROSOFT_ENTRA_CLIENT_ID,
+    env.MICROSOFT_ENTRA_JWKS_URL,
+    env.MICROSOFT_ENTRA_NAME,
+    env.MICROSOFT_ENTRA_EMAIL_DOMAINS,
+    env.OIDC_PROVIDERS,
+  ]);
+  if (cachedProviders?.key !== key) {
+    cachedProviders = {
+      key,
+      providers: [microsoftProvider(env), ...additionalProviders(env)],
+    };
+  }
+  return cachedProviders.providers;
+}
+
+/**
+ * Get a provider by id
+ * @param {Object} env - Cloudflare environment
+ * @param {string} id - Provider id
+ * @returns {Object|undefined} provider
+ */
+export function getProvider(env, id) {
+  return getProviders(env).find((provider) => provider.id === id);
+}
+
+/**
+ * Build the URL of the provider's login page
+ * @param {Object} provider - Provider
+ * @param {Object} params - { redirectUri, state, nonce }
+ * @returns {string} authorization URL
+ */
+export function getAuthorizationUrl(provider, { redirectUri, state, nonce }) {
+  const url = new URL(provider.authorizationUrl);
+  url.search = new URLSearchParams({
+    client_id: provider.clientId,
+    response_type: 'id_token',
+    redirect_uri: redirectUri,
+    response_mode: 'form_post',
+    scope: provider.scope || DEFAULT_SCOPE,
+    state,
+    nonce,
+  });
+  return url.href;
+}
+
+/**
+ * Build the URL of the provider's logout page
+ * @param {Object} provider - Provider
+ * @param {string} postLogoutRedirectUri - Where to go after logout
+ * @returns {string|null} logout URL, or null if the provider has none
+ */
+export function getLogoutUrl(provider, postLogoutRedirectUri) {
+  if (!provider?.logoutUrl) {
+    return null;
+  }
+  const url = new URL(provider.logoutUrl);
+  url.searchParams.set('post_logout_redirect_uri', postLogoutRedirectUri);
+  if (provider.id !== MICROSOFT_PROVIDER_ID) {
+    url.searchParams.set('client_id', provider.clientId);
+  }
+  return url.href;
+}
+
+/**
+ * Validate an id_token issued by a provider (signature, expiry, issuer, audience, nonce, required claims,
+ * verified email of an allowed domain)
+ * @param {Request} request - Request object, request.error is set on failure
+ * @param {Object} provider - Provider
+ * @param {string} rawIdToken - id_token from the login callback
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object|null>} id_token payload or null if invalid
+ */
+export async function validateIdToken(request, provider, rawIdToken, nonce) {
+  if (!provider.jwks) {
+    provider.jwks = createRemoteJWKSet(new URL(provider.jwksUrl));
+  }
+
+  try {
+    // validate id_token signature and expiry
+    const { payload } = await jwtVerify(rawIdToken, provider.jwks, {
+      audience: provider.clientId,
+      issuer: provider.issuer,
+    });
+
+    console.log('User login:', provider.id, payload);
+
+    // validate nonce
+    if (payload.nonce !== nonce) {
+      request.error = `OIDC error: Invalid nonce in id_token: ${payload.nonce}`;
+      return null;
+    }
+    // validate required claims (e.g. Microsoft tenant)
+    for (const [claim, value] of Object.entries(provider.requiredClaims || {})) {
+      if (payload[claim] !== value) {
+        request.error = `OIDC error: Invalid ${claim} in id_token: ${payload[claim]}`;
+        return null;
+      }
+    }
+    // external providers must not be able to log in users of other domains (e.g. employees)
+    if (provider.id !== MICROSOFT_PROVIDER_ID) {
+      // providers that do not send email_verified must be trusted explicitly
+      const emailVerified =
+        provider.trustEmail === true ? payload.email_verified !== false : payload.email_verified === true;
+      if (!emailVerified) {
+        request.error = `OIDC error: Email not verified by provider ${provider.id}`;
+        return null;
+      }
+      const email = payload[provider.claims?.email || DEFAULT_CLAIMS.email]?.toLowerCase() || '';
+      if (!provider.emailDomains.some((domain) => email.endsWith(`@${domain.toLowerCase()}`))) {
+        request.error = `OIDC error: Email domain not allowed for provider ${provider.id}: ${email}`;
+        return null;
+      }
+    }
+    return payload;
+  } catch (error) {
+    request.error = `OIDC error: Invalid id_token: ${error.message}`;
+    return null;
+  }
+}
+
+/**
+ * Map the id_token claims of a provider to the user identity
+ * @param {Object} provider - Provider
+ * @param {Object} idToken - Validated id_token payload
+ * @returns {Object} identity { idp, sub, name, email, country, employeeType, koid, company }
+ */
+export function mapIdentity(provider, idToken) {
+  const claims = { ...DEFAULT_CLAIMS, ...provider.claims };
+  const claim = (field) => (claims[field] ? idToken[claims[field]] : undefined);
+
+  return {
+    idp: provider.id,
+    sub: claim('sub'),
+    name: claim('name'),
+    email: claim('email')?.toLowerCase(),
+    country: claim('country'),
+    employeeType: claim('employeeType'),
+    koid: claim('koid'),
+    company: claim('company'),
+  };
+}
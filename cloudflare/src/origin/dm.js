@@ -1,6 +1,7 @@
-import { ROLE } from '../user';
+import { ROLE } from '../user.js';
 import { decodeJwt } from 'jose';
-import { fetchHelixSheet } from '../util/helixutil';
+import { fetchHelixSheet } from '../util/helixutil.js';
+import { auditLog } from '../util/audit.js';
 
 // create IMS token using Oauth server-to-server credentials
 async function createIMSToken(request, clientId, clientSecret, scope) {
@@ -64,11 +65,69 @@ async function getIMSToken(request, env) {
   }
 }
 
-function setIndexName(search, indexName) {
-  // for each request in search.requests
-  search.requests?.forEach(request => {
-    request.indexName = indexName;
-  });
+// sort orders supported in asset searches and the default suffix of their Algolia replica index
+// (`<index>_<suffix>`), without sort the primary index ranks by relevance
+const SORT_REPLICAS = {
+  dateCreated_asc: 'repo-createDate_asc',
+  dateCreated_desc: 'repo-createDate_desc',
+  lastModified_asc: 'repo-modifyDate_asc',
+  lastModified_desc: 'repo-modifyDate_desc',
+  size_asc: 'size_asc',
+  size_desc: 'size_desc',
+};
+
+/**
+ * Get the Algolia index names of the DM environment. `DM_SEARCH_INDEX` overrides the primary
+ * index (default: the envId of DM_ORIGIN) and `DM_SORT_REPLICAS` the replica index per sort order
+ * as comma separated `<sort>=<index>` (default: `<index>_<suffix>` of SORT_REPLICAS).
+ * Only sort orders of SORT_REPLICAS can be configured.
+ * @param {Object} env Cloudflare environment
+ * @param {Object} dm parsed DM_ORIGIN
+ * @returns {{index: string, collections: string, sortReplicas: Object}} index names
+ */
+function getSearchIndexes(env, dm) {
+  const index = env.DM_SEARCH_INDEX?.trim() || dm.envId;
+
+  const sortReplicas = {};
+  for (const [sort, suffix] of Object.entries(SORT_REPLICAS)) {
+    sortReplicas[sort] = `${index}_${suffix}`;
+  }
+  for (const entry of (env.DM_SORT_REPLICAS || '').split(',')) {
+    const [sort, replica] = entry.split('=').map((part) => part.trim());
+    if (!sort) {
+      continue;
+    }
+    if (!Object.hasOwn(SORT_REPLICAS, sort) || !replica) {
+      console.error('Invalid DM_SORT_REPLICAS entry, ignoring:', entry);
+      continue;
+    }
+    sortReplicas[sort] = replica;
+  }
+
+  return {
+    index,
+    collections: `${index}_collections`,
+    sortReplicas,
+  };
+}
+
+/**
+ * Set the index of all search requests. A request can ask for a sort order with a `sort`
+ * property (key of `sortReplicas`), which selects the replica index of that order.
+ * @param {Object} search Algolia multi-query search request
+ * @param {string} indexName primary index name
+ * @param {Object} [sortReplicas] allowed sort keys and their replica index name
+ * @returns {string|undefined} the first unsupported sort key, if any
+ */
+function setIndexName(search, indexName, sortReplicas = {}) {
+  for (const request of search.requests || []) {
+    const { sort } = request;
+    delete request.sort;
+    if (sort && !Object.hasOwn(sortReplicas, sort)) {
+      return String(sort);
+    }
+    request.indexName = sort ? sortReplicas[sort] : indexName;
+  }
 }
 
 function forceSearchFilter(search, constraint) {
@@ -134,42 +193,43 @@ async function validateCollectionAccess(collectionId, userEmail, requiredRole, i
 
   // Check owner (has all permissions)
   if (acl['tccc:assetCollectionOwner']?.toLowerCase() === userEmail) {
-    return { allowed: true, role: 'owner' };
+    return { allowed: true, role: 'owner', acl };
   }
 
   // Check editor (write permission, also grants read)
   if (Array.isArray(acl['tccc:assetCollectionEditor']) &&
       acl['tccc:assetCollectionEditor'].some((e) => e.toLowerCase() === userEmail)) {
-    return { allowed: true, role: 'editor' };
+    return { allowed: true, role: 'editor', acl };
   }
 
   // Check viewer (read permission only)
   if (requiredRole === 'read' &&
       Array.isArray(acl['tccc:assetCollectionViewer']) &&
       acl['tccc:assetCollectionViewer'].some((e) => e.toLowerCase() === userEmail)) {
-    return { allowed: true, role: 'viewer' };
+    return { allowed: true, role: 'viewer', acl };
   }
 
   return { allowed: false, reason: 'not in ACL' };
 }
 
-async function searchAuthorization(request, env, search) {
-  const user = request.user;
-
-  // Algolia search request. Enforce a filter that ensures only authorized assets are returned
-  // https://www.algolia.com/doc/api-reference/api-parameters/filters
-
+/**
+ * Build the Algolia filter constraint that restricts search results to the assets a user is authorized to see.
+ *
+ * @param {Object} env cloudflare environment
+ * @param {Object} user user object with authorization attributes (roles, countries, customers, brands)
+ * @returns {Promise<Object>} `{ blockAll }` if the user has no roles, `{ admin }` if the user can see everything,
+ *   otherwise `{ constraint, clauses }` with the combined constraint and the individual clauses
+ *   (`bottlerCountry`, `intendedCustomer`, `restrictedBrand`; empty if not restricted)
+ */
+export async function buildSearchConstraint(env, user) {
   // if user has zero roles, make the search return nothing
   if (user.roles.length === 0) {
-    search.requests = [];
-    console.log(`[${request.user.email}] authz filter: no roles => block search results`);
-    return;
+    return { blockAll: true };
   }
 
   if (user.roles.includes(ROLE.ADMIN)) {
     // admins can see everything, no search constraint
-    console.log(`[${request.user.email}] authz filter: admin => show all search results`);
-    return;
+    return { admin: true };
   }
 
   // RESTRICTED BRAND CHECK
@@ -184,7 +244,7 @@ async function searchAuthorization(request, env, search) {
     // these roles can see every bottler country, no check
     bottlerCountryCheck = '';
   } else {
-    const countries = user.countries || [];
+    const countries = [...(user.countries || [])];
     if (user.roles.includes(ROLE.BOTTLER)) {
       // bottlers can see content intended for all countries
       countries.push('all-countries');
@@ -203,9 +263,176 @@ async function searchAuthorization(request, env, search) {
 
   // all checks are required (AND)
   const constraint = [bottlerCountryCheck, customerCheck, brandCheck].filter(c => c).join(' AND ');
-  console.log(`[${request.user.email}] authz filter: ${constraint}`);
 
-  forceSearchFilter(search, constraint);
+  return {
+    constraint,
+    clauses: {
+      bottlerCountry: bottlerCountryCheck,
+      intendedCustomer: customerCheck,
+      restrictedBrand: brandCheck,
+    },
+  };
+}
+
+export async function searchAuthorization(request, env, search) {
+  const user = request.user;
+
+  // Algolia search request. Enforce a filter that ensures only authorized assets are returned
+  // https://www.algolia.com/doc/api-reference/api-parameters/filters
+
+  const authz = await buildSearchConstraint(env, user);
+
+  if (authz.blockAll) {
+    search.requests = [];
+    console.log(`[${request.user.email}] authz filter: no roles => block search results`);
+    return;
+  }
+
+  if (authz.admin) {
+    console.log(`[${request.user.email}] authz filter: admin => show all search results`);
+    return;
+  }
+
+  console.log(`[${request.user.email}] authz filter: ${authz.constraint}`);
+
+  forceSearchFilter(search, authz.constraint);
+}
+
+function parseDMOrigin(dmOrigin) {
+  const match = dmOrigin?.match(/^https:\/\/(delivery-p(.*)-e(.*)\.adobeaemcloud\.com)$/);
+  if (!match) {
+    return null;
+  }
+  return {
+    host: match[1],
+    // also the default name of the search index
+    envId: `${match[2]}-${match[3]}`,
+  };
+}
+
+/**
+ * Run an asset search directly against Dynamic Media, without any authorization filter.
+ * Callers are responsible for applying searchAuthorization() or equivalent constraints.
+ *
+ * @param {Object} env cloudflare environment
+ * @param {Object} search Algolia multi-query search request ({ requests: [...] })
+ * @returns {Promise<Object>} Algolia search response ({ results: [...] })
+ */
+export async function searchAssets(env, search) {
+  const dm = parseDMOrigin(env.DM_ORIGIN);
+  if (!dm) {
+    throw new Error('Invalid DM_ORIGIN');
+  }
+
+  // minimal request-like object for the shared helpers
+  const request = {
+    headers: new Headers({ 'user-agent': 'koassets-worker' }),
+  };
+
+  const imsToken = await getIMSToken(request, env);
+  if (!imsToken) {
+    throw new Error('Failed to get IMS token');
+  }
+
+  const indexes = getSearchIndexes(env, dm);
+  const invalidSort = setIndexName(search, indexes.index, indexes.sortReplicas);
+  if (invalidSort) {
+    throw new Error(`Unsupported sort: ${invalidSort}`);
+  }
+
+  const response = await fetch(`https://${dm.host}/adobe/assets/search`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${imsToken}`,
+      'x-api-key': await env.DM_CLIENT_ID.get(),
+      'x-ch-request': 'search',
+      'x-adobe-accept-experimental': '1',
+    },
+    body: JSON.stringify(search),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Dynamic Media search failed: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Run an asset search directly against Dynamic Media on behalf of a user, outside of
+ * a browser request (e.g. in scheduled jobs). Applies the same authorization filter
+ * as searches proxied through /api/adobe/assets/search.
+ *
+ * @param {Object} env cloudflare environment
+ * @param {Object} user user object with email and authorization attributes (roles, countries, customers, brands)
+ * @param {Object} search Algolia multi-query search request ({ requests: [...] })
+ * @returns {Promise<Object>} Algolia search response ({ results: [...] })
+ */
+export async function searchAssetsAsUser(env, user, search) {
+  await searchAuthorization({ user }, env, search);
+  if (!search.requests?.length) {
+    // user is not allowed to see anything
+    return { results: [] };
+  }
+  return searchAssets(env, search);
+}
+
+/**
+ * Record a successful collection change in the audit log
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Cloudflare environment
+ * @param {string} pathname - Origin path (/adobe/assets/collections[/<id>[/items]])
+ * @param {string} body - Request body sent to the origin
+ * @param {Object} [access] - Result of validateCollectionAccess (with the ACL before the change)
+ * @param {Response} response - Origin response
+ */
+async function auditCollectionChange(request, env, pathname, body, access, response) {
+  const [collectionId, subPath] = pathname.split('/').slice(4);
+
+  let data = null;
+  try {
+    data = body ? JSON.parse(body) : null;
+  } catch {
+    // not JSON, nothing to summarize
+  }
+  const acl = data?.['tccc:metadata']?.['tccc:acl'];
+
+  let event;
+  if (!collectionId) {
+    let created = null;
+    try {
+      created = await response.clone().json();
+    } catch {
+      // id of the new collection is unknown
+    }
+    event = {
+      action: 'collection.create',
+      targetId: created?.id,
+      after: { title: data?.title, acl },
+    };
+  } else if (subPath === 'items') {
+    event = {
+      action: 'collection.items.update',
+      targetId: collectionId,
+      after: data,
+    };
+  } else if (request.method === 'DELETE') {
+    event = {
+      action: 'collection.delete',
+      targetId: collectionId,
+      before: { acl: access?.acl },
+    };
+  } else {
+    const aclChanged = !!acl && JSON.stringify(acl) !== JSON.stringify(access?.acl);
+    event = {
+      action: aclChanged ? 'collection.acl.update' : 'collection.update',
+      targetId: collectionId,
+      before: { acl: access?.acl },
+      after: { title: data?.title, acl: acl || access?.acl },
+    };
+  }
+
+  await auditLog(request, env, { ...event, targetType: 'collection' });
 }
 
 export async function originDynamicMedia(request, env) {
@@ -215,16 +442,14 @@ export async function originDynamicMedia(request, env) {
   //   delivery-pXX-eYY.adobeaemcloud.com/adobe/assets/...
 
   const dmOrigin = env.DM_ORIGIN;
-  const match = dmOrigin.match(/^https:\/\/(delivery-p(.*)-e(.*)\.adobeaemcloud\.com)$/);
-  if (!match) {
+  const dm = parseDMOrigin(dmOrigin);
+  if (!dm) {
     return new Response('Invalid DM_ORIGIN', { status: 500 });
   }
 
-  const envId = `${match[2]}-${match[3]}`;
-
   const url = new URL(request.url);
   url.protocol = 'https';
-  url.host = match[1];
+  url.host = dm.host;
   url.port = '';
 
   // remove /api from path
@@ -239,6 +464,13 @@ export async function originDynamicMedia(request, env) {
     return new Response('Unauthorized', { status: 401 });
   }
 
+  // collection changes are audited, keep the body to summarize the change
+  const isCollectionWrite = url.pathname.startsWith('/adobe/assets/collections')
+    && !['GET', 'HEAD', 'OPTIONS'].includes(request.method);
+  if (isCollectionWrite) {
+    body = (await request.text()) || null;
+  }
+
   if (url.pathname.startsWith('/adobe/assets/collections')) {
     headers.set('x-api-key', 'aem-assets-content-hub-1');
   } else {
@@ -258,13 +490,19 @@ export async function originDynamicMedia(request, env) {
 
     const search = JSON.parse(body);
 
+    const indexes = getSearchIndexes(env, dm);
+    let invalidSort;
     if (url.pathname === '/adobe/assets/search-collections') {
       collectionsSearchAuthorization(request, search);
       url.pathname = '/adobe/assets/search';
-      setIndexName(search, `${envId}_collections`);
+      // collections have no sort replicas
+      invalidSort = setIndexName(search, indexes.collections);
     } else {
       await searchAuthorization(request, env, search);
-      setIndexName(search, envId);
+      invalidSort = setIndexName(search, indexes.index, indexes.sortReplicas);
+    }
+    if (invalidSort) {
+      return new Response(`Unsupported sort: ${invalidSort}`, { status: 400 });
     }
 
     body = JSON.stringify(search);
@@ -278,6 +516,7 @@ export async function originDynamicMedia(request, env) {
   headers.set('x-forwarded-host', headers.get('host'));
 
   // Authorization check for individual collection operations
+  let collectionAccess;
   if (url.pathname.match(/^\/adobe\/assets\/collections\/[^/]+$/)) {
     const collectionId = url.pathname.split('/').pop();
     const requiredRole = (request.method === 'GET') ? 'read' : 'write';
@@ -296,6 +535,7 @@ export async function originDynamicMedia(request, env) {
     }
 
     console.log(`[${request.user.email}] allowed ${request.method} on collection ${collectionId} as ${access.role}`);
+    collectionAccess = access;
   }
 
   // Authorization check for collection items endpoint
@@ -317,6 +557,7 @@ export async function originDynamicMedia(request, env) {
     }
 
     console.log(`[${request.user.email}] allowed ${request.method} on collection items ${collectionId} as ${access.role}`);
+    collectionAccess = access;
   }
 
   // console.log('>>>', request.method, url, headers);
@@ -334,5 +575,9 @@ export async function originDynamicMedia(request, env) {
 
   // console.log('<<<', response.status, response.headers);
 
+  if (isCollectionWrite && response.ok) {
+    await auditCollectionChange(request, env, url.pathname, body, collectionAccess, response);
+  }
+
   return response;
 }
@@ -83,4 +83,37 @@ export async function originFadel(request, env) {
   // console.log('<<<', resp.status, resp.headers);
 
   return resp;
-}
\ No newline at end of file
+}
+
+/**
+ * Check the rights clearance of assets directly against Fadel, outside of the /api/fadel proxy.
+ *
+ * @param {Object} env cloudflare environment
+ * @param {Object} clearance asset clearance request ({ inDate, outDate, selectedExternalAssets, selectedRights })
+ * @returns {Promise<Array>} `restOfAssets` of the response: the assets with restrictions, all others are available
+ */
+export async function checkAssetClearance(env, clearance) {
+  // minimal request-like object for the token helpers
+  const request = {
+    headers: new Headers({ 'user-agent': 'koassets-worker' }),
+  };
+
+  const response = await fetch(`${env.FADEL_ORIGIN}/rc-api/clearance/assetclearance`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': await getFadelToken(request, env),
+      'User-Agent': request.headers.get('user-agent'),
+    },
+    body: JSON.stringify(clearance),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Fadel rights check failed: ${response.status} ${response.statusText}`);
+  }
+  if (response.status === 204) {
+    return [];
+  }
+  const data = await response.json();
+  return data.restOfAssets || [];
+}
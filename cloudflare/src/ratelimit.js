@@ -0,0 +1,231 @@
+/**
+ * Per-user rate limiting of expensive or abusable API routes (token bucket).
+ *
+ * Every user has one bucket per rule holding up to `capacity` requests, refilled continuously
+ * at `capacity` per `period`. Buckets live in the RateLimiter Durable Object (one object per user),
+ * or in memory of the worker isolate if the RATE_LIMITER binding is not configured (local tests).
+ */
+
+import { DurableObject } from 'cloudflare:workers';
+import { error } from 'itty-router';
+import { parseDuration } from './auth.js';
+import { ROLE } from './user.js';
+
+// rate limited routes, the first matching rule applies
+// capacity: maximum requests in a burst, period: time in seconds to refill the full capacity
+const RATE_LIMIT_RULES = [
+  {
+    name: 'search',
+    methods: ['POST'],
+    pattern: /^\/api\/adobe\/assets\/search/,
+    capacity: 60,
+    period: 60,
+  },
+  {
+    name: 'rightssearch',
+    methods: ['POST'],
+    pattern: /^\/api\/rightssearch$/,
+    capacity: 20,
+    period: 60,
+  },
+  {
+    name: 'suggest',
+    methods: ['GET'],
+    pattern: /^\/api\/suggest$/,
+    capacity: 120,
+    period: 60,
+  },
+  {
+    name: 'fadel',
+    pattern: /^\/api\/fadel\//,
+    capacity: 30,
+    period: 60,
+  },
+  {
+    name: 'messages',
+    methods: ['POST'],
+    pattern: /^\/api\/messages$/,
+    capacity: 10,
+    period: 60,
+  },
+];
+
+const USAGE_HEADER = 'X-RateLimit-Usage';
+
+// in-memory buckets of this isolate, used without RATE_LIMITER binding
+const memoryBuckets = new Map();
+
+// parsed RATE_LIMITS of this isolate, by configuration string
+const parsedRules = new Map();
+
+/**
+ * Take one token from a bucket, refilling it for the time passed since the last request.
+ * @param {Map} buckets - Bucket state by key
+ * @param {string} key - Bucket key
+ * @param {number} capacity - Maximum number of tokens
+ * @param {number} period - Seconds to refill the full capacity
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{allowed: boolean, remaining: number, retryAfter: number}} result, retryAfter in seconds
+ */
+export function takeToken(buckets, key, capacity, period, now = Date.now()) {
+  const refillPerMs = capacity / (period * 1000);
+  const bucket = buckets.get(key) || { tokens: capacity, updated: now };
+
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updated) * refillPerMs);
+  bucket.updated = now;
+
+  const allowed = bucket.tokens >= 1;
+  if (allowed) {
+    bucket.tokens -= 1;
+  }
+  buckets.set(key, bucket);
+
+  return {
+    allowed,
+    remaining: Math.floor(bucket.tokens),
+    retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000),
+  };
+}
+
+/**
+ * Durable Object holding the rate limit buckets of a single user.
+ * Buckets are kept in memory only: an object is only evicted after being idle,
+ * at which point its buckets would have been refilled anyway.
+ */
+export class RateLimiter extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take one token from the bucket of a rule (RPC)
+   * @param {string} name - Rule name
+   * @param {number} capacity - Maximum number of tokens
+   * @param {number} period - Seconds to refill the full capacity
+   */
+  consume(name, capacity, period) {
+    return takeToken(this.buckets, name, capacity, period);
+  }
+}
+
+/**
+ * Get the configured rules. `RATE_LIMITS` overrides the default limits per rule as
+ * comma separated `<rule>=<capacity>/<period>`, e.g. `search=120/1m,fadel=0/1m` (0 disables a rule),
+ * or disables rate limiting completely with `disabled`.
+ * @param {Object} env - Cloudflare environment
+ * @returns {Array} rules
+ */
+function getRateLimitRules(env) {
+  const config = env.RATE_LIMITS?.trim();
+  if (!config) {
+    return RATE_LIMIT_RULES;
+  }
+  if (config === 'disabled') {
+    return [];
+  }
+
+  if (parsedRules.has(config)) {
+    return parsedRules.get(config);
+  }
+
+  const overrides = {};
+  for (const entry of config.split(',')) {
+    const match = /^\s*([\w-]+)\s*=\s*(\d+)\s*\/\s*(\S+)\s*$/.exec(entry);
+    if (!match) {
+      console.error('Invalid RATE_LIMITS entry, ignoring:', entry);
+      continue;
+    }
+    try {
+      overrides[match[1]] = { capacity: Number.parseInt(match[2], 10), period: parseDuration(match[3]) };
+    } catch (err) {
+      console.error('Invalid RATE_LIMITS entry, ignoring:', entry, err.message);
+    }
+  }
+
+  const rules = RATE_LIMIT_RULES.map((rule) => ({ ...rule, ...overrides[rule.name] })).filter(
+    (rule) => rule.capacity > 0 && rule.period > 0,
+  );
+  parsedRules.set(config, rules);
+  return rules;
+}
+
+/**
+ * Take a token for the user and rule from the Durable Object, or from memory without binding
+ * @param {Object} env - Cloudflare environment
+ * @param {string} email - User email
+ * @param {Object} rule - Rate limit rule
+ * @returns {Promise<Object>} result of takeToken()
+ */
+async function consume(env, email, rule) {
+  if (!env.RATE_LIMITER) {
+    return takeToken(memoryBuckets, `${email}:${rule.name}`, rule.capacity, rule.period);
+  }
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(email));
+  return stub.consume(rule.name, rule.capacity, rule.period);
+}
+
+/**
+ * Format the usage debug header value
+ * @param {Object} rule - Rate limit rule
+ * @param {Object} result - Result of takeToken()
+ * @returns {string} header value, e.g. `search; remaining=57; limit=60; period=60`
+ */
+function formatUsage(rule, result) {
+  return `${rule.name}; remaining=${result.remaining}; limit=${rule.capacity}; period=${rule.period}`;
+}
+
+/** middleware rate limiting the authenticated user per route, responds with 429 if exceeded */
+export async function withRateLimit(request, env) {
+  const { pathname } = new URL(request.url);
+  const rule = getRateLimitRules(env).find(
+    (r) => r.pattern.test(pathname) && (!r.methods || r.methods.includes(request.method)),
+  );
+  if (!rule) {
+    return;
+  }
+
+  // the logged in user owns the bucket and decides about the exemption, also when impersonating another user
+  const actor = request.user?.su || request.user;
+  if (env.RATE_LIMIT_EXEMPT_ADMINS === 'true' && actor?.roles?.includes(ROLE.ADMIN)) {
+    return;
+  }
+
+  const email = actor?.email;
+  if (!email) {
+    return;
+  }
+
+  let result;
+  try {
+    result = await consume(env, email.toLowerCase(), rule);
+  } catch (err) {
+    // do not block users if the rate limiter is unavailable
+    console.error('Rate limiter failed, allowing request:', err);
+    return;
+  }
+
+  request.rateLimitUsage = formatUsage(rule, result);
+
+  if (!result.allowed) {
+    console.warn('Rate limit exceeded:', email, rule.name, request.method, pathname);
+    const response = error(429, {
+      success: false,
+      error: 'Too many requests, please try again later',
+      retryAfter: result.retryAfter,
+    });
+    response.headers.set('Retry-After', String(result.retryAfter));
+    return response;
+  }
+}
+
+/** finally handler that exposes the rate limit usage (see withRateLimit) in a debug header */
+export function withRateLimitUsage(response, request) {
+  if (!response || !request.rateLimitUsage) {
+    return response;
+  }
+  // origin responses have immutable headers
+  const usageResponse = new Response(response.body, response);
+  usageResponse.headers.set(USAGE_HEADER, request.rateLimitUsage);
+  return usageResponse;
+}
@@ -0,0 +1,31 @@
+import { runRightsReviewEscalations } from './jobs/rightsreviewsla.js';
+import { runSavedSearchAlerts } from './jobs/savedsearchalerts.js';
+import { runRightsIndexBackfill } from './util/rights-index.js';
+
+// cron expressions from wrangler.toml [triggers]
+const CRON_SAVED_SEARCH_ALERTS = '0 * * * *';
+const CRON_RIGHTS_REVIEW_SLA = '0 7 * * *';
+const CRON_RIGHTS_INDEX_BACKFILL = '30 * * * *';
+
+/**
+ * Handler for the cron triggers configured in wrangler.toml.
+ *
+ * @param {ScheduledController} controller cloudflare scheduled controller (cron, scheduledTime)
+ * @param {Object} env cloudflare environment
+ * @param {ExecutionContext} ctx cloudflare execution context
+ */
+export async function scheduled(controller, env, ctx) {
+  switch (controller.cron) {
+    case CRON_SAVED_SEARCH_ALERTS:
+      ctx.waitUntil(runSavedSearchAlerts(env));
+      break;
+    case CRON_RIGHTS_REVIEW_SLA:
+      ctx.waitUntil(runRightsReviewEscalations(env));
+      break;
+    case CRON_RIGHTS_INDEX_BACKFILL:
+      ctx.waitUntil(runRightsIndexBackfill(env));
+      break;
+    default:
+      console.warn('No job configured for cron:', controller.cron);
+  }
+}
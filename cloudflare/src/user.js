@@ -1,5 +1,7 @@
-import { json } from 'itty-router';
-import { fetchHelixSheet } from './util/helixutil.js';
+import { error, json } from 'itty-router';
+import { getActiveSudo } from './api/sudo.js';
+import { auditLog } from './util/audit.js';
+import { fetchHelixSheet, fetchHelixSheetLastModified } from './util/helixutil.js';
 
 export const ROLE = {
   ADMIN: 'admin',
@@ -9,7 +11,7 @@ export const ROLE = {
   BOTTLER: 'bottler',
 };
 
-function getEmailDomain(email) {
+export function getEmailDomain(email) {
   return email.split('@').pop().toLowerCase();
 }
 
@@ -18,7 +20,15 @@ function pushUnique(array, items) {
   array.push(...items.filter(item => !array.includes(item)));
 }
 
-async function getUserAttributes(env, user) {
+/**
+ * Compute the content authorization attributes (roles, countries, customers, brands)
+ * for a user from the /config/access/* sheets.
+ *
+ * @param {Object} env cloudflare environment
+ * @param {Object} user identity: email, domain, country and employeeType (from the IDP)
+ * @returns {Promise<Object>} attributes
+ */
+export async function getUserAttributes(env, user) {
   const email = user.email;
   const domain = user.domain;
 
@@ -102,32 +112,34 @@ async function getUserAttributes(env, user) {
   return attributes;
 }
 
-async function handleSudo(request, env, user) {
-  // check for any sudo request
-  if (['SUDO_NAME',
-       'SUDO_EMAIL',
-       'SUDO_COUNTRY',
-       'SUDO_EMPLOYEE_TYPE',
-       ].some(c => request.cookies[c])) {
+async function handleSudo(env, user) {
+  // check for an active impersonation started via /api/user/sudo (bound to the session)
+  const sudo = await getActiveSudo(env, user.sid);
+  if (sudo) {
 
-    // only certain super users are allowed to sudo
+    // only certain super users are allowed to sudo (permission might have been removed meanwhile)
     if (!user.permissions.includes('sudo')) {
       console.warn('Sudo denied for user:', user.email);
       return user;
     }
 
-    // store original super user data
+    // store original super user data and the impersonation details
     user.su = {
       name: user.name,
       email: user.email,
       country: user.country,
       employeeType: user.employeeType,
+      // roles of the super user, e.g. for the rate limit exemption of admins (see ratelimit.js)
+      roles: user.roles,
+      reason: sudo.reason,
+      allowWrites: sudo.allowWrites,
+      expiresAt: sudo.expiresAt,
     };
 
-    user.name = request.cookies.SUDO_NAME || user.name;
-    user.email = request.cookies.SUDO_EMAIL || user.email;
-    user.country = request.cookies.SUDO_COUNTRY || user.country;
-    user.employeeType = request.cookies.SUDO_EMPLOYEE_TYPE || user.employeeType;
+    user.name = sudo.as.name || user.name;
+    user.email = sudo.as.email || user.email;
+    user.country = sudo.as.country || user.country;
+    user.employeeType = sudo.as.employeeType || user.employeeType;
 
     const attributes = await getUserAttributes(env, {
       email: user.email,
@@ -146,21 +158,53 @@ async function handleSudo(request, env, user) {
   return user;
 }
 
+// cache of the per-user access (permissions & content attributes) in USER_ACCESS_CACHE, see getUserAccess()
+const ACCESS_CACHE_GENERATION_KEY = 'generation';
+const DEFAULT_ACCESS_CACHE_TTL = 5 * 60;
+
+// fallback cache of the per-user access in this worker isolate, used without the USER_ACCESS_CACHE binding
+const MEMORY_ACCESS_CACHE_TTL_MS = 60 * 1000;
+const MEMORY_ACCESS_CACHE_MAX_ENTRIES = 1000;
+const memoryAccessCache = new Map();
+
+// sheets the access is computed from, publishing any of them invalidates the cache
+const ACCESS_SHEETS = [
+  '/config/access/permissions',
+  '/config/access/companies',
+  '/config/access/users',
+  '/config/access/restricted-brands',
+];
+// how often a worker isolate checks if the access sheets were published
+const ACCESS_SHEETS_CHECK_INTERVAL_MS = 60 * 1000;
+let accessSheetsVersion = { version: '0', checkedAt: 0 };
+
 /**
- * Create the user session cookie payload.
- * Called upon login (OIDC callback).
+ * Get the version of the access sheets: the latest Last-Modified of all sheets,
+ * checked at most once per ACCESS_SHEETS_CHECK_INTERVAL_MS per worker isolate.
  *
- * @param {Request} request cloudflare request object
  * @param {Object} env cloudflare environment
- * @returns {Object} session or null/undefined if user is not allowed to access this application
+ * @returns {Promise<string>} version
  */
-export async function createSession(request, env) {
-  const idToken = request.idToken;
-  if (!idToken && !idToken.email) {
-    return null;
+async function getAccessSheetsVersion(env) {
+  if (Date.now() - accessSheetsVersion.checkedAt > ACCESS_SHEETS_CHECK_INTERVAL_MS) {
+    const lastModified = await Promise.all(ACCESS_SHEETS.map((path) => fetchHelixSheetLastModified(env, path)));
+    accessSheetsVersion = {
+      version: String(Math.max(...lastModified.map((date) => Date.parse(date) || 0))),
+      checkedAt: Date.now(),
+    };
   }
+  return accessSheetsVersion.version;
+}
 
-  const email = idToken.email?.toLowerCase();
+/**
+ * Get the application permissions of a user from the /config/access/permissions sheet.
+ *
+ * @param {Request} request cloudflare request object
+ * @param {Object} env cloudflare environment
+ * @param {string} email user email (lowercase)
+ * @returns {Promise<Array|false>} permissions or false if user is not allowed to access this application
+ */
+async function getPermissions(request, env, email) {
   const domain = getEmailDomain(email);
 
   // basic access & permissions
@@ -178,53 +222,209 @@ export async function createSession(request, env) {
     return false;
   }
 
-  const permissions = [
+  return [
     ...(access['*']?.permissions || []),
     ...(access[domain]?.permissions || []),
     ...(access[email]?.permissions || []),
   ];
+}
 
-  // check preview access
+function hasPreviewAccess(request, email, permissions) {
   if (!['koassets.adobeaem.workers.dev', 'localhost:8787'].includes(request.headers.get('host'))) {
     if (!permissions.includes('preview')) {
       console.warn('User has no permission to access preview environments:', email);
       return false;
     }
   }
+  return true;
+}
 
-  // build user attributes used for authorization
-  const attributes = await getUserAttributes(env, {
-    email,
-    domain,
-    country: idToken.ctry,
-    employeeType: idToken.EmployeeType,
-  });
+/**
+ * Get the access of a user: application permissions and content authorization attributes
+ * (roles, countries, customers, brands). These are not stored in the session cookie but
+ * resolved on every request from a short-lived KV cache keyed by email and the version of the
+ * /config/access/* sheets, so that publishing the sheets takes effect within a minute (see
+ * getAccessSheetsVersion()) or immediately after invalidateUserAccessCache(). Without the
+ * USER_ACCESS_CACHE binding the access is cached for a minute in the worker isolate instead.
+ *
+ * @param {Request} request cloudflare request object
+ * @param {Object} env cloudflare environment
+ * @param {Object} identity user identity: email, country and employeeType (from the IDP)
+ * @returns {Promise<Object|false>} access or false if user is not allowed to access this application
+ */
+export async function getUserAccess(request, env, identity) {
+  const email = identity.email.toLowerCase();
+  const cache = env.USER_ACCESS_CACHE;
+
+  let cacheKey;
+  let access;
+  if (cache) {
+    // bumping the generation or publishing the sheets invalidates all cached entries
+    const [generation, sheetsVersion] = await Promise.all([
+      cache.get(ACCESS_CACHE_GENERATION_KEY, { cacheTtl: 60 }),
+      getAccessSheetsVersion(env),
+    ]);
+    cacheKey = `${generation || '0'}:${sheetsVersion}:${email}`;
+    access = await cache.get(cacheKey, { type: 'json' });
+  } else {
+    cacheKey = `${await getAccessSheetsVersion(env)}:${email}`;
+    const cached = memoryAccessCache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) {
+      access = cached.access;
+    }
+  }
 
-  const session = {
-    // user id in MS Entra IDP
-    sub: idToken.oid,
+  if (!access) {
+    const permissions = await getPermissions(request, env, email);
+    if (!permissions) {
+      // denials are not cached, so that granting access applies immediately
+      return false;
+    }
+
+    const attributes = await getUserAttributes(env, {
+      email,
+      domain: getEmailDomain(email),
+      country: identity.country,
+      employeeType: identity.employeeType,
+    });
+
+    access = { permissions, ...attributes };
+    if (cache) {
+      await cache.put(cacheKey, JSON.stringify(access), {
+        expirationTtl: Math.max(60, Number(env.USER_ACCESS_CACHE_TTL) || DEFAULT_ACCESS_CACHE_TTL),
+      });
+    } else {
+      putMemoryAccessCache(cacheKey, access);
+    }
+  }
+
+  // preview access depends on the host and is checked after the cache
+  if (!hasPreviewAccess(request, email, access.permissions)) {
+    return false;
+  }
+
+  return access;
+}
+
+/**
+ * Cache the access of a user in this worker isolate, dropping expired entries
+ * and the oldest entries once the cache is full.
+ *
+ * @param {string} cacheKey sheets version and email
+ * @param {Object} access user access
+ */
+function putMemoryAccessCache(cacheKey, access) {
+  const now = Date.now();
+  for (const [key, cached] of memoryAccessCache) {
+    if (cached.expires <= now || memoryAccessCache.size >= MEMORY_ACCESS_CACHE_MAX_ENTRIES) {
+      memoryAccessCache.delete(key);
+    }
+  }
+  memoryAccessCache.set(cacheKey, { access, expires: now + MEMORY_ACCESS_CACHE_TTL_MS });
+}
+
+/**
+ * Invalidate the cached access of all users, e.g. to apply a change of the /config/access/*
+ * sheets before the next sheet version check. Without the USER_ACCESS_CACHE binding this only
+ * clears the cache of this worker isolate, other isolates expire their entries within a minute.
+ *
+ * @param {Object} env cloudflare environment
+ */
+export async function invalidateUserAccessCache(env) {
+  memoryAccessCache.clear();
+  await env.USER_ACCESS_CACHE?.put(ACCESS_CACHE_GENERATION_KEY, String(Date.now()));
+}
+
+/**
+ * Only keep the user identity from a session payload. Permissions and attributes
+ * are resolved per request by getUserAccess().
+ */
+function getSessionIdentity(session) {
+  return {
+    // identity provider (see oidc.js) and user id in that IDP
+    idp: session.idp,
+    sub: session.sub,
     // full name (first + last name)
-    name: idToken.name,
+    name: session.name,
 
     // key IDP attributes (needed for sudo)
-    email,
-    country: idToken.ctry,
-    employeeType: idToken.EmployeeType,
+    email: session.email,
+    country: session.country,
+    employeeType: session.employeeType,
 
     // informational
-    koid: idToken['User ID'],
-    company: idToken.Company,
+    koid: session.koid,
+    company: session.company,
+
+    // session id and login time
+    sid: session.sid,
+    auth_time: session.auth_time,
+  };
+}
 
-    permissions,
+/**
+ * Create the user session cookie payload.
+ * Called upon login (OIDC callback) with the identity mapped from the id_token of any provider.
+ *
+ * @param {Request} request cloudflare request object
+ * @param {Object} env cloudflare environment
+ * @param {Object} identity user identity from the IDP (see mapIdentity() in oidc.js)
+ * @returns {Object} session or null/undefined if user is not allowed to access this application
+ */
+export async function createSession(request, env, identity) {
+  if (!identity) {
+    return null;
+  }
+
+  const session = {
+    // identity provider and user id in that IDP
+    idp: identity.idp,
+    sub: identity.sub,
+    // full name (first + last name)
+    name: identity.name,
+
+    // key IDP attributes (needed for sudo)
+    email: identity.email,
+    country: identity.country,
+    employeeType: identity.employeeType,
 
-    ...attributes,
+    // informational
+    koid: identity.koid,
+    company: identity.company,
   };
 
+  if (!session.email) {
+    request.error = 'OIDC error: No email in id_token';
+    return null;
+  }
+
+  // check access upon login
+  const access = await getUserAccess(request, env, session);
+  if (!access) {
+    return false;
+  }
+
   console.log('New Session cookie:', session);
 
   return session;
 }
 
+/**
+ * Get the session cookie payload for reissuing the cookie (sliding session).
+ *
+ * @param {Request} request cloudflare request object
+ * @param {Object} env cloudflare environment
+ * @param {Object} session current session payload from the JWT
+ * @returns {Object} refreshed session or false if user is no longer allowed to access this application
+ */
+export async function refreshSession(request, env, session) {
+  const access = await getUserAccess(request, env, session);
+  if (!access) {
+    return false;
+  }
+  return getSessionIdentity(session);
+}
+
 /**
  * Get the user object from the session cookie payload.
  * Called upon every request after validating the session cookie.
@@ -235,7 +435,19 @@ export async function createSession(request, env) {
  * @returns {Object} user or null/undefined if user is not allowed to access this application
  */
 export async function getUser(request, env, session) {
-  return handleSudo(request, env, session);
+  const access = await getUserAccess(request, env, session);
+  if (!access) {
+    return null;
+  }
+
+  return handleSudo(env, {
+    ...session,
+    ...access,
+  });
+}
+
+function getSessionExpiresInSec(user) {
+  return user.exp && Math.floor((user.exp * 1000 - Date.now()) / 1000);
 }
 
 /**
@@ -247,7 +459,7 @@ export async function getUser(request, env, session) {
 export async function apiUser(request, _env) {
   const user = {
     ...request.user,
-    sessionExpiresInSec: request.user.exp && Math.floor((request.user.exp * 1000 - Date.now()) / 1000),
+    sessionExpiresInSec: getSessionExpiresInSec(request.user),
   };
 
   // remove session cookie metadata
@@ -256,7 +468,46 @@ export async function apiUser(request, _env) {
   delete user.iss;
   delete user.aud;
   delete user.exp;
+  delete user.iat;
+  delete user.auth_time;
   delete user.nbf;
 
   return json(user);
 }
+
+/**
+ * Request handler for the session status of the frontend session expiry warning.
+ * GET only reports the remaining session time and does not reissue the session cookie,
+ * POST extends the session (user chose to continue working), see withAuthentication().
+ *
+ * @param {Request} request cloudflare request object
+ * @returns {Response} json http response with sessionExpiresInSec
+ */
+export async function apiUserSession(request, _env) {
+  return json({
+    sessionExpiresInSec: getSessionExpiresInSec(request.user),
+  });
+}
+
+/**
+ * Request handler to invalidate the cached access of all users after changing the
+ * /config/access/* sheets. Requires the admin-access permission, as it affects all users.
+ *
+ * @param {Request} request cloudflare request object
+ * @param {Object} env cloudflare environment
+ * @returns {Response} json http response
+ */
+export async function apiInvalidateUserAccess(request, env) {
+  if (!request.user?.permissions?.includes('admin-access')) {
+    return error(403, { success: false, error: 'Access denied: admin-access permission required' });
+  }
+
+  await invalidateUserAccessCache(env);
+  console.warn('User access cache invalidated by:', request.user.su?.email || request.user.email);
+  await auditLog(request, env, {
+    action: 'access.invalidate',
+    targetType: 'access',
+  });
+
+  return json({ success: true });
+}
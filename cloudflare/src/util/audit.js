@@ -0,0 +1,112 @@
+/**
+ * Audit log for mutating API calls
+ * Events are stored as JSON objects in the AUDIT_LOG R2 bucket, one object per event under
+ * `audit/<YYYY-MM-DD>/<timestamp>_<id>.json`, so that they can be listed by day in chronological order.
+ * The filterable fields are also stored as custom metadata to avoid reading every object when querying.
+ */
+
+export const AUDIT_KEY_PREFIX = 'audit/';
+
+// keep before/after summaries small, they are not meant to be full copies of the data
+const MAX_SUMMARY_LENGTH = 4096;
+
+/**
+ * Get a stable id for the request, shared by all audit events of the same request
+ * @param {Request} request - Request object
+ * @returns {string} request id
+ */
+export function getRequestId(request) {
+  if (!request.requestId) {
+    request.requestId = request.headers.get('cf-ray') || crypto.randomUUID();
+  }
+  return request.requestId;
+}
+
+/**
+ * Truncate a before/after summary so that a single event stays small
+ * @param {*} value - Summary value
+ * @returns {*} value, or a truncated JSON string if it is too large
+ */
+function summarize(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = JSON.stringify(value);
+  if (text.length <= MAX_SUMMARY_LENGTH) {
+    return value;
+  }
+  return `${text.substring(0, MAX_SUMMARY_LENGTH)}…`;
+}
+
+/**
+ * Build the R2 key of an audit event
+ * @param {Object} event - Audit event
+ * @returns {string} R2 object key
+ */
+function buildAuditKey(event) {
+  return `${AUDIT_KEY_PREFIX}${event.timestamp.substring(0, 10)}/${event.timestamp}_${event.id}.json`;
+}
+
+/**
+ * Record an audit event for a mutating API call.
+ * Failing to write the audit log is logged but does not fail the request, unless the event is
+ * required (e.g. sudo start, which must not happen without audit trail).
+ *
+ * @param {Request} request - Request object (with request.user)
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} event - Event details
+ * @param {string} event.action - Action, e.g. `rightsrequest.status` (`<target type>.<verb>`)
+ * @param {string} event.targetType - Type of the changed object, e.g. `rightsrequest`
+ * @param {string} event.targetId - Id of the changed object
+ * @param {*} [event.before] - Summary of the relevant state before the change
+ * @param {*} [event.after] - Summary of the relevant state after the change
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - Throw if the event cannot be written
+ */
+export async function auditLog(
+  request,
+  env,
+  { action, targetType, targetId, before, after },
+  { required = false } = {},
+) {
+  const event = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    requestId: getRequestId(request),
+    // with sudo, the impersonated user is the actor and the logged in user the sudo actor
+    actor: request.user?.email?.toLowerCase() || '',
+    sudoActor: request.user?.su?.email?.toLowerCase() || '',
+    action,
+    target: {
+      type: targetType,
+      id: targetId ? String(targetId) : '',
+    },
+    before: summarize(before),
+    after: summarize(after),
+  };
+
+  try {
+    if (!env.AUDIT_LOG) {
+      if (required) {
+        throw new Error('Audit log not configured (AUDIT_LOG)');
+      }
+      console.warn('Audit log not configured (AUDIT_LOG), event:', JSON.stringify(event));
+      return;
+    }
+    await env.AUDIT_LOG.put(buildAuditKey(event), JSON.stringify(event), {
+      httpMetadata: { contentType: 'application/json' },
+      customMetadata: {
+        actor: event.actor,
+        sudoActor: event.sudoActor,
+        action: event.action,
+        targetType: event.target.type,
+        targetId: event.target.id,
+      },
+    });
+  } catch (err) {
+    console.error('Failed to write audit log event:', JSON.stringify(event), err);
+    if (required) {
+      throw err;
+    }
+  }
+}
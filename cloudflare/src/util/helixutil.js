@@ -1,14 +1,9 @@
-export async function fetchHelixSheet(env, path, options) {
+async function getHelixFetchOptions(env) {
   const headers = {};
   if (env.HELIX_ORIGIN_AUTHENTICATION) {
     headers.authorization = `token ${await env.HELIX_ORIGIN_AUTHENTICATION.get()}`;
   }
 
-  let url = `${env.HELIX_ORIGIN}${path}.json`;
-  if (options?.params) {
-    url += `?${new URLSearchParams(options.params).toString()}`;
-  }
-
   const pushInvalidation = env.HELIX_PUSH_INVALIDATION !== 'disabled';
   if (pushInvalidation) {
     headers['x-push-invalidation'] = 'enabled';
@@ -31,6 +26,35 @@ export async function fetchHelixSheet(env, path, options) {
     fetchOptions.cache = 'no-store';
   }
 
+  return fetchOptions;
+}
+
+// Last-Modified of a published spreadsheet, without downloading it (undefined if unavailable)
+export async function fetchHelixSheetLastModified(env, path) {
+  try {
+    const response = await fetch(`${env.HELIX_ORIGIN}${path}.json`, {
+      ...(await getHelixFetchOptions(env)),
+      method: 'HEAD',
+    });
+    if (!response.ok) {
+      console.error('Failed to check spreadsheet:', path, response.status, response.statusText);
+      return undefined;
+    }
+    return response.headers.get('last-modified') || undefined;
+  } catch (err) {
+    console.error('Failed to check spreadsheet:', path, err);
+    return undefined;
+  }
+}
+
+export async function fetchHelixSheet(env, path, options) {
+  let url = `${env.HELIX_ORIGIN}${path}.json`;
+  if (options?.params) {
+    url += `?${new URLSearchParams(options.params).toString()}`;
+  }
+
+  const fetchOptions = await getHelixFetchOptions(env);
+
   const response = await fetch(url, fetchOptions);
 
   // TODO: remove after debugging in production (to understand caching headers)
@@ -1,4 +1,4 @@
-import { cors as ittyCors } from 'itty-router';
+import { error, cors as ittyCors } from 'itty-router';
 
 /**
  * Utility for itty-router cors() to configure an array of possible origins
@@ -90,3 +90,118 @@ export function cors(options) {
     corsify,
   };
 }
+
+/**
+ * Parse a comma separated list of allowed origins, e.g. from a wrangler var.
+ * Entries are exact origins or patterns where `*` matches a part of a host name or a port,
+ * e.g. `https://*-koassets.adobeaem.workers.dev` or `http://localhost:*`.
+ *
+ * @param {string} [config] - Comma separated origins
+ * @returns {Array<string|RegExp>} allowed origins for cors()
+ */
+export function parseOrigins(config) {
+  return (config || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean)
+    .map((origin) => {
+      if (!origin.includes('*')) {
+        return origin;
+      }
+      const pattern = origin
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+        .join('[a-zA-Z0-9-]*');
+      return new RegExp(`^${pattern}$`);
+    });
+}
+
+/**
+ * Convert an itty-router route path to a RegExp (same wildcard semantics as itty-router:
+ * `/api/foo/*` matches `/api/foo` and everything below).
+ *
+ * @param {string} path - Route path
+ * @returns {RegExp} regular expression matching a URL pathname
+ */
+function routeRegExp(path) {
+  const pattern = path
+    .replace(/\./g, '\\.')
+    .replace(/(\/?)\*/g, '($1.*)?');
+  return new RegExp(`^${pattern}/*$`);
+}
+
+/**
+ * Middleware that rejects methods not declared for a route with 405 and an `Allow` header.
+ *
+ * @param {string[]} methods - Allowed methods
+ * @returns {Function} itty-router middleware
+ */
+export function withAllowedMethods(methods) {
+  return (request) => {
+    if (!methods.includes(request.method)) {
+      const response = error(405, { success: false, error: 'Method not allowed' });
+      response.headers.set('Allow', methods.join(', '));
+      return response;
+    }
+  };
+}
+
+/**
+ * CORS policy derived from a route table: preflight responses allow exactly the methods
+ * declared for the matching route (first match wins, like the router) and carry an `Allow` header.
+ * Routes not in the table allow `defaultMethods`.
+ *
+ * Example usage:
+ * ```
+ * const { preflight, corsify } = routeCors([
+ *   { path: '/api/things/*', methods: ['GET', 'POST', 'DELETE'] },
+ * ], {
+ *   origin: ['https://example.com'],
+ *   credentials: true,
+ *   defaultMethods: ['GET'],
+ * });
+ * ```
+ *
+ * @param {Array<{path: string, methods: string[]}>} routes - Route table
+ * @param {Object} options - cors() options, plus `defaultMethods` for routes not in the table
+ * @returns {Object} - { preflight, corsify }
+ */
+export function routeCors(routes, { defaultMethods = ['GET'], ...options }) {
+  const policies = routes.map((route) => ({
+    regexp: routeRegExp(route.path),
+    allow: route.methods.join(', '),
+    // cors() replaces the origin option, always pass a copy
+    preflight: cors({ ...options, allowMethods: route.methods }).preflight,
+  }));
+  const defaultPreflight = cors({ ...options, allowMethods: defaultMethods }).preflight;
+  const { corsify } = cors({ ...options });
+
+  const findPolicy = (request) => {
+    const { pathname } = new URL(request.url);
+    return policies.find((policy) => policy.regexp.test(pathname));
+  };
+
+  return {
+    preflight: (request) => {
+      const policy = findPolicy(request);
+      const response = (policy?.preflight || defaultPreflight)(request);
+      if (response && policy) {
+        response.headers.set('Allow', policy.allow);
+      }
+      return response;
+    },
+    corsify: (response, request) => {
+      // 405 responses of the route handlers themselves
+      if (response?.status === 405 && !response.headers.has('Allow')) {
+        const policy = findPolicy(request);
+        if (policy) {
+          // origin responses have immutable headers
+          const allowResponse = new Response(response.body, response);
+          allowResponse.headers.set('Allow', policy.allow);
+          return corsify(allowResponse, request);
+        }
+      }
+      return corsify(response, request);
+    },
+  };
+}
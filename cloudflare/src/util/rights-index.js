@@ -0,0 +1,400 @@
+/**
+ * Index of all rights requests
+ * One key per rights request in the RIGHTS_REQUESTS KV namespace (`index:rights-request:<requestId>`)
+ * with a compact summary of the request, so that listings can be filtered, sorted and paged
+ * without reading every request key:
+ * - the metadata of the key holds the fields to filter and sort by, a sorted listing reads all of them
+ *   with KV list() calls (1000 keys each), a cursor listing only one KV list() page per call
+ *   (see readRightsIndexPage)
+ * - the value holds the full index entry, which is only read for the entries of a page
+ *
+ * Index entries keep the structure of the rights requests (JCR format) but only contain the
+ * fields needed for listings and reports. Writes of rights requests that change indexed fields
+ * must go through saveRightsRequest() to keep the index up to date.
+ *
+ * Every request has its own index key, so concurrent writes of different requests cannot lose
+ * index updates. Requests without index key (e.g. created before the index) are indexed by the
+ * backfill, see backfillRightsIndex(). Listings never build or repair the index.
+ */
+
+// KV key prefix of the index entries in RIGHTS_REQUESTS
+export const RIGHTS_INDEX_PREFIX = 'index:rights-request:';
+
+const DEFAULT_STATUS = 'Not Started';
+const DEFAULT_PAGE_SIZE = 50;
+// every entry of a page is one KV read
+const MAX_PAGE_SIZE = 200;
+
+// KV limit of the serialized metadata of a key (bytes)
+const MAX_METADATA_SIZE = 1024;
+// request names are only stored for sorting
+const MAX_INDEXED_NAME_LENGTH = 100;
+
+// requests indexed or removed per backfill run: a repair is a read and a write, which must stay
+// well below the KV operations limit of an invocation
+const MAX_REPAIRS_PER_RUN = 400;
+
+// KV key of the cursor of the scheduled backfill (see runRightsIndexBackfill)
+const BACKFILL_CURSOR_KEY = 'index-backfill:cursor';
+
+// sortable fields => value getter
+const SORT_FIELDS = {
+  created: (entry) => Date.parse(entry.created) || 0,
+  lastModified: (entry) => Date.parse(entry.lastModified) || 0,
+  status: (entry) => entry.rightsRequestReviewDetails.rightsRequestStatus,
+  reviewer: (entry) => entry.rightsRequestReviewDetails.rightsReviewer,
+  name: (entry) => entry.rightsRequestDetails.name.toLowerCase(),
+};
+
+/**
+ * Build the index entry of a rights request
+ * @param {string} requestKey - KV key of the request
+ * @param {Object} requestData - Rights request
+ * @returns {Object} Index entry
+ */
+export function toIndexEntry(requestKey, requestData) {
+  const details = requestData.rightsRequestDetails || {};
+  const reviewDetails = requestData.rightsRequestReviewDetails || {};
+  const agency = details.associateAgency || {};
+  const status = reviewDetails.rightsRequestStatus || DEFAULT_STATUS;
+  const idAndName = ({ id, name }) => ({ id, name });
+
+  return {
+    kvKey: requestKey,
+    rightsRequestID: requestData.rightsRequestID,
+    rightsRequestSubmittedUserID: requestData.rightsRequestSubmittedUserID,
+    created: requestData.created,
+    lastModified: requestData.lastModified,
+    // time the current status was entered, used for SLAs
+    statusSince: requestData.statusSince || '',
+    rightsRequestDetails: {
+      name: details.name || '',
+      general: {
+        assets: (details.general?.assets || []).map(({ name, assetId }) => ({ name, assetId })),
+        ...(details.general?.assetPaths && { assetPaths: details.general.assetPaths }),
+      },
+      intendedUsage: {
+        marketsCovered: (details.intendedUsage?.marketsCovered || []).map(idAndName),
+        mediaRights: (details.intendedUsage?.mediaRights || []).map(idAndName),
+      },
+      associateAgency: {
+        agencyOrTcccAssociate: agency.agencyOrTcccAssociate || '',
+        name: agency.name || '',
+        emailAddress: agency.emailAddress || '',
+      },
+    },
+    rightsRequestReviewDetails: {
+      rightsRequestStatus: status,
+      rightsReviewer: reviewDetails.rightsReviewer || '',
+    },
+    // last SLA escalation (see jobs/rightsreviewsla.js)
+    ...(requestData.slaEscalation && {
+      slaEscalation: { status: requestData.slaEscalation.status, since: requestData.slaEscalation.since },
+    }),
+  };
+}
+
+/**
+ * Size of the serialized KV metadata in bytes
+ * @param {Object} metadata - Metadata
+ * @returns {number} Size in bytes
+ */
+function metadataSize(metadata) {
+  return new TextEncoder().encode(JSON.stringify(metadata)).length;
+}
+
+/**
+ * Build the KV metadata of an index entry: the fields to filter and sort by. The name is only used
+ * for sorting and shortened as needed to stay within MAX_METADATA_SIZE, the other fields have a
+ * bounded size (emails, dates, status).
+ * @param {Object} entry - Index entry
+ * @returns {Object} Metadata, same structure as the index entry
+ * @throws {Error} if the metadata does not fit even without the name (e.g. extremely long emails)
+ */
+function toIndexMetadata(entry) {
+  const metadata = {
+    kvKey: entry.kvKey,
+    rightsRequestID: entry.rightsRequestID,
+    rightsRequestSubmittedUserID: entry.rightsRequestSubmittedUserID,
+    created: entry.created,
+    lastModified: entry.lastModified,
+    statusSince: entry.statusSince,
+    rightsRequestDetails: {
+      name: [...entry.rightsRequestDetails.name].slice(0, MAX_INDEXED_NAME_LENGTH).join(''),
+    },
+    rightsRequestReviewDetails: {
+      rightsRequestStatus: entry.rightsRequestReviewDetails.rightsRequestStatus,
+      rightsReviewer: entry.rightsRequestReviewDetails.rightsReviewer,
+    },
+    slaEscalation: entry.slaEscalation,
+  };
+
+  // shorten the name by the excess bytes (at least one byte per character) until it fits
+  let excess = metadataSize(metadata) - MAX_METADATA_SIZE;
+  while (excess > 0 && metadata.rightsRequestDetails.name) {
+    const name = [...metadata.rightsRequestDetails.name];
+    metadata.rightsRequestDetails.name = name.slice(0, Math.max(0, name.length - excess)).join('');
+    excess = metadataSize(metadata) - MAX_METADATA_SIZE;
+  }
+  if (excess > 0) {
+    throw new Error(`Index metadata of rights request ${entry.rightsRequestID} exceeds ${MAX_METADATA_SIZE} bytes`);
+  }
+  return metadata;
+}
+
+/**
+ * Write the index entry of a rights request
+ * @param {Object} env - Environment bindings
+ * @param {string} requestKey - KV key of the request
+ * @param {Object} requestData - Rights request
+ */
+async function putIndexEntry(env, requestKey, requestData) {
+  const entry = toIndexEntry(requestKey, requestData);
+  await env.RIGHTS_REQUESTS.put(`${RIGHTS_INDEX_PREFIX}${entry.rightsRequestID}`, JSON.stringify(entry), {
+    metadata: toIndexMetadata(entry),
+  });
+}
+
+/**
+ * List all KV keys with a prefix
+ * @param {Object} env - Environment bindings
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<Array<Object>>} Keys { name, metadata }
+ */
+async function listAllKeys(env, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.RIGHTS_REQUESTS.list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+/**
+ * Read the index
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<Object>>} Index entries with the fields to filter and sort by
+ *   (see toIndexMetadata), use readIndexEntries() for the full entries
+ */
+export async function readRightsIndex(env) {
+  const keys = await listAllKeys(env, RIGHTS_INDEX_PREFIX);
+  return keys.map((key) => key.metadata).filter((metadata) => metadata?.rightsRequestID);
+}
+
+/**
+ * Read one page of the index in KV key order (by request id, i.e. oldest first), e.g. to load all
+ * requests page by page without listing the whole index on every call
+ * @param {Object} env - Environment bindings
+ * @param {string} [cursor] - Cursor returned for the previous page, none for the first page
+ * @param {number} [limit] - Maximum number of index entries
+ * @returns {Promise<{entries: Array<Object>, cursor: string|null}>} Index entries (see readRightsIndex)
+ *   and the cursor of the next page, null after the last page
+ */
+export async function readRightsIndexPage(env, cursor = undefined, limit = DEFAULT_PAGE_SIZE) {
+  const page = await env.RIGHTS_REQUESTS.list({ prefix: RIGHTS_INDEX_PREFIX, cursor, limit });
+  return {
+    entries: page.keys.map((key) => key.metadata).filter((metadata) => metadata?.rightsRequestID),
+    cursor: page.list_complete ? null : page.cursor,
+  };
+}
+
+/**
+ * Read the full index entries of requests, e.g. of a listing page
+ * @param {Object} env - Environment bindings
+ * @param {Array<Object>} entries - Index entries from readRightsIndex()
+ * @returns {Promise<Array<Object>>} Full index entries, in the same order (missing ones are skipped)
+ */
+export async function readIndexEntries(env, entries) {
+  const fullEntries = await Promise.all(
+    entries.map((entry) => env.RIGHTS_REQUESTS.get(`${RIGHTS_INDEX_PREFIX}${entry.rightsRequestID}`, { type: 'json' })),
+  );
+  return fullEntries.filter(Boolean);
+}
+
+/**
+ * Store a rights request and update its index entry. The index entry is written first: if it fails,
+ * the request is not stored either, rather than stored but missing from the listings. An index entry
+ * whose request write failed is corrected by the next write or removed by the backfill.
+ * @param {Object} env - Environment bindings
+ * @param {string} requestKey - KV key of the request
+ * @param {Object} requestData - Rights request
+ */
+export async function saveRightsRequest(env, requestKey, requestData) {
+  await putIndexEntry(env, requestKey, requestData);
+  await env.RIGHTS_REQUESTS.put(requestKey, JSON.stringify(requestData));
+}
+
+/**
+ * Backfill the index: index requests without (or with an outdated) index key, and remove index keys
+ * of deleted requests once all requests were checked (an index key whose request is not listed is only
+ * removed if reading the request finds nothing). Resumable: each call checks the request keys
+ * from the cursor on and stops after maxRepairs repairs, returning the cursor to continue with.
+ * Requests that are already indexed cost no reads, only list() calls.
+ * @param {Object} env - Environment bindings
+ * @param {string} [cursor] - Cursor returned by the previous call, none to start from the beginning
+ * @param {number} [maxRepairs] - Maximum number of requests to index, or index keys to check for removal
+ * @returns {Promise<Object>} Summary { checked, added, removed, done, cursor }, cursor is undefined
+ *   to continue from the beginning
+ */
+export async function backfillRightsIndex(env, cursor = undefined, maxRepairs = MAX_REPAIRS_PER_RUN) {
+  const indexKeys = await listAllKeys(env, RIGHTS_INDEX_PREFIX);
+  // request id => request key of the index entry
+  const indexed = new Map(indexKeys.map((key) => [key.name.slice(RIGHTS_INDEX_PREFIX.length), key.metadata?.kvKey]));
+  const summary = { checked: 0, added: 0, removed: 0, done: false, cursor: undefined };
+  let repairs = 0;
+
+  let pageCursor = cursor;
+  do {
+    const page = await env.RIGHTS_REQUESTS.list({ prefix: 'user:', cursor: pageCursor });
+    const missing = page.keys
+      .map((key) => key.name)
+      .filter((name) => name.includes(':rights-request:'))
+      .filter((name) => indexed.get(name.split(':rights-request:').pop()) !== name);
+
+    for (const name of missing) {
+      if (repairs >= maxRepairs) {
+        // continue with this page, its indexed requests are skipped next time
+        summary.cursor = pageCursor;
+        return summary;
+      }
+      repairs += 1;
+      try {
+        const requestData = await env.RIGHTS_REQUESTS.get(name, { type: 'json' });
+        if (requestData?.rightsRequestID) {
+          await putIndexEntry(env, name, requestData);
+          summary.added += 1;
+        }
+      } catch (err) {
+        console.error(`Rights requests index backfill of ${name} failed:`, err.message);
+      }
+    }
+    summary.checked += page.keys.length;
+    pageCursor = page.list_complete ? undefined : page.cursor;
+  } while (pageCursor);
+
+  // all requests checked: remove index keys of deleted requests
+  const requestIds = new Set(
+    (await listAllKeys(env, 'user:'))
+      .map((key) => key.name)
+      .filter((name) => name.includes(':rights-request:'))
+      .map((name) => name.split(':rights-request:').pop()),
+  );
+  const orphaned = [...indexed.keys()].filter((id) => !requestIds.has(id));
+  for (const id of orphaned) {
+    if (repairs >= maxRepairs) {
+      return summary;
+    }
+    repairs += 1;
+    // KV list() is eventually consistent and the index entry is written before the request,
+    // so a request created just now may not be listed yet
+    const kvKey = indexed.get(id);
+    if (kvKey && (await env.RIGHTS_REQUESTS.get(kvKey)) !== null) {
+      continue;
+    }
+    await env.RIGHTS_REQUESTS.delete(`${RIGHTS_INDEX_PREFIX}${id}`);
+    summary.removed += 1;
+  }
+  summary.done = true;
+  return summary;
+}
+
+/**
+ * Run the next step of the index backfill (scheduled job). The cursor is kept between runs,
+ * a completed backfill starts over with the next run, so that the index is repaired continuously.
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} Summary, see backfillRightsIndex()
+ */
+export async function runRightsIndexBackfill(env) {
+  const cursor = await env.RIGHTS_REQUESTS.get(BACKFILL_CURSOR_KEY);
+  const summary = await backfillRightsIndex(env, cursor || undefined);
+  if (summary.cursor) {
+    await env.RIGHTS_REQUESTS.put(BACKFILL_CURSOR_KEY, summary.cursor);
+  } else if (cursor) {
+    await env.RIGHTS_REQUESTS.delete(BACKFILL_CURSOR_KEY);
+  }
+  console.warn('Rights requests index backfill:', summary);
+  return summary;
+}
+
+/**
+ * Parse listing parameters from the query string
+ * - status: comma separated statuses
+ * - reviewer: reviewer email or `unassigned`
+ * - submitter: submitter email
+ * - from, to: range of the created date (inclusive, ISO dates)
+ * - sort: created (default), lastModified, status, reviewer or name
+ * - order: desc (default) or asc
+ * - page: 1-based page number, limit: page size (default 50, max 200)
+ * - cursor: read the index page by page in KV key order instead (see readRightsIndexPage), empty for
+ *   the first page, sort, order and page do not apply
+ * @param {URL} url - Request URL
+ * @returns {Object} Query
+ */
+export function parseIndexQuery(url) {
+  const params = url.searchParams;
+  const list = (name) =>
+    (params.get(name) || '')
+      .split(',')
+      .map((v) => v.trim())
+      .filter(Boolean);
+  const date = (name, endOfDay) => {
+    const value = params.get(name);
+    if (!value) return null;
+    // date only values cover the whole day
+    const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+    return Number.isNaN(time) ? null : time;
+  };
+
+  return {
+    statuses: list('status'),
+    reviewer: params.get('reviewer')?.toLowerCase() || null,
+    submitter: params.get('submitter')?.toLowerCase() || null,
+    from: date('from', false),
+    to: date('to', true),
+    sort: SORT_FIELDS[params.get('sort')] ? params.get('sort') : 'created',
+    order: params.get('order') === 'asc' ? 'asc' : 'desc',
+    page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+    limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.get('limit'), 10) || DEFAULT_PAGE_SIZE)),
+    cursor: params.has('cursor') ? params.get('cursor') : null,
+  };
+}
+
+/**
+ * Filter, sort and page index entries
+ * @param {Array<Object>} entries - Index entries
+ * @param {Object} query - Query from parseIndexQuery()
+ * @param {Function} [predicate] - Additional filter
+ * @returns {Object} { items, total, page, limit, totalPages }
+ */
+export function queryRightsIndex(entries, query, predicate = () => true) {
+  const filtered = entries.filter((entry) => {
+    const { rightsRequestStatus, rightsReviewer } = entry.rightsRequestReviewDetails;
+    if (query.statuses.length > 0 && !query.statuses.includes(rightsRequestStatus)) return false;
+    if (query.reviewer && (rightsReviewer || 'unassigned') !== query.reviewer) return false;
+    if (query.submitter && entry.rightsRequestSubmittedUserID !== query.submitter) return false;
+    const created = Date.parse(entry.created);
+    if (query.from !== null && !(created >= query.from)) return false;
+    if (query.to !== null && !(created <= query.to)) return false;
+    return predicate(entry);
+  });
+
+  const getValue = SORT_FIELDS[query.sort];
+  const direction = query.order === 'asc' ? 1 : -1;
+  filtered.sort((a, b) => {
+    const va = getValue(a);
+    const vb = getValue(b);
+    if (va === vb) return 0;
+    return (va < vb ? -1 : 1) * direction;
+  });
+
+  const start = (query.page - 1) * query.limit;
+  return {
+    items: filtered.slice(start, start + query.limit),
+    total: filtered.length,
+    page: query.page,
+    limit: query.limit,
+    totalPages: Math.ceil(filtered.length / query.limit),
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Entries of rights requests that are added and removed one by one (status history, comments,
+ * attachments). Each entry has its own key in the RIGHTS_REQUESTS KV namespace
+ * (`<type>:rights-request:<requestId>:<entryId>`) instead of being an array in the request
+ * document, so that concurrent writers (e.g. a submitter and a reviewer) never overwrite
+ * each other's entries.
+ *
+ * The entry is the value of the key, and also its metadata if it fits, so that listing the
+ * entries of a request usually only takes a list() call.
+ */
+
+// KV limit of the serialized metadata of a key
+const MAX_METADATA_SIZE = 1024;
+
+/**
+ * Build the KV key prefix of the entries of a request
+ * @param {string} type - Entry type, e.g. `history`
+ * @param {string} requestId - Rights request ID
+ * @returns {string} KV key prefix
+ */
+function buildEntryPrefix(type, requestId) {
+  return `${type}:rights-request:${requestId}:`;
+}
+
+/**
+ * Generate an entry ID that sorts in creation order
+ * @param {string} timestamp - ISO timestamp of the entry
+ * @returns {string} Entry ID
+ */
+export function generateEntryId(timestamp = new Date().toISOString()) {
+  return `${timestamp}_${crypto.randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Add an entry to a request
+ * @param {Object} env - Environment bindings
+ * @param {string} type - Entry type, e.g. `history`
+ * @param {string} requestId - Rights request ID
+ * @param {Object} entry - Entry with an `id` (see generateEntryId())
+ * @returns {Promise<Object>} The entry
+ */
+export async function addRequestEntry(env, type, requestId, entry) {
+  const value = JSON.stringify(entry);
+  await env.RIGHTS_REQUESTS.put(`${buildEntryPrefix(type, requestId)}${entry.id}`, value, {
+    metadata: value.length <= MAX_METADATA_SIZE ? entry : null,
+  });
+  return entry;
+}
+
+/**
+ * Get an entry of a request
+ * @param {Object} env - Environment bindings
+ * @param {string} type - Entry type
+ * @param {string} requestId - Rights request ID
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Object|null>} The entry, or null if it does not exist
+ */
+export async function getRequestEntry(env, type, requestId, entryId) {
+  return env.RIGHTS_REQUESTS.get(`${buildEntryPrefix(type, requestId)}${entryId}`, { type: 'json' });
+}
+
+/**
+ * Remove an entry of a request
+ * @param {Object} env - Environment bindings
+ * @param {string} type - Entry type
+ * @param {string} requestId - Rights request ID
+ * @param {string} entryId - Entry ID
+ */
+export async function deleteRequestEntry(env, type, requestId, entryId) {
+  await env.RIGHTS_REQUESTS.delete(`${buildEntryPrefix(type, requestId)}${entryId}`);
+}
+
+/**
+ * List the entries of a request
+ * @param {Object} env - Environment bindings
+ * @param {string} type - Entry type
+ * @param {string} requestId - Rights request ID
+ * @returns {Promise<Array<Object>>} Entries in the order of their IDs
+ */
+export async function listRequestEntries(env, type, requestId) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.RIGHTS_REQUESTS.list({ prefix: buildEntryPrefix(type, requestId), cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  // entries too large for the metadata are read
+  const entries = await Promise.all(
+    keys.map((key) => key.metadata || env.RIGHTS_REQUESTS.get(key.name, { type: 'json' })),
+  );
+  return entries.filter(Boolean);
+}
@@ -0,0 +1,121 @@
+/**
+ * Service level agreements (SLAs) for rights request reviews.
+ * Defines how long a rights request may stay in a status before it is overdue.
+ *
+ * Configured in the /config/access/rights-sla sheet with the columns:
+ * - `status`: rights request status (e.g. `In Progress`) or `Unassigned` for requests
+ *   that are not assigned to a reviewer yet
+ * - `days`: number of days the request may stay in the status
+ * - `businessDays`: `true` to count only Monday to Friday
+ * If the sheet is missing, DEFAULT_SLAS apply.
+ */
+
+import { fetchHelixSheet } from './helixutil.js';
+
+export const RIGHTS_SLA_SHEET = '/config/access/rights-sla';
+
+// Pseudo status for requests that are not assigned to a reviewer yet
+export const UNASSIGNED = 'Unassigned';
+
+// Final statuses, nobody has to act on requests in these statuses
+export const FINAL_STATUSES = ['Done', 'User Canceled', 'RM Canceled'];
+
+const DEFAULT_SLAS = {
+  [UNASSIGNED]: { days: 2, businessDays: true },
+  'In Progress': { days: 10, businessDays: false },
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the SLAs per status
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} Map of status => { days, businessDays }
+ */
+export async function loadRightsSlas(env) {
+  const rows = await fetchHelixSheet(env, RIGHTS_SLA_SHEET, { sheet: {} });
+  if (!rows || rows.length === 0) {
+    return DEFAULT_SLAS;
+  }
+
+  const slas = {};
+  rows.forEach((row) => {
+    const days = parseInt(row.days, 10);
+    if (row.status && days > 0) {
+      slas[row.status.trim()] = {
+        days,
+        businessDays: String(row.businessDays).trim().toLowerCase() === 'true',
+      };
+    }
+  });
+  return slas;
+}
+
+/**
+ * Add calendar or business days to a date
+ * @param {Date} start - Start date
+ * @param {number} days - Number of days
+ * @param {boolean} businessDays - Skip Saturdays and Sundays
+ * @returns {Date} Due date
+ */
+function addDays(start, days, businessDays) {
+  if (!businessDays) {
+    return new Date(start.getTime() + days * MS_PER_DAY);
+  }
+
+  const due = new Date(start.getTime());
+  let remaining = days;
+  while (remaining > 0) {
+    due.setUTCDate(due.getUTCDate() + 1);
+    const weekday = due.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      remaining -= 1;
+    }
+  }
+  return due;
+}
+
+/**
+ * Find when a rights request entered its current status
+ * @param {Object} requestData - Rights request or index entry
+ * @returns {Date} Time the status was entered (creation time if unknown)
+ */
+function getStatusSince(requestData) {
+  return new Date(requestData.statusSince || requestData.created);
+}
+
+/**
+ * Compute the SLA state of a rights request
+ * @param {Object} requestData - Rights request or index entry
+ * @param {Object} review - Review entry from RIGHTS_REQUEST_REVIEWS
+ * @param {Object} slas - SLAs from loadRightsSlas()
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} { status, since, dueDate, days, businessDays, overdue } or null if no SLA applies
+ *   (e.g. final statuses)
+ */
+export function getSlaState(requestData, review, slas, now = new Date()) {
+  const status = requestData.rightsRequestReviewDetails?.rightsRequestStatus || 'Not Started';
+  if (FINAL_STATUSES.includes(status)) {
+    return null;
+  }
+  const slaStatus = review?.rightsReviewer ? status : UNASSIGNED;
+  const sla = slas[slaStatus];
+  if (!sla) {
+    return null;
+  }
+
+  const since = getStatusSince(requestData);
+  if (Number.isNaN(since.getTime())) {
+    return null;
+  }
+
+  const dueDate = addDays(since, sla.days, sla.businessDays);
+  return {
+    status: slaStatus,
+    since: since.toISOString(),
+    dueDate: dueDate.toISOString(),
+    days: sla.days,
+    businessDays: sla.businessDays,
+    overdue: now > dueDate,
+  };
+}
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { findAuditKeys, parseFilters, toCsv } from '../src/api/audit.js';
+
+/**
+ * Audit event with the given target id and after values
+ */
+function createEvent(targetId, after) {
+  return {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    requestId: 'request-1',
+    actor: 'admin@example.com',
+    action: 'sudo.start',
+    target: { type: 'user', id: targetId },
+    after,
+  };
+}
+
+describe('audit log CSV export', () => {
+  const row = (csv) => csv.split('\r\n')[1];
+
+  it('escapes quotes, commas and line breaks', () => {
+    const csv = toCsv([createEvent('jane@example.com', { name: 'Cans, "Summer"' })]);
+    assert.equal(
+      row(csv),
+      '2026-01-01T00:00:00.000Z,request-1,admin@example.com,,sudo.start,user,jane@example.com,,' +
+        '"{""name"":""Cans, \\""Summer\\""""}"',
+    );
+  });
+
+  it('prevents values from being evaluated as formulas', () => {
+    for (const value of ['=HYPERLINK("https://example.com")', '+1', '-1', '@SUM(A1)', '\tx', '\rx']) {
+      const cells = row(toCsv([createEvent(value)])).split(',');
+      assert.ok(cells[6].startsWith(`"'`), value);
+    }
+  });
+
+  it('keeps other values as they are', () => {
+    assert.equal(row(toCsv([createEvent('jane@example.com')])).split(',')[6], 'jane@example.com');
+  });
+});
+
+/**
+ * In-memory R2 bucket with the audit events of the given timestamps, listed in pages of 2 objects
+ */
+function createBucket(timestamps) {
+  const keys = timestamps.map((timestamp, i) => `audit/${timestamp.substring(0, 10)}/${timestamp}_${i}.json`).sort();
+  return {
+    async list({ prefix, cursor }) {
+      const matching = keys.filter((key) => key.startsWith(prefix));
+      const start = Number(cursor || 0);
+      const truncated = start + 2 < matching.length;
+      return {
+        objects: matching.slice(start, start + 2).map((key) => ({ key, customMetadata: { action: 'sudo.start' } })),
+        truncated,
+        cursor: truncated ? String(start + 2) : undefined,
+      };
+    },
+  };
+}
+
+describe('audit log query', () => {
+  const env = {
+    AUDIT_LOG: createBucket([
+      '2026-01-01T10:00:00.000Z',
+      '2026-01-02T09:00:00.000Z',
+      '2026-01-02T10:00:00.000Z',
+      '2026-01-02T11:00:00.000Z',
+      '2026-01-03T08:00:00.000Z',
+    ]),
+  };
+  const filters = (params) => parseFilters(new URL(`https://example.com/api/audit?from=2026-01-01&to=2026-01-03&${params}`));
+  const timestamps = (keys) => keys.map((key) => key.split('/').pop().split('_')[0]);
+
+  it('pages through all events with the cursor, most recent first', async () => {
+    const first = await findAuditKeys(env, filters('limit=2'));
+    assert.equal(first.truncated, true);
+    assert.deepEqual(timestamps(first.keys), ['2026-01-03T08:00:00.000Z', '2026-01-02T11:00:00.000Z']);
+
+    const second = await findAuditKeys(env, filters(`limit=2&cursor=${encodeURIComponent(first.cursor)}`));
+    assert.deepEqual(timestamps(second.keys), ['2026-01-02T10:00:00.000Z', '2026-01-02T09:00:00.000Z']);
+
+    const last = await findAuditKeys(env, filters(`limit=2&cursor=${encodeURIComponent(second.cursor)}`));
+    assert.deepEqual(timestamps(last.keys), ['2026-01-01T10:00:00.000Z']);
+    assert.equal(last.truncated, false);
+    assert.equal(last.cursor, null);
+  });
+
+  it('rejects cursors that are not audit keys', () => {
+    assert.equal(filters('cursor=other/key').status, 400);
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { RIGHTS_INDEX_PREFIX, backfillRightsIndex, saveRightsRequest } from '../src/util/rights-index.js';
+
+/**
+ * In-memory KV namespace, list() leaves out the keys in `unlisted` (eventually consistent listing)
+ */
+function createKV() {
+  const store = new Map();
+  const metadata = new Map();
+  const unlisted = new Set();
+  return {
+    store,
+    unlisted,
+    async get(key, options) {
+      const value = store.get(key);
+      if (value === undefined) {
+        return null;
+      }
+      return options?.type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value, options) {
+      store.set(key, value);
+      metadata.set(key, options?.metadata);
+    },
+    async delete(key) {
+      store.delete(key);
+      metadata.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      const keys = [...store.keys()]
+        .filter((key) => key.startsWith(prefix) && !unlisted.has(key))
+        .sort()
+        .map((name) => ({ name, metadata: metadata.get(name) }));
+      return { keys, list_complete: true };
+    },
+  };
+}
+
+const request = (id) => ({
+  rightsRequestID: id,
+  rightsRequestDetails: { general: { requestName: `Request ${id}` } },
+  rightsRequestReviewDetails: { rightsRequestStatus: 'Not Started' },
+});
+
+describe('rights requests index backfill', () => {
+  it('removes index keys of deleted requests', async () => {
+    const env = { RIGHTS_REQUESTS: createKV() };
+    await saveRightsRequest(env, 'user:jane@example.com:rights-request:1', request('1'));
+    await env.RIGHTS_REQUESTS.delete('user:jane@example.com:rights-request:1');
+
+    const summary = await backfillRightsIndex(env);
+
+    assert.equal(summary.removed, 1);
+    assert.equal(summary.done, true);
+    assert.equal(env.RIGHTS_REQUESTS.store.has(`${RIGHTS_INDEX_PREFIX}1`), false);
+  });
+
+  it('keeps the index key of a request that is not listed yet', async () => {
+    const env = { RIGHTS_REQUESTS: createKV() };
+    await saveRightsRequest(env, 'user:jane@example.com:rights-request:2', request('2'));
+    env.RIGHTS_REQUESTS.unlisted.add('user:jane@example.com:rights-request:2');
+
+    const summary = await backfillRightsIndex(env);
+
+    assert.equal(summary.removed, 0);
+    assert.equal(summary.done, true);
+    assert.equal(env.RIGHTS_REQUESTS.store.has(`${RIGHTS_INDEX_PREFIX}2`), true);
+  });
+});
@@ -0,0 +1,220 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { processSavedSearchAlert, runSavedSearchAlerts } from '../src/jobs/savedsearchalerts.js';
+import { invalidateUserAccessCache } from '../src/user.js';
+
+const EMAIL = 'jane@example.com';
+const ALERT_KEY = `alert:${EMAIL}:search-1`;
+const SEARCH_KEY = `user:${EMAIL}:saved-search:search-1`;
+
+/**
+ * In-memory KV namespace with the methods used by the job
+ */
+function createKV(entries = {}) {
+  const store = new Map(Object.entries(entries));
+  const metadata = new Map();
+  return {
+    store,
+    metadata,
+    async get(key, options) {
+      const value = store.get(key);
+      if (value === undefined) {
+        return null;
+      }
+      return options?.type === 'json' ? JSON.parse(value) : value;
+    },
+    async getWithMetadata(key) {
+      return { value: store.get(key) ?? null, metadata: { expiration: Math.floor(Date.now() / 1000) + 3600 } };
+    },
+    async put(key, value, options) {
+      store.set(key, value);
+      metadata.set(key, options?.metadata);
+    },
+    async delete(key) {
+      store.delete(key);
+      metadata.delete(key);
+    },
+    async list({ prefix = '', cursor } = {}) {
+      const keys = [...store.keys()]
+        .filter((key) => key.startsWith(prefix))
+        .sort()
+        .map((name) => ({ name, metadata: metadata.get(name) }));
+      // pages of 2 keys, the cursor is the index of the first key of the page
+      const start = Number(cursor || 0);
+      const listComplete = start + 2 >= keys.length;
+      return {
+        keys: keys.slice(start, start + 2),
+        list_complete: listComplete,
+        cursor: listComplete ? undefined : String(start + 2),
+      };
+    },
+  };
+}
+
+describe('saved search alerts', () => {
+  let env;
+  let searches;
+  let hits;
+  let nbHits;
+  let permissions;
+  let originalFetch;
+
+  beforeEach(async () => {
+    env = {
+      HELIX_ORIGIN: 'https://main--koassets--aemsites.aem.live',
+      HELIX_PUSH_INVALIDATION: 'disabled',
+      DM_ORIGIN: 'https://delivery-p1-e2.adobeaemcloud.com',
+      DM_CLIENT_ID: { get: async () => 'client-id' },
+      AUTH_TOKENS: createKV({ 'dm-ims-token': 'ims-token' }),
+      MESSAGES: createKV(),
+      SAVED_SEARCHES: createKV({
+        [SEARCH_KEY]: JSON.stringify({ id: 'search-1', name: 'Cans', searchTerm: 'can', alert: true }),
+        [ALERT_KEY]: JSON.stringify({ email: EMAIL, searchId: 'search-1', origin: 'https://portal.example.com' }),
+      }),
+    };
+    searches = [];
+    hits = [];
+    nbHits = undefined;
+    permissions = [{ email: EMAIL, permissions: 'preview' }];
+    // each test changes the access sheets
+    await invalidateUserAccessCache(env);
+
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+      const { pathname } = new URL(url);
+      if (pathname === '/config/access/permissions.json') {
+        return Response.json({ data: permissions });
+      }
+      if (pathname === '/config/access/users.json') {
+        return Response.json({ data: [{ email: EMAIL, roles: 'admin' }] });
+      }
+      if (pathname.startsWith('/config/access/')) {
+        return Response.json({});
+      }
+      if (pathname === '/adobe/assets/search') {
+        searches.push(JSON.parse(options.body));
+        return Response.json({ results: [{ hits, nbHits: nbHits ?? hits.length }] });
+      }
+      throw new Error(`Unexpected fetch: ${url}`);
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const readAlert = () => JSON.parse(env.SAVED_SEARCHES.store.get(ALERT_KEY));
+  const messages = () => [...env.MESSAGES.store.values()].map((value) => JSON.parse(value));
+
+  it('only records the run time on the first run', async () => {
+    assert.equal(await processSavedSearchAlert(env, ALERT_KEY), 0);
+
+    assert.equal(searches.length, 0);
+    assert.equal(messages().length, 0);
+    assert.ok(readAlert().lastRun);
+  });
+
+  it('searches assets modified since the last run including the lookback', async () => {
+    const lastRun = new Date(Date.now() - 60 * 60 * 1000);
+    env.SAVED_SEARCHES.store.set(ALERT_KEY, JSON.stringify({ ...readAlert(), lastRun: lastRun.toISOString() }));
+
+    await processSavedSearchAlert(env, ALERT_KEY);
+
+    const [request] = searches[0].requests;
+    const since = Math.floor(lastRun.getTime() / 1000) - 24 * 60 * 60;
+    assert.equal(request.indexName, '1-2_repo-modifyDate_desc');
+    assert.equal(request.params.query, 'can');
+    assert.ok(request.params.numericFilters.includes(`repo-modifyDate > ${since}`));
+  });
+
+  it('reports new assets once', async () => {
+    env.SAVED_SEARCHES.store.set(ALERT_KEY, JSON.stringify({ ...readAlert(), lastRun: new Date().toISOString() }));
+    hits = [{ assetId: 'urn:aaid:aem:1' }, { assetId: 'urn:aaid:aem:2' }];
+
+    assert.equal(await processSavedSearchAlert(env, ALERT_KEY), 2);
+    assert.equal(messages().length, 1);
+    assert.match(messages()[0].message, /2 new asset\(s\)/);
+    assert.match(messages()[0].message, /urn:aaid:aem:1\nurn:aaid:aem:2/);
+    assert.deepEqual(Object.keys(readAlert().reported), ['urn:aaid:aem:1', 'urn:aaid:aem:2']);
+
+    // found again within the lookback, e.g. indexed late, together with a new asset
+    hits = [{ assetId: 'urn:aaid:aem:3' }, ...hits];
+    assert.equal(await processSavedSearchAlert(env, ALERT_KEY), 1);
+    assert.equal(messages().length, 2);
+    assert.equal(Object.keys(readAlert().reported).length, 3);
+
+    hits = [];
+    assert.equal(await processSavedSearchAlert(env, ALERT_KEY), 0);
+    assert.equal(messages().length, 2);
+  });
+
+  it('counts matching assets beyond the fetched hits as new', async () => {
+    env.SAVED_SEARCHES.store.set(ALERT_KEY, JSON.stringify({
+      ...readAlert(),
+      lastRun: new Date().toISOString(),
+      reported: { 'urn:aaid:aem:1': Math.floor(Date.now() / 1000) },
+    }));
+    hits = [{ assetId: 'urn:aaid:aem:1' }, { assetId: 'urn:aaid:aem:2' }];
+    nbHits = 5;
+
+    assert.equal(await processSavedSearchAlert(env, ALERT_KEY), 4);
+    assert.match(messages()[0].message, /and 3 more/);
+  });
+
+  it('forgets reported assets before the searched time range', async () => {
+    const lastRun = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    env.SAVED_SEARCHES.store.set(ALERT_KEY, JSON.stringify({
+      ...readAlert(),
+      lastRun: lastRun.toISOString(),
+      reported: { 'urn:aaid:aem:old': Math.floor(lastRun.getTime() / 1000) - 25 * 60 * 60 },
+    }));
+
+    await processSavedSearchAlert(env, ALERT_KEY);
+
+    assert.deepEqual(readAlert().reported, {});
+  });
+
+  it('removes alerts of deleted saved searches', async () => {
+    env.SAVED_SEARCHES.store.delete(SEARCH_KEY);
+
+    const summary = await runSavedSearchAlerts(env);
+
+    assert.deepEqual(summary, { alerts: 1, notified: 0, failed: 0, deferred: false, cursor: undefined });
+    assert.equal(env.SAVED_SEARCHES.store.has(ALERT_KEY), false);
+  });
+
+  it('does not search for users without access', async () => {
+    env.SAVED_SEARCHES.store.set(ALERT_KEY, JSON.stringify({ ...readAlert(), lastRun: new Date().toISOString() }));
+    hits = [{ assetId: 'urn:aaid:aem:1' }];
+    permissions = [];
+
+    assert.equal(await processSavedSearchAlert(env, ALERT_KEY), 0);
+    assert.equal(searches.length, 0);
+    assert.equal(messages().length, 0);
+    assert.ok(env.SAVED_SEARCHES.store.has(ALERT_KEY));
+  });
+
+  it('processes a limited number of due alerts per run and continues with the next run', async () => {
+    for (const id of ['search-2', 'search-3', 'search-4']) {
+      env.SAVED_SEARCHES.store.set(
+        `user:${EMAIL}:saved-search:${id}`,
+        JSON.stringify({ id, name: id, searchTerm: 'can', alert: true }),
+      );
+      env.SAVED_SEARCHES.store.set(`alert:${EMAIL}:${id}`, JSON.stringify({ email: EMAIL, searchId: id }));
+    }
+
+    let summary = await runSavedSearchAlerts(env, 3);
+    assert.equal(summary.alerts, 3);
+    assert.equal(summary.deferred, true);
+    assert.equal(env.SAVED_SEARCHES.store.get('alerts-run:cursor'), '2');
+
+    summary = await runSavedSearchAlerts(env, 3);
+    assert.equal(summary.alerts, 1);
+    assert.equal(summary.deferred, false);
+    assert.equal(env.SAVED_SEARCHES.store.has('alerts-run:cursor'), false);
+
+    // all alerts ran, none is due before a day has passed
+    summary = await runSavedSearchAlerts(env, 3);
+    assert.equal(summary.alerts, 0);
+  });
+});
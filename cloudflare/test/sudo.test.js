@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { withSudoWriteProtection } from '../src/api/sudo.js';
+
+/**
+ * Request of a super user viewing the application as another user
+ */
+function createSudoRequest(method, path, allowWrites = false) {
+  return {
+    method,
+    url: `https://portal.example.com${path}`,
+    user: {
+      email: 'jane@example.com',
+      su: { email: 'admin@example.com', allowWrites },
+    },
+  };
+}
+
+describe('sudo write protection', () => {
+  it('allows reads', () => {
+    assert.equal(withSudoWriteProtection(createSudoRequest('GET', '/api/savedsearches')), undefined);
+  });
+
+  it('allows searches and rights checks', () => {
+    for (const path of [
+      '/api/adobe/assets/search',
+      '/api/rightssearch',
+      '/api/fadel/rc-api/clearance/assetclearance',
+      '/api/user/session',
+    ]) {
+      assert.equal(withSudoWriteProtection(createSudoRequest('POST', path)), undefined, path);
+    }
+  });
+
+  it('blocks other writes', () => {
+    for (const [method, path] of [
+      ['POST', '/api/savedsearches'],
+      ['POST', '/api/fadel/rc-api/clearance/assetclearance/other'],
+      ['DELETE', '/api/rightssearch'],
+    ]) {
+      const response = withSudoWriteProtection(createSudoRequest(method, path));
+      assert.equal(response?.status, 403, `${method} ${path}`);
+    }
+  });
+
+  it('allows writes if the impersonation allows them', () => {
+    assert.equal(withSudoWriteProtection(createSudoRequest('POST', '/api/savedsearches', true)), undefined);
+  });
+
+  it('does not apply without impersonation', () => {
+    const request = createSudoRequest('POST', '/api/savedsearches');
+    delete request.user.su;
+    assert.equal(withSudoWriteProtection(request), undefined);
+  });
+});
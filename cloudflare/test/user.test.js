@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { getUserAccess, invalidateUserAccessCache } from '../src/user.js';
+
+const EMAIL = 'jane@example.com';
+
+describe('user access', () => {
+  let env;
+  let request;
+  let sheetFetches;
+  let permissions;
+  let originalFetch;
+
+  beforeEach(async () => {
+    env = {
+      HELIX_ORIGIN: 'https://main--koassets--aemsites.aem.live',
+      HELIX_PUSH_INVALIDATION: 'disabled',
+    };
+    request = { headers: new Headers({ host: 'koassets.adobeaem.workers.dev' }) };
+    sheetFetches = 0;
+    permissions = [{ email: EMAIL, permissions: 'preview,admin-rights' }];
+    await invalidateUserAccessCache(env);
+
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+      const { pathname } = new URL(url);
+      if (options?.method === 'HEAD') {
+        return new Response(null, { headers: { 'last-modified': 'Mon, 19 Oct 2026 08:00:00 GMT' } });
+      }
+      sheetFetches += 1;
+      if (pathname === '/config/access/permissions.json') {
+        return Response.json({ data: permissions });
+      }
+      return Response.json({});
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('caches the access in the isolate without the USER_ACCESS_CACHE binding', async () => {
+    const access = await getUserAccess(request, env, { email: 'Jane@example.com' });
+    assert.deepEqual(access.permissions, ['preview', 'admin-rights']);
+    const fetches = sheetFetches;
+    assert.ok(fetches > 0);
+
+    permissions = [];
+    assert.deepEqual(await getUserAccess(request, env, { email: EMAIL }), access);
+    assert.equal(sheetFetches, fetches);
+  });
+
+  it('resolves the access again after invalidating the cache', async () => {
+    await getUserAccess(request, env, { email: EMAIL });
+
+    permissions = [];
+    await invalidateUserAccessCache(env);
+    assert.equal(await getUserAccess(request, env, { email: EMAIL }), false);
+  });
+});
@@ -1,4 +1,4 @@
-import { AlgoliaSearchQuery, AlgoliaSearchRequest, Asset, Metadata, Rendition } from '../types';
+import { AlgoliaSearchQuery, AlgoliaSearchRequest, Asset, CollectionSearchResult, Metadata, Rendition } from '../types';
 import { mimeTypeToExtension } from '../utils/mimeTypeConverter';
 
 // Extend window interface for user authentication
@@ -43,6 +43,28 @@ export interface SearchAssetsOptions {
     filters?: string[];
     hitsPerPage?: number;
     page?: number;
+    /** sort key (see constants/sort.ts), omit for relevance ranking */
+    sort?: string;
+}
+
+export interface RightsSearchOptions {
+    inDate: number; // epoch time (air date)
+    outDate: number; // epoch time (pull date)
+    markets: number[]; // fadel market rights ids
+    mediaChannels: number[]; // fadel media rights ids
+    includeAvailableExcept?: boolean; // include assets available with exceptions (default true)
+}
+
+// Collection as returned by the collections search index
+interface CollectionHit {
+    collectionId: string;
+    itemCount?: number;
+    collectionMetadata?: {
+        title?: string;
+        description?: string;
+        'dam:thumbnailUrl'?: string;
+    };
+    repositoryMetadata?: Record<string, string>;
 }
 
 export class DynamicMediaClient {
@@ -169,7 +191,8 @@ export class DynamicMediaClient {
             numericFilters = [],
             filters = [],
             hitsPerPage = 24,
-            page = 0
+            page = 0,
+            sort
         } = options;
 
         const combinedSelectedFacetFilters = [...facetFilters, ...(collectionId ? [[`collectionIds:${collectionId.split(':')[3]}`]] : [])];
@@ -195,7 +218,10 @@ export class DynamicMediaClient {
                         "page": page,
                         "query": query || "",
                         "tagFilters": ""
-                    }
+                    },
+                    // the worker maps the sort key to the Algolia replica index of that order,
+                    // facet sub-requests do not need it as their counts do not depend on the order
+                    ...(sort ? { "sort": sort } : {})
                 },
                 ...this.generateSubRequest(query, facetFilters, numericFilters)
             ]
@@ -317,6 +343,78 @@ export class DynamicMediaClient {
         });
     }
 
+    /**
+     * Search for assets cleared in Fadel for the selected rights. The worker checks the rights of all
+     * candidates, so pages and totals only include cleared assets and each hit has its `authorized` status.
+     * @param query - The search query string
+     * @param options - Search options (collection, facets, pagination)
+     * @param rights - Selected rights (dates, markets, media channels)
+     * @returns Promise with search results
+     */
+    async searchAssetsWithRights(query: string, options: SearchAssetsOptions, rights: RightsSearchOptions): Promise<unknown> {
+        const { includeAvailableExcept, ...selectedRights } = rights;
+
+        return await this.makeRequest({
+            url: '/rightssearch',
+            method: 'POST',
+            data: {
+                search: this.transformToAlgoliaSearchAssets(query, options),
+                rights: selectedRights,
+                includeAvailableExcept
+            },
+        });
+    }
+
+    /**
+     * Search the collections the user has access to (owner, editor or viewer).
+     * The worker restricts the search to the ACL of the user, see collectionsSearchAuthorization.
+     * @param query - The search query string
+     * @param options - Pagination
+     * @returns Promise with the page of collections
+     */
+    async searchCollections(query: string, options: { hitsPerPage?: number; page?: number } = {}): Promise<CollectionSearchResult> {
+        const { hitsPerPage = 24, page = 0 } = options;
+
+        const content = await this.makeRequest<{ results?: { hits?: CollectionHit[]; nbHits?: number; nbPages?: number; page?: number }[] }>({
+            url: '/adobe/assets/search-collections',
+            method: 'POST',
+            data: {
+                "requests": [
+                    {
+                        "params": {
+                            // only collections of the system user, as created through the collections API
+                            "filters": "repositoryMetadata.repo-createdBy:{{SYSTEM_USER_ID}}",
+                            "highlightPostTag": "__/ais-highlight__",
+                            "highlightPreTag": "__ais-highlight__",
+                            "hitsPerPage": hitsPerPage,
+                            "page": page,
+                            "query": query || "",
+                            "tagFilters": ""
+                        }
+                    }
+                ]
+            },
+        });
+
+        const result = content?.results?.[0];
+        return {
+            collections: (result?.hits || []).map(hit => ({
+                collectionId: hit.collectionId,
+                thumbnail: hit.collectionMetadata?.['dam:thumbnailUrl'] || undefined,
+                collectionMetadata: {
+                    title: hit.collectionMetadata?.title || 'Untitled Collection',
+                    description: hit.collectionMetadata?.description
+                },
+                itemCount: hit.itemCount,
+                // Algolia uses hyphens in repository metadata names
+                lastModified: hit.repositoryMetadata?.['repo-modifyDate'] || hit.repositoryMetadata?.['repo:modifyDate']
+            })),
+            nbHits: result?.nbHits || 0,
+            nbPages: result?.nbPages || 0,
+            page: result?.page || page
+        };
+    }
+
     /**
      * Change file extension to supported preview format
      * @private
@@ -0,0 +1,53 @@
+import React from 'react';
+import type { Collection } from '../types';
+import { formatDate } from '../utils/formatters';
+
+interface CollectionCardProps {
+    collection: Collection;
+    onClick: (collection: Collection) => void;
+}
+
+// Modify dates are ISO strings or epoch timestamps, depending on the index
+const formatModifyDate = (date: string | number | undefined): string => {
+    if (date === undefined || date === '') return '';
+    return formatDate(Number.isNaN(Number(date)) ? new Date(date).getTime() : date);
+};
+
+const CollectionCard: React.FC<CollectionCardProps> = ({ collection, onClick }) => {
+    const { title, description } = collection.collectionMetadata;
+    const lastModified = formatModifyDate(collection.lastModified);
+
+    return (
+        <div
+            className="collection-card"
+            role="button"
+            tabIndex={0}
+            onClick={() => onClick(collection)}
+            onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                    onClick(collection);
+                }
+            }}
+        >
+            <div className="collection-card-thumbnail">
+                {collection.thumbnail ? (
+                    <img src={collection.thumbnail} alt={title} loading="lazy" />
+                ) : (
+                    <div className="collection-card-placeholder" aria-hidden="true"></div>
+                )}
+            </div>
+            <div className="collection-card-info">
+                <div className="collection-card-title" title={title}>{title}</div>
+                {description && <div className="collection-card-description">{description}</div>}
+                <div className="collection-card-meta tccc-metadata-label">
+                    {collection.itemCount !== undefined && (
+                        <span>{collection.itemCount} {collection.itemCount === 1 ? 'ASSET' : 'ASSETS'}</span>
+                    )}
+                    {lastModified && <span>UPDATED {lastModified}</span>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CollectionCard;
@@ -0,0 +1,72 @@
+import React from 'react';
+import type { Collection, CollectionSearchResult } from '../types';
+import CollectionCard from './CollectionCard';
+import './CollectionGallery.css';
+// loading and load more styles shared with the image gallery
+import './ImageGallery.css';
+
+interface CollectionGalleryProps {
+    result: CollectionSearchResult;
+    loading: boolean;
+    isLoadingMore: boolean;
+    onLoadMore: () => void;
+    onCollectionClick: (collection: Collection) => void;
+}
+
+// Results of the Collections search
+const CollectionGallery: React.FC<CollectionGalleryProps> = ({
+    result,
+    loading,
+    isLoadingMore,
+    onLoadMore,
+    onCollectionClick
+}) => {
+    const hasMorePages = result.page + 1 < result.nbPages;
+
+    return (
+        <div className="collection-gallery">
+            <div className="collection-gallery-header">
+                <span className="collection-gallery-count">{result.nbHits} {result.nbHits === 1 ? 'collection' : 'collections'}</span>
+            </div>
+            {loading ? (
+                <div className="loading-container">
+                    <div className="loading-spinner"></div>
+                    <p>Loading collections...</p>
+                </div>
+            ) : result.collections.length === 0 ? (
+                <div className="no-images">
+                    <p>No collections to display</p>
+                </div>
+            ) : (
+                <>
+                    <div className="collection-grid">
+                        {result.collections.map((collection) => (
+                            <CollectionCard
+                                key={collection.collectionId}
+                                collection={collection}
+                                onClick={onCollectionClick}
+                            />
+                        ))}
+                    </div>
+
+                    {isLoadingMore && (
+                        <div className="loading-more-container">
+                            <div className="loading-spinner"></div>
+                            <p>Loading more results...</p>
+                        </div>
+                    )}
+
+                    {hasMorePages && !isLoadingMore && (
+                        <div className="load-more-button-container">
+                            <button className="load-more-button" onClick={onLoadMore}>
+                                Load more
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CollectionGallery;
@@ -19,28 +19,40 @@ interface ExpandedFacetsState {
 
 const HIERARCHY_PREFIX = 'TCCC.#hierarchy.lvl';
 
+// Saved search as stored in KV: Sets as Arrays and DateValues as epoch timestamps
+type StoredSavedSearch = Omit<SavedSearch, 'rightsFilters'> & {
+    rightsFilters: Omit<RightsFilters, 'markets' | 'mediaChannels' | 'rightsStartDate' | 'rightsEndDate'> & {
+        rightsStartDate: number | null;
+        rightsEndDate: number | null;
+        markets: RightsData[];
+        mediaChannels: RightsData[];
+    }
+};
+
+// Convert Arrays back to Sets and epoch timestamps back to DateValues after JSON deserialization
+const deserializeSavedSearch = (search: StoredSavedSearch): SavedSearch => ({
+    ...search,
+    rightsFilters: {
+        rightsStartDate: search.rightsFilters.rightsStartDate ? epochToCalendarDate(search.rightsFilters.rightsStartDate / 1000) : null,
+        rightsEndDate: search.rightsFilters.rightsEndDate ? epochToCalendarDate(search.rightsFilters.rightsEndDate / 1000) : null,
+        markets: new Set(search.rightsFilters.markets || []),
+        mediaChannels: new Set(search.rightsFilters.mediaChannels || [])
+    }
+});
+
+// Convert Sets to Arrays and DateValues to epoch for JSON serialization
+const serializeRightsFilters = (rightsFilters: RightsFilters): StoredSavedSearch['rightsFilters'] => ({
+    rightsStartDate: rightsFilters.rightsStartDate ? calendarDateToEpoch(rightsFilters.rightsStartDate as CalendarDate) : null,
+    rightsEndDate: rightsFilters.rightsEndDate ? calendarDateToEpoch(rightsFilters.rightsEndDate as CalendarDate) : null,
+    markets: Array.from(rightsFilters.markets),
+    mediaChannels: Array.from(rightsFilters.mediaChannels)
+});
+
 // React-specific saved search functions with rights filters serialization
 const loadSavedSearches = async (): Promise<SavedSearch[]> => {
     try {
         const searches = await savedSearchClient.load();
-        
-        // Convert Arrays back to Sets and epoch timestamps back to DateValues after JSON deserialization
-        return searches.map((search: SavedSearch & {
-            rightsFilters: Omit<RightsFilters, 'markets' | 'mediaChannels' | 'rightsStartDate' | 'rightsEndDate'> & {
-                rightsStartDate: number | null;
-                rightsEndDate: number | null;
-                markets: RightsData[];
-                mediaChannels: RightsData[];
-            }
-        }) => ({
-            ...search,
-            rightsFilters: {
-                rightsStartDate: search.rightsFilters.rightsStartDate ? epochToCalendarDate(search.rightsFilters.rightsStartDate / 1000) : null,
-                rightsEndDate: search.rightsFilters.rightsEndDate ? epochToCalendarDate(search.rightsFilters.rightsEndDate / 1000) : null,
-                markets: new Set(search.rightsFilters.markets || []),
-                mediaChannels: new Set(search.rightsFilters.mediaChannels || [])
-            }
-        }));
+        return searches.map(deserializeSavedSearch);
     } catch (error) {
         console.error('Error loading saved searches:', error);
         return [];
@@ -66,23 +78,20 @@ const rightsFacets: Record<string, FacetValue> = {
     }
 }
 
-const saveSavedSearches = async (searches: SavedSearch[]): Promise<void> => {
-    try {
-        // Convert Sets to Arrays and DateValues to epoch for JSON serialization
-        const searchesForSaving = searches.map(search => ({
-            ...search,
-            rightsFilters: {
-                rightsStartDate: search.rightsFilters.rightsStartDate ? calendarDateToEpoch(search.rightsFilters.rightsStartDate as CalendarDate) : null,
-                rightsEndDate: search.rightsFilters.rightsEndDate ? calendarDateToEpoch(search.rightsFilters.rightsEndDate as CalendarDate) : null,
-                markets: Array.from(search.rightsFilters.markets),
-                mediaChannels: Array.from(search.rightsFilters.mediaChannels)
-            }
-        }));
-        
-        await savedSearchClient.save(searchesForSaving);
-    } catch (error) {
-        console.error('Error saving searches:', error);
-    }
+const createSavedSearch = async (search: Omit<SavedSearch, 'id'>): Promise<SavedSearch | null> => {
+    const created = await savedSearchClient.create({
+        ...search,
+        rightsFilters: serializeRightsFilters(search.rightsFilters)
+    });
+    return created ? deserializeSavedSearch(created as StoredSavedSearch) : null;
+};
+
+const updateSavedSearch = async (searchId: string, updates: Partial<SavedSearch>): Promise<SavedSearch | null> => {
+    const updated = await savedSearchClient.update(searchId, {
+        ...updates,
+        ...(updates.rightsFilters && { rightsFilters: serializeRightsFilters(updates.rightsFilters) })
+    });
+    return updated ? deserializeSavedSearch(updated as StoredSavedSearch) : null;
 };
 
 // Interface for FacetItem props
@@ -204,6 +213,12 @@ const FacetItem = React.memo<FacetItemProps>(({
 
 FacetItem.displayName = 'FacetItem';
 
+// Link of a saved search, with the rights filters in the stored format as expected in URLs
+const buildSavedSearchLink = (savedSearch: SavedSearch): string => buildSavedSearchUrl({
+    ...savedSearch,
+    rightsFilters: savedSearch.rightsFilters ? serializeRightsFilters(savedSearch.rightsFilters) : undefined
+});
+
 const Facets: React.FC<FacetsProps> = ({
     searchResults,
     search,
@@ -226,7 +241,9 @@ const Facets: React.FC<FacetsProps> = ({
     facetCheckedState,
     setFacetCheckedState,
     onFacetCheckbox,
-    onClearAllFacets
+    onClearAllFacets,
+    sortBy,
+    onSortByChange
 }) => {
     const [expandedFacets, setExpandedFacets] = useState<ExpandedFacetsState>({}); // Keep track of expanded facets (from EXC)
     const [expandedHierarchyItems, setExpandedHierarchyItems] = useState<ExpandedFacetsState>({}); // Keep track of expanded hierarchy items
@@ -258,12 +275,27 @@ const Facets: React.FC<FacetsProps> = ({
     const [savedSearches, setSavedSearches] = useState<SavedSearch[]>([]);
     const [showSaveModal, setShowSaveModal] = useState(false);
     const [saveSearchName, setSaveSearchName] = useState('');
+    const [saveSearchAlert, setSaveSearchAlert] = useState(false);
 
     // Load saved searches on mount
     useEffect(() => {
         loadSavedSearches().then(setSavedSearches);
     }, []);
 
+    // Reload saved searches, e.g. after a write was rejected because the search was changed elsewhere
+    const reloadSavedSearches = useCallback(() => {
+        loadSavedSearches().then(setSavedSearches);
+    }, []);
+
+    // Update last used timestamp (locally and in KV)
+    const markSavedSearchUsed = useCallback((savedSearch: SavedSearch) => {
+        // searches shared by other users cannot be updated
+        if (savedSearch.readOnly) return;
+        const now = Date.now();
+        setSavedSearches(prev => prev.map(s => s.id === savedSearch.id ? { ...s, dateLastUsed: now } : s));
+        savedSearchClient.updateLastUsed(savedSearch.id);
+    }, []);
+
     // Memoized combined facets computation - merges facets from all search results
     const combinedFacets = useMemo((): SearchResult['facets'] => {
         const combined: SearchResult['facets'] = {};
@@ -822,35 +854,42 @@ const Facets: React.FC<FacetsProps> = ({
             }
 
             const now = Date.now();
-            const newSearch: SavedSearch = {
-                id: now.toString(),
+            const newSearch: Omit<SavedSearch, 'id'> = {
                 name: saveSearchName.trim(),
                 searchTerm: query,
                 facetFilters: facetCheckedState,
                 numericFilters: [...selectedNumericFilters],
                 rightsFilters: rightsFilters,
+                sortBy: sortBy,
                 dateCreated: now,
                 dateLastModified: now,
                 dateLastUsed: now,
                 favorite: false,
                 searchType: searchType,
-                thumbnailImageId: thumbnailImageId
+                thumbnailImageId: thumbnailImageId,
+                alert: saveSearchAlert
             };
 
-            const updatedSearches = [...savedSearches, newSearch];
-            setSavedSearches(updatedSearches);
-            saveSavedSearches(updatedSearches);
+            createSavedSearch(newSearch).then((created) => {
+                if (created) {
+                    setSavedSearches(prev => [...prev, created]);
 
-            // Show success toast notification
-            ToastQueue.positive('SEARCH SAVED SUCCESSFULLY', { timeout: 3000 });
+                    // Show success toast notification
+                    ToastQueue.positive('SEARCH SAVED SUCCESSFULLY', { timeout: 3000 });
+                } else {
+                    ToastQueue.negative('FAILED TO SAVE SEARCH', { timeout: 3000 });
+                }
+            });
 
             setSaveSearchName('');
+            setSaveSearchAlert(false);
             setShowSaveModal(false);
         }
-    }, [saveSearchName, selectedMarkets, selectedMediaChannels, rightsStartDate, rightsEndDate, query, facetCheckedState, selectedNumericFilters, savedSearches, searchResults]);
+    }, [saveSearchName, saveSearchAlert, selectedMarkets, selectedMediaChannels, rightsStartDate, rightsEndDate, query, facetCheckedState, selectedNumericFilters, sortBy, searchResults]);
 
     const handleSaveSearchCancel = () => {
         setSaveSearchName('');
+        setSaveSearchAlert(false);
         setShowSaveModal(false);
     };
 
@@ -861,7 +900,7 @@ const Facets: React.FC<FacetsProps> = ({
             
             // Check if we need to navigate to a different search type
             if (!currentPath.includes(savedSearch.searchType)) {
-                const searchUrl = buildSavedSearchUrl(savedSearch);
+                const searchUrl = buildSavedSearchLink(savedSearch);
                 window.location.href = searchUrl;
                 return; // Exit early since we're navigating away
             }
@@ -894,17 +933,28 @@ const Facets: React.FC<FacetsProps> = ({
                 setSelectedMediaChannels(new Set(savedSearch.rightsFilters.mediaChannels));
             }
 
+            onSortByChange?.(savedSearch.sortBy); // searches saved before sorting use relevance
+
             // Switch back to filters view
             setActiveView('filters');
 
             // Update last used timestamp
-            const now = Date.now();
-            const usedUpdated = savedSearches.map(s => s.id === savedSearch.id ? { ...s, dateLastUsed: now } : s);
-            setSavedSearches(usedUpdated);
-            saveSavedSearches(usedUpdated);
+            markSavedSearchUsed(savedSearch);
         }, 0);
     };
 
+    const handleToggleFavorite = (searchId: string) => {
+        setSavedSearches(prev => prev.map(s => s.id === searchId ? { ...s, favorite: !s.favorite } : s));
+        savedSearchClient.toggleFavorite(searchId).then((updated) => {
+            if (updated) {
+                const search = deserializeSavedSearch(updated as StoredSavedSearch);
+                setSavedSearches(prev => prev.map(s => (s.id === search.id ? search : s)));
+            } else {
+                reloadSavedSearches();
+            }
+        });
+    };
+
     const handleDeleteSavedSearch = (searchId: string) => {
         const searchToDelete = savedSearches.find(s => s.id === searchId);
         const searchName = searchToDelete?.name || 'this saved search';
@@ -916,12 +966,16 @@ const Facets: React.FC<FacetsProps> = ({
 
     const handleConfirmDelete = () => {
         if (deleteSearchId) {
-            const updatedSearches = savedSearches.filter(s => s.id !== deleteSearchId);
-            setSavedSearches(updatedSearches);
-            saveSavedSearches(updatedSearches);
-
-            // Show success toast notification
-            ToastQueue.positive('SAVED SEARCH DELETED SUCCESSFULLY', { timeout: 3000 });
+            setSavedSearches(prev => prev.filter(s => s.id !== deleteSearchId));
+            savedSearchClient.delete(deleteSearchId).then((deleted) => {
+                if (deleted) {
+                    // Show success toast notification
+                    ToastQueue.positive('SAVED SEARCH DELETED SUCCESSFULLY', { timeout: 3000 });
+                } else {
+                    ToastQueue.negative('SAVED SEARCH WAS CHANGED ELSEWHERE, PLEASE TRY AGAIN', { timeout: 3000 });
+                    reloadSavedSearches();
+                }
+            });
         }
         setShowDeleteModal(false);
         setDeleteSearchId(null);
@@ -982,23 +1036,17 @@ const Facets: React.FC<FacetsProps> = ({
 
     const handleCopySavedSearch = async (savedSearch: SavedSearch) => {
         try {
-            const link = buildSavedSearchUrl(savedSearch);
+            const link = buildSavedSearchLink(savedSearch);
             await navigator.clipboard.writeText(link);
-            const now = Date.now();
-            const updated = savedSearches.map(s => s.id === savedSearch.id ? { ...s, dateLastUsed: now } : s);
-            setSavedSearches(updated);
-            saveSavedSearches(updated);
+            markSavedSearchUsed(savedSearch);
 
             // Show success toast notification
             ToastQueue.positive('SAVED SEARCH COPIED SUCCESSFULLY', { timeout: 3000 });
         } catch (e) {
             console.warn('[SavedSearch] clipboard copy failed, falling back to prompt');
             // Fallback
-            window.prompt('Copy this link', buildSavedSearchUrl(savedSearch));
-            const now = Date.now();
-            const updated = savedSearches.map(s => s.id === savedSearch.id ? { ...s, dateLastUsed: now } : s);
-            setSavedSearches(updated);
-            saveSavedSearches(updated);
+            window.prompt('Copy this link', buildSavedSearchLink(savedSearch));
+            markSavedSearchUsed(savedSearch);
 
             // Show success toast notification for fallback as well
             ToastQueue.positive('SAVED SEARCH COPIED SUCCESSFULLY', { timeout: 3000 });
@@ -1020,7 +1068,7 @@ const Facets: React.FC<FacetsProps> = ({
     const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
 
     const handleOpenEditLink = (savedSearch: SavedSearch) => {
-        const link = buildSavedSearchUrl(savedSearch);
+        const link = buildSavedSearchLink(savedSearch);
         setEditLinkText(link);
         setEditingSearchName(savedSearch.name);
         setEditingSearchId(savedSearch.id);
@@ -1054,33 +1102,34 @@ const Facets: React.FC<FacetsProps> = ({
             thumbnailImageId = firstHit.assetId as string;
         }
         
-        const now = Date.now();
-        const updated = savedSearches.map(s => (
-            s.id === editingSearchId
-                ? {
-                    ...s,
-                    name: editingSearchName.trim() || s.name, // Use new name or keep existing if empty
-                    searchTerm: query,
-                    facetFilters: facetCheckedState,
-                    numericFilters: [...selectedNumericFilters],
-                    rightsFilters: rightsFilters,
-                    dateLastModified: now,
-                    thumbnailImageId: thumbnailImageId
-                }
-                : s
-        ));
+        const editingSearch = savedSearches.find(s => s.id === editingSearchId);
+        const updates: Partial<SavedSearch> = {
+            name: editingSearchName.trim() || editingSearch?.name, // Use new name or keep existing if empty
+            searchTerm: query,
+            facetFilters: facetCheckedState,
+            numericFilters: [...selectedNumericFilters],
+            rightsFilters: rightsFilters,
+            sortBy: sortBy || '', // empty (not undefined) to clear a stored sort order when switching to relevance
+            thumbnailImageId: thumbnailImageId
+        };
 
-        setSavedSearches(updated);
-        saveSavedSearches(updated);
+        updateSavedSearch(editingSearchId, updates).then((updated) => {
+            if (updated) {
+                setSavedSearches(prev => prev.map(s => (s.id === updated.id ? updated : s)));
 
-        // Show success toast notification
-        ToastQueue.positive('SAVED SEARCH UPDATED SUCCESSFULLY', { timeout: 3000 });
+                // Show success toast notification
+                ToastQueue.positive('SAVED SEARCH UPDATED SUCCESSFULLY', { timeout: 3000 });
+            } else {
+                ToastQueue.negative('SAVED SEARCH WAS CHANGED ELSEWHERE, PLEASE TRY AGAIN', { timeout: 3000 });
+                reloadSavedSearches();
+            }
+        });
 
         setShowEditLinkModal(false);
         setEditLinkText('');
         setEditingSearchName('');
         setEditingSearchId(null);
-    }, [editingSearchId, selectedMarkets, selectedMediaChannels, rightsStartDate, rightsEndDate, query, facetCheckedState, selectedNumericFilters, savedSearches, editingSearchName, searchResults]);
+    }, [editingSearchId, selectedMarkets, selectedMediaChannels, rightsStartDate, rightsEndDate, query, facetCheckedState, selectedNumericFilters, sortBy, savedSearches, editingSearchName, searchResults, reloadSavedSearches]);
 
     return (
         <>
@@ -1203,19 +1252,23 @@ const Facets: React.FC<FacetsProps> = ({
                                                     >
                                                         {savedSearch.name}
                                                     </button>
-                                                    <button
-                                                        className={`saved-search-fav-btn ${savedSearch.favorite ? 'favorite' : ''}`}
-                                                        title="Favorite"
-                                                        onClick={(e) => {
-                                                            const updated = savedSearches.map(s => s.id === savedSearch.id ? { ...s, favorite: !s.favorite } : s);
-                                                            setSavedSearches(updated);
-                                                            saveSavedSearches(updated);
-                                                            (e.currentTarget as HTMLButtonElement).blur();
-                                                        }}
-                                                        type="button"
-                                                    >
-                                                        <img src={savedSearch.favorite ? `${import.meta.env.BASE_URL}icons/star-yellow.svg` : `${import.meta.env.BASE_URL}icons/star-grey.svg`} alt="Favorite" />
-                                                    </button>
+                                                    {savedSearch.readOnly ? (
+                                                        <span className="saved-search-owner" title="Shared with you, read-only">
+                                                            by {savedSearch.owner}
+                                                        </span>
+                                                    ) : (
+                                                        <button
+                                                            className={`saved-search-fav-btn ${savedSearch.favorite ? 'favorite' : ''}`}
+                                                            title="Favorite"
+                                                            onClick={(e) => {
+                                                                handleToggleFavorite(savedSearch.id);
+                                                                (e.currentTarget as HTMLButtonElement).blur();
+                                                            }}
+                                                            type="button"
+                                                        >
+                                                            <img src={savedSearch.favorite ? `${import.meta.env.BASE_URL}icons/star-yellow.svg` : `${import.meta.env.BASE_URL}icons/star-grey.svg`} alt="Favorite" />
+                                                        </button>
+                                                    )}
                                                 </div>
                                                 <div className="saved-search-actions-left">
                                                     <button
@@ -1229,28 +1282,32 @@ const Facets: React.FC<FacetsProps> = ({
                                                     >
                                                         <img src={`${import.meta.env.BASE_URL}icons/copy-circle.svg`} alt="Copy" />
                                                     </button>
-                                                    <button
-                                                        className="saved-search-icon-btn"
-                                                        title="Edit"
-                                                        onClick={(e) => {
-                                                            handleOpenEditLink(savedSearch);
-                                                            (e.currentTarget as HTMLButtonElement).blur();
-                                                        }}
-                                                        type="button"
-                                                    >
-                                                        <img src={`${import.meta.env.BASE_URL}icons/edit-circle.svg`} alt="Edit" />
-                                                    </button>
-                                                    <button
-                                                        className="saved-search-delete-btn"
-                                                        onClick={(e) => {
-                                                            handleDeleteSavedSearch(savedSearch.id);
-                                                            (e.currentTarget as HTMLButtonElement).blur();
-                                                        }}
-                                                        type="button"
-                                                        title="Delete"
-                                                    >
-                                                        <img src={`${import.meta.env.BASE_URL}icons/delete-circle.svg`} alt="Delete" />
-                                                    </button>
+                                                    {!savedSearch.readOnly && (
+                                                        <>
+                                                            <button
+                                                                className="saved-search-icon-btn"
+                                                                title="Edit"
+                                                                onClick={(e) => {
+                                                                    handleOpenEditLink(savedSearch);
+                                                                    (e.currentTarget as HTMLButtonElement).blur();
+                                                                }}
+                                                                type="button"
+                                                            >
+                                                                <img src={`${import.meta.env.BASE_URL}icons/edit-circle.svg`} alt="Edit" />
+                                                            </button>
+                                                            <button
+                                                                className="saved-search-delete-btn"
+                                                                onClick={(e) => {
+                                                                    handleDeleteSavedSearch(savedSearch.id);
+                                                                    (e.currentTarget as HTMLButtonElement).blur();
+                                                                }}
+                                                                type="button"
+                                                                title="Delete"
+                                                            >
+                                                                <img src={`${import.meta.env.BASE_URL}icons/delete-circle.svg`} alt="Delete" />
+                                                            </button>
+                                                        </>
+                                                    )}
                                                 </div>
                                             </div>
                                         </div>
@@ -1411,6 +1468,14 @@ const Facets: React.FC<FacetsProps> = ({
                                 Save
                             </button>
                         </div>
+                        <label className="save-search-inline-alert">
+                            <input
+                                type="checkbox"
+                                checked={saveSearchAlert}
+                                onChange={(e) => setSaveSearchAlert(e.target.checked)}
+                            />
+                            Alert me when new assets match this search
+                        </label>
                     </div>
                 )
             }
@@ -3,6 +3,7 @@ import { createPortal } from 'react-dom';
 import { ToastQueue } from '@react-spectrum/toast';
 import { AuthorizationStatus } from '../clients/fadel-client';
 import { DEFAULT_ACCORDION_CONFIG } from '../constants/accordion';
+import { toSortKey } from '../constants/sort';
 import { useAppConfig } from '../hooks/useAppConfig';
 import type { Asset, ImageGalleryProps } from '../types';
 import { populateAssetFromHit } from '../utils/assetTransformers';
@@ -88,6 +89,8 @@ const ImageGallery: React.FC<ImageGalleryProps> = ({
     deepLinkAsset,
     onCloseDeepLinkModal,
     query = '',
+    onSearch,
+    onSelectFacetSuggestion,
     facetCheckedState = {},
     selectedNumericFilters = [],
     rightsStartDate,
@@ -388,10 +391,10 @@ const ImageGallery: React.FC<ImageGalleryProps> = ({
         const rightsFilters: Record<string, unknown> = {};
         if (isRightsSearch) {
             if (rightsStartDate) {
-                rightsFilters.startDate = calendarDateToEpoch(rightsStartDate);
+                rightsFilters.rightsStartDate = calendarDateToEpoch(rightsStartDate);
             }
             if (rightsEndDate) {
-                rightsFilters.endDate = calendarDateToEpoch(rightsEndDate);
+                rightsFilters.rightsEndDate = calendarDateToEpoch(rightsEndDate);
             }
             if (selectedMarkets && selectedMarkets.size > 0) {
                 rightsFilters.markets = Array.from(selectedMarkets);
@@ -416,6 +419,7 @@ const ImageGallery: React.FC<ImageGalleryProps> = ({
             facetFilters: facetCheckedState,
             numericFilters: selectedNumericFilters,
             rightsFilters: Object.keys(rightsFilters).length > 0 ? rightsFilters : undefined,
+            sortBy: toSortKey(selectedSortType, selectedSortDirection),
             searchType
         };
 
@@ -448,6 +452,11 @@ const ImageGallery: React.FC<ImageGalleryProps> = ({
 
     // Calculate statistics
     const totalCount = searchResult && searchResult.nbHits ? searchResult.nbHits.toString() : '0';
+    // a rights search only checks the first candidates of large searches, its total is a lower bound
+    const isTotalIncomplete = searchResult?.exhaustiveNbHits === false;
+    const totalCountNote = isTotalIncomplete
+        ? `Rights checked for the first ${(searchResult?.candidates || 0).toLocaleString()} of ${(searchResult?.totalCandidates || 0).toLocaleString()} matching assets, refine the search for an exact total`
+        : undefined;
 
     return (
         <div className="image-gallery">
@@ -470,7 +479,8 @@ const ImageGallery: React.FC<ImageGalleryProps> = ({
 
             {/* Search Panels */}
             <SearchPanel
-                totalCount={totalCount}
+                totalCount={isTotalIncomplete ? `${totalCount}+` : totalCount}
+                totalCountNote={totalCountNote}
                 selectedCount={selectedCount}
                 displayedCount={displayedCount}
                 onSelectAll={handleSelectAll}
@@ -501,6 +511,9 @@ const ImageGallery: React.FC<ImageGalleryProps> = ({
                 onSelectAuthorized={handleSelectAuthorized}
                 isRightsSearch={isRightsSearch}
                 onShareSearch={handleShareSearch}
+                query={query}
+                onSearch={onSearch}
+                onSelectFacetSuggestion={onSelectFacetSuggestion}
             />
 
             <div className="image-grid-wrapper">
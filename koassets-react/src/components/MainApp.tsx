@@ -4,40 +4,47 @@ import { DateValue } from 'react-aria-components';
 import '../MainApp.css';
 
 import { DynamicMediaClient } from '../clients/dynamicmedia-client';
-import { DEFAULT_FACETS, type ExcFacets } from '../constants/facets';
+import { DEFAULT_FACETS, PRODUCT_FACETS, PRODUCT_FILTERS, type ExcFacets } from '../constants/facets';
+import { DEFAULT_SORT_DIRECTION, DEFAULT_SORT_TYPE, SORT_DIRECTIONS, SORT_TYPES, fromSortKey, toSortKey } from '../constants/sort';
 
 import type {
     Asset,
     CartAssetItem,
     CartTemplateItem,
     Collection,
+    CollectionSearchResult,
     CurrentView,
     ExternalParams,
     FacetCheckedState,
     LoadingState,
+    QueryType,
     Rendition,
     RightsData,
     SearchResult,
     SearchResults
 } from '../types';
-import { CURRENT_VIEW, LOADING, QUERY_TYPES } from '../types';
+import { CURRENT_VIEW, LOADING, QUERY_TYPE_PATHS, QUERY_TYPES } from '../types';
 import { populateAssetFromHit, saveCartItems } from '../utils/assetTransformers';
 import { getExternalParams, saveSearchFiltersToSession, loadSearchFiltersFromSession, clearSearchFiltersFromSession } from '../utils/config';
+import { buildSearchUrlParams, hasSearchUrlState, parseSearchUrlParams, toSearchUrl, type SearchUrlState } from '../utils/searchUrlState';
 import { AppConfigProvider } from './AppConfigProvider';
 
 // Components
 import { CalendarDate } from '@internationalized/date';
 import { createPortal } from 'react-dom';
-import { AuthorizationStatus, CheckRightsRequest, FadelClient } from '../clients/fadel-client';
-import { calendarDateToEpoch, epochToCalendarDate } from '../utils/formatters';
+import { calendarDateToEpoch } from '../utils/formatters';
 import CartPanel from './CartDownloads/CartPanel';
 import DownloadPanel from './CartDownloads/DownloadPanel';
 // Lazy load non-critical components for better performance
 const Facets = lazy(() => import('./Facets'));
 const ImageGallery = lazy(() => import('./ImageGallery'));
+const CollectionGallery = lazy(() => import('./CollectionGallery'));
+const SearchResultsSections = lazy(() => import('./SearchResultsSections'));
 import { isImage } from '../constants/filetypes';
 
 const HITS_PER_PAGE = 24;
+// Products and collections shown in the sections of the All search
+const SECTION_HITS_PER_PAGE = 6;
 
 /**
  * Transforms excFacets object into a string array for search facets
@@ -72,7 +79,21 @@ function isCookieAuth(): boolean {
         || window.location.origin === 'http://localhost:8787';
 }
 
+/**
+ * Query type of the search page, from the selectedQueryType URL parameter or the page path
+ */
+function getQueryTypeFromUrl(): QueryType {
+    const queryType = new URLSearchParams(window.location.search).get('selectedQueryType');
+    if (queryType !== null && (Object.values(QUERY_TYPES) as string[]).includes(queryType)) {
+        return queryType as QueryType;
+    }
+    const pathQueryType = (Object.keys(QUERY_TYPE_PATHS) as QueryType[])
+        .find((type) => window.location.pathname.includes(QUERY_TYPE_PATHS[type]));
+    return pathQueryType || QUERY_TYPES.ALL;
+}
+
 const EMPTY_FACET_FILTERS: string[][] = [];
+const EMPTY_COLLECTION_RESULT: CollectionSearchResult = { collections: [], nbHits: 0, nbPages: 0, page: 0 };
 
 function MainApp(): React.JSX.Element {
     // External parameters from plain JavaScript
@@ -96,7 +117,11 @@ function MainApp(): React.JSX.Element {
     const [selectedCollection, setSelectedCollection] = useState<Collection | null>(null);
     const [loading, setLoading] = useState<LoadingState>({ [LOADING.dmImages]: false, [LOADING.collections]: false });
     const [currentView, setCurrentView] = useState<CurrentView>(CURRENT_VIEW.images);
-    const [selectedQueryType, setSelectedQueryType] = useState<string>(QUERY_TYPES.ALL);
+    const [selectedQueryType] = useState<QueryType>(getQueryTypeFromUrl);
+    const [collectionResult, setCollectionResult] = useState<CollectionSearchResult>(EMPTY_COLLECTION_RESULT);
+    // Top products and collections of the All search
+    const [sectionProducts, setSectionProducts] = useState<{ products: Asset[]; nbHits: number }>({ products: [], nbHits: 0 });
+    const [sectionCollections, setSectionCollections] = useState<CollectionSearchResult>(EMPTY_COLLECTION_RESULT);
     const [facetCheckedState, setFacetCheckedState] = useState<FacetCheckedState>({});
     const [selectedNumericFilters, setSelectedNumericFilters] = useState<string[]>([]);
     const [searchDisabled, setSearchDisabled] = useState<boolean>(false);
@@ -158,6 +183,9 @@ function MainApp(): React.JSX.Element {
         externalParams.presetFilters || []
     );
     const [excFacets, setExcFacets] = useState<ExcFacets | undefined>(undefined);
+    const productFilters = useMemo(() => (
+        externalParams.productFilters?.length ? externalParams.productFilters : PRODUCT_FILTERS
+    ), [externalParams.productFilters]);
 
     const [imagePresets, setImagePresets] = useState<{
         assetId?: string;
@@ -269,8 +297,17 @@ function MainApp(): React.JSX.Element {
      }, [query]);
 
     // Sort state
-    const [selectedSortType, setSelectedSortType] = useState<string>('Date Created');
-    const [selectedSortDirection, setSelectedSortDirection] = useState<string>('Ascending');
+    const [selectedSortType, setSelectedSortType] = useState<string>(DEFAULT_SORT_TYPE);
+    const [selectedSortDirection, setSelectedSortDirection] = useState<string>(DEFAULT_SORT_DIRECTION);
+    // sort key of the search requests, undefined for relevance (Top Results)
+    const sortBy = toSortKey(selectedSortType, selectedSortDirection);
+
+    // Apply a sort key from a URL or saved search, falling back to relevance
+    const handleSortByChange = useCallback((sortKey?: string | null): void => {
+        const sort = fromSortKey(sortKey);
+        setSelectedSortType(sort?.sortType || DEFAULT_SORT_TYPE);
+        setSelectedSortDirection(sort?.sortDirection || DEFAULT_SORT_DIRECTION);
+    }, []);
 
     const settingsLoadedRef = useRef<boolean>(false);
 
@@ -311,31 +348,10 @@ function MainApp(): React.JSX.Element {
                 if (hits.length > 0) {
                     // No longer download blobs upfront - just prepare metadata for lazy loading
                     // Each hit is transformed to match the Asset interface
-                    let processedImages: Asset[] = hits.map(populateAssetFromHit);
-
-                    // When performing a rights search, we need to check the rights of the assets
-                    if (isRightsSearchRef.current && rightsStartDate && rightsEndDate && selectedMediaChannels.size > 0 && selectedMarkets.size > 0) {
-                        const checkRightsRequest: CheckRightsRequest = {
-                            inDate: calendarDateToEpoch(rightsStartDate as CalendarDate),
-                            outDate: calendarDateToEpoch(rightsEndDate as CalendarDate),
-                            selectedExternalAssets: processedImages.filter(image => image.readyToUse?.toLowerCase() !== 'yes').map(image => image.assetId).filter((id): id is string => Boolean(id)).map(id => id.replace('urn:aaid:aem:', '')),
-                            selectedRights: {
-                                "20": Array.from(selectedMediaChannels).map(channel => channel.id),
-                                "30": Array.from(selectedMarkets).map(market => market.id)
-                            }
-                        };
-                        const fadelClient = FadelClient.getInstance();
-                        const checkRightsResponse = await fadelClient.checkRights(checkRightsRequest);
-                        // Assets that are not in the response are considered authorized
-                        // Use immutable update pattern instead of direct mutation
-                        processedImages = processedImages.map(image => {
-                            const matchingItem = checkRightsResponse.restOfAssets.find(item => `urn:aaid:aem:${item.asset.assetExtId}` === image.assetId);
-                            const authorized = matchingItem ? (matchingItem.notAvailable ? AuthorizationStatus.NOT_AVAILABLE
-                                : (matchingItem.availableExcept ? AuthorizationStatus.AVAILABLE_EXCEPT : AuthorizationStatus.AVAILABLE))
-                                : AuthorizationStatus.AVAILABLE;
-                            return { ...image, authorized };
-                        });
-                    }
+                    // Hits of a rights search come with their rights status (see performSearchImages)
+                    const processedImages: Asset[] = hits.map(hit => (
+                        hit.authorized ? { ...populateAssetFromHit(hit), authorized: hit.authorized as string } : populateAssetFromHit(hit)
+                    ));
 
                     // Update state after processing (with or without rights check)
                     if (isLoadingMore) {
@@ -348,7 +364,9 @@ function MainApp(): React.JSX.Element {
                 }
                 // Store the complete results object with nbHits and update pagination info
                 setSearchResults(results as SearchResults['results']);
-                setTotalPages((results[0] as { nbPages?: number }).nbPages || 0);
+                // Pages of the regular page size, a restored search loads several pages at once
+                const { nbHits, nbPages } = results[0] as { nbHits?: number; nbPages?: number };
+                setTotalPages(nbHits !== undefined ? Math.ceil(nbHits / (externalParams.hitsPerPage || HITS_PER_PAGE)) : nbPages || 0);
             } else {
                 setTotalPages(0);
             }
@@ -357,32 +375,84 @@ function MainApp(): React.JSX.Element {
         }
         setLoading(prev => ({ ...prev, [LOADING.dmImages]: false }));
         setIsLoadingMore(false);
-    }, [rightsStartDate, rightsEndDate, selectedMarkets, selectedMediaChannels]);
+    }, [externalParams.hitsPerPage]);
 
 
 
+    // How the next search updates the browser history: 'replace' for the first search of the page
+    // and searches restored from the URL, 'push' for new searches (back/forward, see popstate handler)
+    const searchHistoryModeRef = useRef<'push' | 'replace'>('replace');
+    // Search URL parameters of the displayed results, to ignore history changes of other components
+    const searchUrlParamsRef = useRef<string | null>(null);
+
+    // Keep the search state in the URL, so that it can be bookmarked and shared
+    const updateSearchUrl = useCallback((searchUrlParams: URLSearchParams, isLoadingMore: boolean): void => {
+        const searchUrl = toSearchUrl(searchUrlParams);
+        if (searchUrl !== window.location.pathname + window.location.search + window.location.hash) {
+            // loading more pages does not create history entries
+            if (isLoadingMore || searchHistoryModeRef.current === 'replace') {
+                window.history.replaceState(window.history.state, '', searchUrl);
+            } else {
+                window.history.pushState({}, '', searchUrl);
+            }
+        }
+        searchHistoryModeRef.current = 'push';
+        searchUrlParamsRef.current = searchUrlParams.toString();
+    }, []);
+
     // Search assets (images, videos, etc.)
-    const performSearchImages = useCallback((query: string, page: number = 0): void => {
+    // pageCount > 1 loads several pages at once, e.g. to restore the pages of a bookmarked search
+    const performSearchImages = useCallback((query: string, page: number = 0, pageCount: number = 1): void => {
         if (!dynamicMediaClient) return;
 
+        const hitsPerPage = externalParams.hitsPerPage || HITS_PER_PAGE;
+        // Algolia returns at most 1000 hits per request
+        pageCount = Math.max(1, Math.min(pageCount, Math.floor(1000 / hitsPerPage)));
+
         const isLoadingMore = page > 0;
         if (isLoadingMore) {
             setIsLoadingMore(true);
         } else {
             setLoading(prev => ({ ...prev, [LOADING.dmImages]: true }));
-            setCurrentPage(0);
+            setCurrentPage(pageCount - 1);
         }
         setCurrentView(CURRENT_VIEW.images);
+
+        updateSearchUrl(buildSearchUrlParams({
+            query,
+            facetCheckedState,
+            numericFilters: selectedNumericFilters,
+            rightsStartDate,
+            rightsEndDate,
+            markets: selectedMarkets,
+            mediaChannels: selectedMediaChannels,
+            sortBy,
+            collectionId: selectedCollection?.collectionId,
+            page: page + pageCount - 1
+        }), isLoadingMore);
+
         const facetArray = excFacets ? transformExcFacetsToHierarchyArray(excFacets) : [];
-        dynamicMediaClient.searchAssets(query.trim(), {
+        const searchOptions = {
             collectionId: selectedCollection?.collectionId,
             facets: facetArray,
             facetFilters: selectedFacetFilters,
             numericFilters: selectedNumericFilters,
-            filters: presetFilters,
-            hitsPerPage: externalParams.hitsPerPage || HITS_PER_PAGE,
-            page: page
-        }).then((content) => processDMImages(content, isLoadingMore)).catch((error) => {
+            // the Products search only returns product assets
+            filters: selectedQueryType === QUERY_TYPES.PRODUCTS ? [...presetFilters, ...productFilters] : presetFilters,
+            hitsPerPage: hitsPerPage * pageCount,
+            page: page,
+            sort: sortBy
+        };
+        // A rights search only returns assets cleared for the selected rights, checked server-side
+        const searchRequest = isRightsSearchRef.current && rightsStartDate && rightsEndDate && selectedMediaChannels.size > 0 && selectedMarkets.size > 0
+            ? dynamicMediaClient.searchAssetsWithRights(query.trim(), searchOptions, {
+                inDate: calendarDateToEpoch(rightsStartDate as CalendarDate),
+                outDate: calendarDateToEpoch(rightsEndDate as CalendarDate),
+                markets: Array.from(selectedMarkets).map(market => market.id),
+                mediaChannels: Array.from(selectedMediaChannels).map(channel => channel.id)
+            })
+            : dynamicMediaClient.searchAssets(query.trim(), searchOptions);
+        searchRequest.then((content) => processDMImages(content, isLoadingMore)).catch((error) => {
             // Prevent infinite execution when Network error occurs
             if (error?.message === 'Network error') {
                 console.warn('Network error encountered, stopping execution to prevent infinite loop');
@@ -400,7 +470,91 @@ function MainApp(): React.JSX.Element {
             }
         });
 
-    }, [dynamicMediaClient, processDMImages, selectedCollection, selectedFacetFilters, selectedNumericFilters, excFacets, presetFilters, externalParams.hitsPerPage]);
+    }, [dynamicMediaClient, processDMImages, updateSearchUrl, selectedQueryType, selectedCollection, facetCheckedState, selectedFacetFilters, selectedNumericFilters, excFacets, presetFilters, productFilters, externalParams.hitsPerPage, sortBy, rightsStartDate, rightsEndDate, selectedMarkets, selectedMediaChannels]);
+
+    // Search collections the user has access to, collections are not filtered by the asset filters
+    const performSearchCollections = useCallback((query: string, page: number = 0, pageCount: number = 1): void => {
+        if (!dynamicMediaClient) return;
+
+        const hitsPerPage = externalParams.hitsPerPage || HITS_PER_PAGE;
+        // Algolia returns at most 1000 hits per request
+        pageCount = Math.max(1, Math.min(pageCount, Math.floor(1000 / hitsPerPage)));
+
+        const isLoadingMore = page > 0;
+        if (isLoadingMore) {
+            setIsLoadingMore(true);
+        } else {
+            setLoading(prev => ({ ...prev, [LOADING.collections]: true }));
+        }
+        setCurrentView(CURRENT_VIEW.collections);
+
+        // only the query and the loaded pages are kept in the URL
+        updateSearchUrl(buildSearchUrlParams({
+            ...parseSearchUrlParams(new URLSearchParams()),
+            query,
+            page: page + pageCount - 1
+        }), isLoadingMore);
+
+        dynamicMediaClient.searchCollections(query.trim(), { hitsPerPage: hitsPerPage * pageCount, page }).then((result) => {
+            // pages of the regular page size, a restored search loads several pages at once
+            const nbPages = Math.ceil(result.nbHits / hitsPerPage);
+            setCollectionResult(prev => (isLoadingMore
+                ? { ...result, collections: [...prev.collections, ...result.collections], nbPages }
+                : { ...result, page: page + pageCount - 1, nbPages }));
+        }).catch((error) => {
+            console.error('Error searching collections:', error);
+            if (!isLoadingMore) {
+                setCollectionResult(EMPTY_COLLECTION_RESULT);
+            }
+        }).finally(() => {
+            setLoading(prev => ({ ...prev, [LOADING.collections]: false }));
+            setIsLoadingMore(false);
+        });
+    }, [dynamicMediaClient, updateSearchUrl, externalParams.hitsPerPage]);
+
+    // Search the top products and collections shown as sections of the All search
+    const performSearchSections = useCallback((query: string): void => {
+        if (!dynamicMediaClient) return;
+
+        dynamicMediaClient.searchAssets(query.trim(), {
+            facetFilters: [],
+            filters: [...presetFilters, ...productFilters],
+            hitsPerPage: SECTION_HITS_PER_PAGE
+        }).then((content) => {
+            const result = (content as SearchResults).results?.[0];
+            setSectionProducts({
+                products: (result?.hits || []).map(hit => populateAssetFromHit(hit)),
+                nbHits: result?.nbHits || 0
+            });
+        }).catch((error) => {
+            console.error('Error searching products:', error);
+            setSectionProducts({ products: [], nbHits: 0 });
+        });
+
+        dynamicMediaClient.searchCollections(query.trim(), { hitsPerPage: SECTION_HITS_PER_PAGE })
+            .then(setSectionCollections)
+            .catch((error) => {
+                console.error('Error searching collections:', error);
+                setSectionCollections(EMPTY_COLLECTION_RESULT);
+            });
+    }, [dynamicMediaClient, presetFilters, productFilters]);
+
+    // Search the domain of the selected query type
+    const performSearch = useCallback((query: string, page: number = 0, pageCount: number = 1): void => {
+        // inside a collection, all query types browse the assets of the collection
+        if (selectedQueryType === QUERY_TYPES.COLLECTIONS && !selectedCollection) {
+            performSearchCollections(query, page, pageCount);
+            return;
+        }
+        performSearchImages(query, page, pageCount);
+        if (selectedQueryType === QUERY_TYPES.ALL && !selectedCollection && page === 0) {
+            performSearchSections(query);
+        }
+    }, [selectedQueryType, selectedCollection, performSearchImages, performSearchCollections, performSearchSections]);
+
+    // Latest performSearch for delayed searches (e.g. after restoring the state from the URL)
+    const performSearchRef = useRef(performSearch);
+    performSearchRef.current = performSearch;
 
     // Handler for loading more results (pagination)
     const handleLoadMoreResults = useCallback((): void => {
@@ -411,91 +565,104 @@ function MainApp(): React.JSX.Element {
         }
     }, [currentPage, totalPages, isLoadingMore, performSearchImages, query]);
 
+    // Handler for loading more collections of the Collections search
+    const handleLoadMoreCollections = useCallback((): void => {
+        if (!isLoadingMore) {
+            performSearchCollections(query, collectionResult.page + 1);
+        }
+    }, [isLoadingMore, performSearchCollections, query, collectionResult.page]);
+
     // Handler for searching
     const search = useCallback((searchQuery?: string): void => {
         if (searchDisabledRef.current) {
             return;
         }
         setCurrentPage(0);
-        // Search for assets or assets in a collection
+        // Search for assets, products, collections or assets in a collection
         const queryToUse = searchQuery !== undefined ? searchQuery : query;
-        performSearchImages(queryToUse, 0);
-    }, [performSearchImages, query]);
-
-    // Read query and selectedQueryType from URL on mount
-    useEffect(() => {
-        const params = new URLSearchParams(window.location.search);
-        const urlQuery = params.get('query');
-        const queryType = params.get('selectedQueryType');
-
-        // Check for saved search parameters
-        const fulltext = params.get('fulltext');
-        const facetFiltersParam = params.get('facetFilters');
-        const numericFiltersParam = params.get('numericFilters');
-        const rightsFiltersParam = params.get('rightsFilters');
+        performSearch(queryToUse, 0);
+    }, [performSearch, query]);
+
+    // Typeahead of the search box: search the typed or a recent query
+    const handleSearchBoxSearch = useCallback((searchQuery: string): void => {
+        setQuery(searchQuery);
+        search(searchQuery);
+    }, [search]);
+
+    // Typeahead of the search box: filter by a suggested brand, campaign or tag instead of the typed text,
+    // the changed facet filters trigger the search (see the auto-search effect below)
+    const handleSelectFacetSuggestion = useCallback((facet: string, value: string): void => {
+        setQuery('');
+        if (facetCheckedState[facet]?.[value]) {
+            search('');
+            return;
+        }
+        setFacetCheckedState(prev => ({
+            ...prev,
+            [facet]: {
+                ...prev[facet],
+                [value]: true
+            }
+        }));
+    }, [facetCheckedState, search]);
 
-        if (urlQuery !== null) setQuery(urlQuery);
+    // Track if we're loading from URL parameters to prevent auto-search interference
+    const loadingFromUrlRef = useRef<boolean>(false);
 
-        // Read search type from URL parameter first
-        if (queryType !== null && (Object.values(QUERY_TYPES) as string[]).includes(queryType)) {
-            setSelectedQueryType(queryType);
-        } else {
-            // If no URL parameter, try to infer from URL path
-            const currentPath = window.location.pathname;
-            if (currentPath.includes('/search/all')) {
-                setSelectedQueryType(QUERY_TYPES.ALL);
-            } else if (currentPath.includes('/search/assets')) {
-                setSelectedQueryType(QUERY_TYPES.ASSETS);
-            } else if (currentPath.includes('/search/products')) {
-                setSelectedQueryType(QUERY_TYPES.PRODUCTS);
-            }
-        }
+    // Apply a search state from the URL (bookmark, shared link, saved search, back/forward) and search
+    const applySearchUrlState = useCallback((state: SearchUrlState): void => {
+        loadingFromUrlRef.current = true; // Prevent auto-search during URL loading
+        setQuery(state.query);
+        setFacetCheckedState(state.facetCheckedState);
+        setSelectedNumericFilters(state.numericFilters);
+        setRightsStartDate(state.rightsStartDate);
+        setRightsEndDate(state.rightsEndDate);
+        setSelectedMarkets(state.markets);
+        setSelectedMediaChannels(state.mediaChannels);
+        handleSortByChange(state.sortBy);
+        setSelectedCollection(prev => (state.collectionId
+            ? (prev?.collectionId === state.collectionId ? prev : { collectionId: state.collectionId, collectionMetadata: { title: '' } })
+            : null));
+        searchHistoryModeRef.current = 'replace';
+
+        // Trigger search after a brief delay to ensure all state is updated
+        setTimeout(() => {
+            performSearchRef.current(state.query, 0, state.page + 1);
+            loadingFromUrlRef.current = false; // Re-enable auto-search after URL loading is complete
+        }, 100);
+    }, [handleSortByChange]);
+
+    // Read the search state from the URL on load
+    const searchUrlLoadedRef = useRef<boolean>(false);
+    useEffect(() => {
+        if (!dynamicMediaClient || searchUrlLoadedRef.current) return;
+        searchUrlLoadedRef.current = true;
 
-        // Apply saved search parameters if present
-        if (fulltext || facetFiltersParam || numericFiltersParam || rightsFiltersParam) {
-            loadingFromUrlRef.current = true; // Prevent auto-search during URL loading
-            try {
-                if (fulltext) setQuery(fulltext);
-                if (facetFiltersParam) {
-                    const facetFilters = JSON.parse(decodeURIComponent(facetFiltersParam));
-                    setFacetCheckedState(facetFilters);
-                }
-                if (numericFiltersParam) {
-                    const numericFilters = JSON.parse(decodeURIComponent(numericFiltersParam));
-                    setSelectedNumericFilters(numericFilters);
-                }
-                if (rightsFiltersParam) {
-                    const rightsFilters = JSON.parse(decodeURIComponent(rightsFiltersParam));
-                    setRightsStartDate(rightsFilters.rightsStartDate ? epochToCalendarDate(rightsFilters.rightsStartDate / 1000) : null);
-                    setRightsEndDate(rightsFilters.rightsEndDate ? epochToCalendarDate(rightsFilters.rightsEndDate / 1000) : null);
-                    setSelectedMarkets(new Set(rightsFilters.markets));
-                    setSelectedMediaChannels(new Set(rightsFilters.mediaChannels));
-                }
-                // Trigger search after a brief delay to ensure all state is updated
-                setTimeout(() => {
-                    setCurrentPage(0);
-                    performSearchImages(fulltext || '', 0);
-                    loadingFromUrlRef.current = false; // Re-enable auto-search after URL loading is complete
-                }, 100);
-            } catch (error) {
-                console.warn('Error parsing URL search parameters:', error);
-                loadingFromUrlRef.current = false; // Re-enable auto-search on error
-            }
+        const params = new URLSearchParams(window.location.search);
+        if (hasSearchUrlState(params)) {
+            applySearchUrlState(parseSearchUrlParams(params));
+        } else if (params.get('query') !== null) {
+            // new search from the search block, filters are restored from the session (see below)
+            setQuery(params.get('query') || '');
         }
-    }, [dynamicMediaClient, performSearchImages]);
+    }, [dynamicMediaClient, applySearchUrlState]);
 
+    // Restore the search state on browser back/forward
     useEffect(() => {
-        if (!dynamicMediaClient) return;
-        const url = new URL(window.location.href);
-        // Only strip app-specific params; preserve others like id
-        ['query', 'selectedQueryType', 'fulltext', 'facetFilters', 'numericFilters', 'rightsFilters']
-            .forEach((key) => url.searchParams.delete(key));
-        const next = url.pathname + (url.search ? `?${url.searchParams.toString()}` : '');
-        window.history.replaceState({}, '', next);
-    }, [selectedQueryType, dynamicMediaClient]);
+        const handlePopState = () => {
+            const state = parseSearchUrlParams(new URLSearchParams(window.location.search));
+            // ignore history entries of other components (e.g. the asset details modal) with the same search
+            if (buildSearchUrlParams(state).toString() === searchUrlParamsRef.current) {
+                return;
+            }
+            applySearchUrlState(state);
+        };
 
-    // Track if we're loading from URL parameters to prevent auto-search interference
-    const loadingFromUrlRef = useRef<boolean>(false);
+        window.addEventListener('popstate', handlePopState);
+        return () => {
+            window.removeEventListener('popstate', handlePopState);
+        };
+    }, [applySearchUrlState]);
 
     // Load search filters from session storage on mount
     useEffect(() => {
@@ -544,15 +711,20 @@ function MainApp(): React.JSX.Element {
             search();
         }
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [dynamicMediaClient, authenticated, excFacets, selectedFacetFilters, selectedNumericFilters, searchDisabled, selectedMarkets, selectedMediaChannels, rightsStartDate, rightsEndDate]);
+    }, [dynamicMediaClient, authenticated, excFacets, selectedFacetFilters, selectedNumericFilters, searchDisabled, selectedMarkets, selectedMediaChannels, rightsStartDate, rightsEndDate, sortBy]);
 
     useEffect(() => {
         if (authenticated && !settingsLoadedRef.current) {
-            setExcFacets(externalParams.excFacets || DEFAULT_FACETS);
+            // the Products search has its own default facets
+            if (selectedQueryType === QUERY_TYPES.PRODUCTS && Object.keys(externalParams.excFacets || {}).length === 0) {
+                setExcFacets(PRODUCT_FACETS);
+            } else {
+                setExcFacets(externalParams.excFacets || DEFAULT_FACETS);
+            }
             setPresetFilters(externalParams.presetFilters || []);
             settingsLoadedRef.current = true;
         }
-    }, [authenticated, externalParams.excFacets, externalParams.presetFilters]);
+    }, [authenticated, externalParams.excFacets, externalParams.presetFilters, selectedQueryType]);
 
 
     // Function to fetch and cache static renditions for a specific asset
@@ -619,7 +791,7 @@ function MainApp(): React.JSX.Element {
 
     // Add useEffect to trigger search when selectedCollection changes
     useEffect(() => {
-        if (selectedCollection && authenticated && dynamicMediaClient && excFacets !== undefined) {
+        if (selectedCollection && !loadingFromUrlRef.current && authenticated && dynamicMediaClient && excFacets !== undefined) {
             performSearchImages('', 0);
         }
     }, [selectedCollection, authenticated, dynamicMediaClient, excFacets, performSearchImages]);
@@ -663,36 +835,30 @@ function MainApp(): React.JSX.Element {
     };
 
 
-    // Sort handlers
+    // Sort handlers, changing the sort key triggers a new search (see auto-search effect)
     const handleSortByTopResults = (): void => {
-        console.log('Sort by Top Results');
-        // TODO: Implement actual sorting logic
+        setSelectedSortType(SORT_TYPES.TOP_RESULTS);
     };
 
     const handleSortByDateCreated = (): void => {
-        console.log('Sort by Date Created');
-        // TODO: Implement actual sorting logic
+        setSelectedSortType(SORT_TYPES.DATE_CREATED);
     };
 
     const handleSortByLastModified = (): void => {
-        console.log('Sort by Last Modified');
-        // TODO: Implement actual sorting logic
+        setSelectedSortType(SORT_TYPES.LAST_MODIFIED);
     };
 
     const handleSortBySize = (): void => {
-        console.log('Sort by Size');
-        // TODO: Implement actual sorting logic
+        setSelectedSortType(SORT_TYPES.SIZE);
     };
 
     // Sort direction handlers
     const handleSortDirectionAscending = (): void => {
-        console.log('Sort direction: Ascending');
-        // TODO: Implement actual sorting logic
+        setSelectedSortDirection(SORT_DIRECTIONS.ASCENDING);
     };
 
     const handleSortDirectionDescending = (): void => {
-        console.log('Sort direction: Descending');
-        // TODO: Implement actual sorting logic
+        setSelectedSortDirection(SORT_DIRECTIONS.DESCENDING);
     };
 
     // Toggle mobile filter panel
@@ -707,7 +873,7 @@ function MainApp(): React.JSX.Element {
                 className="breadcrumb-link"
                 onClick={() => {
                     setSelectedCollection(null);
-                    setCurrentView(CURRENT_VIEW.collections);
+                    performSearchCollections(query);
                 }}
             >
                 Collections
@@ -720,8 +886,29 @@ function MainApp(): React.JSX.Element {
     // Gallery logic
     const enhancedGallery = (
         <>
-            {currentView === CURRENT_VIEW.images ? (
+            {currentView === CURRENT_VIEW.collections ? (
                 <Suspense fallback={<></>}>
+                    <CollectionGallery
+                        result={collectionResult}
+                        loading={loading[LOADING.collections]}
+                        isLoadingMore={isLoadingMore}
+                        onLoadMore={handleLoadMoreCollections}
+                        onCollectionClick={setSelectedCollection}
+                    />
+                </Suspense>
+            ) : currentView === CURRENT_VIEW.images ? (
+                <Suspense fallback={<></>}>
+                    {selectedQueryType === QUERY_TYPES.ALL && !selectedCollection && (
+                        <SearchResultsSections
+                            query={query}
+                            products={sectionProducts.products}
+                            productsTotal={sectionProducts.nbHits}
+                            collections={sectionCollections.collections}
+                            collectionsTotal={sectionCollections.nbHits}
+                            onProductClick={setDeepLinkAsset}
+                            onCollectionClick={setSelectedCollection}
+                        />
+                    )}
                     <ImageGallery
                         images={dmImages}
                         loading={loading[LOADING.dmImages]}
@@ -756,6 +943,8 @@ function MainApp(): React.JSX.Element {
                             setDeepLinkAsset(null);
                         }}
                         query={query}
+                        onSearch={handleSearchBoxSearch}
+                        onSelectFacetSuggestion={handleSelectFacetSuggestion}
                         facetCheckedState={facetCheckedState}
                         selectedNumericFilters={selectedNumericFilters}
                         rightsStartDate={rightsStartDate}
@@ -810,7 +999,8 @@ function MainApp(): React.JSX.Element {
                                     {breadcrumbs}
                                     {enhancedGallery}
                                 </div>
-                                <div className={`facet-filter-panel ${isMobileFilterOpen ? 'mobile-open' : ''}`}>
+                                {/* collections have no facets */}
+                                {currentView !== CURRENT_VIEW.collections && <div className={`facet-filter-panel ${isMobileFilterOpen ? 'mobile-open' : ''}`}>
                                     <Suspense fallback={<></>}>
                                         <Facets
                                             searchResults={searchResults}
@@ -835,9 +1025,11 @@ function MainApp(): React.JSX.Element {
                                             setFacetCheckedState={setFacetCheckedState}
                                             onFacetCheckbox={handleFacetCheckbox}
                                             onClearAllFacets={handleReceiveClearAllFacets}
+                                            sortBy={sortBy}
+                                            onSortByChange={handleSortByChange}
                                         />
                                     </Suspense>
-                                </div>
+                                </div>}
                             </div>
                             {/* <Footer /> */}
                         </div>
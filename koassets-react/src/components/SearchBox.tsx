@@ -0,0 +1,232 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import type { SearchBoxProps, SearchSuggestion } from '../types';
+import buildSavedSearchUrl from '../../../scripts/saved-searches/saved-search-utils.js';
+import { savedSearchClient } from '../../../scripts/saved-searches/saved-search-client.js';
+import { addRecentSearch, loadRecentSearches } from '../../../scripts/saved-searches/recent-searches.js';
+import './SearchBox.css';
+
+// Search suggestions API, see cloudflare/src/api/suggest.js
+const SUGGEST_API = '/api/suggest';
+const MIN_SUGGEST_LENGTH = 2;
+const DEBOUNCE_MS = 250;
+const MAX_SAVED_SEARCHES = 5;
+
+const TYPE_LABELS: Record<SearchSuggestion['type'], string> = {
+    recent: 'Recent search',
+    saved: 'Saved search',
+    brand: 'Brand',
+    campaign: 'Campaign',
+    tag: 'Tag',
+};
+
+const matches = (text: string | undefined, query: string): boolean =>
+    !query || (text || '').toLowerCase().includes(query.toLowerCase());
+
+/**
+ * Search input with typeahead: recent and saved searches of the user, and brand, campaign and
+ * tag values matching the typed text (same suggestions as the search block, see
+ * blocks/search/search-suggestions.js). Arrow keys move through the suggestions, Enter selects
+ * the active suggestion (or searches the text if none is active), Escape closes.
+ */
+const SearchBox: React.FC<SearchBoxProps> = ({ query, onSearch, onSelectFacet }) => {
+    const [text, setText] = useState<string>(query);
+    const [suggestions, setSuggestions] = useState<SearchSuggestion[]>([]);
+    const [isOpen, setIsOpen] = useState<boolean>(false);
+    const [activeIndex, setActiveIndex] = useState<number>(-1);
+    const savedSearchesRef = useRef<SearchSuggestion['search'][] | null>(null);
+    const suggestionsCacheRef = useRef<Map<string, SearchSuggestion[]>>(new Map());
+    const abortControllerRef = useRef<AbortController | null>(null);
+    const debounceTimerRef = useRef<ReturnType<typeof setTimeout> | undefined>(undefined);
+    const listRef = useRef<HTMLUListElement>(null);
+
+    // follow query changes of the app, e.g. from a saved search or the URL
+    useEffect(() => {
+        setText(query);
+    }, [query]);
+
+    useEffect(() => () => {
+        clearTimeout(debounceTimerRef.current);
+        abortControllerRef.current?.abort();
+    }, []);
+
+    const localSuggestions = useCallback((value: string): SearchSuggestion[] => [
+        ...loadRecentSearches()
+            .filter((recent: string) => matches(recent, value))
+            .map((recent: string): SearchSuggestion => ({ type: 'recent', label: recent })),
+        ...(savedSearchesRef.current || [])
+            .filter((search) => search && (matches(search.name, value) || matches(search.searchTerm, value)))
+            .slice(0, MAX_SAVED_SEARCHES)
+            .map((search): SearchSuggestion => ({ type: 'saved', label: search?.name || '', search })),
+    ], []);
+
+    const fetchSuggestions = useCallback(async (value: string): Promise<SearchSuggestion[]> => {
+        const cached = suggestionsCacheRef.current.get(value);
+        if (cached) {
+            return cached;
+        }
+        abortControllerRef.current?.abort();
+        abortControllerRef.current = new AbortController();
+        const response = await fetch(`${SUGGEST_API}?q=${encodeURIComponent(value)}`, {
+            signal: abortControllerRef.current.signal,
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        suggestionsCacheRef.current.set(value, result.suggestions);
+        return result.suggestions;
+    }, []);
+
+    const showSuggestions = useCallback((items: SearchSuggestion[]) => {
+        setSuggestions(items);
+        setActiveIndex(-1);
+        setIsOpen(items.length > 0);
+    }, []);
+
+    const updateSuggestions = useCallback((value: string) => {
+        const trimmed = value.trim();
+        showSuggestions(localSuggestions(trimmed));
+
+        clearTimeout(debounceTimerRef.current);
+        abortControllerRef.current?.abort();
+        if (trimmed.length < MIN_SUGGEST_LENGTH) return;
+
+        debounceTimerRef.current = setTimeout(async () => {
+            try {
+                const facetSuggestions = await fetchSuggestions(trimmed);
+                showSuggestions([...localSuggestions(trimmed), ...facetSuggestions]);
+            } catch (error) {
+                if ((error as Error).name !== 'AbortError') {
+                    console.warn('Failed to load search suggestions:', error);
+                }
+            }
+        }, DEBOUNCE_MS);
+    }, [fetchSuggestions, localSuggestions, showSuggestions]);
+
+    const close = useCallback(() => {
+        clearTimeout(debounceTimerRef.current);
+        abortControllerRef.current?.abort();
+        setIsOpen(false);
+        setActiveIndex(-1);
+    }, []);
+
+    const searchText = useCallback((value: string) => {
+        close();
+        addRecentSearch(value);
+        onSearch(value);
+    }, [close, onSearch]);
+
+    const selectSuggestion = useCallback((suggestion: SearchSuggestion) => {
+        close();
+        if (suggestion.type === 'recent') {
+            setText(suggestion.label);
+            searchText(suggestion.label);
+        } else if (suggestion.type === 'saved' && suggestion.search) {
+            window.location.href = buildSavedSearchUrl(suggestion.search);
+        } else if (suggestion.facet && suggestion.value) {
+            // brand, campaign or tag: filter by that facet value instead of the typed text
+            setText('');
+            onSelectFacet(suggestion.facet, suggestion.value);
+        }
+    }, [close, searchText, onSelectFacet]);
+
+    // saved searches are loaded once, when the input is used first
+    const handleFocus = () => {
+        if (savedSearchesRef.current === null) {
+            savedSearchesRef.current = [];
+            savedSearchClient.load().then((searches: SearchSuggestion['search'][]) => {
+                savedSearchesRef.current = searches;
+            });
+        }
+    };
+
+    const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+        setText(e.target.value);
+        updateSuggestions(e.target.value);
+    };
+
+    const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+        if (!isOpen) {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                updateSuggestions(text);
+            } else if (e.key === 'Enter') {
+                searchText(text);
+            }
+            return;
+        }
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(activeIndex + 1 < suggestions.length ? activeIndex + 1 : 0);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(activeIndex > 0 ? activeIndex - 1 : suggestions.length - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (activeIndex >= 0) {
+                selectSuggestion(suggestions[activeIndex]);
+            } else {
+                searchText(text);
+            }
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    };
+
+    // keep the active suggestion visible when moving with the arrow keys
+    useEffect(() => {
+        if (activeIndex >= 0) {
+            listRef.current?.querySelector(`#search-box-suggestion-${activeIndex}`)?.scrollIntoView({ block: 'nearest' });
+        }
+    }, [activeIndex]);
+
+    return (
+        <div className="search-box">
+            <input
+                type="text"
+                className="search-box-input"
+                placeholder="What are you looking for?"
+                value={text}
+                role="combobox"
+                aria-label="Search"
+                aria-autocomplete="list"
+                aria-controls="search-box-suggestions"
+                aria-expanded={isOpen}
+                aria-activedescendant={activeIndex >= 0 ? `search-box-suggestion-${activeIndex}` : undefined}
+                autoComplete="off"
+                onFocus={handleFocus}
+                onClick={() => updateSuggestions(text)}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onBlur={close}
+            />
+            <ul
+                id="search-box-suggestions"
+                className="search-box-suggestions"
+                role="listbox"
+                ref={listRef}
+                hidden={!isOpen}
+            >
+                {suggestions.map((suggestion, index) => (
+                    <li
+                        key={`${suggestion.type}-${suggestion.facet || ''}-${suggestion.value || suggestion.label}`}
+                        id={`search-box-suggestion-${index}`}
+                        className={`search-box-suggestion search-box-suggestion-${suggestion.type} ${index === activeIndex ? 'active' : ''}`}
+                        role="option"
+                        aria-selected={index === activeIndex}
+                        // mousedown instead of click, so that the input does not lose focus first
+                        onMouseDown={(e) => {
+                            e.preventDefault();
+                            selectSuggestion(suggestion);
+                        }}
+                    >
+                        <span className="search-box-suggestion-label">{suggestion.label}</span>
+                        <span className="search-box-suggestion-type">{TYPE_LABELS[suggestion.type] || suggestion.type}</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default SearchBox;
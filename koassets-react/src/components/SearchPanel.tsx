@@ -1,10 +1,13 @@
 import React from 'react';
+import { SORT_DIRECTIONS, SORT_TYPES } from '../constants/sort';
 import type { SearchPanelProps } from '../types';
 import ActionDropdown from './ActionDropdown';
+import SearchBox from './SearchBox';
 import './SearchPanel.css';
 
 const SearchPanel: React.FC<SearchPanelProps> = ({
     totalCount,
+    totalCountNote,
     selectedCount,
     displayedCount,
     onSelectAll,
@@ -31,7 +34,10 @@ const SearchPanel: React.FC<SearchPanelProps> = ({
     selectAuthorized,
     onSelectAuthorized,
     isRightsSearch = false,
-    onShareSearch
+    onShareSearch,
+    query = '',
+    onSearch,
+    onSelectFacetSuggestion
 }) => {
     const handleToggleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
         onExpandAllDetailsChange?.(e.target.checked);
@@ -52,9 +58,16 @@ const SearchPanel: React.FC<SearchPanelProps> = ({
                 <div className="primary-panel-container">
                     {/* Left side */}
                     <div className="left-panel-group">
+                        {onSearch && onSelectFacetSuggestion && (
+                            <SearchBox
+                                query={query}
+                                onSearch={onSearch}
+                                onSelectFacet={onSelectFacetSuggestion}
+                            />
+                        )}
                         <ActionDropdown
-                            className="SortCards sort-dropdown-disabled"
-                            items={['Top Results', 'Date Created', 'Last Modified', 'Size']}
+                            className="SortCards"
+                            items={[SORT_TYPES.TOP_RESULTS, SORT_TYPES.DATE_CREATED, SORT_TYPES.LAST_MODIFIED, SORT_TYPES.SIZE]}
                             handlers={[onSortByTopResults, onSortByDateCreated, onSortByLastModified, onSortBySize]}
                             show={true}
                             label={undefined}
@@ -62,10 +75,11 @@ const SearchPanel: React.FC<SearchPanelProps> = ({
                             onSelectedItemChange={onSortTypeChange}
                         />
                         <ActionDropdown
-                            className="SortDirection sort-dropdown-disabled"
-                            items={['Ascending', 'Descending']}
+                            className="SortDirection"
+                            items={[SORT_DIRECTIONS.ASCENDING, SORT_DIRECTIONS.DESCENDING]}
                             handlers={[onSortDirectionAscending, onSortDirectionDescending]}
-                            show={true}
+                            // relevance has no direction
+                            show={selectedSortType !== SORT_TYPES.TOP_RESULTS}
                             label={undefined}
                             selectedItem={selectedSortDirection}
                             onSelectedItemChange={onSortDirectionChange}
@@ -124,6 +138,7 @@ const SearchPanel: React.FC<SearchPanelProps> = ({
                             <div className="total-statistic">
                                 <span className="total-count">{totalCount}</span>
                                 <span className="total-label">Total</span>
+                                {totalCountNote && <span className="total-note" title={totalCountNote}>{totalCountNote}</span>}
                             </div>
                         </div>
 
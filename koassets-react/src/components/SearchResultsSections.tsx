@@ -0,0 +1,95 @@
+import React from 'react';
+import type { Asset, Collection } from '../types';
+import { QUERY_TYPE_PATHS, QUERY_TYPES } from '../types';
+import CollectionCard from './CollectionCard';
+import Picture from './Picture';
+import './CollectionGallery.css';
+import './SearchResultsSections.css';
+
+interface SearchResultsSectionsProps {
+    query: string;
+    products: Asset[];
+    productsTotal: number;
+    collections: Collection[];
+    collectionsTotal: number;
+    onProductClick: (product: Asset) => void;
+    onCollectionClick: (collection: Collection) => void;
+}
+
+interface SectionProps {
+    title: string;
+    total: number;
+    viewAllUrl: string;
+    children: React.ReactNode;
+}
+
+const Section: React.FC<SectionProps> = ({ title, total, viewAllUrl, children }) => (
+    <section className="search-results-section">
+        <div className="search-results-section-header">
+            <h3>{title} <span className="search-results-section-count">({total})</span></h3>
+            {/* same parameters as the search block, so that the filters are kept */}
+            <a className="search-results-section-link" href={viewAllUrl}>View all</a>
+        </div>
+        {children}
+    </section>
+);
+
+// Top products and collections of the All search, shown above the assets
+const SearchResultsSections: React.FC<SearchResultsSectionsProps> = ({
+    query,
+    products,
+    productsTotal,
+    collections,
+    collectionsTotal,
+    onProductClick,
+    onCollectionClick
+}) => {
+    const viewAllUrl = (path: string) => `${path}?query=${encodeURIComponent(query)}&curPath=${encodeURIComponent(window.location.pathname)}&nextPath=${encodeURIComponent(path)}`;
+
+    if (products.length === 0 && collections.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="search-results-sections">
+            {products.length > 0 && (
+                <Section title="Products" total={productsTotal} viewAllUrl={viewAllUrl(QUERY_TYPE_PATHS[QUERY_TYPES.PRODUCTS])}>
+                    <div className="search-results-section-grid">
+                        {products.map((product) => (
+                            <div
+                                key={product.assetId}
+                                className="search-results-product"
+                                role="button"
+                                tabIndex={0}
+                                onClick={() => onProductClick(product)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') {
+                                        onProductClick(product);
+                                    }
+                                }}
+                            >
+                                <Picture asset={product} width={200} className="search-results-product-image" />
+                                <div className="search-results-product-title" title={product.title as string}>{product.title}</div>
+                            </div>
+                        ))}
+                    </div>
+                </Section>
+            )}
+            {collections.length > 0 && (
+                <Section title="Collections" total={collectionsTotal} viewAllUrl={viewAllUrl(QUERY_TYPE_PATHS[QUERY_TYPES.COLLECTIONS])}>
+                    <div className="search-results-section-grid">
+                        {collections.map((collection) => (
+                            <CollectionCard
+                                key={collection.collectionId}
+                                collection={collection}
+                                onClick={onCollectionClick}
+                            />
+                        ))}
+                    </div>
+                </Section>
+            )}
+        </div>
+    );
+};
+
+export default SearchResultsSections;
@@ -103,3 +103,33 @@ export const DEFAULT_FACETS: ExcFacets = {
         "displayOrder": 13
     }
 };
+
+// Filters of the Products search: assets of the product asset category (packshots, renders),
+// can be overridden by the search block (productFilters)
+export const PRODUCT_FILTERS: string[] = [
+    "'tccc-assetCategoryAndType.TCCC.#hierarchy.lvl1':'TCCC : Asset Category and Asset Type Execution / Product'"
+];
+
+// Facets of the Products search, used unless the search block configures its own facets
+export const PRODUCT_FACETS: ExcFacets = {
+    "tccc-brand": DEFAULT_FACETS["tccc-brand"],
+    "tccc-packageContainerSize": {
+        "label": "Package Size",
+        "type": "string",
+        "displayOrder": 2
+    },
+    "tccc-intendedBusinessUnitOrMarket": {
+        ...DEFAULT_FACETS["tccc-intendedBusinessUnitOrMarket"],
+        "displayOrder": 3
+    },
+    "tccc-intendedBottlerCountry": {
+        "label": "Bottler Content by Country",
+        "type": "string",
+        "displayOrder": 4
+    },
+    "tccc-readyToUse": {
+        "label": "Rights Free",
+        "type": "string",
+        "displayOrder": 5
+    }
+};
@@ -0,0 +1,51 @@
+/**
+ * Sort options of the search results, as shown in the search panel dropdowns.
+ * Except for Top Results (relevance), each option is backed by an Algolia replica index
+ * that the worker selects from the sort key, see DM_SORT_REPLICAS in cloudflare/wrangler.toml.
+ */
+export const SORT_TYPES = {
+  TOP_RESULTS: 'Top Results',
+  DATE_CREATED: 'Date Created',
+  LAST_MODIFIED: 'Last Modified',
+  SIZE: 'Size',
+} as const;
+
+export const SORT_DIRECTIONS = {
+  ASCENDING: 'Ascending',
+  DESCENDING: 'Descending',
+} as const;
+
+export const DEFAULT_SORT_TYPE = SORT_TYPES.TOP_RESULTS;
+export const DEFAULT_SORT_DIRECTION = SORT_DIRECTIONS.DESCENDING;
+
+const SORT_KEY_FIELDS: Record<string, string> = {
+  [SORT_TYPES.DATE_CREATED]: 'dateCreated',
+  [SORT_TYPES.LAST_MODIFIED]: 'lastModified',
+  [SORT_TYPES.SIZE]: 'size',
+};
+
+const SORT_KEY_DIRECTIONS: Record<string, string> = {
+  [SORT_DIRECTIONS.ASCENDING]: 'asc',
+  [SORT_DIRECTIONS.DESCENDING]: 'desc',
+};
+
+/**
+ * Sort key sent with searches and stored in URLs and saved searches, e.g. `dateCreated_desc`.
+ * @returns the sort key, or undefined for Top Results (relevance)
+ */
+export function toSortKey(sortType: string, sortDirection: string): string | undefined {
+  const field = SORT_KEY_FIELDS[sortType];
+  const direction = SORT_KEY_DIRECTIONS[sortDirection];
+  return field && direction ? `${field}_${direction}` : undefined;
+}
+
+/**
+ * Parse a sort key (see toSortKey) back into the dropdown labels.
+ * @returns sort type and direction, or undefined if the key is not supported
+ */
+export function fromSortKey(sortKey: string | null | undefined): { sortType: string; sortDirection: string } | undefined {
+  const [field, direction] = sortKey?.split('_') || [];
+  const sortType = Object.keys(SORT_KEY_FIELDS).find((type) => SORT_KEY_FIELDS[type] === field);
+  const sortDirection = Object.keys(SORT_KEY_DIRECTIONS).find((dir) => SORT_KEY_DIRECTIONS[dir] === direction);
+  return sortType && sortDirection ? { sortType, sortDirection } : undefined;
+}
@@ -228,6 +228,14 @@ export const QUERY_TYPES = {
 
 export type QueryType = typeof QUERY_TYPES[keyof typeof QUERY_TYPES];
 
+// Search page of each query type (values of the search block dropdown)
+export const QUERY_TYPE_PATHS: Record<QueryType, string> = {
+    [QUERY_TYPES.ALL]: '/search/all',
+    [QUERY_TYPES.ASSETS]: '/search/assets',
+    [QUERY_TYPES.PRODUCTS]: '/search/products',
+    [QUERY_TYPES.COLLECTIONS]: '/search/collections',
+};
+
 // Step status types for cart processing
 export enum StepStatus {
     INIT = 'init',
@@ -256,6 +264,16 @@ export interface Collection {
     collectionId: string;
     thumbnail?: string;
     collectionMetadata: CollectionMetadata;
+    itemCount?: number;
+    lastModified?: string | number; // ISO date or epoch time
+}
+
+// Page of a collections search
+export interface CollectionSearchResult {
+    collections: Collection[];
+    nbHits: number;
+    nbPages: number;
+    page: number;
 }
 
 
@@ -316,12 +334,18 @@ export interface SavedSearch {
     facetFilters: FacetCheckedState;
     numericFilters: string[];
     rightsFilters: RightsFilters;
+    sortBy?: string; // Sort key of the results (e.g. 'dateCreated_desc'), relevance if not set
     dateCreated: number;
     dateLastModified: number;
     dateLastUsed?: number;
     favorite: boolean;
     searchType?: string; // The search type path (e.g., '/search/all', '/search/assets', '/search/products')
     thumbnailImageId?: string; // Asset ID of the first image in search results for preview
+    version?: number; // Stored version (ETag) used to detect conflicting writes
+    alert?: boolean; // Notify the user about new assets matching this search (daily)
+    sharedWith?: string[]; // Emails of the users this search is shared with (owner only)
+    owner?: string; // Email of the owner, set for searches shared by other users
+    readOnly?: boolean; // Shared by another user: can be run, but not changed
 }
 
 export interface FacetValue {
@@ -353,6 +377,8 @@ export interface FacetsProps {
     setFacetCheckedState: React.Dispatch<React.SetStateAction<FacetCheckedState>>;
     onFacetCheckbox: (key: string, facet: string) => void;
     onClearAllFacets?: (clearFunction: () => void) => void;
+    sortBy?: string;
+    onSortByChange?: (sortBy?: string) => void;
 }
 
 // Phase 3 Component Types
@@ -379,6 +405,7 @@ export interface ExternalParams {
     isBlockIntegration?: boolean;
     restrictedBrands?: RestrictedBrand[];
     presetFilters?: string[];
+    productFilters?: string[]; // filters selecting the products of the Products search, default PRODUCT_FILTERS
     hitsPerPage?: number;
     fadelParams?: [{
         baseUrl?: string;
@@ -434,6 +461,8 @@ export interface ImageGalleryProps {
     deepLinkAsset?: Asset | null;
     onCloseDeepLinkModal?: () => void;
     query?: string;
+    onSearch?: (query: string) => void;
+    onSelectFacetSuggestion?: (facet: string, value: string) => void;
     facetCheckedState?: FacetCheckedState;
     selectedNumericFilters?: string[];
     rightsStartDate?: DateValue | null;
@@ -553,6 +582,7 @@ export interface AlgoliaSearchParams {
 
 export interface AlgoliaSearchRequest {
     indexName?: string;
+    sort?: string;
     params: AlgoliaSearchParams;
 }
 
@@ -571,6 +601,9 @@ export interface SearchResult {
     hits: Asset[];
     nbHits: number;
     nbPages: number;
+    exhaustiveNbHits?: boolean; // false if a rights search had more candidates than it checked
+    candidates?: number; // rights search: number of candidate assets checked in Fadel
+    totalCandidates?: number; // rights search: number of assets matching the search before the rights check
     facets?: {
         [facetTechId: string]: {
             [facetName: string]: number;
@@ -596,6 +629,7 @@ export interface ActionDropdownProps {
 
 export interface SearchPanelProps {
     totalCount: string;
+    totalCountNote?: string; // explains an incomplete total, e.g. of a large rights search
     selectedCount: number;
     displayedCount: number;
     onSelectAll: (isChecked: boolean) => void;
@@ -626,6 +660,25 @@ export interface SearchPanelProps {
     onSelectAuthorized?: (isChecked: boolean) => void;
     isRightsSearch?: boolean;
     onShareSearch?: () => void;
+    query?: string;
+    onSearch?: (query: string) => void;
+    onSelectFacetSuggestion?: (facet: string, value: string) => void;
+}
+
+// Suggestion of the search box typeahead, brand/campaign/tag values come from /api/suggest
+export interface SearchSuggestion {
+    type: 'recent' | 'saved' | 'brand' | 'campaign' | 'tag';
+    label: string;
+    facet?: string; // facet key of brand, campaign and tag values
+    value?: string; // facet value of brand, campaign and tag values
+    count?: number;
+    search?: Omit<SavedSearch, 'rightsFilters'>; // saved search as stored (rights filters serialized)
+}
+
+export interface SearchBoxProps {
+    query: string;
+    onSearch: (query: string) => void;
+    onSelectFacet: (facet: string, value: string) => void;
 }
 
 // Download archive data structure for sessionStorage
@@ -0,0 +1,146 @@
+/**
+ * Utility module for keeping the search state in the URL (bookmarkable and shareable searches)
+ *
+ * Uses the same parameters as saved search links (buildSavedSearchUrl), plus the opened
+ * collection and the number of loaded result pages.
+ */
+
+import type { CalendarDate } from '@internationalized/date';
+import type { DateValue } from 'react-aria-components';
+import { buildSavedSearchParams } from '../../../scripts/saved-searches/saved-search-utils.js';
+import type { FacetCheckedState, RightsData } from '../types';
+import { calendarDateToEpoch, epochToCalendarDate } from './formatters';
+
+// All URL parameters holding search state, incl. the legacy `query` and `selectedQueryType`
+export const SEARCH_URL_PARAMS = [
+    'query',
+    'selectedQueryType',
+    'fulltext',
+    'facetFilters',
+    'numericFilters',
+    'rightsFilters',
+    'sort',
+    'collection',
+    'page',
+] as const;
+
+export interface SearchUrlState {
+    query: string;
+    facetCheckedState: FacetCheckedState;
+    numericFilters: string[];
+    rightsStartDate: DateValue | null;
+    rightsEndDate: DateValue | null;
+    markets: Set<RightsData>;
+    mediaChannels: Set<RightsData>;
+    sortBy?: string;
+    collectionId?: string;
+    page: number; // last loaded result page (0-based)
+}
+
+/**
+ * Rights filters in the URL format (same as stored saved searches): dates as epoch milliseconds
+ */
+function serializeRightsFilters(state: SearchUrlState) {
+    if (!state.rightsStartDate && !state.rightsEndDate && state.markets.size === 0 && state.mediaChannels.size === 0) {
+        return undefined;
+    }
+    return {
+        rightsStartDate: state.rightsStartDate ? calendarDateToEpoch(state.rightsStartDate as CalendarDate) : null,
+        rightsEndDate: state.rightsEndDate ? calendarDateToEpoch(state.rightsEndDate as CalendarDate) : null,
+        markets: Array.from(state.markets),
+        mediaChannels: Array.from(state.mediaChannels)
+    };
+}
+
+/**
+ * Parse a JSON URL parameter as written by buildSavedSearchParams (URI encoded JSON)
+ */
+function parseJsonParam<T>(value: string | null): T | undefined {
+    if (!value) return undefined;
+    try {
+        return JSON.parse(decodeURIComponent(value)) as T;
+    } catch (error) {
+        console.warn('Invalid search URL parameter:', value, error);
+        return undefined;
+    }
+}
+
+/**
+ * Build the URL parameters for a search state
+ * @param state - Current search state
+ * @returns URL search parameters (only non-empty values)
+ */
+export function buildSearchUrlParams(state: SearchUrlState): URLSearchParams {
+    // only checked facets, so that unchecking all values removes the parameter
+    const facetFilters: FacetCheckedState = {};
+    Object.entries(state.facetCheckedState).forEach(([key, values]) => {
+        const checked = Object.entries(values || {}).filter(([, isChecked]) => isChecked);
+        if (checked.length > 0) {
+            facetFilters[key] = Object.fromEntries(checked);
+        }
+    });
+
+    const params = buildSavedSearchParams({
+        searchTerm: state.query.trim(),
+        facetFilters,
+        rightsFilters: serializeRightsFilters(state),
+        numericFilters: state.numericFilters,
+        sortBy: state.sortBy
+    });
+    if (state.collectionId) {
+        params.set('collection', state.collectionId);
+    }
+    if (state.page > 0) {
+        params.set('page', String(state.page));
+    }
+    return params;
+}
+
+/**
+ * Check if URL parameters contain a search state, other than just a new query from the search block
+ * @param params - URL search parameters
+ */
+export function hasSearchUrlState(params: URLSearchParams): boolean {
+    return SEARCH_URL_PARAMS.some((key) => key !== 'query' && key !== 'selectedQueryType' && params.has(key));
+}
+
+/**
+ * Parse the search state from URL parameters, missing parameters result in an empty state
+ * @param params - URL search parameters
+ * @returns The search state
+ */
+export function parseSearchUrlParams(params: URLSearchParams): SearchUrlState {
+    const rightsFilters = parseJsonParam<{
+        rightsStartDate?: number | null;
+        rightsEndDate?: number | null;
+        markets?: RightsData[];
+        mediaChannels?: RightsData[];
+    }>(params.get('rightsFilters'));
+    const page = Number.parseInt(params.get('page') || '', 10);
+
+    return {
+        // saved search links use `fulltext`, the search block `query`
+        query: params.get('fulltext') ?? params.get('query') ?? '',
+        facetCheckedState: parseJsonParam<FacetCheckedState>(params.get('facetFilters')) || {},
+        numericFilters: parseJsonParam<string[]>(params.get('numericFilters')) || [],
+        rightsStartDate: rightsFilters?.rightsStartDate ? epochToCalendarDate(rightsFilters.rightsStartDate / 1000) : null,
+        rightsEndDate: rightsFilters?.rightsEndDate ? epochToCalendarDate(rightsFilters.rightsEndDate / 1000) : null,
+        markets: new Set(rightsFilters?.markets || []),
+        mediaChannels: new Set(rightsFilters?.mediaChannels || []),
+        sortBy: params.get('sort') || undefined,
+        collectionId: params.get('collection') || undefined,
+        page: Number.isFinite(page) && page > 0 ? page : 0
+    };
+}
+
+/**
+ * Write search URL parameters into the current URL, keeping all other parameters (e.g. assetid)
+ * @param params - Search URL parameters, see buildSearchUrlParams
+ * @returns The new relative URL
+ */
+export function toSearchUrl(params: URLSearchParams): string {
+    const url = new URL(window.location.href);
+    SEARCH_URL_PARAMS.forEach((key) => url.searchParams.delete(key));
+    params.forEach((value, key) => url.searchParams.set(key, value));
+    return url.pathname + url.search + url.hash;
+}
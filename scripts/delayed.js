@@ -2,6 +2,10 @@
 
 // Import and initialize priority messages check
 import { initPriorityMessages } from './notifications/priority-modal.js';
+import initSessionExpiryWarning from './session/session-expiry.js';
 
 // Initialize priority message check on page load
 initPriorityMessages();
+
+// Warn before the session expires and a re-login is required
+initSessionExpiryWarning();
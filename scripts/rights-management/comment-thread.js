@@ -0,0 +1,183 @@
+/**
+ * Comment thread for rights requests
+ * Used by the my-rights-review-details and my-rights-requests blocks
+ * Styles: comment-thread.css (imported by the block stylesheets)
+ */
+
+import showToast from '../toast/toast.js';
+import { formatDateTime } from './date-formatter.js';
+
+/**
+ * Fetch the comments of a rights request
+ * @param {string} requestId - Rights request ID (numeric part)
+ * @returns {Promise<Array>} Comments, oldest first
+ */
+async function fetchComments(requestId) {
+  const response = await fetch(`/api/rightsrequests/${encodeURIComponent(requestId)}/comments`, {
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to load comments: ${response.status}`);
+  }
+
+  const result = await response.json();
+  return result.data || [];
+}
+
+/**
+ * Post a new comment on a rights request
+ * @param {string} requestId - Rights request ID (numeric part)
+ * @param {string} message - Comment text
+ * @returns {Promise<Array>} All comments after adding the new one
+ */
+async function postComment(requestId, message) {
+  const response = await fetch(`/api/rightsrequests/${encodeURIComponent(requestId)}/comments`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ message }),
+  });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `Failed to post comment: ${response.status}`);
+  }
+
+  return result.comments || [];
+}
+
+/**
+ * Create a single comment element
+ * @param {Object} comment - Comment ({ author, role, message, timestamp })
+ * @returns {HTMLElement} Comment element
+ */
+function createCommentItem(comment) {
+  const item = document.createElement('li');
+  item.className = `comment-item comment-${comment.role}`;
+
+  const meta = document.createElement('div');
+  meta.className = 'comment-meta';
+
+  const author = document.createElement('span');
+  author.className = 'comment-author';
+  author.textContent = comment.author;
+
+  const role = document.createElement('span');
+  role.className = 'comment-role';
+  role.textContent = comment.role === 'reviewer' ? 'Reviewer' : 'Submitter';
+
+  const time = document.createElement('span');
+  time.className = 'comment-time';
+  time.textContent = formatDateTime(comment.timestamp);
+
+  meta.appendChild(author);
+  meta.appendChild(role);
+  meta.appendChild(time);
+
+  const message = document.createElement('div');
+  message.className = 'comment-message';
+  message.textContent = comment.message;
+
+  item.appendChild(meta);
+  item.appendChild(message);
+
+  return item;
+}
+
+/**
+ * Render the comments into the list element
+ * @param {HTMLElement} list - List element
+ * @param {Array} comments - Comments, oldest first
+ */
+function renderComments(list, comments) {
+  list.textContent = '';
+
+  if (comments.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'comment-empty';
+    empty.textContent = 'No comments yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  comments.forEach((comment) => list.appendChild(createCommentItem(comment)));
+}
+
+/**
+ * Create a comment thread with a form to add comments
+ * @param {string} requestId - Rights request ID (numeric part)
+ * @param {Array} [comments] - Initial comments; loaded from the API if omitted
+ * @returns {HTMLElement} Comment thread element
+ */
+export default function createCommentThread(requestId, comments) {
+  const thread = document.createElement('div');
+  thread.className = 'comment-thread';
+
+  const list = document.createElement('ol');
+  list.className = 'comment-list';
+
+  if (comments) {
+    renderComments(list, comments);
+  } else {
+    const loading = document.createElement('li');
+    loading.className = 'comment-empty';
+    loading.textContent = 'Loading comments...';
+    list.appendChild(loading);
+
+    fetchComments(requestId)
+      .then((loaded) => renderComments(list, loaded))
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error('Error loading comments:', error);
+        list.textContent = '';
+        const failed = document.createElement('li');
+        failed.className = 'comment-empty';
+        failed.textContent = 'Failed to load comments.';
+        list.appendChild(failed);
+      });
+  }
+
+  const form = document.createElement('form');
+  form.className = 'comment-form';
+
+  const input = document.createElement('textarea');
+  input.className = 'comment-input';
+  input.rows = 3;
+  input.placeholder = 'Write a comment...';
+  input.setAttribute('aria-label', 'Comment');
+
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'submit';
+  submitBtn.className = 'comment-submit';
+  submitBtn.textContent = 'Post Comment';
+
+  form.appendChild(input);
+  form.appendChild(submitBtn);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const message = input.value.trim();
+    if (!message) return;
+
+    try {
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Posting...';
+      renderComments(list, await postComment(requestId, message));
+      input.value = '';
+      showToast('Comment posted', 'success');
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error posting comment:', error);
+      showToast(`Failed to post comment: ${error.message}`, 'error');
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Post Comment';
+    }
+  });
+
+  thread.appendChild(list);
+  thread.appendChild(form);
+
+  return thread;
+}
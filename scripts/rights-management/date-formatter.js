@@ -36,6 +36,25 @@ export function formatDate(dateString) {
   return date.toLocaleDateString(DEFAULT_LOCALE, options);
 }
 
+/**
+ * Format a date with time for display in UI (e.g., "Jan 5, 2026, 3:04 PM")
+ * @param {Date|string} dateString - Date to format
+ * @returns {string} - Formatted date and time string or 'N/A' if invalid
+ */
+export function formatDateTime(dateString) {
+  if (!dateString) return 'N/A';
+
+  const date = dateString instanceof Date ? dateString : new Date(dateString);
+  if (Number.isNaN(date.getTime())) {
+    return 'N/A';
+  }
+
+  const options = {
+    year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+  };
+  return date.toLocaleString(DEFAULT_LOCALE, options);
+}
+
 /**
  * Format a date to ISO date string (YYYY-MM-DD)
  * @param {Date|string|object} dateStr - Date to format
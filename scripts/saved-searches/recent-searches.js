@@ -0,0 +1,37 @@
+/**
+ * Recent search queries of the user, kept in localStorage (most recent first)
+ * Shared by the typeahead of the search block and the search panel of the React app
+ */
+
+const RECENT_SEARCHES_KEY = 'koassets-recent-searches';
+const MAX_RECENT_SEARCHES = 5;
+
+/**
+ * Load the recent search queries
+ * @returns {string[]} queries, most recent first
+ */
+export function loadRecentSearches() {
+  try {
+    const recent = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+    return Array.isArray(recent) ? recent : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Remember a submitted query as recent search (most recent first)
+ * @param {string} query - Search query
+ */
+export function addRecentSearch(query) {
+  const trimmed = query.trim();
+  if (!trimmed) return;
+  const recent = loadRecentSearches()
+    .filter((item) => item.toLowerCase() !== trimmed.toLowerCase());
+  try {
+    const updated = [trimmed, ...recent].slice(0, MAX_RECENT_SEARCHES);
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(updated));
+  } catch {
+    // storage full or disabled, recent searches are optional
+  }
+}
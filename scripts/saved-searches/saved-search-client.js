@@ -1,47 +1,59 @@
 /**
  * Shared client for saved search operations
- * Uses Cloudflare KV storage via Saved Searches API
+ * Uses Cloudflare KV storage via Saved Searches API (scoped to the logged in user by the worker)
  * Works in both vanilla JavaScript and React environments
  * Provides a single source of truth for saved search CRUD operations
  */
 
 const API_BASE = window.location.origin;
-let cachedUserId = null;
+
+// Last known version (ETag) per saved search id, used for conflict detection on writes
+const knownVersions = new Map();
 
 /**
- * Get current user ID
- * @returns {Promise<string>} User ID
+ * Remember the versions of saved searches returned by the API
+ * @param {Array|Object} searches - Saved search object(s)
  */
-async function getUserId() {
-  if (cachedUserId) return cachedUserId;
+function rememberVersions(searches) {
+  (Array.isArray(searches) ? searches : [searches]).forEach((search) => {
+    if (search?.id && search.version !== undefined) {
+      knownVersions.set(search.id, search.version);
+    }
+  });
+}
 
-  try {
-    const response = await fetch(`${API_BASE}/api/user`, {
-      credentials: 'include',
-    });
-    const userData = await response.json();
-    cachedUserId = userData.userId || userData.email || 'anonymous';
-    return cachedUserId;
-  } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Error fetching user ID:', error);
-    // Fallback to anonymous if user fetch fails
-    cachedUserId = 'anonymous';
-    return cachedUserId;
-  }
+/**
+ * Call the saved searches API
+ * @param {string} path - Path after /api/savedsearches (e.g. '' or '/<id>')
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<{status: number, data: Object}>} HTTP status and parsed json body
+ */
+async function callApi(path, options = {}) {
+  const response = await fetch(`${API_BASE}/api/savedsearches${path}`, {
+    credentials: 'include',
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
+  const data = await response.json();
+  return { status: response.status, data };
 }
 
 /**
- * Get the KV key for the current user's saved searches
- * @returns {Promise<string>} KV key
+ * Build the If-Match header for a saved search based on its last known version
+ * @param {string} searchId - ID of the search
+ * @returns {Object} headers object (empty if version is unknown)
  */
-async function getSavedSearchesKey() {
-  const userId = await getUserId();
-  return `user:${userId}:saved-searches`;
+function ifMatchHeader(searchId) {
+  const version = knownVersions.get(searchId);
+  return version !== undefined ? { 'If-Match': `"${version}"` } : {};
 }
 
 /**
  * Saved Search Client - Core operations using KV storage
+ * Each saved search is an individual resource at /api/savedsearches/<id>
  */
 export const savedSearchClient = {
   /**
@@ -50,21 +62,13 @@ export const savedSearchClient = {
    */
   async load() {
     try {
-      const key = await getSavedSearchesKey();
-      const response = await fetch(`${API_BASE}/api/savedsearches/get?key=${encodeURIComponent(key)}`, {
-        credentials: 'include',
-      });
-      const data = await response.json();
-
+      const { data } = await callApi('');
       if (!data.success) {
-        // Key doesn't exist yet, return empty array
-        if (data.error?.includes('not found')) {
-          return [];
-        }
         throw new Error(data.error || 'Failed to load searches');
       }
 
-      return data.value || [];
+      rememberVersions(data.data || []);
+      return data.data || [];
     } catch (error) {
       // eslint-disable-next-line no-console
       console.error('Error loading saved searches:', error);
@@ -73,94 +77,168 @@ export const savedSearchClient = {
   },
 
   /**
-   * Save searches to KV storage
-   * @param {Array} searches - Array of search objects to save
-   * @returns {Promise<boolean>} Success status
+   * Create a new saved search
+   * @param {Object} searchData - Search data (name, searchTerm, filters, thumbnailImageId, etc.)
+   * @returns {Promise<Object|null>} The created search object or null on failure
    */
-  async save(searches) {
+  async create(searchData) {
     try {
-      const key = await getSavedSearchesKey();
-      const response = await fetch(`${API_BASE}/api/savedsearches/set`, {
+      const now = Date.now();
+      const { data } = await callApi('', {
         method: 'POST',
-        credentials: 'include',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ key, value: searches }),
+        body: JSON.stringify({
+          dateCreated: now,
+          dateLastModified: now,
+          dateLastUsed: now,
+          favorite: false,
+          ...searchData,
+        }),
       });
-      const data = await response.json();
-
       if (!data.success) {
-        throw new Error(data.error || 'Failed to save searches');
+        throw new Error(data.error || 'Failed to create search');
       }
 
-      return true;
+      rememberVersions(data.data);
+      return data.data;
     } catch (error) {
       // eslint-disable-next-line no-console
-      console.error('Error saving searches:', error);
-      return false;
+      console.error('Error creating saved search:', error);
+      return null;
     }
   },
 
   /**
-   * Create a new saved search
-   * @param {Object} searchData - Search data (name, searchTerm, filters, thumbnailImageId, etc.)
-   * @returns {Promise<Object>} The created search object
-   */
-  async create(searchData) {
-    const searches = await this.load();
-    const now = Date.now();
-    const newSearch = {
-      id: now.toString(),
-      dateCreated: now,
-      dateLastModified: now,
-      dateLastUsed: now,
-      favorite: false,
-      ...searchData,
-    };
-    searches.push(newSearch);
-    await this.save(searches);
-    return newSearch;
-  },
-
-  /**
-   * Update an existing saved search
+   * Update an existing saved search.
+   * Fails with a conflict (returns null) if the search was changed elsewhere
+   * since it was last loaded by this client.
    * @param {string} searchId - ID of the search to update
    * @param {Object} updates - Object with properties to update
-   * @returns {Promise<Object|null>} The updated search object or null if not found
+   * @returns {Promise<Object|null>} The updated search object or null if not found or conflicting
    */
   async update(searchId, updates) {
-    const searches = await this.load();
-    const updatedSearches = searches.map((s) => {
-      if (s.id === searchId) {
-        return { ...s, ...updates, dateLastModified: Date.now() };
+    try {
+      const { status, data } = await callApi(`/${encodeURIComponent(searchId)}`, {
+        method: 'PUT',
+        headers: ifMatchHeader(searchId),
+        body: JSON.stringify(updates),
+      });
+      if (status === 409) {
+        // keep the latest version so a reload + retry works
+        rememberVersions(data.current);
+        // eslint-disable-next-line no-console
+        console.warn(`Saved search ${searchId} was modified elsewhere, not updated`);
+        return null;
       }
-      return s;
-    });
-    await this.save(updatedSearches);
-    return updatedSearches.find((s) => s.id === searchId) || null;
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to update search');
+      }
+
+      rememberVersions(data.data);
+      return data.data;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error updating saved search:', error);
+      return null;
+    }
   },
 
   /**
    * Delete a saved search
    * @param {string} searchId - ID of the search to delete
-   * @returns {Promise<boolean>} True if deleted, false if not found
+   * @returns {Promise<boolean>} True if deleted, false if not found or conflicting
    */
   async delete(searchId) {
-    const searches = await this.load();
-    const filtered = searches.filter((s) => s.id !== searchId);
-    if (filtered.length < searches.length) {
-      await this.save(filtered);
+    try {
+      const { status, data } = await callApi(`/${encodeURIComponent(searchId)}`, {
+        method: 'DELETE',
+        headers: ifMatchHeader(searchId),
+      });
+      if (status === 409) {
+        rememberVersions(data.current);
+        // eslint-disable-next-line no-console
+        console.warn(`Saved search ${searchId} was modified elsewhere, not deleted`);
+        return false;
+      }
+      if (!data.success) {
+        return false;
+      }
+
+      knownVersions.delete(searchId);
       return true;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error deleting saved search:', error);
+      return false;
     }
-    return false;
   },
 
   /**
-   * Update the last used timestamp for a search
+   * Share a saved search (read-only) with other users
+   * @param {string} searchId - ID of the search to share
+   * @param {Array<string>} sharedWith - Emails of all users to share with (empty to unshare)
+   * @returns {Promise<Object|null>} The updated search object or null on failure or conflict
+   */
+  async share(searchId, sharedWith) {
+    try {
+      const { status, data } = await callApi(`/${encodeURIComponent(searchId)}/share`, {
+        method: 'PUT',
+        headers: ifMatchHeader(searchId),
+        body: JSON.stringify({ sharedWith }),
+      });
+      if (status === 409) {
+        rememberVersions(data.current);
+        // eslint-disable-next-line no-console
+        console.warn(`Saved search ${searchId} was modified elsewhere, not shared`);
+        return null;
+      }
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to share search');
+      }
+
+      rememberVersions(data.data);
+      return data.data;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error sharing saved search:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Unsubscribe from a saved search shared by another user
+   * @param {Object} search - Shared (read-only) saved search object with owner and id
+   * @returns {Promise<boolean>} True if unsubscribed
+   */
+  async unsubscribe(search) {
+    try {
+      const path = `/shared/${encodeURIComponent(search.owner)}/${encodeURIComponent(search.id)}`;
+      const { data } = await callApi(path, { method: 'DELETE' });
+      return !!data.success;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error unsubscribing from saved search:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Update the last used timestamp for a search.
+   * Does not change the version of the search, so edits loaded before do not conflict.
    * @param {string} searchId - ID of the search
    * @returns {Promise<Object|null>} The updated search object or null
    */
   async updateLastUsed(searchId) {
-    return this.update(searchId, { dateLastUsed: Date.now() });
+    try {
+      const { data } = await callApi(`/${encodeURIComponent(searchId)}/used`, { method: 'POST' });
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to update search');
+      }
+      return data.data;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error updating last used date of saved search:', error);
+      return null;
+    }
   },
 
   /**
@@ -169,8 +247,8 @@ export const savedSearchClient = {
    * @returns {Promise<Object|null>} The updated search object or null
    */
   async toggleFavorite(searchId) {
-    const searches = await this.load();
-    const search = searches.find((s) => s.id === searchId);
+    // read the latest state so the toggle is based on the current version
+    const search = await this.getById(searchId);
     if (search) {
       return this.update(searchId, { favorite: !search.favorite });
     }
@@ -183,8 +261,19 @@ export const savedSearchClient = {
    * @returns {Promise<Object|null>} The search object or null if not found
    */
   async getById(searchId) {
-    const searches = await this.load();
-    return searches.find((s) => s.id === searchId) || null;
+    try {
+      const { data } = await callApi(`/${encodeURIComponent(searchId)}`);
+      if (!data.success) {
+        return null;
+      }
+
+      rememberVersions(data.data);
+      return data.data;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error getting saved search:', error);
+      return null;
+    }
   },
 
   /**
@@ -238,10 +327,15 @@ export const savedSearchClient = {
 
 // For backward compatibility, export individual functions (now async)
 export const loadSavedSearches = () => savedSearchClient.load();
-export const saveSavedSearches = (searches) => savedSearchClient.save(searches);
 export const updateSearchLastUsed = (searchId) => savedSearchClient.updateLastUsed(searchId);
 export const updateSavedSearch = (searchId, updates) => savedSearchClient.update(searchId, updates);
 export const deleteSavedSearch = (searchId) => savedSearchClient.delete(searchId);
+export const toggleFavoriteSearch = (searchId) => savedSearchClient.toggleFavorite(searchId);
+export const shareSavedSearch = (searchId, sharedWith) => savedSearchClient.share(
+  searchId,
+  sharedWith,
+);
+export const unsubscribeSavedSearch = (search) => savedSearchClient.unsubscribe(search);
 export const filterSearches = (searches, term) => savedSearchClient.filter(searches, term);
 export const sortSearchesByLastUsed = (searches) => savedSearchClient.sortByLastUsed(searches);
 export const countFilters = (savedSearch) => savedSearchClient.countFilters(savedSearch);
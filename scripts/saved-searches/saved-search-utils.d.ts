@@ -1,15 +1,31 @@
-import type { FacetCheckedState, RightsFilters } from '../koassets-react/src/types/index.js';
+import type { FacetCheckedState, RightsData } from '../../koassets-react/src/types/index.js';
 
-/**
- * Builds a shareable URL for a saved search that matches the format
- * expected by the search application
- */
-declare function buildSavedSearchUrl(search: {
+// Rights filters as stored in saved searches and URLs: dates as epoch milliseconds, Sets as Arrays
+interface SavedSearchRightsFilters {
+    rightsStartDate?: number | null;
+    rightsEndDate?: number | null;
+    markets?: RightsData[];
+    mediaChannels?: RightsData[];
+}
+
+interface SavedSearchUrlOptions {
     searchTerm: string;
     facetFilters: FacetCheckedState;
-    rightsFilters: RightsFilters;
+    rightsFilters?: SavedSearchRightsFilters; // Optional
     numericFilters: string[];
     searchType?: string; // Optional
-}): string;
+    sortBy?: string; // Optional
+}
+
+/**
+ * Builds the URL search parameters of a search, as read by the search application
+ */
+export declare function buildSavedSearchParams(search: Omit<SavedSearchUrlOptions, 'searchType'>): URLSearchParams;
+
+/**
+ * Builds a shareable URL for a saved search that matches the format
+ * expected by the search application
+ */
+declare function buildSavedSearchUrl(search: SavedSearchUrlOptions): string;
 
 export default buildSavedSearchUrl;
@@ -4,19 +4,11 @@
  */
 
 /**
- * Builds a shareable URL for a saved search that matches the format
- * expected by the search application
- * @param {Object} search - The saved search object
- * @param {string} search.searchTerm - The search term
- * @param {Object} search.facetFilters - Object with facet selections
- *   (facetTechId -> facetName -> boolean)
- * @param {Object} search.rightsFilters - Rights filter settings
- *   (dates, markets, media channels)
- * @param {Array<string>} search.numericFilters - Array of numeric filters
- * @param {string} [search.searchType] - The search type path (optional)
- * @returns {string} The complete shareable URL
+ * Builds the URL search parameters of a search, as read by the search application
+ * @param {Object} search - The saved search object, see buildSavedSearchUrl()
+ * @returns {URLSearchParams} The search parameters
  */
-export default function buildSavedSearchUrl(search) {
+export function buildSavedSearchParams(search) {
   const params = new URLSearchParams();
 
   if (search.searchTerm) {
@@ -35,6 +27,31 @@ export default function buildSavedSearchUrl(search) {
     params.set('numericFilters', encodeURIComponent(JSON.stringify(search.numericFilters)));
   }
 
+  if (search.sortBy) {
+    params.set('sort', search.sortBy);
+  }
+
+  return params;
+}
+
+/**
+ * Builds a shareable URL for a saved search that matches the format
+ * expected by the search application
+ * @param {Object} search - The saved search object
+ * @param {string} search.searchTerm - The search term
+ * @param {Object} search.facetFilters - Object with facet selections
+ *   (facetTechId -> facetName -> boolean)
+ * @param {Object} search.rightsFilters - Rights filter settings
+ *   (dates as epoch milliseconds, markets, media channels)
+ * @param {Array<string>} search.numericFilters - Array of numeric filters
+ * @param {string} [search.searchType] - The search type path (optional)
+ * @param {string} [search.sortBy] - Sort key, e.g. `dateCreated_desc`
+ *   (optional, relevance if not set)
+ * @returns {string} The complete shareable URL
+ */
+export default function buildSavedSearchUrl(search) {
+  const params = buildSavedSearchParams(search);
+
   // Use the stored search type or default to /search/all
   const searchPath = search.searchType || '/search/all';
 
@@ -17,9 +17,7 @@ import {
  * Loads the logged inuser data.
  */
 async function loadUser() {
-  // TODO: run this every 5 minutes and warn when expiry is less than 30 minutes
-  //       with option to re-authenticate
-
+  // session expiry is watched in session/session-expiry.js (delayed)
   window.user = undefined;
   try {
     const user = await fetch(`${window.location.origin}/api/user`);
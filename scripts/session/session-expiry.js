@@ -0,0 +1,141 @@
+/**
+ * Session expiry warning
+ * The worker transparently reissues the session cookie while the user is active, up to an
+ * absolute maximum lifetime. This warns the user shortly before the session ends (inactivity
+ * or maximum lifetime) so that unsaved work (e.g. a rights request form) can be finished
+ * before the forced re-login.
+ * The remaining time is tracked client-side and synced with the session status API, which
+ * does not extend the session. Only "Continue working" explicitly extends it.
+ */
+
+import { loadCSS } from '../aem.js';
+
+// how often to check the remaining session time
+const CHECK_INTERVAL_MS = 60 * 1000;
+// session status API, GET does not extend the session, POST does (see cloudflare/src/user.js)
+const SESSION_API = '/api/user/session';
+// how often to ask the server, the session might have been extended by activity in other tabs
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+// warn when less than this time is left
+const WARNING_THRESHOLD_SEC = 5 * 60;
+
+let expiresAt;
+let lastRefresh = 0;
+let dialog;
+let dismissed = false;
+
+/**
+ * Fetch the current session expiry from the session status API
+ * @param {boolean} [extend] - extend the session (reissue the session cookie)
+ */
+async function refreshExpiry(extend = false) {
+  lastRefresh = Date.now();
+  try {
+    const response = await fetch(`${window.location.origin}${SESSION_API}`, {
+      method: extend ? 'POST' : 'GET',
+      redirect: 'manual',
+    });
+    if (response.ok) {
+      const session = await response.json();
+      if (session.sessionExpiresInSec) {
+        expiresAt = Date.now() + session.sessionExpiresInSec * 1000;
+      }
+    }
+  } catch (_ignore) {
+    // keep last known expiry
+  }
+}
+
+function getRemainingSec() {
+  return Math.floor((expiresAt - Date.now()) / 1000);
+}
+
+function getLoginUrl() {
+  const url = window.location.pathname + window.location.search;
+  return `/auth/login?url=${encodeURIComponent(url)}`;
+}
+
+function formatRemaining(seconds) {
+  if (seconds <= 0) {
+    return 'now';
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+function closeDialog() {
+  dialog?.remove();
+  dialog = undefined;
+}
+
+/**
+ * Show (or update) the session expiry warning dialog
+ * @param {number} remainingSec - seconds until the session expires
+ */
+function showWarning(remainingSec) {
+  if (!dialog) {
+    dialog = document.createElement('div');
+    dialog.className = 'session-expiry-modal';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-labelledby', 'session-expiry-title');
+    dialog.innerHTML = `
+      <div class="session-expiry-content">
+        <h2 id="session-expiry-title">Your session is about to expire</h2>
+        <p class="session-expiry-message"></p>
+        <div class="session-expiry-actions">
+          <button type="button" class="session-expiry-dismiss">Continue working</button>
+          <a class="session-expiry-login" href="${getLoginUrl()}">Sign in again</a>
+        </div>
+      </div>
+    `;
+    dialog.querySelector('.session-expiry-dismiss').addEventListener('click', async () => {
+      closeDialog();
+      await refreshExpiry(true);
+      // session could not be extended (maximum lifetime reached): do not show again until it ends
+      dismissed = getRemainingSec() <= WARNING_THRESHOLD_SEC;
+    });
+    document.body.appendChild(dialog);
+  }
+
+  const message = dialog.querySelector('.session-expiry-message');
+  message.textContent = `For security reasons you will be signed out ${formatRemaining(remainingSec)}. `
+    + 'Please save your work, e.g. submit open forms, and then sign in again.';
+}
+
+async function checkExpiry() {
+  if (Date.now() - lastRefresh >= REFRESH_INTERVAL_MS) {
+    await refreshExpiry();
+  }
+  if (!expiresAt || dismissed) {
+    return;
+  }
+
+  const remainingSec = getRemainingSec();
+  if (remainingSec <= WARNING_THRESHOLD_SEC) {
+    // last chance: the session might have been extended in the meantime
+    if (!dialog) {
+      await refreshExpiry();
+      if (getRemainingSec() > WARNING_THRESHOLD_SEC) {
+        return;
+      }
+    }
+    showWarning(getRemainingSec());
+  } else {
+    closeDialog();
+  }
+}
+
+/**
+ * Start watching the session expiry of the logged in user
+ */
+export default function initSessionExpiryWarning() {
+  if (!window.user?.sessionExpiresInSec) {
+    return;
+  }
+
+  loadCSS(`${window.hlx.codeBasePath}/scripts/session/session-expiry.css`);
+
+  expiresAt = Date.now() + window.user.sessionExpiresInSec * 1000;
+  lastRefresh = Date.now();
+  setInterval(checkExpiry, CHECK_INTERVAL_MS);
+}